@@ -0,0 +1,298 @@
+/**
+ * Access control for the registry API
+ *
+ * Shared by the dynamic server and the static HTTPS server (server.cjs), so
+ * it is CommonJS. Both servers are open by default. Authentication is enabled
+ * once any of these is configured, and then every API request needs one of:
+ *
+ *   MCP_API_KEYS     - Static keys sent as "Authorization: Bearer <key>",
+ *                      comma-separated and optionally named (name=key)
+ *   MCP_JWKS_FILE    - JWKS file; bearer JWTs signed by one of its keys are
+ *                      accepted (RS*, PS*, ES*, EdDSA and HS* algorithms).
+ *                      MCP_JWT_ISSUER / MCP_JWT_AUDIENCE also check iss / aud.
+ *   MCP_CLIENT_CA    - CA bundle (PEM) for client certificates. The HTTPS
+ *                      listener asks for a certificate, and one signed by
+ *                      this CA authenticates the request.
+ *
+ * MCP_CORS_ORIGINS replaces the "Access-Control-Allow-Origin: *" wildcard with
+ * an allowlist of origins ("https://app.example.com, https://*.example.com").
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Clock skew allowed when checking exp and nbf
+const CLOCK_TOLERANCE = 30; // seconds
+
+const JWT_ALGORITHMS = {
+  RS256: { hash: 'sha256', kty: 'RSA' },
+  RS384: { hash: 'sha384', kty: 'RSA' },
+  RS512: { hash: 'sha512', kty: 'RSA' },
+  PS256: { hash: 'sha256', kty: 'RSA', pss: true },
+  PS384: { hash: 'sha384', kty: 'RSA', pss: true },
+  PS512: { hash: 'sha512', kty: 'RSA', pss: true },
+  ES256: { hash: 'sha256', kty: 'EC' },
+  ES384: { hash: 'sha384', kty: 'EC' },
+  ES512: { hash: 'sha512', kty: 'EC' },
+  EdDSA: { hash: null, kty: 'OKP' },
+  HS256: { hash: 'sha256', kty: 'oct' },
+  HS384: { hash: 'sha384', kty: 'oct' },
+  HS512: { hash: 'sha512', kty: 'oct' }
+};
+
+/**
+ * Split a comma-separated setting
+ */
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse API keys, "name=key" entries naming the key
+ */
+function parseApiKeys(value) {
+  return splitList(value).map(entry => {
+    const match = entry.match(/^([a-zA-Z0-9._-]+)=(.+)$/);
+    return match ? { name: match[1], key: match[2] } : { key: entry };
+  });
+}
+
+/**
+ * Compare secrets without leaking where they differ
+ */
+function safeEqual(a, b) {
+  const x = Buffer.from(a);
+  const y = Buffer.from(b);
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function base64UrlJson(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf-8'));
+}
+
+/**
+ * Load the keys of a JWKS file
+ * @param {string} file - Path to a JWKS ({"keys": [...]}) file
+ * @returns {Array<{jwk: object, key: crypto.KeyObject}>}
+ */
+function loadJwks(file) {
+  let jwks;
+  try {
+    jwks = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+  if (!Array.isArray(jwks.keys)) {
+    throw new Error(`${file}: expected a JWKS with a "keys" array`);
+  }
+
+  return jwks.keys.map((jwk, index) => {
+    try {
+      const key = jwk.kty === 'oct'
+        ? crypto.createSecretKey(Buffer.from(jwk.k, 'base64url'))
+        : crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      return { jwk, key };
+    } catch (err) {
+      throw new Error(`${file}: keys[${index}]: ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Check a JWT's signature against a set of keys and its time and issuer/audience claims
+ * @param {string} token - Compact JWS
+ * @param {Array} keys - From loadJwks
+ * @param {object} options
+ * @param {string} options.issuer - Required iss, if set
+ * @param {string} options.audience - Required aud, if set
+ * @returns {object} - The token's claims
+ * @throws {Error} - Saying why the token was rejected
+ */
+function verifyJwt(token, keys, { issuer, audience, now = Date.now() } = {}) {
+  const parts = token.split('.');
+  if (parts.length !== 3) throw new Error('Malformed token');
+
+  let header;
+  let claims;
+  try {
+    header = base64UrlJson(parts[0]);
+    claims = base64UrlJson(parts[1]);
+  } catch {
+    throw new Error('Malformed token');
+  }
+
+  const algorithm = JWT_ALGORITHMS[header.alg];
+  if (!algorithm) throw new Error(`Unsupported algorithm "${header.alg}"`);
+
+  const candidates = keys.filter(({ jwk }) =>
+    jwk.kty === algorithm.kty &&
+    (!header.kid || jwk.kid === header.kid) &&
+    (!jwk.alg || jwk.alg === header.alg) &&
+    (!jwk.use || jwk.use === 'sig'));
+  if (candidates.length === 0) throw new Error('No matching key');
+
+  const data = Buffer.from(`${parts[0]}.${parts[1]}`);
+  const signature = Buffer.from(parts[2], 'base64url');
+  const valid = candidates.some(({ key }) => {
+    if (algorithm.kty === 'oct') {
+      return safeEqual(crypto.createHmac(algorithm.hash, key).update(data).digest(), signature);
+    }
+    return crypto.verify(algorithm.hash, data, {
+      key,
+      ...(algorithm.kty === 'EC' ? { dsaEncoding: 'ieee-p1363' } : {}),
+      ...(algorithm.pss ? { padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST } : {})
+    }, signature);
+  });
+  if (!valid) throw new Error('Invalid signature');
+
+  const seconds = Math.floor(now / 1000);
+  if (typeof claims.exp === 'number' && seconds > claims.exp + CLOCK_TOLERANCE) throw new Error('Token expired');
+  if (typeof claims.nbf === 'number' && seconds < claims.nbf - CLOCK_TOLERANCE) throw new Error('Token not yet valid');
+  if (issuer && claims.iss !== issuer) throw new Error('Wrong issuer');
+  if (audience && ![].concat(claims.aud ?? []).includes(audience)) throw new Error('Wrong audience');
+
+  return claims;
+}
+
+/**
+ * Check an Origin header against the allowlist ("*" wildcards match any characters)
+ */
+function isAllowedOrigin(origins, origin) {
+  return origins.some(pattern => {
+    if (pattern === '*') return true;
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*');
+    return new RegExp(`^${source}$`, 'i').test(origin);
+  });
+}
+
+/**
+ * Create the access control for a server
+ * @param {object} env - Settings (process.env)
+ * @returns {{
+ *   enabled: boolean,
+ *   methods: string[],
+ *   tlsOptions: object,
+ *   corsOrigins: string[],
+ *   applyCors: Function,
+ *   authenticate: Function
+ * }}
+ */
+function createAccessControl(env = process.env) {
+  const apiKeys = parseApiKeys(env.MCP_API_KEYS);
+  const jwksFile = env.MCP_JWKS_FILE;
+  const clientCa = env.MCP_CLIENT_CA;
+  const corsOrigins = splitList(env.MCP_CORS_ORIGINS || '*');
+  const jwtOptions = { issuer: env.MCP_JWT_ISSUER, audience: env.MCP_JWT_AUDIENCE };
+
+  // Fail at startup rather than on the first request
+  let jwks = jwksFile ? { mtimeMs: fs.statSync(jwksFile).mtimeMs, keys: loadJwks(jwksFile) } : null;
+  const caCerts = clientCa ? fs.readFileSync(clientCa) : null;
+
+  const methods = [
+    apiKeys.length > 0 && 'api-key',
+    jwks && 'jwt',
+    caCerts && 'client-certificate'
+  ].filter(Boolean);
+
+  /**
+   * Keys from the JWKS file, reloaded when the file changes (key rotation)
+   */
+  function getJwksKeys() {
+    const { mtimeMs } = fs.statSync(jwksFile);
+    if (mtimeMs !== jwks.mtimeMs) {
+      jwks = { mtimeMs, keys: loadJwks(jwksFile) };
+    }
+    return jwks.keys;
+  }
+
+  /**
+   * Set the CORS headers for a request
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {object} options
+   * @param {string} options.methods - Allowed methods
+   * @param {string} options.headers - Allowed request headers
+   */
+  function applyCors(req, res, { methods: allowMethods, headers }) {
+    res.setHeader('Access-Control-Allow-Methods', allowMethods);
+    res.setHeader('Access-Control-Allow-Headers', headers);
+    if (corsOrigins.includes('*')) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      return;
+    }
+    res.setHeader('Vary', 'Origin');
+    const origin = req.headers.origin;
+    if (origin && isAllowedOrigin(corsOrigins, origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    }
+  }
+
+  /**
+   * Authenticate a request
+   * @param {http.IncomingMessage} req
+   * @returns {{ok: true, principal: object|null} | {ok: false, status: number, error: string}}
+   *   principal is null when authentication is disabled; otherwise it has
+   *   method (api-key, jwt or client-certificate), name and, for JWTs, claims
+   */
+  function authenticate(req) {
+    if (methods.length === 0) return { ok: true, principal: null };
+
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (match) {
+      const token = match[1].trim();
+      const apiKey = apiKeys.find(entry => safeEqual(entry.key, token));
+      if (apiKey) {
+        return { ok: true, principal: { method: 'api-key', name: apiKey.name || null } };
+      }
+      if (jwks && token.split('.').length === 3) {
+        try {
+          const claims = verifyJwt(token, getJwksKeys(), jwtOptions);
+          return { ok: true, principal: { method: 'jwt', name: claims.sub || null, claims } };
+        } catch (err) {
+          return { ok: false, status: 401, error: `Invalid token: ${err.message}` };
+        }
+      }
+      return { ok: false, status: 401, error: 'Invalid API key' };
+    }
+
+    // Client certificates are checked by the TLS listener against MCP_CLIENT_CA
+    if (caCerts && req.socket.authorized) {
+      const cert = req.socket.getPeerCertificate();
+      return { ok: true, principal: { method: 'client-certificate', name: cert.subject?.CN || null } };
+    }
+
+    return { ok: false, status: 401, error: `Authentication required (${methods.join(', ')})` };
+  }
+
+  return {
+    enabled: methods.length > 0,
+    methods,
+    // Merged into the HTTPS server options. Unauthorized certificates are not
+    // rejected during the handshake, so API keys and JWTs keep working.
+    tlsOptions: caCerts ? { ca: caCerts, requestCert: true, rejectUnauthorized: false } : {},
+    corsOrigins,
+    applyCors,
+    authenticate
+  };
+}
+
+/**
+ * Name an authenticated caller as "<method>:<name>" (e.g. "api-key:ci", "jwt:alice")
+ * @returns {string|null} - null for anonymous callers and unnamed API keys
+ */
+function principalId(principal) {
+  return principal?.name ? `${principal.method}:${principal.name}` : null;
+}
+
+/**
+ * Send the response for a failed authentication
+ */
+function sendAuthError(res, result) {
+  res.writeHead(result.status, {
+    'Content-Type': 'application/json',
+    'WWW-Authenticate': 'Bearer realm="mcp-registry"'
+  });
+  res.end(JSON.stringify({ error: result.error }));
+}
+
+module.exports = { createAccessControl, sendAuthError, principalId, verifyJwt, loadJwks, isAllowedOrigin };
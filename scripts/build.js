@@ -12,20 +12,65 @@
  * By default, fetches servers from GitHub main branch (auto-detected from git remote).
  * Use --local flag to build from local filesystem instead.
  * Use --watch flag for local development with auto-rebuild.
+ * Use --strict flag to fail on invalid, duplicate or conflicting definitions.
+ * Every build writes dist/build-report.json listing the problems it found.
+ *
+ * When a NAMESPACES file sits next to servers/ (or MCP_NAMESPACES_FILE is set),
+ * every namespace needs an owner. Set MCP_AUTHOR and MCP_CHANGED_FROM (e.g. the
+ * pull request author and base branch) to also check that the author owns
+ * every server changed since that ref. Team owners are resolved with GITHUB_TOKEN.
+ *
+ * When a package-policy.json sits next to servers/ (or MCP_POLICY_FILE is set),
+ * servers with packages or remotes the policy denies are reported and left out.
+ *
+ * Servers with "visibility" groups are left out of the public tree. With the
+ * --audiences flag, each audience (a set of groups from audiences.json) also
+ * gets its own tree under dist/audiences/{groups}/, and
+ * dist/audiences/index.json maps callers to it. Those trees hold restricted
+ * servers and caller names, so they are only written for server.cjs, which
+ * authenticates callers; never publish them to a static host.
  */
 
-import { readdir, readFile, writeFile, mkdir, cp, rm } from 'fs/promises';
+import { writeFile, mkdir, cp, rm } from 'fs/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { existsSync } from 'fs';
 import { fetchServersFromGitHub } from './github-source.js';
 import { getGitHubConfig } from './git-config.js';
+import { loadServersFromDirectory } from './local-source.js';
+import {
+  loadNamespacePolicy,
+  loadNamespacePolicyAt,
+  getNamespace,
+  getNamespaceOwners,
+  getPatternOwners,
+  checkNamespaceOwnership,
+  checkPatternOwnership,
+  fetchTeamMemberships,
+  findChangedServers,
+  findChangedPatterns
+} from './namespace-policy.js';
+import { loadPackagePolicy, applyPackagePolicy } from './package-policy.js';
+import { loadAudiences, filterVisible, listAudiences } from './visibility.js';
+import {
+  SCHEMA_VERSION,
+  findServerConflicts,
+  getLatestVersion,
+  isServerDeleted,
+  toVSCodeServerFormat,
+  toServerListResponse,
+  toVersionListResponse,
+  serializeResponse
+} from './registry-core.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = join(__dirname, '..');
 
 // Allow environment variable overrides for remote repo support
 const SERVERS_DIR = process.env.MCP_SERVERS_DIR || join(ROOT, 'servers');
+const NAMESPACES_FILE = process.env.MCP_NAMESPACES_FILE;
+const POLICY_FILE = process.env.MCP_POLICY_FILE;
+const AUDIENCES_FILE = process.env.MCP_AUDIENCES_FILE;
 const DIST_DIR = process.env.MCP_DIST_DIR || join(ROOT, 'dist');
 const API_DIR = join(DIST_DIR, 'api', 'v0.1');
 const API_V0_DIR = join(DIST_DIR, 'v0'); // VS Code compatible API path (v0)
@@ -38,92 +83,12 @@ export { SERVERS_DIR, DIST_DIR, ROOT };
 
 // Registry metadata
 const REGISTRY_VERSION = '0.1.0';
-const SCHEMA_VERSION = '2025-10-17';
-const OFFICIAL_SCHEMA = 'https://static.modelcontextprotocol.io/schemas/2025-10-17/server.schema.json';
-
-/**
- * Recursively find all JSON files in a directory
- */
-async function findJsonFiles(dir, files = []) {
-  if (!existsSync(dir)) return files;
-
-  const entries = await readdir(dir, { withFileTypes: true });
-  for (const entry of entries) {
-    const fullPath = join(dir, entry.name);
-    if (entry.isDirectory()) {
-      await findJsonFiles(fullPath, files);
-    } else if (entry.name.endsWith('.json')) {
-      files.push(fullPath);
-    }
-  }
-  return files;
-}
-
-/**
- * Load and validate a server JSON file
- * Supports:
- * - Multi-server format (has "servers" array)
- * - Flat official MCP schema (top-level version + packages)
- * - Internal versioned format (versions array with packages)
- */
-async function loadServerFile(filePath) {
-  const content = await readFile(filePath, 'utf-8');
-  const data = JSON.parse(content);
-
-  // Check if it's a multi-server file (has "servers" array)
-  if (data.servers && Array.isArray(data.servers)) {
-    // Validate each server in the array
-    const result = [];
-    for (const server of data.servers) {
-      result.push(normalizeServer(server, filePath));
-    }
-    return result;
-  }
-
-  // Single server format
-  return [normalizeServer(data, filePath)];
-}
-
-/**
- * Normalize server to internal format (with versions array)
- * Supports both flat schema (version + packages) and versioned schema (versions array)
- */
-function normalizeServer(data, filePath) {
-  if (!data.name || !data.description) {
-    throw new Error(`Invalid server in ${filePath}: missing required fields (name or description)`);
-  }
-
-  // Flat official MCP schema (top-level version + packages)
-  if (data.version && data.packages && !data.versions) {
-    return {
-      name: data.name,
-      title: data.title,
-      description: data.description,
-      repository: data.repository,
-      websiteUrl: data.websiteUrl,
-      icons: data.icons,
-      versions: [{
-        version: data.version,
-        isLatest: true,
-        packages: data.packages,
-        remotes: data.remotes
-      }]
-    };
-  }
-
-  // Internal versioned format
-  if (data.versions && Array.isArray(data.versions)) {
-    return data;
-  }
-
-  throw new Error(`Invalid server in ${filePath}: missing version+packages or versions array`);
-}
 
 /**
  * Transform internal server format to API response format
  */
 function toApiServerSummary(server) {
-  const latestVersion = server.versions.find(v => v.isLatest) || server.versions[0];
+  const latestVersion = getLatestVersion(server);
   return {
     name: server.name,
     description: server.description,
@@ -165,35 +130,6 @@ function toApiVersionDetail(server, version) {
   };
 }
 
-/**
- * Transform to VS Code / Official MCP Registry compatible format
- * This wraps each server in {server: {...}, _meta: {...}} structure
- */
-function toVSCodeServerFormat(server, version) {
-  const now = new Date().toISOString();
-  return {
-    server: {
-      $schema: OFFICIAL_SCHEMA,
-      name: server.name,
-      title: server.title,        // VS Code gallery looks for 'title' first
-      description: server.description,
-      repository: server.repository,
-      version: version.version,
-      packages: version.packages,
-      remotes: version.remotes,
-      websiteUrl: server.websiteUrl
-    },
-    _meta: {
-      'io.modelcontextprotocol.registry/official': {
-        status: 'active',
-        publishedAt: version.releaseDate ? new Date(version.releaseDate).toISOString() : now,
-        updatedAt: now,
-        isLatest: version.isLatest || false
-      }
-    }
-  };
-}
-
 /**
  * Ensure directory exists
  */
@@ -202,11 +138,11 @@ async function ensureDir(dir) {
 }
 
 /**
- * Write JSON file with pretty printing
+ * Write JSON file, formatted the same way as dynamic server responses
  */
 async function writeJson(filePath, data) {
   await ensureDir(dirname(filePath));
-  await writeFile(filePath, JSON.stringify(data, null, 2));
+  await writeFile(filePath, serializeResponse(data));
 }
 
 /**
@@ -217,6 +153,69 @@ function encodeServerName(name) {
   return encodeURIComponent(name);
 }
 
+/**
+ * Check servers against the namespace ownership policy
+ * Every server needs an owner in the current policy. The author's changes,
+ * NAMESPACES lines included, are checked against the policy at changedFrom.
+ * @param {Array} servers - Loaded servers
+ * @param {object} options
+ * @param {string} options.policyFile - NAMESPACES file
+ * @param {string} options.serversDir - Servers directory (for finding changed servers)
+ * @param {string} options.author - GitHub login of the author of the changes, if known
+ * @param {string} options.changedFrom - Git ref the changes are compared with
+ * @returns {Promise<Array<{type: string, file: string, server: string, message: string}>>}
+ */
+async function findOwnershipProblems(servers, { policyFile, serversDir, author, changedFrom }) {
+  let policy;
+  let basePolicy = null;
+  try {
+    policy = await loadNamespacePolicy(policyFile);
+    if (author) basePolicy = loadNamespacePolicyAt(policyFile, changedFrom);
+  } catch (err) {
+    return [{ type: 'namespace-policy', file: policyFile, message: err.message }];
+  }
+
+  const problems = [];
+  for (const server of policy ? servers : []) {
+    if (!getNamespaceOwners(policy, getNamespace(server.name))?.length) {
+      problems.push({
+        type: 'unowned-namespace',
+        file: server._file,
+        server: server.name,
+        message: `Namespace "${getNamespace(server.name)}" has no owner in ${policyFile}`
+      });
+    }
+  }
+
+  // Nothing was enforced before NAMESPACES existed
+  if (basePolicy) {
+    const unowned = new Set(problems.map(p => p.server));
+    const changed = findChangedServers(serversDir, changedFrom).filter(name => !unowned.has(name));
+    const patterns = findChangedPatterns(basePolicy, policy);
+    const owners = [
+      ...changed.flatMap(name => getNamespaceOwners(basePolicy, getNamespace(name)) || []),
+      ...patterns.flatMap(pattern => getPatternOwners(basePolicy, pattern))
+    ];
+    const teams = await fetchTeamMemberships(owners, author, process.env.GITHUB_TOKEN);
+
+    for (const name of changed) {
+      const message = checkNamespaceOwnership(basePolicy, name, { login: author, teams });
+      if (message) {
+        const file = servers.find(s => s.name === name)?._file || policyFile;
+        problems.push({ type: 'namespace-owner', file, server: name, message });
+      }
+    }
+    for (const pattern of patterns) {
+      const message = checkPatternOwnership(basePolicy, pattern, { login: author, teams });
+      if (message) {
+        problems.push({ type: 'namespace-owner', file: policyFile, message });
+      }
+    }
+  }
+
+  return problems;
+}
+
 /**
  * Main build function
  * @param {Object} options - Build options
@@ -226,17 +225,27 @@ function encodeServerName(name) {
  * @param {string} options.githubOwner - GitHub repository owner
  * @param {string} options.githubRepo - GitHub repository name
  * @param {string} options.githubBranch - GitHub branch name
- * @returns {Promise<{serverCount: number, distDir: string}>}
+ * @param {boolean} options.strict - Fail on any invalid, duplicate or conflicting definition
+ * @param {string} options.namespacesFile - Namespace ownership policy (default: NAMESPACES next to servers/)
+ * @param {string} options.policyFile - Package allow/deny policy (default: package-policy.json next to servers/)
+ * @param {string} options.audiencesFile - Groups of API callers (default: audiences.json next to servers/)
+ * @param {boolean} options.audiences - Also write a tree per audience under audiences/ (for server.cjs only)
+ * @param {string} options.author - Check that this GitHub user owns the servers changed since changedFrom
+ * @param {string} options.changedFrom - Git ref to compare with when checking the author's changes
+ * @returns {Promise<{serverCount: number, distDir: string, problems: Array}>}
  */
 export async function build(options = {}) {
   // Allow runtime overrides (for programmatic use)
   const useGitHub = options.useGitHub || process.argv.includes('--github');
+  const strict = options.strict || process.argv.includes('--strict');
   const serversDir = options.serversDir || SERVERS_DIR;
   const distDir = options.distDir || DIST_DIR;
-  const apiDir = join(distDir, 'api', 'v0.1');
-  const apiV0Dir = join(distDir, 'v0');
-  const apiV01Dir = join(distDir, 'v0.1');
-  const apiRoot = join(distDir, 'api');
+  const namespacesFile = options.namespacesFile || NAMESPACES_FILE || join(dirname(serversDir), 'NAMESPACES');
+  const policyFile = options.policyFile || POLICY_FILE || join(dirname(serversDir), 'package-policy.json');
+  const author = options.author || process.env.MCP_AUTHOR;
+  const changedFrom = options.changedFrom || process.env.MCP_CHANGED_FROM;
+  const audiencesFile = options.audiencesFile || AUDIENCES_FILE || join(dirname(serversDir), 'audiences.json');
+  const writeAudiences = options.audiences || process.argv.includes('--audiences');
   
   // Get GitHub config from git remote or environment
   const gitConfig = getGitHubConfig();
@@ -250,7 +259,20 @@ export async function build(options = {}) {
   } else {
     console.log(`   📂 Source: ${serversDir}`);
   }
-  console.log(`   📦 Output: ${distDir}\n`);
+  console.log(`   📦 Output: ${distDir}`);
+  if (strict) {
+    console.log('   🔒 Strict mode: any problem fails the build');
+  }
+  if (author) {
+    if (!changedFrom) {
+      throw new Error('MCP_AUTHOR needs MCP_CHANGED_FROM, the git ref to compare the changes with (e.g. origin/main)');
+    }
+    if (useGitHub) {
+      throw new Error('Checking namespace ownership of changes needs a local build (--local)');
+    }
+    console.log(`   🛂 Checking changes by @${author} since ${changedFrom}`);
+  }
+  console.log('');
 
   // Clean dist directory
   if (existsSync(distDir)) {
@@ -260,64 +282,175 @@ export async function build(options = {}) {
 
   // Load servers from GitHub or local filesystem
   let servers = [];
+  const loadErrors = [];
   
   if (useGitHub) {
     // Fetch servers from GitHub
     servers = await fetchServersFromGitHub({
       owner: options.githubOwner,
       repo: options.githubRepo,
-      branch: options.githubBranch
+      branch: options.githubBranch,
+      errors: loadErrors
     });
   } else {
-    // Find all server files locally
-    const serverFiles = await findJsonFiles(serversDir);
-    console.log(`📦 Found ${serverFiles.length} server file(s)`);
-
-    // Load all servers
-    for (const file of serverFiles) {
-      try {
-        const loadedServers = await loadServerFile(file);
-        for (const server of loadedServers) {
-          servers.push(server);
-          console.log(`   ✓ ${server.name}`);
-        }
-      } catch (err) {
-        console.error(`   ✗ ${file}: ${err.message}`);
+    // Load all server files locally
+    servers = await loadServersFromDirectory(serversDir, loadErrors);
+  }
+
+  // Check for definitions that conflict with each other
+  const conflicts = findServerConflicts(servers);
+  for (const conflict of conflicts) {
+    console.warn(`   ⚠️  ${conflict.file}: ${conflict.message}`);
+  }
+
+  // Check namespaces against the ownership policy
+  const ownershipProblems = await findOwnershipProblems(servers, { policyFile: namespacesFile, serversDir, author, changedFrom });
+  for (const problem of ownershipProblems) {
+    console.warn(`   ⚠️  ${problem.file}: ${problem.message}`);
+  }
+
+  // Leave out servers whose packages the package policy denies
+  const policyProblems = [];
+  try {
+    const result = applyPackagePolicy(await loadPackagePolicy(policyFile), servers);
+    for (const violation of result.violations) {
+      const file = servers.find(s => s.name === violation.server)._file;
+      console.warn(`   ⛔ ${file}: ${violation.message}`);
+      policyProblems.push({ type: 'package-policy', file, ...violation });
+    }
+    servers = result.servers;
+  } catch (err) {
+    console.warn(`   ⚠️  ${err.message}`);
+    policyProblems.push({ type: 'package-policy-file', file: policyFile, message: err.message });
+  }
+
+  // Check that restricted servers are visible to groups that have members
+  let audiences = null;
+  const visibilityProblems = [];
+  try {
+    audiences = await loadAudiences(audiencesFile);
+  } catch (err) {
+    console.warn(`   ⚠️  ${err.message}`);
+    visibilityProblems.push({ type: 'audiences-file', file: audiencesFile, message: err.message });
+  }
+  if (audiences) {
+    for (const server of servers) {
+      for (const group of (server.visibility || []).filter(g => !audiences.groups[g])) {
+        const message = `${server.name} is visible to group "${group}", which is not in ${audiencesFile}`;
+        console.warn(`   ⚠️  ${server._file}: ${message}`);
+        visibilityProblems.push({ type: 'visibility', file: server._file, server: server.name, message });
       }
     }
   }
 
+  const problems = [...loadErrors, ...conflicts, ...ownershipProblems, ...policyProblems, ...visibilityProblems];
+  const report = {
+    generated: new Date().toISOString(),
+    strict,
+    success: !strict || problems.length === 0,
+    serverCount: servers.length,
+    problems
+  };
+
+  if (strict && problems.length > 0) {
+    await writeJson(join(distDir, 'build-report.json'), report);
+    throw new Error(`Strict build failed with ${problems.length} problem(s), see ${join(distDir, 'build-report.json')}`);
+  }
+
   // Sort by name
   servers.sort((a, b) => a.name.localeCompare(b.name));
 
+  // Servers without visibility groups are public; with --audiences, every
+  // audience also gets its own tree under audiences/ with the restricted
+  // servers it may see
+  await writeApiTree(filterVisible(servers, []), distDir);
+
+  // Copy web assets
+  if (existsSync(WEB_DIR)) {
+    await cp(WEB_DIR, distDir, { recursive: true });
+    console.log('📄 Copied web assets');
+  }
+
+  // The web assets import the schema version from scripts/
+  await ensureDir(join(distDir, 'scripts'));
+  await cp(join(__dirname, 'schema-version.js'), join(distDir, 'scripts', 'schema-version.js'));
+
+  // Copy serve.json for static server configuration
+  const serveJsonPath = join(ROOT, 'serve.json');
+  if (existsSync(serveJsonPath)) {
+    await cp(serveJsonPath, join(distDir, 'serve.json'));
+    console.log('📄 Copied serve.json');
+  }
+
+  // Copy schemas
+  const schemasDir = join(ROOT, 'schemas');
+  if (existsSync(schemasDir)) {
+    await cp(schemasDir, join(distDir, 'schemas'), { recursive: true });
+    console.log('📄 Copied schemas');
+  }
+
+  // One tree per audience, with the public servers and those of its groups
+  const audienceList = listAudiences(audiences, servers);
+  const audienceIds = Object.keys(audienceList.audiences);
+  if (writeAudiences) {
+    for (const [id, groups] of Object.entries(audienceList.audiences)) {
+      const visible = filterVisible(servers, groups);
+      console.log(`\n👥 Audience ${id}: ${visible.length} server(s)`);
+      await writeApiTree(visible, join(distDir, 'audiences', id), { quiet: true });
+    }
+    if (audienceIds.length > 0) {
+      await writeJson(join(distDir, 'audiences', 'index.json'), audienceList);
+    }
+  } else if (audienceIds.length > 0) {
+    const restricted = servers.length - filterVisible(servers, []).length;
+    console.log(`\n👥 Left out ${restricted} restricted server(s); build with --audiences for server.cjs`);
+  }
+
+  // Machine-readable summary of problems found while loading
+  await writeJson(join(distDir, 'build-report.json'), report);
+  console.log(`📄 Generated build-report.json (${problems.length} problem(s))`);
+
+  console.log(`\n✅ Build complete! Output in ${distDir}`);
+  
+  // Return build info for programmatic use
+  return { serverCount: servers.length, distDir, problems };
+}
+
+/**
+ * Write the API files for a set of servers
+ * @param {Array} servers - Servers in internal format, sorted by name
+ * @param {string} distDir - Output directory
+ * @param {object} options
+ * @param {boolean} options.quiet - Don't log each generated file
+ */
+async function writeApiTree(servers, distDir, { quiet = false } = {}) {
+  const log = quiet ? () => {} : console.log;
+  const apiDir = join(distDir, 'api', 'v0.1');
+  const apiV0Dir = join(distDir, 'v0');
+  const apiV01Dir = join(distDir, 'v0.1');
+  const apiRoot = join(distDir, 'api');
+
+  // Deleted servers keep their detail files but are left out of the lists
+  const listedServers = servers.filter(s => !isServerDeleted(s));
+
   // Generate /api/v0.1/servers.json (list endpoint)
   const serverList = {
-    servers: servers.map(toApiServerSummary),
-    total: servers.length,
+    servers: listedServers.map(toApiServerSummary),
+    total: listedServers.length,
     generated: new Date().toISOString()
   };
   await writeJson(join(apiDir, 'servers.json'), serverList);
-  console.log(`\n📄 Generated servers.json (${servers.length} servers)`);
+  log(`\n📄 Generated servers.json (${listedServers.length} servers)`);
 
   // Generate VS Code compatible /v0/servers endpoint
   // This matches the official MCP Registry API format
   // For static hosting, we use index.json files that the server can serve as directory defaults
-  const vsCodeServerList = [];
-  for (const server of servers) {
-    const latestVersion = server.versions.find(v => v.isLatest) || server.versions[0];
-    vsCodeServerList.push(toVSCodeServerFormat(server, latestVersion));
-  }
-  const vsCodeResponse = {
-    servers: vsCodeServerList,
-    metadata: {
-      count: servers.length
-    }
-  };
+  const vsCodeResponse = toServerListResponse(listedServers);
   // Write to /v0/servers/index.json and /v0.1/servers/index.json
   // VS Code tries v0.1 first, then falls back to v0
   await writeJson(join(apiV0Dir, 'servers', 'index.json'), vsCodeResponse);
   await writeJson(join(apiV01Dir, 'servers', 'index.json'), vsCodeResponse);
-  console.log('📄 Generated VS Code compatible /v0/servers and /v0.1/servers endpoints');
+  log('📄 Generated VS Code compatible /v0/servers and /v0.1/servers endpoints');
 
   // Generate per-server and per-version files
   for (const server of servers) {
@@ -352,7 +485,7 @@ export async function build(options = {}) {
     }
 
     // /servers/{name}/versions/latest.json (symlink to latest version)
-    const latestVersion = server.versions.find(v => v.isLatest) || server.versions[0];
+    const latestVersion = getLatestVersion(server);
     await writeJson(
       join(serverDir, 'versions', 'latest.json'),
       toApiVersionDetail(server, latestVersion)
@@ -370,36 +503,11 @@ export async function build(options = {}) {
     );
 
     // Generate /v0/servers/{name}/versions (list all versions for this server)
-    const v0VersionsList = {
-      servers: server.versions.map(v => toVSCodeServerFormat(server, v)),
-      metadata: {
-        count: server.versions.length
-      }
-    };
+    const v0VersionsList = toVersionListResponse(server);
     await writeJson(join(v0ServerDir, 'versions', 'index.json'), v0VersionsList);
     await writeJson(join(v01ServerDir, 'versions', 'index.json'), v0VersionsList);
   }
-  console.log('📄 Generated per-server version files');
-
-  // Copy web assets
-  if (existsSync(WEB_DIR)) {
-    await cp(WEB_DIR, distDir, { recursive: true });
-    console.log('📄 Copied web assets');
-  }
-
-  // Copy serve.json for static server configuration
-  const serveJsonPath = join(ROOT, 'serve.json');
-  if (existsSync(serveJsonPath)) {
-    await cp(serveJsonPath, join(distDir, 'serve.json'));
-    console.log('📄 Copied serve.json');
-  }
-
-  // Copy schemas
-  const schemasDir = join(ROOT, 'schemas');
-  if (existsSync(schemasDir)) {
-    await cp(schemasDir, join(distDir, 'schemas'), { recursive: true });
-    console.log('📄 Copied schemas');
-  }
+  log('📄 Generated per-server version files');
 
   // Generate discovery document (/api/index.json)
   const discoveryDoc = {
@@ -430,16 +538,11 @@ export async function build(options = {}) {
     ]
   };
   await writeJson(join(apiRoot, 'index.json'), discoveryDoc);
-  console.log('📄 Generated discovery document (api/index.json)');
+  log('📄 Generated discovery document (api/index.json)');
 
   // Generate simple HTML index (PEP 503-style)
   await generateSimpleIndex(servers, apiRoot);
-  console.log('📄 Generated simple index (api/simple/)');
-
-  console.log(`\n✅ Build complete! Output in ${distDir}`);
-  
-  // Return build info for programmatic use
-  return { serverCount: servers.length, distDir };
+  log('📄 Generated simple index (api/simple/)');
 }
 
 /**
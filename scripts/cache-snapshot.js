@@ -0,0 +1,66 @@
+/**
+ * Server Cache Snapshot
+ *
+ * Persists the dynamic server's last good cache to disk so it can start,
+ * and keep serving, while its source (e.g. GitHub) is unreachable.
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname } from 'path';
+
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Write a snapshot of the server cache
+ * Written to a temporary file first so a crash never leaves a truncated snapshot.
+ * @param {string} filePath - Snapshot file path
+ * @param {Object} snapshot - Snapshot contents
+ * @param {string} snapshot.source - Description of the source the servers came from
+ * @param {string|null} snapshot.commit - Commit SHA the servers were loaded from
+ * @param {Date} snapshot.lastRefresh - When the servers were loaded
+ * @param {Array} snapshot.servers - Servers in internal format
+ */
+export async function saveSnapshot(filePath, { source, commit, lastRefresh, servers }) {
+  const data = {
+    version: SNAPSHOT_VERSION,
+    source,
+    commit: commit || null,
+    lastRefresh: lastRefresh.toISOString(),
+    savedAt: new Date().toISOString(),
+    servers
+  };
+
+  await mkdir(dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  await writeFile(tempPath, JSON.stringify(data));
+  await rename(tempPath, filePath);
+}
+
+/**
+ * Load a snapshot of the server cache
+ * @param {string} filePath - Snapshot file path
+ * @param {string} source - Expected source; snapshots of other sources are ignored
+ * @returns {Promise<{commit: string|null, lastRefresh: Date, servers: Array}|null>}
+ */
+export async function loadSnapshot(filePath, source) {
+  if (!existsSync(filePath)) return null;
+
+  const data = JSON.parse(await readFile(filePath, 'utf-8'));
+
+  if (data.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version ${data.version}`);
+  }
+  if (data.source !== source) {
+    throw new Error(`Snapshot is for ${data.source}, not ${source}`);
+  }
+  if (!Array.isArray(data.servers)) {
+    throw new Error('Snapshot has no servers array');
+  }
+
+  return {
+    commit: data.commit,
+    lastRefresh: new Date(data.lastRefresh),
+    servers: data.servers
+  };
+}
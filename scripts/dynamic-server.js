@@ -6,22 +6,67 @@
  * Fetches servers from GitHub API at runtime and caches them in memory.
  * No build step required - servers are fetched on startup and refreshed every 5 minutes.
  * 
+ * Servers can also be loaded without network access (MCP_SOURCE):
+ *   github - GitHub API (default)
+ *   local  - A local servers/ directory, hot-reloaded on file changes (or use --local)
+ *   git    - Committed files in a local clone, reloaded when its refs change
+ * 
  * GitHub configuration is auto-detected from git remote origin, or can be overridden:
  *   GITHUB_OWNER    - Repository owner (auto-detected from git remote)
  *   GITHUB_REPO     - Repository name (auto-detected from git remote)
  *   GITHUB_BRANCH   - Branch to fetch from (auto-detected, defaults to main)
  *   GITHUB_TOKEN    - GitHub token for higher rate limits (optional)
+ *   GITHUB_CLIENT_ID     - OAuth app client id, enables GitHub sign-in in the web UI (optional)
+ *   GITHUB_CLIENT_SECRET - OAuth app client secret, used to exchange sign-in codes (optional)
+ *   MCP_SERVERS_DIR - Servers directory for local mode (default: servers/)
+ *   MCP_GIT_DIR     - Local clone for git mode (default: this repository)
+ *   MCP_GIT_REF     - Ref to serve in git mode (default: HEAD)
+ *   MCP_REGISTRY_PATH - Path to servers/ within the clone in git mode (default: servers)
  *   MCP_PORT        - Server port (default: 3443)
+ *   MCP_CACHE_FILE  - Snapshot of the last good cache, loaded on startup (default: .cache/server-cache.json)
  *   REFRESH_INTERVAL - Cache refresh interval in ms (default: 300000 = 5 min)
+ *   MCP_PUBLISH_TOKENS - Comma-separated bearer tokens for the write API, optionally named (name=token) (unset: read-only)
+ *   MCP_NAMESPACES_FILE - Namespace ownership policy for the write API (default: NAMESPACES next to servers/)
+ *   MCP_POLICY_FILE - Package allow/deny policy for served and published servers (default: package-policy.json next to servers/)
+ *   MCP_AUDIENCES_FILE - Groups of API callers, for servers with "visibility" (default: audiences.json next to servers/)
+ *   MCP_PUBLISH_MODE - How GitHub publishes are written: pull-request (default) or commit
+ *   MCP_API_KEYS    - Comma-separated API keys required to read the API, optionally named (name=key) (unset: open)
+ *   MCP_JWKS_FILE   - JWKS file; bearer JWTs signed by its keys are accepted (MCP_JWT_ISSUER / MCP_JWT_AUDIENCE check claims)
+ *   MCP_CLIENT_CA   - CA bundle for client certificates on the HTTPS listener
+ *   MCP_CORS_ORIGINS - Comma-separated origins allowed by CORS (default: *)
+ *   LOG_LEVEL       - debug, info, warn, error or silent (default: info)
+ *   LOG_FORMAT      - pretty (default) or json: one object per line, with request IDs (see logger.cjs)
  */
 
 import https from 'https';
 import http from 'http';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
-import { fetchServersFromGitHub } from './github-source.js';
+import { fetchServersFromGitHub, getLastFetchedCommit } from './github-source.js';
+import { loadServersFromDirectory, loadServersFromGit, getGitWatchPaths, resolveGitRef } from './local-source.js';
+import { loadSnapshot, saveSnapshot } from './cache-snapshot.js';
 import { getGitHubConfig } from './git-config.js';
+import { parseListQuery, parseIncludeDeleted, queryServers } from './server-query.js';
+import { createGitHubAuth } from './github-auth.js';
+import { toPublishedVersion, publishToDirectory, publishToGitHub } from './publish.js';
+import { loadNamespacePolicy, checkNamespaceOwnership } from './namespace-policy.js';
+import { loadPackagePolicy, applyPackagePolicy } from './package-policy.js';
+import { createAccessControl, sendAuthError, principalId } from './access-control.cjs';
+import { loadAudiences, getCallerGroups, filterVisible, getAudienceId } from './visibility.js';
+import { metrics, observeRequest, sendMetrics } from './metrics.cjs';
+import { logger, startRequestLog } from './logger.cjs';
+import { getCachePolicy, getCacheControl, createEntry, createResponseCache, sendEntry } from './http-cache.cjs';
+import {
+  parseServerFile,
+  getLatestVersion,
+  toVSCodeServerFormat,
+  toServerListResponse,
+  toVersionListResponse,
+  serializeResponse
+} from './registry-core.js';
+import { toClientConfig } from '../src/web/client-config.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.join(__dirname, '..');
@@ -30,6 +75,32 @@ const WEB_DIR = path.join(ROOT, 'src', 'web');
 // Configuration
 const PORT = parseInt(process.env.MCP_PORT) || 3443;
 const REFRESH_INTERVAL = parseInt(process.env.REFRESH_INTERVAL) || 5 * 60 * 1000; // 5 minutes
+const SOURCE = process.argv.includes('--local') ? 'local' : (process.env.MCP_SOURCE || 'github');
+const SERVERS_DIR = path.resolve(process.env.MCP_SERVERS_DIR || path.join(ROOT, 'servers'));
+const GIT_DIR = path.resolve(process.env.MCP_GIT_DIR || ROOT);
+const GIT_REF = process.env.MCP_GIT_REF || 'HEAD';
+const GIT_SERVERS_PATH = process.env.MCP_REGISTRY_PATH || 'servers';
+const CACHE_FILE = path.resolve(process.env.MCP_CACHE_FILE || path.join(ROOT, '.cache', 'server-cache.json'));
+const NAMESPACES_FILE = path.resolve(process.env.MCP_NAMESPACES_FILE || path.join(path.dirname(SERVERS_DIR), 'NAMESPACES'));
+const POLICY_FILE = path.resolve(process.env.MCP_POLICY_FILE || path.join(path.dirname(SERVERS_DIR), 'package-policy.json'));
+const AUDIENCES_FILE = path.resolve(process.env.MCP_AUDIENCES_FILE || path.join(path.dirname(SERVERS_DIR), 'audiences.json'));
+// "name=token" entries name the token, so NAMESPACES can refer to it as token:name
+const PUBLISH_TOKENS = (process.env.MCP_PUBLISH_TOKENS || '').split(',').map(t => t.trim()).filter(Boolean).map(entry => {
+  const match = entry.match(/^([a-zA-Z0-9._-]+)=(.+)$/);
+  return match ? { name: match[1], token: match[2] } : { token: entry };
+});
+const PUBLISH_MODE = process.env.MCP_PUBLISH_MODE || 'pull-request';
+const MAX_PUBLISH_BODY = 1024 * 1024; // 1 MB
+
+if (!['github', 'local', 'git'].includes(SOURCE)) {
+  logger.error(`❌ Unknown MCP_SOURCE "${SOURCE}" (expected github, local or git)`);
+  process.exit(1);
+}
+
+if (!['pull-request', 'commit'].includes(PUBLISH_MODE)) {
+  logger.error(`❌ Unknown MCP_PUBLISH_MODE "${PUBLISH_MODE}" (expected pull-request or commit)`);
+  process.exit(1);
+}
 
 // Get GitHub config from git remote or environment
 const gitConfig = getGitHubConfig();
@@ -37,19 +108,37 @@ const GITHUB_OWNER = gitConfig.owner;
 const GITHUB_REPO = gitConfig.repo;
 const GITHUB_BRANCH = gitConfig.branch;
 
-// Schema constants
-const OFFICIAL_SCHEMA = 'https://static.modelcontextprotocol.io/schemas/2025-12-11/server.schema.json';
-
 // In-memory cache
 let serverCache = {
   servers: [],
-  lastRefresh: null,
-  refreshing: false
+  audiences: null,         // Groups of API callers (audiences.json)
+  commit: null,
+  lastRefresh: null,       // When the cached servers were loaded from the source
+  lastAttempt: null,       // When a refresh was last attempted
+  lastError: null,         // Error from the last refresh, if it failed
+  fromSnapshot: false,     // Servers were restored from disk and not refreshed since
+  refreshing: false,
+  refreshQueued: false
 };
 
+// Callers waiting for a queued cache refresh
+const refreshWaiters = [];
+
 // Static file cache for web assets
 const staticFiles = new Map();
 
+// Serialized API responses by audience and URL, kept until the servers change
+const responseCache = createResponseCache();
+
+// GitHub sign-in for web imports (created once we know whether we serve HTTPS)
+let githubAuth = null;
+
+// Authentication and CORS for API requests (created on startup)
+let accessControl = null;
+
+// Publishes are written one at a time so they never overwrite each other
+let publishQueue = Promise.resolve();
+
 /**
  * Load static web assets into memory
  */
@@ -60,20 +149,19 @@ function loadStaticFiles() {
   for (const file of files) {
     const filePath = path.join(WEB_DIR, file);
     if (fs.statSync(filePath).isFile()) {
-      staticFiles.set('/' + file, {
-        content: fs.readFileSync(filePath),
-        mimeType: getMimeType(file)
-      });
+      staticFiles.set('/' + file, createEntry(fs.readFileSync(filePath), getMimeType(file)));
       // Also serve index.html at root
       if (file === 'index.html') {
-        staticFiles.set('/', {
-          content: fs.readFileSync(filePath),
-          mimeType: 'text/html'
-        });
+        staticFiles.set('/', createEntry(fs.readFileSync(filePath), 'text/html'));
       }
     }
   }
-  console.log(`📄 Loaded ${staticFiles.size} static files`);
+  // The web assets import the schema version from scripts/
+  staticFiles.set('/scripts/schema-version.js', createEntry(
+    fs.readFileSync(path.join(__dirname, 'schema-version.js')),
+    'application/javascript'
+  ));
+  logger.info(`📄 Loaded ${staticFiles.size} static files`);
 }
 
 /**
@@ -93,64 +181,164 @@ function getMimeType(filename) {
 }
 
 /**
- * Transform server to VS Code / Official MCP Registry compatible format
+ * Describe the configured server source for logs and /_status
  */
-function toVSCodeServerFormat(server, version) {
-  const now = new Date().toISOString();
+function describeSource() {
+  if (SOURCE === 'local') return `local:${SERVERS_DIR}`;
+  if (SOURCE === 'git') return `git:${GIT_DIR}@${GIT_REF}/${GIT_SERVERS_PATH}`;
+  return `${GITHUB_OWNER}/${GITHUB_REPO}@${GITHUB_BRANCH}`;
+}
+
+/**
+ * Load servers from the configured source
+ * @returns {Promise<{servers: Array, commit: string|null}>}
+ */
+async function loadServers() {
+  if (SOURCE === 'local') {
+    return { servers: await loadServersFromDirectory(SERVERS_DIR), commit: null };
+  }
+  if (SOURCE === 'git') {
+    // Resolve once so the servers and the recorded commit always match
+    const commit = resolveGitRef(GIT_DIR, GIT_REF);
+    const servers = await loadServersFromGit({ repoDir: GIT_DIR, ref: commit, path: GIT_SERVERS_PATH });
+    return { servers, commit };
+  }
+  const options = {
+    owner: GITHUB_OWNER,
+    repo: GITHUB_REPO,
+    branch: GITHUB_BRANCH
+  };
+  const servers = await fetchServersFromGitHub(options);
+  return { servers, commit: getLastFetchedCommit(options) };
+}
+
+/**
+ * Restore the server cache from the on-disk snapshot, if there is one
+ */
+async function restoreSnapshot() {
+  try {
+    const snapshot = await loadSnapshot(CACHE_FILE, describeSource());
+    if (!snapshot) return;
+
+    serverCache.servers = snapshot.servers;
+    metrics.serversLoaded.set(snapshot.servers.length);
+    serverCache.commit = snapshot.commit;
+    serverCache.lastRefresh = snapshot.lastRefresh;
+    serverCache.fromSnapshot = true;
+    responseCache.clear();
+    logger.info(`💾 Restored ${snapshot.servers.length} servers from snapshot (${snapshot.lastRefresh.toISOString()})`);
+  } catch (err) {
+    logger.warn(`⚠️  Ignoring cache snapshot: ${err.message}`);
+  }
+}
+
+/**
+ * Get staleness info for /_status
+ * Data is stale when it was restored from disk or the last refresh failed.
+ */
+function getCacheStatus() {
+  const stale = serverCache.fromSnapshot || !!serverCache.lastError;
   return {
-    server: {
-      $schema: OFFICIAL_SCHEMA,
-      name: server.name,
-      title: server.title,
-      description: server.description,
-      icons: server.icons,
-      repository: server.repository,
-      version: version.version,
-      packages: version.packages,
-      remotes: version.remotes,
-      websiteUrl: server.websiteUrl
-    },
-    _meta: {
-      'io.modelcontextprotocol.registry/official': {
-        status: 'active',
-        publishedAt: version.releaseDate ? new Date(version.releaseDate).toISOString() : now,
-        updatedAt: now,
-        isLatest: version.isLatest || false
-      }
-    }
+    stale,
+    staleReason: serverCache.lastError
+      ? `Last refresh failed: ${serverCache.lastError}`
+      : (serverCache.fromSnapshot ? 'Serving snapshot restored from disk' : undefined),
+    ageSeconds: serverCache.lastRefresh
+      ? Math.round((Date.now() - serverCache.lastRefresh.getTime()) / 1000)
+      : null
   };
 }
 
 /**
- * Refresh the server cache from GitHub
+ * Refresh the server cache from the configured source
  */
 async function refreshCache() {
   if (serverCache.refreshing) {
-    console.log('⏳ Cache refresh already in progress...');
-    return;
+    // Run again once the current refresh finishes so no change is missed
+    logger.info('⏳ Cache refresh already in progress, queued another...');
+    serverCache.refreshQueued = true;
+    return new Promise(resolve => refreshWaiters.push(resolve));
   }
 
   serverCache.refreshing = true;
-  console.log(`\n🔄 Refreshing server cache from GitHub...`);
+  logger.info(`\n🔄 Refreshing server cache from ${SOURCE === 'github' ? 'GitHub' : describeSource()}...`);
+
+  serverCache.lastAttempt = new Date();
+  const stopTimer = metrics.cacheRefreshDuration.startTimer();
 
   try {
-    const servers = await fetchServersFromGitHub({
-      owner: GITHUB_OWNER,
-      repo: GITHUB_REPO,
-      branch: GITHUB_BRANCH
-    });
+    // Local like the package policy, so it is re-read even when the source is down
+    serverCache.audiences = await loadAudiences(AUDIENCES_FILE);
+
+    const loaded = await loadServers();
+    const commit = loaded.commit;
+
+    // Read on every refresh, so policy changes apply without a restart
+    const { servers, violations } = applyPackagePolicy(await loadPackagePolicy(POLICY_FILE), loaded.servers);
+    for (const violation of violations) {
+      logger.warn(`⛔ ${violation.message}`);
+    }
 
     serverCache.servers = servers;
+    serverCache.commit = commit;
     serverCache.lastRefresh = new Date();
-    console.log(`✅ Cache refreshed: ${servers.length} servers loaded`);
+    serverCache.lastError = null;
+    serverCache.fromSnapshot = false;
+    logger.info(`✅ Cache refreshed: ${servers.length} servers loaded`);
+    stopTimer({ result: 'success' });
+    metrics.cacheRefreshes.inc({ result: 'success' });
+    metrics.cacheLastRefresh.set(serverCache.lastRefresh.getTime() / 1000);
+    metrics.serversLoaded.set(servers.length);
+
+    await saveSnapshot(CACHE_FILE, {
+      source: describeSource(),
+      commit,
+      lastRefresh: serverCache.lastRefresh,
+      servers
+    }).catch(err => logger.warn(`⚠️  Could not write cache snapshot: ${err.message}`));
   } catch (err) {
-    console.error(`❌ Cache refresh failed: ${err.message}`);
+    logger.error(`❌ Cache refresh failed: ${err.message}`);
     // Keep old cache on failure
+    serverCache.lastError = err.message;
+    stopTimer({ result: 'failure' });
+    metrics.cacheRefreshes.inc({ result: 'failure' });
   } finally {
     serverCache.refreshing = false;
+    // Even failed refreshes may have reloaded audiences.json
+    responseCache.clear();
+  }
+
+  if (serverCache.refreshQueued) {
+    serverCache.refreshQueued = false;
+    const waiters = refreshWaiters.splice(0);
+    await refreshCache();
+    waiters.forEach(resolve => resolve());
   }
 }
 
+/**
+ * Watch local sources and refresh the cache when they change
+ * (same chokidar setup as the build script's --watch mode)
+ */
+async function watchSource() {
+  if (SOURCE === 'github') return;
+
+  const chokidar = await import('chokidar');
+  const watchPaths = SOURCE === 'local' ? [SERVERS_DIR] : getGitWatchPaths(GIT_DIR);
+
+  const watcher = chokidar.watch(watchPaths, {
+    ignoreInitial: true,
+    awaitWriteFinish: { stabilityThreshold: 300 }
+  });
+
+  watcher.on('all', (event, changedPath) => {
+    logger.info(`\n👀 ${event}: ${changedPath}`);
+    refreshCache();
+  });
+
+  logger.info(`👀 Watching ${SOURCE === 'local' ? SERVERS_DIR : GIT_DIR} for changes`);
+}
+
 /**
  * URL-encode a server name
  */
@@ -158,39 +346,202 @@ function encodeServerName(name) {
   return encodeURIComponent(name);
 }
 
+/**
+ * Get the servers an API caller may see
+ * @param {object|null} principal - Authenticated caller, null when anonymous
+ */
+function getVisibleServers(principal) {
+  return filterVisible(serverCache.servers, getCallerGroups(serverCache.audiences, principal));
+}
+
 /**
  * Generate the servers list response
+ * @param {Object} query - Parsed list query (search, limit, cursor, updatedSince)
+ * @param {object|null} principal - Authenticated caller, null when anonymous
  */
-function getServersList() {
-  const vsCodeServerList = serverCache.servers.map(server => {
-    const latestVersion = server.versions.find(v => v.isLatest) || server.versions[0];
-    return toVSCodeServerFormat(server, latestVersion);
+function getServersList(query = {}, principal = null) {
+  const { servers, nextCursor } = queryServers(getVisibleServers(principal), query);
+  return toServerListResponse(servers, {
+    nextCursor,
+    lastRefresh: serverCache.lastRefresh?.toISOString()
   });
+}
 
-  return {
-    servers: vsCodeServerList,
-    metadata: {
-      count: serverCache.servers.length,
-      lastRefresh: serverCache.lastRefresh?.toISOString()
-    }
-  };
+/**
+ * Send an API response, serialized once per refresh
+ * Later requests for the same URL by callers in the same groups reuse the
+ * body, its ETag and its compressed variants.
+ * @param {URL} url - Request URL (the cache key, with the caller's groups)
+ * @param {object|null} principal - Authenticated caller, null when anonymous
+ * @param {Function} getData - Builds the response data when it isn't cached
+ */
+function sendApiResponse(req, res, url, principal, getData) {
+  const groups = getCallerGroups(serverCache.audiences, principal);
+  const key = `${getAudienceId(groups)} ${url.pathname}${url.search}`;
+  const entry = responseCache.get(key)
+    || responseCache.set(key, createEntry(serializeResponse(getData()), 'application/json'));
+  sendEntry(req, res, entry, {
+    cacheControl: getCacheControl(getCachePolicy(url.pathname), accessControl.enabled),
+    vary: accessControl.enabled ? ['Authorization'] : []
+  });
 }
 
 /**
  * Find a server by name
+ * @param {string} name - Server name
+ * @param {Array} servers - Servers to search (default: all, regardless of visibility)
+ */
+function findServer(name, servers = serverCache.servers) {
+  return servers.find(s => s.name === name);
+}
+
+/**
+ * Find the publish token a write API request was made with
+ * @returns {{name?: string, token: string}|undefined}
+ */
+function getPublisher(req) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) return undefined;
+
+  const token = Buffer.from(match[1]);
+  return PUBLISH_TOKENS.find(expected => {
+    const expectedBuffer = Buffer.from(expected.token);
+    return expectedBuffer.length === token.length && crypto.timingSafeEqual(expectedBuffer, token);
+  });
+}
+
+/**
+ * Read a JSON request body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_PUBLISH_BODY) {
+        // Destroying the socket here would lose the 413 response
+        req.removeAllListeners('data');
+        req.resume();
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf-8')));
+      } catch (err) {
+        reject(Object.assign(new Error(`Invalid JSON: ${err.message}`), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Write a published version back to the source
+ * POST /v0.1/publish adds a new version; PUT on a version URL (target has
+ * name and version) adds or replaces that version.
  */
-function findServer(name) {
-  return serverCache.servers.find(s => s.name === name);
+async function publishVersion(versionData, target) {
+  const existing = findServer(versionData.name);
+  if (!target.version && existing?.versions.some(v => v.version === versionData.version)) {
+    throw Object.assign(
+      new Error(`${versionData.name}@${versionData.version} is already published (use PUT to replace it)`),
+      { status: 409 }
+    );
+  }
+
+  if (SOURCE === 'local') {
+    const result = await publishToDirectory(SERVERS_DIR, existing?._file, versionData);
+    await refreshCache();
+    return { ...result, file: path.relative(SERVERS_DIR, result.file) };
+  }
+
+  const result = await publishToGitHub({
+    owner: GITHUB_OWNER,
+    repo: GITHUB_REPO,
+    branch: GITHUB_BRANCH,
+    token: process.env.GITHUB_TOKEN,
+    mode: PUBLISH_MODE,
+    replace: Boolean(target.version)
+  }, existing?._file, versionData);
+
+  if (result.commit) {
+    await refreshCache();
+  }
+  return result;
+}
+
+/**
+ * Handle write API requests
+ */
+async function handlePublish(req, res, target) {
+  try {
+    if (PUBLISH_TOKENS.length === 0) {
+      throw Object.assign(new Error('Publishing is disabled (set MCP_PUBLISH_TOKENS)'), { status: 403 });
+    }
+    const publisher = getPublisher(req);
+    if (!publisher) {
+      res.writeHead(401, { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' });
+      res.end(JSON.stringify({ error: 'Missing or invalid bearer token' }));
+      return;
+    }
+    if (SOURCE === 'git') {
+      throw Object.assign(new Error('Publishing is not supported for the git source; commit to the repository instead'), { status: 501 });
+    }
+
+    const versionData = toPublishedVersion(await readJsonBody(req), target);
+
+    // Read on every publish, so policy changes apply without a restart
+    const policy = await loadNamespacePolicy(NAMESPACES_FILE);
+    const denied = policy && checkNamespaceOwnership(policy, versionData.name, { token: publisher.name });
+    if (denied) {
+      throw Object.assign(new Error(denied), { status: 403 });
+    }
+
+    const { violations } = applyPackagePolicy(await loadPackagePolicy(POLICY_FILE), parseServerFile(versionData, 'request body'));
+    if (violations.length > 0) {
+      throw Object.assign(new Error('Denied by the package policy'), { status: 400, details: violations });
+    }
+
+    // One publish at a time, so concurrent requests don't overwrite each other's files
+    const write = publishQueue.then(() => publishVersion(versionData, target));
+    publishQueue = write.catch(() => {});
+    const result = await write;
+
+    logger.info(`📤 Published ${versionData.name}@${versionData.version} (${result.pullRequest || result.commit || result.file})`);
+    res.writeHead(result.pullRequest ? 202 : 201, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      status: result.pullRequest ? 'pending-review' : 'published',
+      name: versionData.name,
+      version: versionData.version,
+      ...result
+    }, null, 2));
+  } catch (err) {
+    if (!err.status) logger.error(`❌ Publish failed: ${err.message}`);
+    res.writeHead(err.status || 500, {
+      'Content-Type': 'application/json',
+      // Don't keep reading an oversized body once it has been refused
+      ...(err.status === 413 && { 'Connection': 'close' })
+    });
+    res.end(JSON.stringify({ error: err.message, details: err.details }));
+  }
 }
 
 /**
  * Handle API requests
  */
 function handleRequest(req, res) {
+  observeRequest(req, res);
+  const request = startRequestLog(req, res);
+
   // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  accessControl.applyCors(req, res, {
+    methods: 'GET, POST, PUT, OPTIONS',
+    headers: 'Content-Type, Authorization, X-Request-Id'
+  });
 
   if (req.method === 'OPTIONS') {
     res.writeHead(204);
@@ -201,29 +552,65 @@ function handleRequest(req, res) {
   const url = new URL(req.url, `https://localhost:${PORT}`);
   const pathname = decodeURIComponent(url.pathname);
 
-  console.log(`${req.method} ${pathname}`);
+  // GitHub sign-in and repository access for web imports
+  if (githubAuth.handleRequest(req, res, url)) {
+    return;
+  }
 
   // Static files (web UI)
   if (staticFiles.has(url.pathname)) {
-    const file = staticFiles.get(url.pathname);
-    res.writeHead(200, { 'Content-Type': file.mimeType });
-    res.end(file.content);
+    sendEntry(req, res, staticFiles.get(url.pathname), { cacheControl: getCacheControl('static') });
     return;
   }
 
+  // Write API: publish a new version
+  if (/^\/(v0\.1|v0)\/publish\/?$/.test(pathname) && req.method === 'POST') {
+    handlePublish(req, res, {});
+    return;
+  }
+
+  // Write API: add or replace a specific version
+  // Match: PUT /v0.1/servers/{namespace}/{name}/versions/{version}
+  const publishMatch = req.method === 'PUT' && pathname.match(/^\/(v0\.1|v0)\/servers\/([^/]+)\/([^/]+)\/versions\/([^/]+)\/?$/);
+  if (publishMatch) {
+    handlePublish(req, res, { name: `${publishMatch[2]}/${publishMatch[3]}`, version: publishMatch[4] });
+    return;
+  }
+
+  // Everything below needs an API key, JWT or client certificate when
+  // authentication is configured (the write API checks its publish tokens)
+  const auth = accessControl.authenticate(req);
+  if (!auth.ok) {
+    sendAuthError(res, auth);
+    return;
+  }
+  request.caller = principalId(auth.principal);
+
   // Status endpoint
   if (pathname === '/_status') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': getCacheControl('none') });
+    const cacheStatus = getCacheStatus();
     res.end(JSON.stringify({
-      status: 'ok',
-      source: `${GITHUB_OWNER}/${GITHUB_REPO}@${GITHUB_BRANCH}`,
+      status: cacheStatus.stale ? 'stale' : 'ok',
+      source: describeSource(),
+      commit: serverCache.commit,
       servers: serverCache.servers.length,
       lastRefresh: serverCache.lastRefresh?.toISOString(),
-      nextRefresh: new Date(serverCache.lastRefresh?.getTime() + REFRESH_INTERVAL).toISOString()
+      lastAttempt: serverCache.lastAttempt?.toISOString(),
+      nextRefresh: serverCache.lastAttempt
+        ? new Date(serverCache.lastAttempt.getTime() + REFRESH_INTERVAL).toISOString()
+        : undefined,
+      ...cacheStatus
     }, null, 2));
     return;
   }
 
+  // Prometheus metrics
+  if (pathname === '/metrics') {
+    sendMetrics(res);
+    return;
+  }
+
   // Force refresh endpoint
   if (pathname === '/_refresh' && req.method === 'POST') {
     refreshCache().then(() => {
@@ -235,9 +622,51 @@ function handleRequest(req, res) {
 
   // API: List all servers
   // Match: /v0/servers, /v0.1/servers, /v0/servers/, /v0.1/servers/
+  // Supports ?search=, ?limit=, ?cursor=, ?updated_since= and ?include_deleted= like the official registry
   if (/^\/(v0\.1|v0)\/servers\/?$/.test(pathname)) {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(getServersList(), null, 2));
+    let query;
+    try {
+      query = parseListQuery(url.searchParams);
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+      return;
+    }
+
+    sendApiResponse(req, res, url, auth.principal, () => getServersList(query, auth.principal));
+    return;
+  }
+
+  // API: Client config for a version
+  // Match: /v0.1/servers/{namespace}/{name}/versions/{version}/config?format=vscode|claude|cursor
+  const configMatch = pathname.match(/^\/(v0\.1|v0)\/servers\/([^/]+)\/([^/]+)\/versions\/([^/]+)\/config\/?$/);
+  if (configMatch) {
+    const serverName = `${configMatch[2]}/${configMatch[3]}`;
+    const versionId = configMatch[4];
+    const server = findServer(serverName, getVisibleServers(auth.principal));
+    const version = server && (versionId === 'latest'
+      ? getLatestVersion(server)
+      : server.versions.find(v => v.version === versionId));
+
+    if (!version) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(server
+        ? { error: 'Version not found', version: versionId }
+        : { error: 'Server not found', name: serverName }));
+      return;
+    }
+
+    let config;
+    try {
+      const format = url.searchParams.get('format') || 'vscode';
+      config = toClientConfig([toVSCodeServerFormat(server, version).server], format);
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+      return;
+    }
+
+    sendApiResponse(req, res, url, auth.principal, () => config);
     return;
   }
 
@@ -248,7 +677,7 @@ function handleRequest(req, res) {
   if (versionMatch) {
     const serverName = `${versionMatch[2]}/${versionMatch[3]}`;
     const versionId = versionMatch[4];
-    const server = findServer(serverName);
+    const server = findServer(serverName, getVisibleServers(auth.principal));
 
     if (!server) {
       res.writeHead(404, { 'Content-Type': 'application/json' });
@@ -258,7 +687,7 @@ function handleRequest(req, res) {
 
     let version;
     if (versionId === 'latest') {
-      version = server.versions.find(v => v.isLatest) || server.versions[0];
+      version = getLatestVersion(server);
     } else {
       version = server.versions.find(v => v.version === versionId);
     }
@@ -269,8 +698,7 @@ function handleRequest(req, res) {
       return;
     }
 
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(toVSCodeServerFormat(server, version), null, 2));
+    sendApiResponse(req, res, url, auth.principal, () => toVSCodeServerFormat(server, version));
     return;
   }
 
@@ -279,7 +707,7 @@ function handleRequest(req, res) {
   const versionsMatch = pathname.match(/^\/(v0\.1|v0)\/servers\/([^/]+)\/([^/]+)\/versions\/?$/);
   if (versionsMatch) {
     const serverName = `${versionsMatch[2]}/${versionsMatch[3]}`;
-    const server = findServer(serverName);
+    const server = findServer(serverName, getVisibleServers(auth.principal));
 
     if (!server) {
       res.writeHead(404, { 'Content-Type': 'application/json' });
@@ -287,13 +715,17 @@ function handleRequest(req, res) {
       return;
     }
 
-    const response = {
-      servers: server.versions.map(v => toVSCodeServerFormat(server, v)),
-      metadata: { count: server.versions.length }
-    };
+    // Deleted (yanked) versions are hidden unless ?include_deleted=true
+    let includeDeleted;
+    try {
+      includeDeleted = parseIncludeDeleted(url.searchParams);
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+      return;
+    }
 
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(response, null, 2));
+    sendApiResponse(req, res, url, auth.principal, () => toVersionListResponse(server, { includeDeleted }));
     return;
   }
 
@@ -310,8 +742,8 @@ function loadCertificates() {
   const keyPath = path.join(ROOT, 'localhost-key.pem');
 
   if (!fs.existsSync(certPath) || !fs.existsSync(keyPath)) {
-    console.warn('⚠️  SSL certificates not found, using HTTP instead');
-    console.warn('   Run: mkcert -install && mkcert localhost');
+    logger.warn('⚠️  SSL certificates not found, using HTTP instead');
+    logger.warn('   Run: mkcert -install && mkcert localhost');
     return null;
   }
 
@@ -325,49 +757,80 @@ function loadCertificates() {
  * Main entry point
  */
 async function main() {
-  console.log('🚀 MCP Registry Dynamic Server\n');
-  console.log(`   📡 Source: ${GITHUB_OWNER}/${GITHUB_REPO}@${GITHUB_BRANCH}`);
-  console.log(`   ⏱️  Refresh: every ${REFRESH_INTERVAL / 1000}s`);
-  console.log('');
+  logger.info('🚀 MCP Registry Dynamic Server\n');
+  logger.info(`   📡 Source: ${describeSource()}`);
+  logger.info(`   ⏱️  Refresh: every ${REFRESH_INTERVAL / 1000}s`);
+  logger.info('');
 
   // Load static files
   loadStaticFiles();
 
+  // Serve the last good snapshot until the first refresh succeeds
+  await restoreSnapshot();
+
   // Initial cache load
   await refreshCache();
 
-  // Set up periodic refresh
+  // Set up periodic refresh, plus hot reload for local sources
   setInterval(refreshCache, REFRESH_INTERVAL);
+  await watchSource().catch(err => {
+    logger.warn(`⚠️  Hot reload disabled: ${err.message}`);
+  });
+
+  accessControl = createAccessControl();
+  logger.info(`   🔐 Authentication: ${accessControl.enabled ? accessControl.methods.join(', ') : 'disabled (set MCP_API_KEYS, MCP_JWKS_FILE or MCP_CLIENT_CA)'}`);
+  logger.info(`   🌍 CORS origins: ${accessControl.corsOrigins.join(', ')}`);
 
   // Create server (HTTPS if certs available, otherwise HTTP)
   const certs = loadCertificates();
+  if (!certs && process.env.MCP_CLIENT_CA) {
+    throw new Error('MCP_CLIENT_CA needs HTTPS (localhost.pem and localhost-key.pem)');
+  }
   const server = certs
-    ? https.createServer(certs, handleRequest)
+    ? https.createServer({ ...certs, ...accessControl.tlsOptions }, handleRequest)
     : http.createServer(handleRequest);
 
   const protocol = certs ? 'https' : 'http';
 
+  githubAuth = createGitHubAuth({
+    clientId: process.env.GITHUB_CLIENT_ID,
+    clientSecret: process.env.GITHUB_CLIENT_SECRET,
+    owner: GITHUB_OWNER,
+    repo: GITHUB_REPO,
+    secure: Boolean(certs)
+  });
+  logger.info(`   🔑 GitHub sign-in: ${githubAuth.enabled ? 'enabled' : 'disabled (set GITHUB_CLIENT_ID and GITHUB_CLIENT_SECRET)'}`);
+
   server.listen(PORT, () => {
-    console.log(`\n🌐 Server running at ${protocol}://localhost:${PORT}`);
-    console.log(`\n📌 Endpoints:`);
-    console.log(`   GET  /                           - Web UI`);
-    console.log(`   GET  /v0.1/servers               - List all servers`);
-    console.log(`   GET  /v0.1/servers/{name}/versions/latest - Get server details`);
-    console.log(`   GET  /_status                    - Server status`);
-    console.log(`   POST /_refresh                   - Force cache refresh`);
+    logger.info(`\n🌐 Server running at ${protocol}://localhost:${PORT}`);
+    logger.info(`\n📌 Endpoints:`);
+    logger.info(`   GET  /                           - Web UI`);
+    logger.info(`   GET  /v0.1/servers               - List servers (?search, ?limit, ?cursor, ?updated_since, ?include_deleted)`);
+    logger.info(`   GET  /v0.1/servers/{name}/versions/latest - Get server details`);
+    logger.info(`   GET  /v0.1/servers/{name}/versions/{version}/config - Client config (?format=vscode|claude|cursor)`);
+    logger.info(`   GET  /_status                    - Server status`);
+    logger.info(`   GET  /metrics                    - Prometheus metrics`);
+    logger.info(`   POST /_refresh                   - Force cache refresh`);
+    if (githubAuth.enabled) {
+      logger.info(`   GET  /auth/github/login          - Sign in with GitHub`);
+    }
+    if (PUBLISH_TOKENS.length > 0) {
+      logger.info(`   POST /v0.1/publish               - Publish a version (bearer token)`);
+      logger.info(`   PUT  /v0.1/servers/{name}/versions/{version} - Add or replace a version (bearer token)`);
+    }
   });
 
   // Graceful shutdown
   process.on('SIGINT', () => {
-    console.log('\n\n👋 Shutting down...');
+    logger.info('\n\n👋 Shutting down...');
     server.close(() => {
-      console.log('✅ Server stopped');
+      logger.info('✅ Server stopped');
       process.exit(0);
     });
   });
 }
 
 main().catch(err => {
-  console.error('❌ Startup failed:', err);
+  logger.error('❌ Startup failed:', { err });
   process.exit(1);
 });
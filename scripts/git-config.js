@@ -10,6 +10,7 @@
 import { execSync } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { logger } from './logger.cjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.join(__dirname, '..');
@@ -126,9 +127,9 @@ export const DEFAULT_BRANCH = getGitHubConfig().branch;
 // CLI usage: node git-config.js
 if (process.argv[1] && process.argv[1].endsWith('git-config.js')) {
   const config = getGitHubConfig();
-  console.log('GitHub Configuration:');
-  console.log(`  Owner:  ${config.owner}`);
-  console.log(`  Repo:   ${config.repo}`);
-  console.log(`  Branch: ${config.branch}`);
-  console.log(`  Source: ${config.source}`);
+  logger.info('GitHub Configuration:');
+  logger.info(`  Owner:  ${config.owner}`);
+  logger.info(`  Repo:   ${config.repo}`);
+  logger.info(`  Branch: ${config.branch}`);
+  logger.info(`  Source: ${config.source}`);
 }
@@ -0,0 +1,76 @@
+/**
+ * Git History Helper
+ *
+ * Derives stable publish/update timestamps for server files from `git log`,
+ * so API output only changes when a server file actually changes.
+ */
+
+import { execFileSync } from 'child_process';
+import { join } from 'path';
+import { statSync } from 'fs';
+
+/**
+ * Read commit timestamps for every file under a directory
+ *
+ * Runs a single `git log` over the directory instead of one per file.
+ *
+ * @param {string} dir - Directory inside a git working tree
+ * @param {string} ref - Commit to read history from (default: HEAD)
+ * @returns {Map<string, {publishedAt: string, updatedAt: string}>} - Keyed by absolute file path
+ */
+export function getLocalFileHistory(dir, ref = 'HEAD') {
+  const history = new Map();
+  let output;
+
+  try {
+    output = execFileSync(
+      'git',
+      ['-C', dir, 'log', ref, '--relative', '--name-only', '--format=%x00%cI', '--', '.'],
+      { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'], maxBuffer: 64 * 1024 * 1024 }
+    );
+  } catch {
+    // Not a git repo or git not installed
+    return history;
+  }
+
+  // Commits are listed newest first: the first date seen for a file is its
+  // last update, the last date seen is when it was first added
+  for (const entry of output.split('\0')) {
+    const [date, ...files] = entry.trim().split('\n');
+    if (!date) continue;
+    const timestamp = new Date(date).toISOString();
+
+    for (const file of files) {
+      if (!file) continue;
+      const filePath = join(dir, file);
+      const existing = history.get(filePath);
+      if (existing) {
+        existing.publishedAt = timestamp;
+      } else {
+        history.set(filePath, { publishedAt: timestamp, updatedAt: timestamp });
+      }
+    }
+  }
+
+  return history;
+}
+
+/**
+ * Get timestamps for a single file, falling back to its modification time
+ * when the file has no commits yet (e.g. a new, uncommitted server)
+ * @param {Map} history - Result of getLocalFileHistory()
+ * @param {string} filePath - Absolute file path
+ * @returns {{publishedAt: string, updatedAt: string}|undefined}
+ */
+export function getFileTimestamps(history, filePath) {
+  if (history.has(filePath)) {
+    return history.get(filePath);
+  }
+
+  try {
+    const mtime = statSync(filePath).mtime.toISOString();
+    return { publishedAt: mtime, updatedAt: mtime };
+  } catch {
+    return undefined;
+  }
+}
@@ -11,6 +11,7 @@ const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const crypto = require('crypto');
+const { logger } = require('./logger.cjs');
 
 class GitSync {
   /**
@@ -69,21 +70,21 @@ class GitSync {
    */
   async initialize() {
     if (!this.repoUrl) {
-      console.log('📁 Using local servers/ directory');
+      logger.info('📁 Using local servers/ directory');
       return false;
     }
 
-    console.log(`🔗 Remote repo: ${this.repoUrl}`);
-    console.log(`🌿 Branch: ${this.branch}`);
-    console.log(`📂 Clone dir: ${this.cloneDir}`);
+    logger.info(`🔗 Remote repo: ${this.repoUrl}`);
+    logger.info(`🌿 Branch: ${this.branch}`);
+    logger.info(`📂 Clone dir: ${this.cloneDir}`);
 
     try {
       if (fs.existsSync(path.join(this.cloneDir, '.git'))) {
-        console.log('📥 Fetching latest changes...');
+        logger.info('📥 Fetching latest changes...');
         this._git('fetch', 'origin', this.branch);
         this._git('reset', '--hard', `origin/${this.branch}`);
       } else {
-        console.log('📥 Cloning repository...');
+        logger.info('📥 Cloning repository...');
         fs.mkdirSync(this.cloneDir, { recursive: true });
         this._git('clone', '--branch', this.branch, '--single-branch', 
                   '--depth', '1', this.repoUrl, '.');
@@ -91,11 +92,11 @@ class GitSync {
 
       // Store current commit hash for caching
       this._lastCommitHash = this._git('rev-parse', 'HEAD').trim();
-      console.log(`📌 Current commit: ${this._lastCommitHash.slice(0, 8)}`);
+      logger.info(`📌 Current commit: ${this._lastCommitHash.slice(0, 8)}`);
 
       return true;
     } catch (err) {
-      console.error('❌ Git operation failed:', err.message);
+      logger.error(`❌ Git operation failed: ${err.message}`);
       throw err;
     }
   }
@@ -114,11 +115,11 @@ class GitSync {
 
       const hasChanges = localHead !== remoteHead;
       if (hasChanges) {
-        console.log(`🔄 New commits: ${localHead.slice(0, 8)} → ${remoteHead.slice(0, 8)}`);
+        logger.info(`🔄 New commits: ${localHead.slice(0, 8)} → ${remoteHead.slice(0, 8)}`);
       }
       return hasChanges;
     } catch (err) {
-      console.error('❌ Failed to check for updates:', err.message);
+      logger.error(`❌ Failed to check for updates: ${err.message}`);
       return false;
     }
   }
@@ -131,13 +132,13 @@ class GitSync {
     if (!this.repoUrl) return false;
 
     try {
-      console.log('📥 Pulling latest changes...');
+      logger.info('📥 Pulling latest changes...');
       this._git('reset', '--hard', `origin/${this.branch}`);
       this._lastCommitHash = this._git('rev-parse', 'HEAD').trim();
-      console.log(`📌 Updated to commit: ${this._lastCommitHash.slice(0, 8)}`);
+      logger.info(`📌 Updated to commit: ${this._lastCommitHash.slice(0, 8)}`);
       return true;
     } catch (err) {
-      console.error('❌ Pull failed:', err.message);
+      logger.error(`❌ Pull failed: ${err.message}`);
       return false;
     }
   }
@@ -150,18 +151,18 @@ class GitSync {
     if (!this.repoUrl) return;
 
     this.onUpdate = onUpdate;
-    console.log(`⏱️  Polling every ${this.pollInterval}s for changes...`);
+    logger.info(`⏱️  Polling every ${this.pollInterval}s for changes...`);
 
     this.pollTimer = setInterval(async () => {
       try {
         if (this.hasUpdates()) {
-          console.log('🔄 Remote changes detected!');
+          logger.info('🔄 Remote changes detected!');
           if (this.pull() && this.onUpdate) {
             await this.onUpdate();
           }
         }
       } catch (err) {
-        console.error('❌ Poll error:', err.message);
+        logger.error(`❌ Poll error: ${err.message}`);
       }
     }, this.pollInterval * 1000);
   }
@@ -173,7 +174,7 @@ class GitSync {
     if (this.pollTimer) {
       clearInterval(this.pollTimer);
       this.pollTimer = null;
-      console.log('⏹️  Stopped polling');
+      logger.info('⏹️  Stopped polling');
     }
   }
 
@@ -221,7 +222,7 @@ class BuildCache {
         return JSON.parse(fs.readFileSync(this.cacheFile, 'utf-8'));
       }
     } catch (err) {
-      console.warn('⚠️  Could not load cache:', err.message);
+      logger.warn(`⚠️  Could not load cache: ${err.message}`);
     }
     return { lastCommit: null, lastBuild: null };
   }
@@ -230,7 +231,7 @@ class BuildCache {
     try {
       fs.writeFileSync(this.cacheFile, JSON.stringify(this._cache, null, 2));
     } catch (err) {
-      console.warn('⚠️  Could not save cache:', err.message);
+      logger.warn(`⚠️  Could not save cache: ${err.message}`);
     }
   }
 
@@ -252,7 +253,7 @@ class BuildCache {
     this._cache.lastCommit = commitHash;
     this._cache.lastBuild = new Date().toISOString();
     this._save();
-    console.log(`💾 Build cached for commit ${commitHash?.slice(0, 8) || 'local'}`);
+    logger.info(`💾 Build cached for commit ${commitHash?.slice(0, 8) || 'local'}`);
   }
 
   /**
@@ -0,0 +1,280 @@
+/**
+ * GitHub Sign-in for the Dynamic Server
+ *
+ * Exchanges GitHub OAuth codes on the server, so the client secret and the
+ * user's token never reach the browser. The token is kept in memory and the
+ * browser only gets an HttpOnly session cookie. Requests to the registry
+ * repository go through /auth/github/repo/*, which adds the token.
+ *
+ *   GET  /auth/github/login     - Redirect to GitHub
+ *   GET  /auth/github/callback  - Exchange the code and start a session
+ *   GET  /auth/session          - Whether sign-in is available and who is signed in
+ *   POST /auth/logout           - End the session
+ *   *    /auth/github/repo/...  - GitHub API for the registry repository
+ */
+
+import crypto from 'crypto';
+import { observeGitHubResponse } from './metrics.cjs';
+import { logger } from './logger.cjs';
+
+const GITHUB_OAUTH = process.env.GITHUB_OAUTH_URL || 'https://github.com';
+const GITHUB_API = process.env.GITHUB_API_URL || 'https://api.github.com';
+
+const SESSION_COOKIE = 'mcp_session';
+const STATE_COOKIE = 'mcp_oauth_state';
+const SESSION_TTL = 8 * 60 * 60 * 1000; // 8 hours
+const STATE_TTL = 10 * 60 * 1000;       // 10 minutes
+
+// Only these methods are forwarded to the GitHub API
+const PROXY_METHODS = new Set(['GET', 'POST', 'PUT', 'PATCH']);
+const MAX_PROXY_BODY = 1024 * 1024; // 1 MB, as for publishing
+
+/**
+ * Parse the Cookie header
+ */
+function parseCookies(req) {
+  const cookies = {};
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Read a request body, up to MAX_PROXY_BODY
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_PROXY_BODY) {
+        // Drain the rest rather than reset the socket, so the 413 reaches the client
+        req.removeAllListeners('data');
+        req.resume();
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+function redirect(res, location, cookies = []) {
+  res.writeHead(302, { Location: location, 'Set-Cookie': cookies });
+  res.end();
+}
+
+/**
+ * Create the GitHub sign-in handler
+ * Sign-in is disabled (and /auth/session says so) unless both the client id
+ * and secret are set.
+ * @param {object} options
+ * @param {string} options.clientId - OAuth app client id
+ * @param {string} options.clientSecret - OAuth app client secret
+ * @param {string} options.owner - Registry repository owner
+ * @param {string} options.repo - Registry repository name
+ * @param {boolean} options.secure - Served over HTTPS (sets Secure cookies)
+ * @returns {{enabled: boolean, handleRequest: Function, sessionCount: number}}
+ */
+export function createGitHubAuth({ clientId, clientSecret, owner, repo, secure = false }) {
+  const enabled = Boolean(clientId && clientSecret);
+  const sessions = new Map();
+
+  function cookie(name, value, maxAgeMs) {
+    const attributes = [`${name}=${encodeURIComponent(value)}`, 'Path=/', 'HttpOnly', 'SameSite=Lax', `Max-Age=${Math.floor(maxAgeMs / 1000)}`];
+    if (secure) attributes.push('Secure');
+    return attributes.join('; ');
+  }
+
+  function getRedirectUri(req) {
+    return `${secure ? 'https' : 'http'}://${req.headers.host}/auth/github/callback`;
+  }
+
+  // Expired sessions are dropped when they are next used, and all of them
+  // whenever a session is created: abandoned ones would otherwise stay
+  // forever. (The OAuth state only lives in a short-lived cookie.)
+  function sweepSessions() {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+      if (now > session.expires) sessions.delete(id);
+    }
+  }
+
+  function getSession(req) {
+    const id = parseCookies(req)[SESSION_COOKIE];
+    const session = id && sessions.get(id);
+    if (!session) return null;
+
+    if (Date.now() > session.expires) {
+      sessions.delete(id);
+      return null;
+    }
+    return { id, ...session };
+  }
+
+  function login(req, res) {
+    const state = crypto.randomBytes(16).toString('hex');
+    const params = new URLSearchParams({
+      client_id: clientId,
+      redirect_uri: getRedirectUri(req),
+      scope: 'repo',
+      state
+    });
+    redirect(res, `${GITHUB_OAUTH}/login/oauth/authorize?${params}`, [cookie(STATE_COOKIE, state, STATE_TTL)]);
+  }
+
+  async function callback(req, res, url) {
+    const code = url.searchParams.get('code');
+    const state = url.searchParams.get('state');
+    const clearState = cookie(STATE_COOKIE, '', 0);
+
+    if (!code || !state || state !== parseCookies(req)[STATE_COOKIE]) {
+      sendJson(res, 400, { error: 'Invalid OAuth state' }, { 'Set-Cookie': clearState });
+      return;
+    }
+
+    const tokenResponse = await fetch(`${GITHUB_OAUTH}/login/oauth/access_token`, {
+      method: 'POST',
+      headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ client_id: clientId, client_secret: clientSecret, code, redirect_uri: getRedirectUri(req) })
+    });
+    const token = await tokenResponse.json();
+    if (!tokenResponse.ok || !token.access_token) {
+      sendJson(res, 502, { error: token.error_description || 'GitHub did not return a token' }, { 'Set-Cookie': clearState });
+      return;
+    }
+
+    const userResponse = await fetch(`${GITHUB_API}/user`, {
+      headers: { 'Accept': 'application/vnd.github+json', 'Authorization': `Bearer ${token.access_token}` }
+    });
+    observeGitHubResponse('sign-in', userResponse);
+    if (!userResponse.ok) {
+      sendJson(res, 502, { error: `GitHub user lookup failed (${userResponse.status})` }, { 'Set-Cookie': clearState });
+      return;
+    }
+    const user = await userResponse.json();
+
+    sweepSessions();
+    const id = crypto.randomBytes(32).toString('hex');
+    sessions.set(id, { token: token.access_token, login: user.login, expires: Date.now() + SESSION_TTL });
+    logger.info(`🔑 Signed in ${user.login}`);
+
+    redirect(res, '/', [clearState, cookie(SESSION_COOKIE, id, SESSION_TTL)]);
+  }
+
+  function session(req, res) {
+    const current = enabled && getSession(req);
+    sendJson(res, 200, {
+      enabled,
+      authenticated: Boolean(current),
+      login: current ? current.login : undefined,
+      repo: `${owner}/${repo}`
+    });
+  }
+
+  function logout(req, res) {
+    const current = getSession(req);
+    if (current) sessions.delete(current.id);
+    sendJson(res, 200, { success: true }, { 'Set-Cookie': cookie(SESSION_COOKIE, '', 0) });
+  }
+
+  async function proxy(req, res, url, apiPath) {
+    const current = getSession(req);
+    if (!current) {
+      sendJson(res, 401, { error: 'Not signed in' });
+      return;
+    }
+    if (!PROXY_METHODS.has(req.method)) {
+      sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+      return;
+    }
+    // Keep requests inside the registry repository
+    if (/%2e|%2f|%5c/i.test(apiPath)) {
+      sendJson(res, 400, { error: 'Invalid repository path' });
+      return;
+    }
+
+    let body;
+    if (req.method !== 'GET') {
+      try {
+        body = await readBody(req);
+      } catch (err) {
+        if (err.status !== 413) throw err;
+        sendJson(res, 413, { error: err.message }, { 'Connection': 'close' });
+        return;
+      }
+    }
+    const response = await fetch(`${GITHUB_API}/repos/${owner}/${repo}${apiPath}${url.search}`, {
+      method: req.method,
+      headers: {
+        'Accept': 'application/vnd.github+json',
+        'Authorization': `Bearer ${current.token}`,
+        'Content-Type': 'application/json'
+      },
+      body
+    });
+    observeGitHubResponse('sign-in', response);
+
+    res.writeHead(response.status, { 'Content-Type': response.headers.get('content-type') || 'application/json' });
+    res.end(Buffer.from(await response.arrayBuffer()));
+  }
+
+  /**
+   * Handle /auth/* requests
+   * @returns {boolean} - Whether the request was handled
+   */
+  function handleRequest(req, res, url) {
+    const pathname = url.pathname;
+    if (!pathname.startsWith('/auth/')) return false;
+
+    if (pathname === '/auth/session' && req.method === 'GET') {
+      session(req, res);
+      return true;
+    }
+
+    if (!enabled) {
+      sendJson(res, 404, { error: 'GitHub sign-in is not configured' });
+      return true;
+    }
+
+    let pending;
+    if (pathname === '/auth/github/login' && req.method === 'GET') {
+      login(req, res);
+    } else if (pathname === '/auth/github/callback' && req.method === 'GET') {
+      pending = callback(req, res, url);
+    } else if (pathname === '/auth/logout' && req.method === 'POST') {
+      logout(req, res);
+    } else if (pathname === '/auth/github/repo' || pathname.startsWith('/auth/github/repo/')) {
+      pending = proxy(req, res, url, pathname.slice('/auth/github/repo'.length));
+    } else {
+      sendJson(res, 404, { error: 'Not found', path: pathname });
+    }
+
+    pending?.catch(err => {
+      logger.error(`❌ GitHub sign-in request failed: ${err.message}`);
+      if (!res.headersSent) sendJson(res, 502, { error: err.message });
+    });
+    return true;
+  }
+
+  return {
+    enabled,
+    handleRequest,
+    // Sessions currently kept in memory
+    get sessionCount() {
+      return sessions.size;
+    }
+  };
+}
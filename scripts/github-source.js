@@ -2,14 +2,23 @@
 
 /**
  * GitHub Source Module
- * 
+ *
  * Fetches MCP server definitions from GitHub repository instead of local filesystem.
  * This ensures the registry only serves what's committed to the main branch.
+ *
+ * Requests are kept to a minimum between refreshes:
+ *   1. The branch head is checked with a conditional request (If-None-Match).
+ *      A 304 means nothing changed and the previous result is reused.
+ *   2. Files are listed with a single recursive git trees call.
+ *   3. Only blobs whose SHA changed since the last fetch are downloaded.
  */
 
 import { getGitHubConfig } from './git-config.js';
+import { parseServerFile, toLoadError } from './registry-core.js';
+import { observeGitHubResponse } from './metrics.cjs';
+import { logger } from './logger.cjs';
 
-const GITHUB_API = 'https://api.github.com';
+const GITHUB_API = process.env.GITHUB_API_URL || 'https://api.github.com';
 const SERVERS_PATH = 'servers';
 
 // Get defaults from git remote or environment
@@ -18,15 +27,21 @@ const DEFAULT_OWNER = gitConfig.owner;
 const DEFAULT_REPO = gitConfig.repo;
 const DEFAULT_BRANCH = gitConfig.branch;
 
+// State kept between fetches, keyed by owner/repo@branch/path
+const sourceCache = new Map();
+
 /**
- * Fetch JSON from GitHub API
+ * Make a GitHub API request
+ * A 304 Not Modified response is returned as-is for conditional requests.
  * @param {string} url - The API URL
- * @returns {Promise<any>}
+ * @param {Object} extraHeaders - Additional request headers
+ * @returns {Promise<Response>}
  */
-async function fetchGitHub(url) {
+async function fetchGitHubResponse(url, extraHeaders = {}) {
   const headers = {
     'Accept': 'application/vnd.github.v3+json',
-    'User-Agent': 'registry.express-build'
+    'User-Agent': 'registry.express-build',
+    ...extraHeaders
   };
 
   // Use GitHub token if available (for higher rate limits)
@@ -35,122 +50,172 @@ async function fetchGitHub(url) {
   }
 
   const response = await fetch(url, { headers });
-  
-  if (!response.ok) {
+  observeGitHubResponse('source', response);
+
+  if (!response.ok && response.status !== 304) {
     const error = await response.text();
     throw new Error(`GitHub API error (${response.status}): ${error}`);
   }
 
+  return response;
+}
+
+/**
+ * Fetch JSON from GitHub API
+ * @param {string} url - The API URL
+ * @returns {Promise<any>}
+ */
+async function fetchGitHub(url) {
+  const response = await fetchGitHubResponse(url);
   return response.json();
 }
 
+/**
+ * Get publish/update timestamps for a file from its commit history
+ * The newest commit is the last update, the oldest is when the file was added.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} path - File path
+ * @param {string} ref - Branch/tag/commit ref
+ * @returns {Promise<{publishedAt: string, updatedAt: string}|undefined>}
+ */
+async function fetchFileHistory(owner, repo, path, ref) {
+  const url = `${GITHUB_API}/repos/${owner}/${repo}/commits?path=${encodeURIComponent(path)}&sha=${ref}&per_page=100`;
+  const response = await fetchGitHubResponse(url);
+  const commits = await response.json();
+
+  if (commits.length === 0) return undefined;
+
+  // More than one page of commits: the oldest is on the last page
+  let oldest = commits[commits.length - 1];
+  const lastPage = response.headers.get('link')?.match(/<([^>]+)>;\s*rel="last"/);
+  if (lastPage) {
+    const lastCommits = await fetchGitHub(lastPage[1]);
+    oldest = lastCommits[lastCommits.length - 1] || oldest;
+  }
+
+  return {
+    publishedAt: new Date(oldest.commit.committer.date).toISOString(),
+    updatedAt: new Date(commits[0].commit.committer.date).toISOString()
+  };
+}
+
+/**
+ * Resolve a branch to its head commit SHA with a conditional request
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Branch/tag/commit ref
+ * @param {string|null} etag - ETag from the previous check
+ * @returns {Promise<{changed: boolean, commit?: string, etag?: string}>}
+ */
+async function fetchHeadCommit(owner, repo, ref, etag) {
+  const url = `${GITHUB_API}/repos/${owner}/${repo}/commits/${ref}`;
+  const headers = { 'Accept': 'application/vnd.github.sha' };
+  if (etag) {
+    headers['If-None-Match'] = etag;
+  }
+
+  const response = await fetchGitHubResponse(url, headers);
+  if (response.status === 304) {
+    return { changed: false };
+  }
+
+  return {
+    changed: true,
+    commit: (await response.text()).trim(),
+    etag: response.headers.get('etag')
+  };
+}
+
+/**
+ * List all JSON files under a path at a commit using the recursive trees API
+ * Falls back to walking the contents API if the tree is too large to return in one call.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} path - Directory path
+ * @param {string} commit - Commit SHA
+ * @returns {Promise<Array<{path: string, sha: string}>>}
+ */
+async function listJsonFilesOnGitHub(owner, repo, path, commit) {
+  const url = `${GITHUB_API}/repos/${owner}/${repo}/git/trees/${commit}?recursive=1`;
+  const tree = await fetchGitHub(url);
+
+  if (tree.truncated) {
+    logger.warn('   ⚠️  Repository tree truncated, falling back to contents API');
+    return findJsonFilesOnGitHub(owner, repo, path, commit);
+  }
+
+  return tree.tree
+    .filter(item => item.type === 'blob' && item.path.startsWith(`${path}/`) && item.path.endsWith('.json'))
+    .map(item => ({ path: item.path, sha: item.sha }));
+}
+
 /**
  * Recursively find all JSON files in a GitHub directory
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {string} path - Directory path
  * @param {string} ref - Branch/tag/commit ref
- * @returns {Promise<string[]>} - Array of file paths
+ * @returns {Promise<Array<{path: string, sha: string}>>} - Array of file paths and blob SHAs
  */
 async function findJsonFilesOnGitHub(owner, repo, path, ref) {
   const url = `${GITHUB_API}/repos/${owner}/${repo}/contents/${path}?ref=${ref}`;
   const contents = await fetchGitHub(url);
-  
+
   const jsonFiles = [];
-  
+
   for (const item of contents) {
     if (item.type === 'dir') {
       // Recursively search subdirectories
       const subFiles = await findJsonFilesOnGitHub(owner, repo, item.path, ref);
       jsonFiles.push(...subFiles);
     } else if (item.type === 'file' && item.name.endsWith('.json')) {
-      jsonFiles.push(item.path);
+      jsonFiles.push({ path: item.path, sha: item.sha });
     }
   }
-  
+
   return jsonFiles;
 }
 
 /**
- * Fetch and parse a JSON file from GitHub
+ * Fetch a blob's content from GitHub
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
- * @param {string} path - File path
- * @param {string} ref - Branch/tag/commit ref
- * @returns {Promise<any>}
+ * @param {string} sha - Blob SHA
+ * @returns {Promise<string>}
  */
-async function fetchJsonFile(owner, repo, path, ref) {
-  const url = `${GITHUB_API}/repos/${owner}/${repo}/contents/${path}?ref=${ref}`;
-  const fileInfo = await fetchGitHub(url);
-  
+async function fetchBlob(owner, repo, sha) {
+  const url = `${GITHUB_API}/repos/${owner}/${repo}/git/blobs/${sha}`;
+  const blob = await fetchGitHub(url);
+
   // GitHub returns base64-encoded content
-  const content = Buffer.from(fileInfo.content, 'base64').toString('utf-8');
-  return JSON.parse(content);
+  return Buffer.from(blob.content, blob.encoding === 'base64' ? 'base64' : 'utf-8').toString('utf-8');
 }
 
 /**
- * Load and validate a server JSON file from GitHub
- * Supports both single server format and multi-server format (servers array)
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {string} filePath - File path
- * @param {string} ref - Branch/tag/commit ref
- * @returns {Promise<Array>}
+ * Parse cached file contents into server objects
+ * Files are re-parsed on every call so callers never share mutable objects.
+ * @param {Map} files - Cached files keyed by path
+ * @param {Array} errors - Accumulator for files that could not be parsed
+ * @returns {Array}
  */
-async function loadServerFileFromGitHub(owner, repo, filePath, ref) {
-  const data = await fetchJsonFile(owner, repo, filePath, ref);
-
-  // Check if it's a multi-server file (has "servers" array)
-  if (data.servers && Array.isArray(data.servers)) {
-    // Validate each server in the array
-    for (const server of data.servers) {
-      validateServer(server, filePath);
-    }
-    return data.servers;
-  }
-
-  // Single server format - check for flat structure (official schema) or versioned structure
-  if (data.name && data.description) {
-    // Flat structure (official MCP schema with top-level version)
-    if (data.version && data.packages) {
-      // Convert flat structure to internal versioned format
-      return [{
-        name: data.name,
-        title: data.title,
-        description: data.description,
-        icons: data.icons,
-        repository: data.repository,
-        websiteUrl: data.websiteUrl,
-        versions: [{
-          version: data.version,
-          isLatest: true,
-          packages: data.packages
-        }]
-      }];
-    }
-    // Versioned structure (internal format)
-    if (data.versions) {
-      validateServer(data, filePath);
-      return [data];
+function parseCachedFiles(files, errors) {
+  const servers = [];
+  for (const [file, entry] of files) {
+    try {
+      const loadedServers = parseServerFile(JSON.parse(entry.content), file);
+      for (const server of loadedServers) {
+        server._file = file;
+        server._history = entry.history;
+        servers.push(server);
+        logger.info(`   ✓ ${server.name}`);
+      }
+    } catch (err) {
+      logger.error(`   ✗ ${file}: ${err.message}`);
+      errors.push(toLoadError(file, err));
     }
   }
-
-  throw new Error(`Invalid server file ${filePath}: missing required fields (name, description, version/versions)`);
-}
-
-/**
- * Validate a server object
- * @param {object} server - Server object to validate
- * @param {string} filePath - File path for error messages
- */
-function validateServer(server, filePath) {
-  if (!server.name || !server.description) {
-    throw new Error(`Invalid server in ${filePath}: missing required fields (name or description)`);
-  }
-  // Allow either versions array or top-level version + packages
-  if (!server.versions && !(server.version && server.packages)) {
-    throw new Error(`Invalid server in ${filePath}: missing versions array or version+packages`);
-  }
+  return servers;
 }
 
 /**
@@ -160,6 +225,7 @@ function validateServer(server, filePath) {
  * @param {string} options.repo - Repository name (default: registry.express)
  * @param {string} options.branch - Branch name (default: main)
  * @param {string} options.path - Servers directory path (default: servers)
+ * @param {Array} options.errors - Accumulator for files that could not be loaded
  * @returns {Promise<Array>} - Array of server objects
  */
 export async function fetchServersFromGitHub(options = {}) {
@@ -167,28 +233,74 @@ export async function fetchServersFromGitHub(options = {}) {
   const repo = options.repo || process.env.GITHUB_REPO || DEFAULT_REPO;
   const branch = options.branch || process.env.GITHUB_BRANCH || DEFAULT_BRANCH;
   const path = options.path || SERVERS_PATH;
+  const errors = options.errors || [];
 
-  console.log(`📡 Fetching servers from GitHub: ${owner}/${repo}@${branch}/${path}`);
+  const cacheKey = getCacheKey(options);
+  const state = sourceCache.get(cacheKey) || { etag: null, commit: null, files: new Map() };
 
-  // Find all JSON files
-  const jsonFiles = await findJsonFilesOnGitHub(owner, repo, path, branch);
-  console.log(`   Found ${jsonFiles.length} JSON file(s)`);
+  logger.info(`📡 Fetching servers from GitHub: ${owner}/${repo}@${branch}/${path}`);
+
+  // Check whether the branch moved since the last fetch
+  const head = await fetchHeadCommit(owner, repo, branch, state.etag);
+  if (!head.changed) {
+    logger.info(`   No changes since ${state.commit.slice(0, 8)}`);
+    return parseCachedFiles(state.files, errors);
+  }
+
+  // List all JSON files at the new commit
+  const jsonFiles = await listJsonFilesOnGitHub(owner, repo, path, head.commit);
+  logger.info(`   Found ${jsonFiles.length} JSON file(s) at ${head.commit.slice(0, 8)}`);
+
+  // Download only blobs that changed since the last fetch
+  const files = new Map();
+  let downloaded = 0;
+  let failed = false;
+  for (const { path: file, sha } of jsonFiles) {
+    const cached = state.files.get(file);
+    if (cached && cached.sha === sha) {
+      files.set(file, cached);
+      continue;
+    }
 
-  // Load all servers
-  const servers = [];
-  for (const file of jsonFiles) {
     try {
-      const loadedServers = await loadServerFileFromGitHub(owner, repo, file, branch);
-      for (const server of loadedServers) {
-        servers.push(server);
-        console.log(`   ✓ ${server.name}`);
-      }
+      const content = await fetchBlob(owner, repo, sha);
+      const history = await fetchFileHistory(owner, repo, file, head.commit).catch(err => {
+        logger.warn(`   ⚠️  ${file}: could not read commit history (${err.message})`);
+        return undefined;
+      });
+      files.set(file, { sha, content, history });
+      downloaded++;
     } catch (err) {
-      console.error(`   ✗ ${file}: ${err.message}`);
+      logger.error(`   ✗ ${file}: ${err.message}`);
+      errors.push(toLoadError(file, err));
+      failed = true;
     }
   }
+  logger.info(`   Downloaded ${downloaded} changed file(s)`);
 
-  return servers;
+  // Drop the ETag after a failed download so the next refresh retries it
+  sourceCache.set(cacheKey, { etag: failed ? null : head.etag, commit: head.commit, files });
+  return parseCachedFiles(files, errors);
+}
+
+/**
+ * Get the commit SHA of the last successful fetch
+ * @param {Object} options - Same options as fetchServersFromGitHub()
+ * @returns {string|null}
+ */
+export function getLastFetchedCommit(options = {}) {
+  return sourceCache.get(getCacheKey(options))?.commit || null;
+}
+
+/**
+ * Build the source cache key for a set of fetch options
+ */
+function getCacheKey(options) {
+  const owner = options.owner || process.env.GITHUB_OWNER || DEFAULT_OWNER;
+  const repo = options.repo || process.env.GITHUB_REPO || DEFAULT_REPO;
+  const branch = options.branch || process.env.GITHUB_BRANCH || DEFAULT_BRANCH;
+  const path = options.path || SERVERS_PATH;
+  return `${owner}/${repo}@${branch}/${path}`;
 }
 
 // Export for use in build script
@@ -0,0 +1,224 @@
+/**
+ * Conditional GET and Compression
+ *
+ * Responses carry a strong ETag (a hash of the uncompressed body) and a
+ * Cache-Control policy for their route. Bodies are gzip or brotli compressed
+ * when the client accepts it; compressed bodies get their own ETag (the hash
+ * plus "-br" or "-gzip"), as strong validators must differ between
+ * representations. Clients that send any of them back in If-None-Match get a
+ * 304 without a body. Hashes and compressed bodies are computed once per
+ * response entry, which the servers keep until their servers change.
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// Smaller bodies aren't worth compressing
+const MIN_COMPRESS_SIZE = 1024;
+const COMPRESSIBLE = /^(text\/|application\/(json|javascript)|image\/svg\+xml)/;
+
+// Preferred first when the client accepts both equally
+const ENCODINGS = ['br', 'gzip'];
+
+// Suffix of the ETags of compressed bodies
+const ENCODING_SUFFIX = new RegExp(`-(${ENCODINGS.join('|')})"$`);
+
+/**
+ * Cache-Control policies by route
+ */
+const CACHE_POLICIES = {
+  // Lists, latest versions and version lists change whenever servers do:
+  // clients revalidate every time, which costs a 304 when nothing changed
+  api: 'no-cache',
+  // A specific version only changes when it is republished or its status changes
+  version: 'max-age=300',
+  // Web UI files keep their names across releases
+  static: 'no-cache',
+  // Status and metrics are always fetched fresh
+  none: 'no-store'
+};
+
+/**
+ * Get the Cache-Control policy of a request path
+ * @param {string} urlPath - Request path, with or without a query
+ * @returns {string} - A key of CACHE_POLICIES
+ */
+function getCachePolicy(urlPath) {
+  const pathOnly = urlPath.split('?')[0];
+  if (pathOnly === '/_status' || pathOnly === '/metrics') return 'none';
+  if (!/^\/(api|v0|v0\.1)\//.test(pathOnly)) return 'static';
+  const version = pathOnly.match(/\/versions\/([^/]+?)(?:\.json|\/index\.json|\/config)?\/?$/);
+  return version && version[1] !== 'latest' ? 'version' : 'api';
+}
+
+/**
+ * Build a Cache-Control header
+ * @param {string} policy - A key of CACHE_POLICIES
+ * @param {boolean} isPrivate - The response depends on who asked (authentication is enabled)
+ */
+function getCacheControl(policy, isPrivate = false) {
+  if (policy === 'none') return CACHE_POLICIES.none;
+  return `${isPrivate ? 'private' : 'public'}, ${CACHE_POLICIES[policy]}`;
+}
+
+/**
+ * Create a response entry: a body with its ETag and compressed variants
+ * @param {string|Buffer} body - Uncompressed body
+ * @param {string} contentType
+ * @returns {{body: Buffer, contentType: string, etag: string, encoded: Map}}
+ */
+function createEntry(body, contentType) {
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+  return {
+    body: buffer,
+    contentType,
+    etag: `"${crypto.createHash('sha256').update(buffer).digest('base64url')}"`,
+    encoded: new Map()
+  };
+}
+
+/**
+ * A bounded map of response entries; the least recently used are dropped
+ * @param {number} maxEntries
+ */
+function createResponseCache(maxEntries = 500) {
+  const entries = new Map();
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (entry) {
+        entries.delete(key);
+        entries.set(key, entry);
+      }
+      return entry;
+    },
+    set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+      return entry;
+    },
+    clear() {
+      entries.clear();
+    },
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+/**
+ * Get the ETag of an entry's body in an encoding
+ * @param {string} etag - ETag of the uncompressed body
+ * @param {string|null} encoding - "br", "gzip" or null
+ */
+function toEncodedEtag(etag, encoding) {
+  return encoding ? `${etag.slice(0, -1)}-${encoding}"` : etag;
+}
+
+/**
+ * Check whether the client already has the response (If-None-Match)
+ * Uses weak comparison, as RFC 9110 requires for If-None-Match, and accepts
+ * the ETag of any encoding: they all decompress to the same body.
+ * @param {string} etag - ETag of the uncompressed body
+ */
+function isNotModified(req, etag) {
+  const header = req.headers['if-none-match'];
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').some(tag => tag.trim().replace(/^W\//, '').replace(ENCODING_SUFFIX, '"') === etag);
+}
+
+/**
+ * Pick the encoding to send from an Accept-Encoding header
+ * @returns {string|null} - "br", "gzip" or null for the uncompressed body
+ */
+function negotiateEncoding(header) {
+  if (!header) return null;
+
+  const weights = new Map();
+  for (const part of header.split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(p => p.trim().match(/^q=([0-9.]+)$/)).find(Boolean);
+    weights.set(name, q ? Number(q[1]) : 1);
+  }
+
+  let best = null;
+  for (const encoding of ENCODINGS) {
+    const weight = weights.get(encoding) ?? weights.get('*') ?? 0;
+    if (weight > 0 && (!best || weight > best.weight)) best = { encoding, weight };
+  }
+  return best?.encoding || null;
+}
+
+/**
+ * Get the body of an entry in an encoding, compressing it the first time
+ */
+function encode(entry, encoding) {
+  if (!entry.encoded.has(encoding)) {
+    entry.encoded.set(encoding, encoding === 'br'
+      ? zlib.brotliCompressSync(entry.body, {
+        params: {
+          [zlib.constants.BROTLI_PARAM_QUALITY]: 5,
+          [zlib.constants.BROTLI_PARAM_SIZE_HINT]: entry.body.length
+        }
+      })
+      : zlib.gzipSync(entry.body));
+  }
+  return entry.encoded.get(encoding);
+}
+
+/**
+ * Add values to the Vary header, keeping those already set (e.g. by CORS)
+ */
+function appendVary(res, ...values) {
+  const current = String(res.getHeader('Vary') || '').split(',').map(v => v.trim()).filter(Boolean);
+  const merged = [...current];
+  for (const value of values) {
+    if (!merged.some(v => v.toLowerCase() === value.toLowerCase())) merged.push(value);
+  }
+  if (merged.length > 0) res.setHeader('Vary', merged.join(', '));
+}
+
+/**
+ * Send a response entry: 304 when the client has it, compressed when it can be
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {object} entry - From createEntry
+ * @param {object} options
+ * @param {string} options.cacheControl - Cache-Control header (see getCacheControl)
+ * @param {string[]} options.vary - Request headers the response also depends on
+ */
+function sendEntry(req, res, entry, { cacheControl, vary = [] } = {}) {
+  const compressible = COMPRESSIBLE.test(entry.contentType) && entry.body.length >= MIN_COMPRESS_SIZE;
+  const encoding = compressible ? negotiateEncoding(req.headers['accept-encoding']) : null;
+  appendVary(res, ...(compressible ? ['Accept-Encoding'] : []), ...vary);
+  // A 304 names the representation the client would have been sent
+  res.setHeader('ETag', toEncodedEtag(entry.etag, encoding));
+  if (cacheControl) res.setHeader('Cache-Control', cacheControl);
+
+  if (isNotModified(req, entry.etag)) {
+    res.writeHead(304);
+    res.end();
+    return;
+  }
+
+  const body = encoding ? encode(entry, encoding) : entry.body;
+  res.writeHead(200, {
+    'Content-Type': entry.contentType,
+    'Content-Length': body.length,
+    ...(encoding && { 'Content-Encoding': encoding })
+  });
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+module.exports = {
+  CACHE_POLICIES,
+  getCachePolicy,
+  getCacheControl,
+  createEntry,
+  createResponseCache,
+  isNotModified,
+  negotiateEncoding,
+  sendEntry
+};
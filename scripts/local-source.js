@@ -0,0 +1,146 @@
+/**
+ * Local Source Module
+ *
+ * Loads MCP server definitions from the local filesystem, either straight
+ * from a servers/ directory or from the committed state of a local git clone.
+ * Used by the build script and by the dynamic server's local/git modes, so
+ * both work without network access.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import { join } from 'path';
+import { existsSync } from 'fs';
+import { execFileSync } from 'child_process';
+import { getLocalFileHistory, getFileTimestamps } from './git-history.js';
+import { parseServerFile, toLoadError } from './registry-core.js';
+import { logger } from './logger.cjs';
+
+/**
+ * Recursively find all JSON files in a directory
+ * @param {string} dir - Directory to search
+ * @param {string[]} files - Accumulator for recursion
+ * @returns {Promise<string[]>} - Array of file paths
+ */
+export async function findJsonFiles(dir, files = []) {
+  if (!existsSync(dir)) return files;
+
+  const entries = await readdir(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    const fullPath = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      await findJsonFiles(fullPath, files);
+    } else if (entry.name.endsWith('.json')) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Load all servers from a local directory
+ * Timestamps come from git history when the directory is inside a git repo.
+ * Files that fail to load are logged, skipped and added to errors.
+ * @param {string} dir - Servers directory
+ * @param {Array} errors - Accumulator for files that could not be loaded
+ * @returns {Promise<Array>} - Array of server objects
+ */
+export async function loadServersFromDirectory(dir, errors = []) {
+  const serverFiles = await findJsonFiles(dir);
+  const fileHistory = getLocalFileHistory(dir);
+  logger.info(`📦 Found ${serverFiles.length} server file(s)`);
+
+  const servers = [];
+  for (const file of serverFiles) {
+    try {
+      const data = JSON.parse(await readFile(file, 'utf-8'));
+      for (const server of parseServerFile(data, file)) {
+        server._file = file;
+        server._history = getFileTimestamps(fileHistory, file);
+        servers.push(server);
+        logger.info(`   ✓ ${server.name}`);
+      }
+    } catch (err) {
+      logger.error(`   ✗ ${file}: ${err.message}`);
+      errors.push(toLoadError(file, err));
+    }
+  }
+
+  return servers;
+}
+
+/**
+ * Run a git command in a repository and return its output
+ */
+function git(repoDir, args) {
+  return execFileSync('git', ['-C', repoDir, ...args], {
+    encoding: 'utf-8',
+    stdio: ['pipe', 'pipe', 'pipe'],
+    maxBuffer: 64 * 1024 * 1024
+  });
+}
+
+/**
+ * Resolve a ref in a local clone to its commit SHA
+ * @param {string} repoDir - Path to the local clone
+ * @param {string} ref - Branch/tag/commit ref
+ * @returns {string}
+ */
+export function resolveGitRef(repoDir, ref) {
+  return git(repoDir, ['rev-parse', '--verify', `${ref}^{commit}`]).trim();
+}
+
+/**
+ * Load all servers committed at a ref of a local git clone
+ * Uncommitted changes in the working tree are ignored, matching the GitHub
+ * source which only serves what has been committed.
+ * @param {Object} options - Options
+ * @param {string} options.repoDir - Path to the local clone
+ * @param {string} options.ref - Branch/tag/commit ref (default: HEAD)
+ * @param {string} options.path - Servers directory within the repo (default: servers)
+ * @param {Array} options.errors - Accumulator for files that could not be loaded
+ * @returns {Promise<Array>} - Array of server objects
+ */
+export async function loadServersFromGit(options = {}) {
+  const repoDir = options.repoDir;
+  const errors = options.errors || [];
+  const ref = options.ref || 'HEAD';
+  const path = options.path || 'servers';
+
+  const commit = resolveGitRef(repoDir, ref);
+  logger.info(`📂 Reading servers from git: ${repoDir}@${ref} (${commit.slice(0, 8)})/${path}`);
+
+  const jsonFiles = git(repoDir, ['ls-tree', '-r', '--name-only', commit, '--', path])
+    .split('\n')
+    .filter(file => file.endsWith('.json'));
+  const fileHistory = getLocalFileHistory(repoDir, commit);
+  logger.info(`   Found ${jsonFiles.length} JSON file(s)`);
+
+  const servers = [];
+  for (const file of jsonFiles) {
+    try {
+      const data = JSON.parse(git(repoDir, ['show', `${commit}:${file}`]));
+      for (const server of parseServerFile(data, file)) {
+        server._file = file;
+        server._history = fileHistory.get(join(repoDir, file));
+        servers.push(server);
+        logger.info(`   ✓ ${server.name}`);
+      }
+    } catch (err) {
+      logger.error(`   ✗ ${file}: ${err.message}`);
+      errors.push(toLoadError(file, err));
+    }
+  }
+
+  return servers;
+}
+
+/**
+ * Get the paths to watch for new commits in a local clone
+ * (HEAD and branch refs change on commit, checkout, pull and fetch)
+ * @param {string} repoDir - Path to the local clone
+ * @returns {string[]}
+ */
+export function getGitWatchPaths(repoDir) {
+  const gitDir = git(repoDir, ['rev-parse', '--absolute-git-dir']).trim();
+  return [join(gitDir, 'HEAD'), join(gitDir, 'refs'), join(gitDir, 'packed-refs')];
+}
@@ -0,0 +1,139 @@
+/**
+ * Logging for the registry servers
+ *
+ * Used by both servers and the modules they load. Configured with
+ * environment variables:
+ *
+ *   LOG_FORMAT - pretty (default): the emoji console output, for development
+ *                json: one JSON object per line, for log pipelines
+ *   LOG_LEVEL  - debug, info (default), warn, error or silent
+ *
+ * JSON lines have time, level and msg (the message without its emoji), plus
+ * the fields passed with the message. Request logs add requestId, method,
+ * path, status, durationMs and caller.
+ */
+
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const FORMATS = ['pretty', 'json'];
+
+// Incoming X-Request-Id values that are passed through (others are replaced)
+const REQUEST_ID = /^[A-Za-z0-9._:@-]{1,128}$/;
+
+/**
+ * Strip the emoji and blank lines pretty messages start with
+ */
+function toPlainMessage(message) {
+  return String(message).replace(/^[^\p{L}\p{N}"'([{/<.*-]+/u, '').trimEnd();
+}
+
+/**
+ * Make fields JSON-friendly (errors become {message, stack})
+ */
+function serializeFields(fields) {
+  const result = {};
+  for (const [key, value] of Object.entries(fields)) {
+    result[key] = value instanceof Error ? { message: value.message, stack: value.stack } : value;
+  }
+  return result;
+}
+
+/**
+ * Create a logger
+ * @param {object} options
+ * @param {string} options.level - Lowest level logged (default: LOG_LEVEL or info)
+ * @param {string} options.format - pretty or json (default: LOG_FORMAT or pretty)
+ * @param {object} options.fields - Fields added to every JSON line
+ * @param {object} options.stream - Where JSON lines are written (default: stdout)
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function, format: string, level: string}}
+ *   Each level takes a message and optional fields: logger.warn('⚠️  Slow refresh', { seconds })
+ */
+function createLogger(options = {}) {
+  const level = (options.level || process.env.LOG_LEVEL || 'info').toLowerCase();
+  const format = (options.format || process.env.LOG_FORMAT || 'pretty').toLowerCase();
+  const fields = options.fields || {};
+  const stream = options.stream || process.stdout;
+
+  if (!(level in LEVELS)) {
+    throw new Error(`Invalid LOG_LEVEL "${level}" (expected ${Object.keys(LEVELS).join(', ')})`);
+  }
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Invalid LOG_FORMAT "${format}" (expected ${FORMATS.join(' or ')})`);
+  }
+
+  function write(entryLevel, message, extra = {}) {
+    if (LEVELS[entryLevel] < LEVELS[level]) return;
+
+    if (format === 'pretty') {
+      const print = entryLevel === 'error' ? console.error : entryLevel === 'warn' ? console.warn : console.log;
+      // Errors passed as fields are printed like console.error(message, err) did
+      const err = Object.values(extra).find(value => value instanceof Error);
+      if (err) print(message, err);
+      else print(message);
+      return;
+    }
+
+    const msg = toPlainMessage(message);
+    if (!msg) return; // Blank separator lines only make sense on a console
+    stream.write(JSON.stringify({
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg,
+      ...serializeFields({ ...fields, ...extra })
+    }) + '\n');
+  }
+
+  return {
+    level,
+    format,
+    debug: (message, extra) => write('debug', message, extra),
+    info: (message, extra) => write('info', message, extra),
+    warn: (message, extra) => write('warn', message, extra),
+    error: (message, extra) => write('error', message, extra),
+    /**
+     * A logger that adds fields to every line (e.g. a request ID)
+     */
+    child: (childFields) => createLogger({ level, format, stream, fields: { ...fields, ...childFields } })
+  };
+}
+
+// Logger for the process, configured from LOG_LEVEL and LOG_FORMAT
+const logger = createLogger();
+
+/**
+ * Start logging a request
+ * Honors an incoming X-Request-Id (or creates one), returns it in the
+ * response and logs the request once the response is sent.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {object} log - Logger (default: the process logger)
+ * @returns {{requestId: string, caller: string|null, log: object}}
+ *   Set caller once the request is authenticated; log adds the request ID
+ */
+function startRequestLog(req, res, log = logger) {
+  const incoming = req.headers['x-request-id'];
+  const requestId = typeof incoming === 'string' && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', requestId);
+
+  const start = process.hrtime.bigint();
+  const context = { requestId, caller: null, log: log.child({ requestId }) };
+
+  res.on('finish', () => {
+    const durationMs = Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10;
+    const path = req.url.split('?')[0];
+    const status = res.statusCode;
+    log[status >= 500 ? 'error' : 'info'](`${req.method} ${path} ${status} ${durationMs}ms`, {
+      requestId,
+      method: req.method,
+      path,
+      status,
+      durationMs,
+      caller: context.caller
+    });
+  });
+
+  return context;
+}
+
+module.exports = { LEVELS, createLogger, logger, startRequestLog };
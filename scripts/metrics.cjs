@@ -0,0 +1,224 @@
+/**
+ * Prometheus Metrics
+ *
+ * Counters, gauges and histograms rendered in the Prometheus text format
+ * (version 0.0.4) for the /metrics endpoint of the dynamic server and
+ * server.cjs.
+ *
+ * Every metric the registry records is declared in `metrics` below; a
+ * process only renders what it records (server.cjs makes no GitHub API
+ * calls, the dynamic server runs no builds).
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Request latencies, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+// Cache refreshes and builds, in seconds
+const SLOW_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(names, values, extra = '') {
+  const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Create a set of metrics rendered together
+ */
+function createRegistry() {
+  const families = [];
+
+  /**
+   * Declare a metric family
+   * Samples are keyed by their label values, in the order of labelNames.
+   */
+  function family(type, name, help, labelNames, createSample) {
+    const samples = new Map();
+    const sample = (labels = {}) => {
+      const values = labelNames.map(label => labels[label] ?? '');
+      const key = JSON.stringify(values);
+      if (!samples.has(key)) samples.set(key, { values, ...createSample() });
+      return samples.get(key);
+    };
+    // Unlabeled counters and histograms start at zero, so they show up before the first event
+    if (labelNames.length === 0 && type !== 'gauge') sample();
+    const entry = { type, name, help, labelNames, samples, sample };
+    families.push(entry);
+    return entry;
+  }
+
+  return {
+    /**
+     * A value that only goes up
+     */
+    counter(name, help, labelNames = []) {
+      const { sample } = family('counter', name, help, labelNames, () => ({ value: 0 }));
+      return {
+        inc(labels, amount = 1) {
+          sample(labels).value += amount;
+        }
+      };
+    },
+
+    /**
+     * A value that goes up and down
+     */
+    gauge(name, help, labelNames = []) {
+      const { sample } = family('gauge', name, help, labelNames, () => ({ value: 0 }));
+      return {
+        // set(value) for unlabeled gauges, set(labels, value) otherwise
+        set(labels, value) {
+          if (typeof labels === 'number') [labels, value] = [{}, labels];
+          sample(labels).value = value;
+        }
+      };
+    },
+
+    /**
+     * A distribution of observed values (durations in seconds)
+     */
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const entry = family('histogram', name, help, labelNames, () => ({
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0
+      }));
+      entry.buckets = buckets;
+      const histogram = {
+        observe(labels, value) {
+          const sample = entry.sample(labels);
+          buckets.forEach((bound, i) => {
+            if (value <= bound) sample.counts[i]++;
+          });
+          sample.sum += value;
+          sample.count++;
+        },
+        /**
+         * Start a timer; calling the returned function observes the elapsed time
+         */
+        startTimer(labels) {
+          const start = process.hrtime.bigint();
+          return (moreLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            histogram.observe({ ...labels, ...moreLabels }, seconds);
+            return seconds;
+          };
+        }
+      };
+      return histogram;
+    },
+
+    /**
+     * Render every metric in the Prometheus text format
+     * @returns {string}
+     */
+    render() {
+      const lines = [];
+      for (const { type, name, help, labelNames, samples, buckets } of families) {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const sample of samples.values()) {
+          if (type !== 'histogram') {
+            lines.push(`${name}${formatLabels(labelNames, sample.values)} ${formatValue(sample.value)}`);
+            continue;
+          }
+          buckets.forEach((bound, i) => {
+            lines.push(`${name}_bucket${formatLabels(labelNames, sample.values, `le="${formatValue(bound)}"`)} ${sample.counts[i]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels(labelNames, sample.values, 'le="+Inf"')} ${sample.count}`);
+          lines.push(`${name}_sum${formatLabels(labelNames, sample.values)} ${sample.sum}`);
+          lines.push(`${name}_count${formatLabels(labelNames, sample.values)} ${sample.count}`);
+        }
+      }
+      return lines.join('\n') + '\n';
+    }
+  };
+}
+
+const registry = createRegistry();
+
+const metrics = {
+  httpRequests: registry.counter('mcp_registry_http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']),
+  httpDuration: registry.histogram('mcp_registry_http_request_duration_seconds', 'HTTP request latency by route and status', ['method', 'route', 'status']),
+  cacheRefreshes: registry.counter('mcp_registry_cache_refreshes_total', 'Server cache refreshes by result (success or failure)', ['result']),
+  cacheRefreshDuration: registry.histogram('mcp_registry_cache_refresh_duration_seconds', 'Server cache refresh duration', ['result'], SLOW_BUCKETS),
+  cacheLastRefresh: registry.gauge('mcp_registry_cache_last_success_timestamp_seconds', 'When the server cache was last refreshed successfully'),
+  githubRequests: registry.counter('mcp_registry_github_api_requests_total', 'GitHub API calls by client (source, publish, namespaces or sign-in) and status', ['client', 'status']),
+  githubRateLimitRemaining: registry.gauge('mcp_registry_github_rate_limit_remaining', 'GitHub API requests left in the rate limit window, as last reported to each client', ['client']),
+  githubRateLimitReset: registry.gauge('mcp_registry_github_rate_limit_reset_timestamp_seconds', 'When the GitHub API rate limit window resets', ['client']),
+  serversLoaded: registry.gauge('mcp_registry_servers_loaded', 'Servers currently served'),
+  builds: registry.counter('mcp_registry_builds_total', 'Static builds by result (success or failure)', ['result']),
+  buildDuration: registry.histogram('mcp_registry_build_duration_seconds', 'Static build duration', ['result'], SLOW_BUCKETS),
+  webhookEvents: registry.counter('mcp_registry_webhook_events_total', 'Webhook deliveries by event and result (triggered, ignored, rejected or failed)', ['event', 'result'])
+};
+
+/**
+ * Map a request path to a route with bounded cardinality
+ * Server names and versions become placeholders, and anything the registry
+ * doesn't route is "static" (files with an extension) or "other".
+ * e.g. "/v0.1/servers/com.acme%2Fdb/versions/1.0.0" -> "/v0.1/servers/{name}/versions/{version}"
+ */
+function toRoute(pathname) {
+  const pathOnly = pathname.split('?')[0];
+  const api = pathOnly.match(/^\/(api\/)?(v0\.1|v0)(\/.*)?$/);
+  if (api) {
+    const prefix = `/${api[1] || ''}${api[2]}`;
+    const rest = (api[3] || '').replace(/(\/index)?\.json$/, '').replace(/\/$/, '');
+    if (rest === '/servers' || rest === '/publish') return prefix + rest;
+    const server = rest.match(/^\/servers\/.+?\/versions(\/[^/]+)?(\/config)?$/);
+    if (server) {
+      return `${prefix}/servers/{name}/versions${server[1] ? '/{version}' : ''}${server[2] || ''}`;
+    }
+    return `${prefix}/other`;
+  }
+  if (['/', '/_status', '/_refresh', '/metrics', '/webhook'].includes(pathOnly)) return pathOnly;
+  if (pathOnly.startsWith('/auth/')) return '/auth/*';
+  if (pathOnly.startsWith('/api/')) return '/api/other';
+  return /\.[a-z0-9]+$/i.test(pathOnly) ? 'static' : 'other';
+}
+
+/**
+ * Count a request and time it until the response is sent
+ */
+function observeRequest(req, res) {
+  const route = toRoute(req.url);
+  const stopTimer = metrics.httpDuration.startTimer({ method: req.method, route });
+  res.on('finish', () => {
+    const status = String(res.statusCode);
+    stopTimer({ status });
+    metrics.httpRequests.inc({ method: req.method, route, status });
+  });
+}
+
+/**
+ * Count a GitHub API call and keep track of the rate limit it reports
+ * @param {string} client - Which part of the registry made the call
+ * @param {Response} response - fetch() response
+ */
+function observeGitHubResponse(client, response) {
+  metrics.githubRequests.inc({ client, status: String(response.status) });
+  const remaining = response.headers.get('x-ratelimit-remaining');
+  const reset = response.headers.get('x-ratelimit-reset');
+  if (remaining !== null) metrics.githubRateLimitRemaining.set({ client }, Number(remaining));
+  if (reset !== null) metrics.githubRateLimitReset.set({ client }, Number(reset));
+}
+
+/**
+ * Send the metrics
+ */
+function sendMetrics(res) {
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPE, 'Cache-Control': 'no-store' });
+  res.end(registry.render());
+}
+
+module.exports = { createRegistry, registry, metrics, toRoute, observeRequest, observeGitHubResponse, sendMetrics };
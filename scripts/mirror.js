@@ -0,0 +1,398 @@
+/**
+ * Registry Mirror
+ *
+ * Declarative mirroring of servers from an upstream registry. mirror.json
+ * lists what to track:
+ *
+ *   {
+ *     "registry": "https://registry.modelcontextprotocol.io",
+ *     "servers": {
+ *       "com.microsoft/azure": "latest",
+ *       "io.github.github/github-mcp-server": "^0.2.0"
+ *     },
+ *     "searches": [
+ *       { "query": "postgres", "versions": "latest" }
+ *     ]
+ *   }
+ *
+ * "latest" is the version the registry marks as latest. Anything else is a
+ * semver range (an exact version pins it), and every published version in
+ * the range is mirrored. Servers listed by name win over search results.
+ *
+ * Syncing resolves the config, writes one file per server under servers/
+ * (rebuilt from upstream every time, so the output only depends on the
+ * resolved versions) and records the result in mirror.lock.json with a hash
+ * of each version's content. A frozen sync installs exactly what the lockfile
+ * lists and fails if upstream content no longer matches it.
+ */
+
+import { readFile, writeFile, mkdir, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { join, dirname, relative, sep } from 'path';
+import { findJsonFiles } from './local-source.js';
+import { parseServerFile } from './registry-core.js';
+import { assertNamespaceOwnership } from './namespace-policy.js';
+import { assertValidRange, satisfies, compareVersions } from './semver.js';
+import { toVersionData, mergeIntoServerFile } from '../src/web/server-import.js';
+
+export const DEFAULT_REGISTRY = 'https://registry.modelcontextprotocol.io';
+export const LOCKFILE_VERSION = 1;
+
+const SERVER_NAME = /^[a-zA-Z0-9.-]+\/[a-zA-Z0-9._-]+$/;
+const OFFICIAL_META = 'io.modelcontextprotocol.registry/official';
+const SEARCH_PAGE_SIZE = 100;
+
+/**
+ * Check a version spec ("latest" or a semver range)
+ */
+function assertValidSpec(spec, where) {
+  if (typeof spec !== 'string' || !spec.trim()) {
+    throw new Error(`${where}: version spec must be "latest" or a semver range`);
+  }
+  if (spec === 'latest') return;
+  try {
+    assertValidRange(spec);
+  } catch (err) {
+    throw new Error(`${where}: ${err.message}`);
+  }
+}
+
+/**
+ * Check the parsed contents of mirror.json
+ * @param {object} data - Parsed mirror.json
+ * @returns {{registry: string, servers: object, searches: Array<{query: string, versions: string}>}}
+ */
+export function parseMirrorConfig(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Mirror config must be an object');
+  }
+  const unknown = Object.keys(data).find(key => !['$comment', 'registry', 'servers', 'searches'].includes(key));
+  if (unknown) {
+    throw new Error(`Unknown field "${unknown}"`);
+  }
+
+  const servers = data.servers || {};
+  if (typeof servers !== 'object' || Array.isArray(servers)) {
+    throw new Error('"servers" must map server names to version specs');
+  }
+  for (const [name, spec] of Object.entries(servers)) {
+    if (!SERVER_NAME.test(name)) {
+      throw new Error(`servers: invalid server name "${name}"`);
+    }
+    assertValidSpec(spec, `servers["${name}"]`);
+  }
+
+  const searches = data.searches || [];
+  if (!Array.isArray(searches)) {
+    throw new Error('"searches" must be an array');
+  }
+  searches.forEach((search, index) => {
+    if (!search || typeof search.query !== 'string' || !search.query.trim()) {
+      throw new Error(`searches[${index}]: "query" is required`);
+    }
+    assertValidSpec(search.versions ?? 'latest', `searches[${index}]`);
+  });
+
+  return {
+    registry: (data.registry || DEFAULT_REGISTRY).replace(/\/+$/, ''),
+    servers,
+    searches: searches.map(s => ({ query: s.query, versions: s.versions ?? 'latest' }))
+  };
+}
+
+/**
+ * Serialize JSON with sorted keys, so equal content always hashes the same
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash JSON content ("sha256-" + base64, as in package-lock.json integrity fields)
+ */
+export function hashContent(value) {
+  return `sha256-${createHash('sha256').update(canonicalJson(value)).digest('base64')}`;
+}
+
+/**
+ * Default file for a mirrored server, relative to servers/
+ * e.g. "com.microsoft/azure" -> "com.microsoft/azure.json"
+ */
+function getMirrorPath(serverName) {
+  return `${serverName}.json`;
+}
+
+/**
+ * Fetch JSON from the upstream registry
+ */
+async function fetchJson(url) {
+  const response = await fetch(url);
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`${url}: HTTP ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
+
+/**
+ * Fetch every published, non-deleted version of a server
+ * @returns {Promise<Array<{data: object, isLatest: boolean}>|null>} - null when the registry doesn't know the server
+ */
+async function fetchServerVersions(registry, serverName) {
+  const result = await fetchJson(`${registry}/v0/servers/${encodeURIComponent(serverName)}/versions`);
+  if (!result) return null;
+
+  return (result.servers || [])
+    .filter(item => item._meta?.[OFFICIAL_META]?.status !== 'deleted')
+    .map(item => ({ data: toVersionData(item), isLatest: Boolean(item._meta?.[OFFICIAL_META]?.isLatest) }));
+}
+
+/**
+ * Find the names of the servers matching a search, following every page
+ */
+async function searchServerNames(registry, query) {
+  const names = new Set();
+  let cursor;
+  do {
+    const params = new URLSearchParams({ search: query, limit: String(SEARCH_PAGE_SIZE) });
+    if (cursor) params.set('cursor', cursor);
+    const page = await fetchJson(`${registry}/v0/servers?${params}`) || {};
+    for (const item of page.servers || []) {
+      names.add((item.server || item).name);
+    }
+    cursor = page.metadata?.nextCursor;
+  } while (cursor);
+  return [...names].sort();
+}
+
+/**
+ * Pick the versions a spec selects
+ */
+function selectVersions(versions, spec) {
+  if (spec === 'latest') {
+    const latest = versions.find(v => v.isLatest)
+      || [...versions].sort((a, b) => compareVersions(b.data.version, a.data.version))[0];
+    return latest ? [latest.data] : [];
+  }
+  return versions.map(v => v.data).filter(v => satisfies(v.version, spec));
+}
+
+/**
+ * Resolve a mirror config against the upstream registry
+ * @param {object} config - Parsed mirror.json
+ * @returns {Promise<Array<{name: string, spec: string, source: string, versions: Array}>>} - Sorted by name
+ * @throws {Error} - When a listed server is unknown or a spec selects no version
+ */
+export async function resolveMirror(config) {
+  const tracked = new Map();
+  for (const [name, spec] of Object.entries(config.servers)) {
+    tracked.set(name, { spec, source: 'servers' });
+  }
+  for (const { query, versions } of config.searches) {
+    for (const name of await searchServerNames(config.registry, query)) {
+      if (!tracked.has(name)) {
+        tracked.set(name, { spec: versions, source: `search:${query}` });
+      }
+    }
+  }
+
+  const resolved = [];
+  for (const [name, { spec, source }] of [...tracked].sort(([a], [b]) => a.localeCompare(b))) {
+    const available = await fetchServerVersions(config.registry, name);
+    if (!available) {
+      throw new Error(`${name} was not found in ${config.registry}`);
+    }
+    const versions = selectVersions(available, spec);
+    if (versions.length === 0) {
+      throw new Error(`No version of ${name} matches "${spec}" (published: ${available.map(v => v.data.version).join(', ') || 'none'})`);
+    }
+    resolved.push({ name, spec, source, versions });
+  }
+  return resolved;
+}
+
+/**
+ * Fetch exactly the versions a lockfile lists, checking their hashes
+ * @param {object} lock - Parsed mirror.lock.json
+ * @returns {Promise<Array>} - Same shape as resolveMirror
+ * @throws {Error} - When a locked version is gone or its content changed
+ */
+export async function resolveFromLockfile(lock) {
+  const resolved = [];
+  for (const [name, entry] of Object.entries(lock.servers)) {
+    const available = await fetchServerVersions(lock.registry, name) || [];
+    const versions = Object.entries(entry.versions).map(([version, hash]) => {
+      const match = available.find(v => v.data.version === version);
+      if (!match) {
+        throw new Error(`${name}@${version} is locked but no longer published in ${lock.registry}`);
+      }
+      if (hashContent(match.data) !== hash) {
+        throw new Error(`${name}@${version} changed upstream since it was locked (expected ${hash})`);
+      }
+      return match.data;
+    });
+    resolved.push({ name, spec: entry.spec, source: entry.source, versions });
+  }
+  return resolved;
+}
+
+/**
+ * Build the lockfile for resolved servers
+ * @param {object} configData - mirror.json contents (hashed so frozen syncs notice edits)
+ * @param {string} registry - Registry the servers were resolved from
+ * @param {Array} resolved - From resolveMirror
+ */
+export function toLockfile(configData, registry, resolved) {
+  const servers = {};
+  for (const { name, spec, source, versions } of resolved) {
+    const sorted = [...versions].sort((a, b) => compareVersions(a.version, b.version));
+    servers[name] = {
+      spec,
+      source,
+      file: getMirrorPath(name),
+      versions: Object.fromEntries(sorted.map(v => [v.version, hashContent(v)]))
+    };
+  }
+  return { lockfileVersion: LOCKFILE_VERSION, registry, config: hashContent(configData), servers };
+}
+
+/**
+ * Find local files that define the given servers outside the mirror's own files
+ * (the build would reject the duplicates)
+ */
+async function findUnmanagedDefinitions(serversDir, names, managedFiles) {
+  const found = [];
+  for (const file of await findJsonFiles(serversDir)) {
+    const relativePath = relative(serversDir, file).split(sep).join('/');
+    if (managedFiles.has(relativePath)) continue;
+    try {
+      const servers = parseServerFile(JSON.parse(await readFile(file, 'utf-8')), file);
+      for (const server of servers.filter(s => names.has(s.name))) {
+        found.push(`${server.name} is already defined in ${relativePath}`);
+      }
+    } catch {
+      // Invalid files are reported by validate and the build
+    }
+  }
+  return found;
+}
+
+/**
+ * Reconcile a servers directory with a mirror config
+ * @param {object} options
+ * @param {string} options.configFile - mirror.json
+ * @param {string} options.lockFile - mirror.lock.json
+ * @param {string} options.serversDir - Servers directory
+ * @param {string} options.registry - Registry URL overriding the config's
+ * @param {boolean} options.frozen - Install what the lockfile lists instead of resolving again
+ * @param {boolean} options.dryRun - Report the changes without writing anything
+ * @param {string} options.namespacesFile - Namespace ownership policy (default: NAMESPACES next to servers/)
+ * @param {string} options.author - GitHub login checked against the policy before writing
+ * @returns {Promise<{changes: Array<{name: string, file: string, action: string, versions: string[]}>, warnings: string[], lock: object}>}
+ *   action is one of added, updated, unchanged or removed
+ */
+export async function syncMirror({ configFile, lockFile, serversDir, registry, frozen = false, dryRun = false, namespacesFile, author }) {
+  if (!existsSync(configFile)) {
+    throw new Error(`No mirror config at ${configFile}`);
+  }
+  const configData = JSON.parse(await readFile(configFile, 'utf-8'));
+  let config;
+  try {
+    config = parseMirrorConfig(configData);
+  } catch (err) {
+    throw new Error(`${configFile}: ${err.message}`);
+  }
+  if (registry) {
+    config.registry = registry.replace(/\/+$/, '');
+  }
+
+  const previous = existsSync(lockFile) ? JSON.parse(await readFile(lockFile, 'utf-8')) : null;
+  if (previous && previous.lockfileVersion !== LOCKFILE_VERSION) {
+    throw new Error(`${lockFile}: unsupported lockfileVersion ${previous.lockfileVersion}`);
+  }
+
+  let resolved;
+  if (frozen) {
+    if (!previous) {
+      throw new Error(`--frozen needs ${lockFile}; run sync without --frozen first`);
+    }
+    if (previous.config !== hashContent(configData) || previous.registry !== config.registry) {
+      throw new Error(`${configFile} changed since ${lockFile} was written; run sync without --frozen to update it`);
+    }
+    resolved = await resolveFromLockfile(previous);
+  } else {
+    resolved = await resolveMirror(config);
+  }
+
+  const lock = toLockfile(configData, config.registry, resolved);
+  const warnings = [];
+
+  // Published versions should never change; point it out when one did
+  for (const [name, entry] of Object.entries(lock.servers)) {
+    for (const [version, hash] of Object.entries(entry.versions)) {
+      const before = previous?.servers?.[name]?.versions?.[version];
+      if (before && before !== hash) {
+        warnings.push(`${name}@${version} changed upstream since the last sync`);
+      }
+    }
+  }
+
+  const managedFiles = new Set(Object.values(previous?.servers || {}).map(entry => entry.file));
+  const conflicts = await findUnmanagedDefinitions(serversDir, new Set(resolved.map(s => s.name)), managedFiles);
+  for (const { name } of resolved) {
+    const file = lock.servers[name].file;
+    if (!managedFiles.has(file) && existsSync(join(serversDir, file))) {
+      conflicts.push(`${file} exists but is not managed by ${lockFile}`);
+    }
+  }
+  if (conflicts.length > 0) {
+    const err = new Error(`Refusing to overwrite servers the mirror doesn't manage: ${[...new Set(conflicts)].join('; ')}`);
+    err.details = [...new Set(conflicts)];
+    throw err;
+  }
+
+  const changes = [];
+  for (const { name, versions } of resolved) {
+    const file = lock.servers[name].file;
+    const path = join(serversDir, file);
+    const { data } = mergeIntoServerFile(null, name, versions);
+    const content = JSON.stringify(data, null, 2) + '\n';
+    const current = existsSync(path) ? await readFile(path, 'utf-8') : null;
+
+    const action = current === null ? 'added' : (current === content ? 'unchanged' : 'updated');
+    changes.push({ name, file, action, versions: Object.keys(lock.servers[name].versions), content });
+  }
+
+  // Servers that are no longer tracked
+  for (const [name, entry] of Object.entries(previous?.servers || {})) {
+    if (!lock.servers[name]) {
+      changes.push({ name, file: entry.file, action: 'removed', versions: Object.keys(entry.versions) });
+    }
+  }
+
+  if (!dryRun) {
+    const changed = changes.filter(c => c.action !== 'unchanged').map(c => c.name);
+    if (changed.length > 0) {
+      await assertNamespaceOwnership(namespacesFile || join(dirname(serversDir), 'NAMESPACES'), changed, author);
+    }
+
+    for (const change of changes) {
+      const path = join(serversDir, change.file);
+      if (change.action === 'removed') {
+        await rm(path, { force: true });
+      } else if (change.action !== 'unchanged') {
+        await mkdir(dirname(path), { recursive: true });
+        await writeFile(path, change.content);
+      }
+    }
+    await writeFile(lockFile, JSON.stringify(lock, null, 2) + '\n');
+  }
+
+  return { changes: changes.map(({ content, ...change }) => change), warnings, lock };
+}
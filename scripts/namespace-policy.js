@@ -0,0 +1,331 @@
+/**
+ * Namespace Ownership Policy
+ *
+ * Maps server namespaces (the reverse-DNS part of a server name, before the
+ * "/") to the GitHub users, teams and publish tokens allowed to change them.
+ * The policy lives in a NAMESPACES file next to servers/, in the same spirit
+ * as CODEOWNERS:
+ *
+ *   # namespace          owners
+ *   *                    @acme/registry-admins
+ *   com.acme             @acme/platform token:acme-release
+ *   com.acme.labs.*      @octocat
+ *
+ * A pattern is an exact namespace, a prefix ending in ".*" (which matches
+ * namespaces below it) or "*" for everything. As in CODEOWNERS, the last
+ * matching line wins. Without a NAMESPACES file nothing is enforced; with
+ * one, namespaces that no line matches have no owner and can't be changed.
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync, readFileSync } from 'fs';
+import { execFileSync } from 'child_process';
+import { join, dirname, basename } from 'path';
+import { parseServerFile } from './registry-core.js';
+import { isJsonEqual } from '../src/web/server-import.js';
+import { observeGitHubResponse } from './metrics.cjs';
+
+const GITHUB_API = process.env.GITHUB_API_URL || 'https://api.github.com';
+
+const PATTERN = /^(\*|[a-zA-Z0-9.-]+(\.\*)?)$/;
+const OWNER = /^(@[a-zA-Z0-9-]+(\/[a-zA-Z0-9._-]+)?|token:[a-zA-Z0-9._-]+)$/;
+
+/**
+ * Get the namespace of a server name
+ * e.g. "com.microsoft/azure" -> "com.microsoft"
+ */
+export function getNamespace(serverName) {
+  return serverName.split('/')[0];
+}
+
+/**
+ * Parse the contents of a NAMESPACES file
+ * @param {string} text - File contents
+ * @returns {{rules: Array<{pattern: string, owners: string[], line: number}>}}
+ */
+export function parseNamespacePolicy(text) {
+  const rules = [];
+  const lines = text.split(/\r?\n/);
+
+  lines.forEach((raw, index) => {
+    const content = raw.replace(/#.*$/, '').trim();
+    if (!content) return;
+
+    const [pattern, ...owners] = content.split(/\s+/);
+    const line = index + 1;
+    if (!PATTERN.test(pattern)) {
+      throw new Error(`Line ${line}: invalid namespace pattern "${pattern}"`);
+    }
+    const invalid = owners.find(owner => !OWNER.test(owner));
+    if (invalid) {
+      throw new Error(`Line ${line}: invalid owner "${invalid}" (expected @user, @org/team or token:name)`);
+    }
+    rules.push({ pattern, owners, line });
+  });
+
+  return { rules };
+}
+
+/**
+ * Load a NAMESPACES file
+ * @param {string} file - Path to the policy file
+ * @returns {Promise<object|null>} - Parsed policy, or null when there is no file
+ */
+export async function loadNamespacePolicy(file) {
+  if (!existsSync(file)) return null;
+
+  try {
+    return parseNamespacePolicy(await readFile(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Load a NAMESPACES file as it was at a git ref
+ * Changes are checked against this policy rather than their own, so a pull
+ * request can't make its author the owner of the namespaces it changes.
+ * @param {string} file - Path to the policy file, inside a git repository
+ * @param {string} ref - Git ref (e.g. origin/main)
+ * @returns {object|null} - Parsed policy, or null when there was no file at the ref
+ */
+export function loadNamespacePolicyAt(file, ref) {
+  let text;
+  try {
+    text = execFileSync('git', ['-C', dirname(file), 'show', `${ref}:./${basename(file)}`], {
+      encoding: 'utf-8',
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+  } catch {
+    return null;
+  }
+
+  try {
+    return parseNamespacePolicy(text);
+  } catch (err) {
+    throw new Error(`${file} at ${ref}: ${err.message}`);
+  }
+}
+
+function matchesPattern(pattern, namespace) {
+  if (pattern === '*') return true;
+  if (pattern.endsWith('.*')) return namespace.startsWith(pattern.slice(0, -1));
+  return pattern === namespace;
+}
+
+/**
+ * Get the owners of a namespace
+ * @param {object} policy - Parsed policy
+ * @param {string} namespace - Namespace to look up
+ * @returns {string[]|null} - Owners from the last matching line, or null when no line matches
+ */
+export function getNamespaceOwners(policy, namespace) {
+  const rule = policy.rules.findLast(r => matchesPattern(r.pattern, namespace));
+  return rule ? rule.owners : null;
+}
+
+/**
+ * Get the owners of a NAMESPACES line: those on the last line with the
+ * pattern, and those of "*", who may change any line
+ * @param {object} policy - Parsed policy
+ * @param {string} pattern - Namespace pattern of the line
+ * @returns {string[]}
+ */
+export function getPatternOwners(policy, pattern) {
+  const lineOwners = linePattern => policy.rules.findLast(r => r.pattern === linePattern)?.owners || [];
+  return [...new Set([...lineOwners(pattern), ...lineOwners('*')])];
+}
+
+/**
+ * Find the NAMESPACES lines that differ between two policies
+ * @param {object} before - Policy the changes are compared with
+ * @param {object|null} after - Changed policy (null when the file was removed)
+ * @returns {string[]} - Patterns whose owners were added, changed or removed
+ */
+export function findChangedPatterns(before, after) {
+  const toOwners = policy => new Map((policy?.rules || []).map(r => [r.pattern, r.owners.join(' ')]));
+  const old = toOwners(before);
+  const current = toOwners(after);
+  const patterns = new Set([...old.keys(), ...current.keys()]);
+  return [...patterns].filter(pattern => old.get(pattern) !== current.get(pattern)).sort();
+}
+
+/**
+ * Describe who is making a change, for error messages
+ */
+function describeIdentity(identity) {
+  if (identity.login) return `@${identity.login}`;
+  if (identity.token) return `token:${identity.token}`;
+  return 'An unnamed publish token';
+}
+
+/**
+ * Check whether someone may change a server
+ * @param {object} policy - Parsed policy
+ * @param {string} serverName - Server being changed
+ * @param {object} identity - Who is making the change
+ * @param {string} identity.login - GitHub login
+ * @param {string[]} identity.teams - Teams ("org/team") the user belongs to
+ * @param {string} identity.token - Name of the publish token
+ * @returns {string|null} - Why the change is not allowed, or null if it is
+ */
+export function checkNamespaceOwnership(policy, serverName, identity = {}) {
+  const namespace = getNamespace(serverName);
+  const owners = getNamespaceOwners(policy, namespace);
+
+  if (!owners || owners.length === 0) {
+    return `Namespace "${namespace}" has no owner in NAMESPACES, add one before changing ${serverName}`;
+  }
+
+  return isOwner(owners, identity)
+    ? null
+    : `${describeIdentity(identity)} does not own namespace "${namespace}" (owners: ${owners.join(', ')}), so it can't change ${serverName}`;
+}
+
+/**
+ * Check whether someone may change a NAMESPACES line
+ * Owners of the line may change it (and "*" owners any line); new lines
+ * therefore need a "*" owner.
+ * @param {object} policy - Policy the change is compared with
+ * @param {string} pattern - Namespace pattern of the changed line
+ * @param {object} identity - Who is making the change (see checkNamespaceOwnership)
+ * @returns {string|null} - Why the change is not allowed, or null if it is
+ */
+export function checkPatternOwnership(policy, pattern, identity = {}) {
+  const owners = getPatternOwners(policy, pattern);
+  return isOwner(owners, identity)
+    ? null
+    : `${describeIdentity(identity)} does not own the "${pattern}" line of NAMESPACES (owners: ${owners.join(', ') || 'none'}), so it can't change it`;
+}
+
+/**
+ * Check whether an identity is one of the owners
+ */
+function isOwner(owners, identity) {
+  const login = identity.login?.toLowerCase();
+  const teams = (identity.teams || []).map(t => t.toLowerCase());
+  return owners.some(owner => {
+    const name = owner.toLowerCase();
+    if (name.startsWith('token:')) return Boolean(identity.token) && owner.slice('token:'.length) === identity.token;
+    if (name.includes('/')) return teams.includes(name.slice(1));
+    return name.slice(1) === login;
+  });
+}
+
+/**
+ * Find which of the given owners' teams a GitHub user belongs to
+ * Team membership can only be read with a token that has read:org access.
+ * @param {string[]} owners - Owners from the policy (users and tokens are skipped)
+ * @param {string} login - GitHub login
+ * @param {string} token - GitHub token
+ * @returns {Promise<string[]>} - Teams as "org/team"
+ */
+export async function fetchTeamMemberships(owners, login, token) {
+  const teams = new Set(owners.filter(o => o.startsWith('@') && o.includes('/')));
+  const memberships = [];
+
+  for (const team of teams) {
+    const [org, slug] = team.slice(1).split('/');
+    const response = await fetch(`${GITHUB_API}/orgs/${org}/teams/${slug}/memberships/${login}`, {
+      headers: {
+        'Accept': 'application/vnd.github+json',
+        'User-Agent': 'registry.express-namespaces',
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+      }
+    });
+    observeGitHubResponse('namespaces', response);
+    if (response.status === 404) continue;
+    if (!response.ok) {
+      throw new Error(`Could not check membership of ${team} (${response.status})`);
+    }
+    if ((await response.json()).state === 'active') {
+      memberships.push(team.slice(1));
+    }
+  }
+
+  return memberships;
+}
+
+/**
+ * Read the servers defined in a file's contents, ignoring invalid files
+ * (the build already reports those).
+ */
+function readServers(content, file) {
+  try {
+    return parseServerFile(JSON.parse(content), file);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Find the servers whose definitions changed since a git ref
+ * Compares each changed, added or deleted file in the servers directory
+ * (uncommitted changes included) with its contents at the ref, server by
+ * server, so unrelated servers in a multi-server file don't count.
+ * @param {string} serversDir - Servers directory inside a git repository
+ * @param {string} ref - Git ref to compare with (e.g. origin/main)
+ * @returns {string[]} - Names of added, changed and removed servers
+ */
+export function findChangedServers(serversDir, ref) {
+  const git = args => execFileSync('git', ['-C', serversDir, ...args], {
+    encoding: 'utf-8',
+    stdio: ['pipe', 'pipe', 'pipe'],
+    maxBuffer: 64 * 1024 * 1024
+  });
+
+  const files = [
+    ...git(['diff', '--name-only', '--no-renames', '--relative', ref, '--', '.']).split('\n'),
+    ...git(['ls-files', '--others', '--exclude-standard', '--', '.']).split('\n')
+  ].filter(file => file.endsWith('.json'));
+
+  const changed = new Set();
+  for (const file of new Set(files)) {
+    const fullPath = join(serversDir, file);
+    let before = [];
+    try {
+      before = readServers(git(['show', `${ref}:./${file}`]), file);
+    } catch {
+      // Added since the ref
+    }
+    const after = existsSync(fullPath)
+      ? readServers(readFileSync(fullPath, 'utf-8'), file)
+      : [];
+
+    for (const server of [...before, ...after]) {
+      const old = before.find(s => s.name === server.name);
+      const current = after.find(s => s.name === server.name);
+      if (!old || !current || !isJsonEqual(old, current)) {
+        changed.add(server.name);
+      }
+    }
+  }
+
+  return [...changed].sort();
+}
+
+/**
+ * Check that a GitHub user may change servers before writing them locally
+ * (used by the import commands). Does nothing when there is no policy file.
+ * @param {string} policyFile - NAMESPACES file
+ * @param {string[]} serverNames - Servers about to be changed
+ * @param {string} login - GitHub login of the author
+ * @param {string} token - GitHub token for resolving team owners
+ * @throws {Error} - Listing the servers the author may not change
+ */
+export async function assertNamespaceOwnership(policyFile, serverNames, login, token = process.env.GITHUB_TOKEN) {
+  const policy = await loadNamespacePolicy(policyFile);
+  if (!policy) return;
+  if (!login) {
+    throw new Error(`${policyFile} restricts who can change each namespace, so the author's GitHub login is required`);
+  }
+
+  const owners = serverNames.flatMap(name => getNamespaceOwners(policy, getNamespace(name)) || []);
+  const teams = await fetchTeamMemberships(owners, login, token);
+  const errors = serverNames.map(name => checkNamespaceOwnership(policy, name, { login, teams })).filter(Boolean);
+  if (errors.length > 0) {
+    const err = new Error(errors.join('; '));
+    err.details = errors;
+    throw err;
+  }
+}
@@ -0,0 +1,214 @@
+/**
+ * Package Policy
+ *
+ * Allow/deny rules for the packages and remotes a server may list. The
+ * policy lives in package-policy.json next to servers/:
+ *
+ *   {
+ *     "default": "allow",
+ *     "rules": [
+ *       { "id": "no-sse", "effect": "deny", "match": { "transport": "sse" },
+ *         "message": "SSE is deprecated, use streamable-http" },
+ *       { "id": "oci-our-org", "effect": "allow", "match": { "ociImage": "ghcr.io/our-org/*" } },
+ *       { "id": "oci-elsewhere", "effect": "deny", "match": { "registryType": "oci" },
+ *         "message": "OCI images must come from ghcr.io/our-org" }
+ *     ]
+ *   }
+ *
+ * Every package and remote of every version is checked on its own. The first
+ * rule whose conditions all match decides; when no rule matches, "default"
+ * does. A condition lists one pattern or several ("*" matches anything,
+ * comparisons ignore case) and only matches endpoints that have the property,
+ * so { "npmScope": "@acme" } never matches a remote. Without a policy file
+ * every package is allowed.
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+
+export const POLICY_EFFECTS = ['allow', 'deny'];
+
+/**
+ * What each match condition compares with
+ * (package and remote endpoints; undefined when the endpoint has no such property)
+ */
+const MATCH_PROPERTIES = {
+  registryType: (pkg) => pkg?.registryType,
+  npmScope: (pkg) => (pkg?.registryType === 'npm' && pkg.identifier.startsWith('@') ? pkg.identifier.split('/')[0] : undefined),
+  ociRegistry: (pkg) => (pkg?.registryType === 'oci' ? parseOciImage(pkg.identifier).registry : undefined),
+  ociImage: (pkg) => (pkg?.registryType === 'oci' ? parseOciImage(pkg.identifier).image : undefined),
+  remoteDomain: (pkg, remote) => (remote ? getHostname(remote.url) : undefined),
+  transport: (pkg, remote) => (remote ? remote.type : pkg.transport?.type),
+  runtimeHint: (pkg) => pkg?.runtimeHint
+};
+
+const RULE_ID = /^[a-zA-Z0-9][a-zA-Z0-9._-]*$/;
+const RULE_FIELDS = ['id', 'effect', 'match', 'message'];
+
+/**
+ * Split an OCI image reference into its registry host and image name
+ * Images without a registry host come from Docker Hub, e.g.
+ * "mcp/fetch:latest" -> { registry: "docker.io", image: "docker.io/mcp/fetch" }
+ */
+export function parseOciImage(identifier) {
+  const name = identifier.replace(/@.*$/, '').replace(/:[^/:]*$/, '');
+  const [first, ...rest] = name.split('/');
+  const hasRegistry = rest.length > 0 && (first.includes('.') || first.includes(':') || first === 'localhost');
+
+  if (hasRegistry) {
+    return { registry: first.toLowerCase(), image: `${first.toLowerCase()}/${rest.join('/')}` };
+  }
+  return { registry: 'docker.io', image: `docker.io/${rest.length > 0 ? name : `library/${name}`}` };
+}
+
+/**
+ * Get the hostname of a remote URL (URLs may contain {variable} placeholders)
+ */
+function getHostname(url) {
+  const match = url.match(/^[a-z][a-z0-9+.-]*:\/\/(?:[^@/]*@)?([^/:?#]+)/i);
+  return match ? match[1].toLowerCase() : undefined;
+}
+
+/**
+ * Turn a pattern with "*" wildcards into a regular expression
+ */
+function toRegExp(pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check the parsed contents of a policy file
+ * @param {object} data - Parsed package-policy.json
+ * @returns {{default: string, rules: Array<{id: string, effect: string, match: object, message?: string}>}}
+ */
+export function parsePackagePolicy(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Policy must be an object with "rules"');
+  }
+  const unknown = Object.keys(data).find(key => !['$comment', 'default', 'rules'].includes(key));
+  if (unknown) {
+    throw new Error(`Unknown field "${unknown}"`);
+  }
+
+  const defaultEffect = data.default ?? 'allow';
+  if (!POLICY_EFFECTS.includes(defaultEffect)) {
+    throw new Error(`"default" must be ${POLICY_EFFECTS.join(' or ')}`);
+  }
+  if (!Array.isArray(data.rules)) {
+    throw new Error('"rules" must be an array');
+  }
+
+  const ids = new Set();
+  const rules = data.rules.map((rule, index) => {
+    const fail = message => { throw new Error(`rules[${index}]: ${message}`); };
+
+    if (!rule || typeof rule !== 'object') fail('must be an object');
+    const field = Object.keys(rule).find(key => !RULE_FIELDS.includes(key));
+    if (field) fail(`unknown field "${field}"`);
+    if (typeof rule.id !== 'string' || !RULE_ID.test(rule.id)) fail('"id" must be letters, digits, ".", "_" or "-"');
+    if (rule.id === 'default' || ids.has(rule.id)) fail(`duplicate rule id "${rule.id}"`);
+    if (!POLICY_EFFECTS.includes(rule.effect)) fail(`"effect" must be ${POLICY_EFFECTS.join(' or ')}`);
+    if (rule.message !== undefined && typeof rule.message !== 'string') fail('"message" must be a string');
+    if (!rule.match || typeof rule.match !== 'object' || Object.keys(rule.match).length === 0) {
+      fail('"match" needs at least one condition');
+    }
+
+    const conditions = Object.entries(rule.match).map(([key, value]) => {
+      if (!MATCH_PROPERTIES[key]) {
+        fail(`unknown condition "${key}" (expected ${Object.keys(MATCH_PROPERTIES).join(', ')})`);
+      }
+      const patterns = Array.isArray(value) ? value : [value];
+      if (patterns.length === 0 || patterns.some(p => typeof p !== 'string' || !p)) {
+        fail(`"${key}" must be a pattern or a list of patterns`);
+      }
+      return { key, patterns: patterns.map(toRegExp) };
+    });
+
+    ids.add(rule.id);
+    return { ...rule, conditions };
+  });
+
+  return { default: defaultEffect, rules };
+}
+
+/**
+ * Load a package policy file
+ * @param {string} file - Path to the policy file
+ * @returns {Promise<object|null>} - Parsed policy, or null when there is no file
+ */
+export async function loadPackagePolicy(file) {
+  if (!existsSync(file)) return null;
+
+  try {
+    return parsePackagePolicy(JSON.parse(await readFile(file, 'utf-8')));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Find the rule that decides whether an endpoint is allowed
+ * @param {object} policy - Parsed policy
+ * @param {object} pkg - Package, when checking a package
+ * @param {object} remote - Remote, when checking a remote
+ * @returns {object|undefined} - First matching rule, or undefined when the default applies
+ */
+function findMatchingRule(policy, pkg, remote) {
+  return policy.rules.find(rule => rule.conditions.every(({ key, patterns }) => {
+    const value = MATCH_PROPERTIES[key](pkg, remote);
+    return value !== undefined && patterns.some(pattern => pattern.test(value));
+  }));
+}
+
+/**
+ * Check a server's packages and remotes against the policy
+ * @param {object} policy - Parsed policy
+ * @param {object} server - Server in internal format
+ * @returns {Array<{rule: string, server: string, version: string, endpoint: string, message: string}>}
+ */
+export function checkPackagePolicy(policy, server) {
+  const violations = [];
+
+  for (const version of server.versions) {
+    const endpoints = [
+      ...(version.packages || []).map((pkg, i) => ({ pkg, path: `packages/${i}`, label: `${pkg.registryType} package ${pkg.identifier}` })),
+      ...(version.remotes || []).map((remote, i) => ({ remote, path: `remotes/${i}`, label: `${remote.type} remote ${remote.url}` }))
+    ];
+
+    for (const { pkg, remote, path, label } of endpoints) {
+      const rule = findMatchingRule(policy, pkg, remote);
+      const effect = rule ? rule.effect : policy.default;
+      if (effect === 'allow') continue;
+
+      const reason = rule
+        ? `is denied by rule "${rule.id}"${rule.message ? `: ${rule.message}` : ''}`
+        : 'is not allowed by any rule (policy default is deny)';
+      violations.push({
+        rule: rule ? rule.id : 'default',
+        server: server.name,
+        version: version.version,
+        endpoint: path,
+        message: `${server.name}@${version.version}: ${label} ${reason}`
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Drop the servers that break the policy
+ * A server with any violating version is left out entirely, the same way a
+ * file that fails validation is.
+ * @param {object|null} policy - Parsed policy (null allows everything)
+ * @param {Array} servers - Servers in internal format
+ * @returns {{servers: Array, violations: Array}}
+ */
+export function applyPackagePolicy(policy, servers) {
+  if (!policy) return { servers, violations: [] };
+
+  const violations = servers.flatMap(server => checkPackagePolicy(policy, server));
+  const denied = new Set(violations.map(v => v.server));
+  return { servers: servers.filter(s => !denied.has(s.name)), violations };
+}
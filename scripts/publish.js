@@ -0,0 +1,200 @@
+/**
+ * Publishing
+ *
+ * Validates server.json payloads sent to the dynamic server's write API and
+ * writes them back to where the registry's servers come from: the local
+ * servers/ directory, or the GitHub repository as a commit or pull request.
+ * New versions are merged into the file that already defines the server.
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { validateServerFile } from './server-validator.js';
+import { mergeIntoServerFile, expandVersions } from '../src/web/server-import.js';
+import { observeGitHubResponse } from './metrics.cjs';
+
+const GITHUB_API = process.env.GITHUB_API_URL || 'https://api.github.com';
+
+/**
+ * Create an error with an HTTP status for the write API
+ */
+function publishError(status, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  err.details = details;
+  return err;
+}
+
+/**
+ * Check a publish payload and return the version to write
+ * Accepts a server.json in the flat official format. When publishing to a
+ * specific name/version (PUT), missing fields are filled in from the URL and
+ * conflicting ones are rejected.
+ * @param {object} payload - Request body
+ * @param {object} target - Name and version from the URL, if any
+ * @returns {object} - Validated server.json
+ */
+export function toPublishedVersion(payload, target = {}) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw publishError(400, 'Request body must be a server.json object');
+  }
+  if (payload.versions || payload.servers) {
+    throw publishError(400, 'Publish one version at a time in the flat server.json format (top-level "version")');
+  }
+
+  const data = { ...payload };
+  for (const field of ['name', 'version']) {
+    if (!target[field]) continue;
+    if (data[field] === undefined) {
+      data[field] = target[field];
+    } else if (data[field] !== target[field]) {
+      throw publishError(400, `Body ${field} "${data[field]}" does not match URL ${field} "${target[field]}"`);
+    }
+  }
+
+  if (data.version === undefined) {
+    throw publishError(400, 'Missing "version"');
+  }
+
+  const errors = validateServerFile(data);
+  if (errors.length > 0) {
+    throw publishError(400, 'Invalid server.json', errors);
+  }
+
+  return data;
+}
+
+/**
+ * Default file for a server that isn't defined anywhere yet
+ */
+function getDefaultPath(serverName) {
+  const [namespace, name] = serverName.split('/');
+  return `${namespace}/${name}.json`;
+}
+
+/**
+ * Write a version into the local servers/ directory
+ * @param {string} serversDir - Servers directory
+ * @param {string|undefined} existingFile - File that defines the server, if any
+ * @param {object} versionData - Validated server.json
+ * @returns {Promise<{file: string, action: string}>}
+ */
+export async function publishToDirectory(serversDir, existingFile, versionData) {
+  const file = existingFile || join(serversDir, getDefaultPath(versionData.name));
+  const existing = existsSync(file) ? JSON.parse(await readFile(file, 'utf-8')) : null;
+
+  const { data, action } = mergeIntoServerFile(existing, versionData.name, [versionData]);
+  await mkdir(dirname(file), { recursive: true });
+  await writeFile(file, JSON.stringify(data, null, 2) + '\n');
+
+  return { file, action };
+}
+
+/**
+ * Call the GitHub API with the publishing token
+ */
+async function githubApi(path, token, options = {}) {
+  const response = await fetch(`${GITHUB_API}${path}`, {
+    method: options.method || 'GET',
+    headers: {
+      'Accept': 'application/vnd.github+json',
+      'User-Agent': 'registry.express-publish',
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    body: options.body ? JSON.stringify(options.body) : undefined
+  });
+  observeGitHubResponse('publish', response);
+
+  if (response.status === 404 && options.allowMissing) return null;
+  if (!response.ok) {
+    throw publishError(502, `GitHub API error (${response.status}): ${await response.text()}`);
+  }
+  return response.json();
+}
+
+/**
+ * Write a version to the GitHub repository
+ * In "commit" mode the file is committed to the branch directly; in
+ * "pull-request" mode it goes to a new branch and a pull request is opened.
+ * @param {object} options
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {string} options.branch - Branch the registry is served from
+ * @param {string} options.token - Token with write access to the repository
+ * @param {string} options.mode - "commit" or "pull-request"
+ * @param {boolean} options.replace - Replace the version if it exists (PUT), instead of refusing it
+ * @param {string} options.serversPath - Path to servers/ within the repository
+ * @param {string|undefined} existingFile - Repository path of the file that defines the server, if any
+ * @param {object} versionData - Validated server.json
+ * @returns {Promise<{file: string, action: string, commit?: string, pullRequest?: string}>}
+ */
+export async function publishToGitHub(options, existingFile, versionData) {
+  const { owner, repo, branch, token, mode, replace = false, serversPath = 'servers' } = options;
+  if (!token) {
+    throw publishError(501, 'Publishing to GitHub requires GITHUB_TOKEN with write access');
+  }
+
+  const repoPath = `/repos/${owner}/${repo}`;
+  const file = existingFile || `${serversPath}/${getDefaultPath(versionData.name)}`;
+  const label = `${versionData.name}@${versionData.version}`;
+
+  const current = await githubApi(`${repoPath}/contents/${file}?ref=${encodeURIComponent(branch)}`, token, { allowMissing: true });
+  const existing = current ? JSON.parse(Buffer.from(current.content, 'base64').toString('utf-8')) : null;
+  const branchPrefix = `publish/${versionData.name.replace('/', '-')}-${versionData.version}-`;
+
+  // The server cache lags behind the repository and never sees pull requests,
+  // so duplicates are looked for on GitHub itself
+  if (!replace) {
+    const servers = Array.isArray(existing?.servers) ? existing.servers : [existing];
+    const server = servers.find(s => s?.name === versionData.name);
+    if (server && expandVersions(server).some(v => v.version === versionData.version)) {
+      throw publishError(409, `${label} is already published (use PUT to replace it)`);
+    }
+    if (mode === 'pull-request') {
+      const pulls = await githubApi(`${repoPath}/pulls?state=open&base=${encodeURIComponent(branch)}&per_page=100`, token);
+      const pending = pulls.find(pull => pull.head.ref.startsWith(branchPrefix) && /^\d+$/.test(pull.head.ref.slice(branchPrefix.length)));
+      if (pending) {
+        throw publishError(409, `${label} is already waiting for review in ${pending.html_url}`);
+      }
+    }
+  }
+
+  const { data, action } = mergeIntoServerFile(existing, versionData.name, [versionData]);
+
+  let targetBranch = branch;
+  if (mode === 'pull-request') {
+    const head = await githubApi(`${repoPath}/git/ref/heads/${encodeURIComponent(branch)}`, token);
+    targetBranch = `${branchPrefix}${Date.now()}`;
+    await githubApi(`${repoPath}/git/refs`, token, {
+      method: 'POST',
+      body: { ref: `refs/heads/${targetBranch}`, sha: head.object.sha }
+    });
+  }
+
+  const result = await githubApi(`${repoPath}/contents/${file}`, token, {
+    method: 'PUT',
+    body: {
+      message: `Publish ${label}`,
+      content: Buffer.from(JSON.stringify(data, null, 2) + '\n').toString('base64'),
+      branch: targetBranch,
+      sha: current?.sha
+    }
+  });
+
+  if (mode !== 'pull-request') {
+    return { file, action, commit: result.commit.html_url };
+  }
+
+  const pullRequest = await githubApi(`${repoPath}/pulls`, token, {
+    method: 'POST',
+    body: {
+      title: `Publish ${label}`,
+      head: targetBranch,
+      base: branch,
+      body: `Published through the registry write API.\n\n- **File:** \`${file}\`\n- **Version:** ${versionData.version}\n`
+    }
+  });
+  return { file, action, pullRequest: pullRequest.html_url };
+}
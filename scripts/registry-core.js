@@ -0,0 +1,262 @@
+/**
+ * Registry Core
+ *
+ * Normalizes server files into the internal format (a versions array per
+ * server) and shapes API responses in the official MCP Registry format.
+ * The static build, the dynamic server and server.cjs (which serves the
+ * build output) all go through this module, so a server definition produces
+ * byte-identical API output however it is served.
+ */
+
+import { assertValidServerFile } from './server-validator.js';
+import { SCHEMA_VERSION, OFFICIAL_SCHEMA } from './schema-version.js';
+
+// Official server.json schema advertised in every API response
+export { SCHEMA_VERSION, OFFICIAL_SCHEMA };
+
+/**
+ * Validate and parse a server file's contents
+ * Supports:
+ * - Multi-server format (has "servers" array)
+ * - Flat official MCP schema (top-level version + packages)
+ * - Internal versioned format (versions array with packages)
+ * @param {object} data - Parsed JSON file contents
+ * @param {string} filePath - File path for error messages
+ * @returns {Array} - Servers in internal format
+ */
+export function parseServerFile(data, filePath) {
+  assertValidServerFile(data, filePath);
+
+  // Check if it's a multi-server file (has "servers" array)
+  if (data.servers && Array.isArray(data.servers)) {
+    return data.servers.map(server => normalizeServer(server));
+  }
+
+  // Single server format
+  return [normalizeServer(data)];
+}
+
+/**
+ * Normalize server to internal format (with versions array)
+ * Supports both flat schema (version + packages) and versioned schema (versions array).
+ * The file has already been validated against the schema.
+ */
+function normalizeServer(data) {
+  // Flat official MCP schema (top-level version + packages)
+  if (data.version && !data.versions) {
+    return {
+      name: data.name,
+      title: data.title,
+      description: data.description,
+      repository: data.repository,
+      websiteUrl: data.websiteUrl,
+      icons: data.icons,
+      ...(data.replacedBy && { replacedBy: data.replacedBy }),
+      ...(data.visibility && { visibility: data.visibility }),
+      versions: [{
+        version: data.version,
+        isLatest: true,
+        ...(data.status && { status: data.status }),
+        ...(data.statusMessage && { statusMessage: data.statusMessage }),
+        packages: data.packages,
+        remotes: data.remotes,
+        _meta: data._meta
+      }]
+    };
+  }
+
+  // Internal versioned format
+  return data;
+}
+
+/**
+ * Describe a server file that could not be loaded, for build reports
+ * @param {string} file - File path
+ * @param {Error} err - Error thrown while reading, parsing or validating the file
+ * @returns {{type: string, file: string, message: string, details?: Array}}
+ */
+export function toLoadError(file, err) {
+  let type = 'load';
+  if (err.validationErrors) type = 'schema';
+  else if (err instanceof SyntaxError) type = 'parse';
+
+  return { type, file, message: err.message, details: err.validationErrors };
+}
+
+/**
+ * Find definitions that conflict with each other
+ * Reports duplicate server names (across all files), duplicate versions
+ * within a server and servers with more than one version marked isLatest.
+ * @param {Array} servers - Servers in internal format, with _file set by the loader
+ * @returns {Array<{type: string, file: string, server: string, message: string}>}
+ */
+export function findServerConflicts(servers) {
+  const conflicts = [];
+  const seenNames = new Map();
+
+  for (const server of servers) {
+    const file = server._file;
+
+    if (seenNames.has(server.name)) {
+      conflicts.push({
+        type: 'duplicate-name',
+        file,
+        server: server.name,
+        message: `Duplicate server name ${server.name} (also defined in ${seenNames.get(server.name)})`
+      });
+    } else {
+      seenNames.set(server.name, file);
+    }
+
+    const seenVersions = new Set();
+    for (const version of server.versions) {
+      if (seenVersions.has(version.version)) {
+        conflicts.push({
+          type: 'duplicate-version',
+          file,
+          server: server.name,
+          message: `Duplicate version ${version.version} of ${server.name}`
+        });
+      }
+      seenVersions.add(version.version);
+    }
+
+    const latestCount = server.versions.filter(v => v.isLatest).length;
+    if (latestCount > 1) {
+      conflicts.push({
+        type: 'multiple-latest',
+        file,
+        server: server.name,
+        message: `${latestCount} versions of ${server.name} are marked isLatest`
+      });
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Get the latest version of a server
+ * @param {object} server - Server in internal format
+ * @returns {object}
+ */
+export function getLatestVersion(server) {
+  // Deleted (yanked) versions are only latest when nothing else is left
+  const available = server.versions.filter(v => v.status !== 'deleted');
+  const candidates = available.length > 0 ? available : server.versions;
+  return candidates.find(v => v.isLatest) || candidates[0];
+}
+
+// Lifecycle statuses, from least to most severe
+export const SERVER_STATUSES = ['active', 'deprecated', 'deleted'];
+
+/**
+ * Get the lifecycle status of a version
+ * A version is at least as deprecated or deleted as its server. The message
+ * comes from whichever of the two set the status.
+ * @param {object} server - Server in internal format
+ * @param {object} version - One of the server's versions
+ * @returns {{status: string, statusMessage?: string, replacedBy?: string}}
+ */
+export function getVersionStatus(server, version) {
+  const serverStatus = server.status || 'active';
+  const versionStatus = version.status || 'active';
+  const fromVersion = SERVER_STATUSES.indexOf(versionStatus) >= SERVER_STATUSES.indexOf(serverStatus);
+  const statusMessage = fromVersion ? version.statusMessage || server.statusMessage : server.statusMessage;
+
+  return {
+    status: fromVersion ? versionStatus : serverStatus,
+    ...(statusMessage && { statusMessage }),
+    ...(server.replacedBy && { replacedBy: server.replacedBy })
+  };
+}
+
+/**
+ * Check whether a server is hidden from the server list
+ * That is when the server is deleted, or every one of its versions is.
+ * @param {object} server - Server in internal format
+ * @returns {boolean}
+ */
+export function isServerDeleted(server) {
+  return server.status === 'deleted' || server.versions.every(v => v.status === 'deleted');
+}
+
+/**
+ * Transform to VS Code / Official MCP Registry compatible format
+ * This wraps each server in {server: {...}, _meta: {...}} structure
+ * @param {object} server - Server in internal format
+ * @param {object} version - One of the server's versions
+ * @returns {object}
+ */
+export function toVSCodeServerFormat(server, version) {
+  // Timestamps come from the server file's commit history (see git-history.js)
+  const history = server._history || {};
+  const publishedAt = version.releaseDate ? new Date(version.releaseDate).toISOString() : history.publishedAt;
+  return {
+    server: {
+      $schema: OFFICIAL_SCHEMA,
+      name: server.name,
+      title: server.title,        // VS Code gallery looks for 'title' first
+      description: server.description,
+      icons: server.icons,
+      repository: server.repository,
+      version: version.version,
+      packages: version.packages,
+      remotes: version.remotes,
+      websiteUrl: server.websiteUrl,
+      _meta: version._meta
+    },
+    _meta: {
+      'io.modelcontextprotocol.registry/official': {
+        ...getVersionStatus(server, version),
+        publishedAt,
+        updatedAt: history.updatedAt || publishedAt,
+        isLatest: version.isLatest || false
+      }
+    }
+  };
+}
+
+/**
+ * Build a server list response (latest version of each server)
+ * @param {Array} servers - Servers in internal format, already sorted and filtered
+ * @param {object} metadata - Extra metadata fields (e.g. nextCursor)
+ * @returns {{servers: Array, metadata: object}}
+ */
+export function toServerListResponse(servers, metadata = {}) {
+  return {
+    servers: servers.map(server => toVSCodeServerFormat(server, getLatestVersion(server))),
+    metadata: {
+      count: servers.length,
+      ...metadata
+    }
+  };
+}
+
+/**
+ * Build the response listing every version of one server
+ * Deleted (yanked) versions are left out unless includeDeleted is set.
+ * @param {object} server - Server in internal format
+ * @param {object} options
+ * @param {boolean} options.includeDeleted - Include deleted versions
+ * @returns {{servers: Array, metadata: object}}
+ */
+export function toVersionListResponse(server, { includeDeleted = false } = {}) {
+  const versions = includeDeleted ? server.versions : server.versions.filter(v => v.status !== 'deleted');
+  return {
+    servers: versions.map(v => toVSCodeServerFormat(server, v)),
+    metadata: {
+      count: versions.length
+    }
+  };
+}
+
+/**
+ * Serialize an API response
+ * Static files and dynamic responses use the same formatting.
+ * @param {object} data - Response body
+ * @returns {string}
+ */
+export function serializeResponse(data) {
+  return JSON.stringify(data, null, 2);
+}
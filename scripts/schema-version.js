@@ -0,0 +1,11 @@
+/**
+ * Schema Version
+ *
+ * The official server.json schema that API responses advertise and imported
+ * files are written with. The web UI imports it too (through server-import.js),
+ * so it must not depend on Node.js modules; the servers and the static build
+ * serve it at /scripts/schema-version.js.
+ */
+
+export const SCHEMA_VERSION = '2025-12-11';
+export const OFFICIAL_SCHEMA = `https://static.modelcontextprotocol.io/schemas/${SCHEMA_VERSION}/server.schema.json`;
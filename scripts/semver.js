@@ -0,0 +1,157 @@
+/**
+ * Semver Ranges
+ *
+ * Just enough of npm's range syntax for mirror.json version specs:
+ * exact versions, comparators (>=1.2.0 <2.0.0), caret (^1.2.0), tilde
+ * (~1.2.0), x-ranges (1.x, 1.2.*, *) and alternatives joined with "||".
+ * As in npm, prerelease versions only match a comparator set that names a
+ * prerelease of the same major.minor.patch.
+ */
+
+const VERSION = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const PARTIAL = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?$/;
+const COMPARATOR = /^(<=|>=|<|>|=|\^|~)?\s*(.+)$/;
+
+/**
+ * Parse a full version string
+ * @returns {{major: number, minor: number, patch: number, prerelease: Array}|null} - null when not semver
+ */
+export function parseVersion(version) {
+  const match = String(version).trim().match(VERSION);
+  if (!match) return null;
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.').map(id => (/^\d+$/.test(id) ? Number(id) : id)) : []
+  };
+}
+
+/**
+ * Compare two parsed versions (-1, 0 or 1)
+ */
+function compareParsed(a, b) {
+  for (const key of ['major', 'minor', 'patch']) {
+    if (a[key] !== b[key]) return a[key] < b[key] ? -1 : 1;
+  }
+  // A release is newer than its prereleases
+  if (a.prerelease.length === 0 && b.prerelease.length === 0) return 0;
+  if (a.prerelease.length === 0) return 1;
+  if (b.prerelease.length === 0) return -1;
+  for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+    const x = a.prerelease[i];
+    const y = b.prerelease[i];
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    if (x === y) continue;
+    if (typeof x !== typeof y) return typeof x === 'number' ? -1 : 1;
+    return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Compare two version strings
+ * Non-semver versions fall back to the numeric-aware ordering mergeVersions uses.
+ */
+export function compareVersions(a, b) {
+  const x = parseVersion(a);
+  const y = parseVersion(b);
+  if (x && y) return compareParsed(x, y);
+  return Math.sign(String(a).localeCompare(String(b), undefined, { numeric: true }));
+}
+
+/**
+ * Turn a comparator ("^1.2", ">=2.0.0", "1.x") into simple [operator, version] tests
+ */
+function toTests(comparator) {
+  const [, operator = '', rest] = comparator.match(COMPARATOR);
+  const partial = rest.match(PARTIAL);
+  if (!partial) {
+    throw new Error(`Invalid version range "${comparator}"`);
+  }
+
+  const isWild = part => part === undefined || /^[xX*]$/.test(part);
+  const [major, minor, patch] = [partial[1], partial[2], partial[3]].map(p => (isWild(p) ? null : Number(p)));
+  const prerelease = partial[4] ? partial[4].split('.').map(id => (/^\d+$/.test(id) ? Number(id) : id)) : [];
+  const version = (ma, mi, pa, pre = []) => ({ major: ma, minor: mi, patch: pa, prerelease: pre });
+  const floor = version(major ?? 0, minor ?? 0, patch ?? 0, prerelease);
+
+  if (major === null) {
+    return operator === '<' || operator === '>' ? [['<', version(0, 0, 0)]] : [];
+  }
+
+  // Exclusive upper bound of an x-range (1.x -> 2.0.0, 1.2.x -> 1.3.0)
+  const xUpper = minor === null ? version(major + 1, 0, 0) : version(major, minor + 1, 0);
+  const partialVersion = minor === null || patch === null;
+
+  switch (operator) {
+    case '^': {
+      let upper;
+      if (major > 0 || minor === null) upper = version(major + 1, 0, 0);
+      else if (minor > 0 || patch === null) upper = version(0, minor + 1, 0);
+      else upper = version(0, 0, patch + 1);
+      return [['>=', floor], ['<', upper]];
+    }
+    case '~':
+      return [['>=', floor], ['<', minor === null ? version(major + 1, 0, 0) : version(major, minor + 1, 0)]];
+    case '>':
+      return [partialVersion ? ['>=', xUpper] : ['>', floor]];
+    case '>=':
+      return [['>=', floor]];
+    case '<':
+      return [['<', floor]];
+    case '<=':
+      return [partialVersion ? ['<', xUpper] : ['<=', floor]];
+    default:
+      return partialVersion ? [['>=', floor], ['<', xUpper]] : [['=', floor]];
+  }
+}
+
+/**
+ * Parse a range into comparator sets (one per "||" alternative)
+ */
+function parseRange(range) {
+  return String(range).split('||').map(set => {
+    const comparators = set.trim().replace(/(<=|>=|<|>|=|\^|~)\s+/g, '$1').split(/\s+/).filter(Boolean);
+    return {
+      tests: comparators.flatMap(toTests),
+      // Prereleases a set allows, as "major.minor.patch"
+      prereleases: comparators
+        .map(c => c.replace(COMPARATOR, '$2').match(VERSION))
+        .filter(m => m && m[4])
+        .map(m => `${m[1]}.${m[2]}.${m[3]}`)
+    };
+  });
+}
+
+/**
+ * Check that a range is valid
+ * @throws {Error} - Naming the invalid part
+ */
+export function assertValidRange(range) {
+  parseRange(range);
+}
+
+/**
+ * Check whether a version satisfies a range
+ * Versions that aren't semver only match "*" or their exact string.
+ */
+export function satisfies(version, range) {
+  const parsed = parseVersion(version);
+  if (!parsed) return String(range).trim() === '*' || String(range).trim() === version;
+
+  return parseRange(range).some(({ tests, prereleases }) => {
+    if (parsed.prerelease.length > 0 && !prereleases.includes(`${parsed.major}.${parsed.minor}.${parsed.patch}`)) {
+      return false;
+    }
+    return tests.every(([operator, bound]) => {
+      const cmp = compareParsed(parsed, bound);
+      if (operator === '=') return cmp === 0;
+      if (operator === '>') return cmp > 0;
+      if (operator === '>=') return cmp >= 0;
+      if (operator === '<') return cmp < 0;
+      return cmp <= 0;
+    });
+  });
+}
@@ -0,0 +1,132 @@
+/**
+ * Server List Query Helpers
+ *
+ * Implements the query parameters of the official MCP Registry list endpoint
+ * (GET /v0.1/servers) on top of the in-memory server cache:
+ *   search        - Case-insensitive substring match on the server name
+ *   limit         - Maximum number of servers per page (1-100)
+ *   cursor        - Opaque cursor from a previous response's metadata.nextCursor
+ *   updated_since - RFC 3339 timestamp; only servers updated after it are returned
+ *   include_deleted - "true" to include deleted servers, which are hidden by default
+ */
+
+import { isServerDeleted } from './registry-core.js';
+
+const MAX_LIMIT = 100;
+const RFC3339 = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i;
+
+/**
+ * Parse and validate list query parameters
+ * @param {URLSearchParams} searchParams - Query string parameters
+ * @returns {{search: string|null, limit: number|null, cursor: string|null, updatedSince: Date|null, includeDeleted: boolean}}
+ * @throws {Error} If a parameter is invalid
+ */
+export function parseListQuery(searchParams) {
+  const search = searchParams.get('search')?.trim() || null;
+  const cursor = searchParams.get('cursor') || null;
+  let limit = null;
+  let updatedSince = null;
+
+  if (searchParams.has('limit')) {
+    const raw = searchParams.get('limit');
+    limit = Number(raw);
+    if (!/^\d+$/.test(raw) || limit < 1) {
+      throw new Error(`Invalid limit "${raw}": must be a positive integer`);
+    }
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  if (cursor !== null && decodeCursor(cursor) === null) {
+    throw new Error(`Invalid cursor "${cursor}"`);
+  }
+
+  if (searchParams.has('updated_since')) {
+    const raw = searchParams.get('updated_since');
+    updatedSince = new Date(raw);
+    if (!RFC3339.test(raw) || isNaN(updatedSince.getTime())) {
+      throw new Error(`Invalid updated_since "${raw}": must be an RFC 3339 timestamp`);
+    }
+  }
+
+  const includeDeleted = parseIncludeDeleted(searchParams);
+
+  return { search, limit, cursor, updatedSince, includeDeleted };
+}
+
+/**
+ * Parse the include_deleted query parameter
+ * @param {URLSearchParams} searchParams - Query string parameters
+ * @returns {boolean}
+ * @throws {Error} If the value is not "true" or "false"
+ */
+export function parseIncludeDeleted(searchParams) {
+  const raw = searchParams.get('include_deleted');
+  if (raw === null || raw === 'false') return false;
+  if (raw === 'true') return true;
+  throw new Error(`Invalid include_deleted "${raw}": must be true or false`);
+}
+
+/**
+ * Encode a server name as an opaque pagination cursor
+ * @param {string} name - Name of the last server on the page
+ * @returns {string}
+ */
+export function encodeCursor(name) {
+  return Buffer.from(name, 'utf-8').toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor back to a server name
+ * @param {string} cursor - Cursor from metadata.nextCursor
+ * @returns {string|null} - Server name, or null if the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  if (!/^[A-Za-z0-9_-]+$/.test(cursor)) return null;
+  const name = Buffer.from(cursor, 'base64url').toString('utf-8');
+  return name.includes('/') ? name : null;
+}
+
+/**
+ * Filter and paginate servers
+ *
+ * Servers are ordered by name and the cursor is the name of the last server
+ * returned, so pages stay stable when servers are added or removed between
+ * requests. Servers without a known update time are always included by
+ * updated_since, so incremental syncs never miss them.
+ *
+ * @param {Array} servers - Servers in internal format
+ * @param {Object} query - Parsed query from parseListQuery()
+ * @returns {{servers: Array, nextCursor: string|undefined}}
+ */
+export function queryServers(servers, query = {}) {
+  const { search, limit, cursor, updatedSince, includeDeleted } = query;
+  let results = [...servers].sort((a, b) => a.name.localeCompare(b.name));
+
+  if (!includeDeleted) {
+    results = results.filter(s => !isServerDeleted(s));
+  }
+
+  if (search) {
+    const needle = search.toLowerCase();
+    results = results.filter(s => s.name.toLowerCase().includes(needle));
+  }
+
+  if (updatedSince) {
+    results = results.filter(s => {
+      const updatedAt = s._history?.updatedAt;
+      return !updatedAt || new Date(updatedAt) > updatedSince;
+    });
+  }
+
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    results = results.filter(s => s.name.localeCompare(after) > 0);
+  }
+
+  if (!limit || results.length <= limit) {
+    return { servers: results, nextCursor: undefined };
+  }
+
+  const page = results.slice(0, limit);
+  return { servers: page, nextCursor: encodeCursor(page[page.length - 1].name) };
+}
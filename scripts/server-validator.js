@@ -0,0 +1,73 @@
+/**
+ * Server File Validator
+ *
+ * Validates server definition files against schemas/server.schema.json.
+ * Shared by the build, the dynamic server and the `validate` CLI command so
+ * a file is accepted or rejected the same way everywhere.
+ */
+
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCHEMA_PATH = join(__dirname, '..', 'schemas', 'server.schema.json');
+
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
+const validateSchema = ajv.compile(JSON.parse(readFileSync(SCHEMA_PATH, 'utf-8')));
+
+/**
+ * Turn an Ajv error into a JSON pointer and a readable message
+ */
+function formatError(error) {
+  let pointer = error.instancePath;
+  let message = error.message;
+
+  switch (error.keyword) {
+    case 'required':
+      pointer = `${pointer}/${error.params.missingProperty}`;
+      message = 'is required';
+      break;
+    case 'additionalProperties':
+      pointer = `${pointer}/${error.params.additionalProperty}`;
+      message = 'is not allowed';
+      break;
+    case 'enum':
+      message = `${message}: ${error.params.allowedValues.join(', ')}`;
+      break;
+  }
+
+  return { pointer: pointer || '/', message };
+}
+
+/**
+ * Validate the parsed contents of a server file
+ * @param {object} data - Parsed JSON file contents
+ * @returns {Array<{pointer: string, message: string}>} - Empty when the file is valid
+ */
+export function validateServerFile(data) {
+  if (validateSchema(data)) return [];
+
+  return validateSchema.errors
+    // "must match then/else schema" only repeats the errors of the branch taken
+    .filter(error => error.keyword !== 'if')
+    .map(formatError);
+}
+
+/**
+ * Validate the parsed contents of a server file, throwing if it is invalid
+ * @param {object} data - Parsed JSON file contents
+ * @param {string} filePath - File path for error messages
+ */
+export function assertValidServerFile(data, filePath) {
+  const errors = validateServerFile(data);
+  if (errors.length > 0) {
+    const details = errors.map(e => `${e.pointer}: ${e.message}`).join('; ');
+    const err = new Error(`Invalid server file ${filePath}: ${details}`);
+    err.validationErrors = errors;
+    throw err;
+  }
+}
@@ -9,6 +9,12 @@
  *   MCP_REGISTRY_PATH    - Path to servers/ within repo (default: servers)
  *   MCP_WEBHOOK_SECRET   - Secret for validating webhook requests (optional)
  *   MCP_PORT             - Server port (default: 3443)
+ *   MCP_API_KEYS         - Comma-separated API keys required to read the API (optional)
+ *   MCP_JWKS_FILE        - JWKS file for verifying bearer JWTs (optional)
+ *   MCP_CLIENT_CA        - CA bundle for client certificate authentication (optional)
+ *   MCP_CORS_ORIGINS     - Comma-separated origins allowed by CORS (default: *)
+ *   LOG_LEVEL            - debug, info, warn, error or silent (default: info)
+ *   LOG_FORMAT           - pretty (default) or json, one object per line
  * 
  * Usage: 
  *   node scripts/server.cjs [port]
@@ -21,11 +27,16 @@ const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
 const { GitSync, BuildCache } = require('./git-sync.cjs');
+const { createAccessControl, sendAuthError, principalId } = require('./access-control.cjs');
+const { metrics, observeRequest, sendMetrics } = require('./metrics.cjs');
+const { logger, startRequestLog } = require('./logger.cjs');
+const { getCachePolicy, getCacheControl, createEntry, createResponseCache, sendEntry } = require('./http-cache.cjs');
 
 const ROOT = path.join(__dirname, '..');
 const DIST_DIR = path.join(ROOT, 'dist');
 const DEFAULT_PORT = parseInt(process.env.MCP_PORT) || 3443;
 const WEBHOOK_SECRET = process.env.MCP_WEBHOOK_SECRET;
+const WEB_DIR = path.join(ROOT, 'src', 'web');
 
 // Initialize git sync and build cache
 const gitSync = new GitSync();
@@ -35,14 +46,17 @@ const buildCache = new BuildCache();
 let isBuilding = false;
 let lastSuccessfulDistDir = DIST_DIR;
 
+// Served files with their ETags and compressed variants, until the next build
+const fileCache = createResponseCache();
+
 // Load SSL certificates (create with mkcert if they don't exist)
 const certPath = path.join(ROOT, 'localhost.pem');
 const keyPath = path.join(ROOT, 'localhost-key.pem');
 
 function loadCertificates() {
   if (!fs.existsSync(certPath) || !fs.existsSync(keyPath)) {
-    console.error('❌ SSL certificates not found!');
-    console.error('Run: mkcert -install && mkcert localhost');
+    logger.error('❌ SSL certificates not found!');
+    logger.error('Run: mkcert -install && mkcert localhost');
     process.exit(1);
   }
   return {
@@ -128,6 +142,34 @@ function resolveFilePath(urlPath, distDir = lastSuccessfulDistDir) {
   return null;
 }
 
+/**
+ * Report the number of servers in a build, from its build-report.json
+ */
+function updateServersLoaded(distDir = lastSuccessfulDistDir) {
+  try {
+    const report = JSON.parse(fs.readFileSync(path.join(distDir, 'build-report.json'), 'utf-8'));
+    metrics.serversLoaded.set(report.serverCount);
+  } catch {
+    // Builds from before build reports existed
+  }
+}
+
+/**
+ * Log each line a child process writes
+ */
+function forwardLines(stream, log) {
+  let buffered = '';
+  stream.setEncoding('utf-8');
+  stream.on('data', (chunk) => {
+    const lines = (buffered + chunk).split('\n');
+    buffered = lines.pop();
+    lines.forEach(log);
+  });
+  stream.on('end', () => {
+    if (buffered) log(buffered);
+  });
+}
+
 /**
  * Run the build script
  * @param {string} serversDir - Source directory for server files
@@ -136,40 +178,59 @@ function resolveFilePath(urlPath, distDir = lastSuccessfulDistDir) {
  */
 async function runBuild(serversDir, distDir) {
   if (isBuilding) {
-    console.log('⏳ Build already in progress, skipping...');
+    logger.info('⏳ Build already in progress, skipping...');
     return false;
   }
 
   isBuilding = true;
+  const stopTimer = metrics.buildDuration.startTimer();
+  const finish = (result) => {
+    stopTimer({ result });
+    metrics.builds.inc({ result });
+  };
   
   return new Promise((resolve) => {
     const env = { ...process.env };
     if (serversDir) env.MCP_SERVERS_DIR = serversDir;
     if (distDir) env.MCP_DIST_DIR = distDir;
 
-    console.log('🔨 Starting build...');
-    const build = spawn('node', [path.join(__dirname, 'build.js')], {
+    logger.info('🔨 Starting build...');
+    // Build from the local (or cloned) servers directory; the build shapes
+    // responses with registry-core.js, exactly like the dynamic server.
+    // Callers are authenticated here, so the build also writes audience trees
+    const build = spawn('node', [path.join(__dirname, 'build.js'), '--local', '--audiences'], {
       cwd: ROOT,
       env,
-      stdio: 'inherit'
+      stdio: logger.format === 'json' ? ['ignore', 'pipe', 'pipe'] : 'inherit'
     });
+    
+    // In JSON mode the build's console output becomes log lines too
+    if (logger.format === 'json') {
+      forwardLines(build.stdout, line => logger.info(line, { component: 'build' }));
+      forwardLines(build.stderr, line => logger.warn(line, { component: 'build' }));
+    }
 
     build.on('close', (code) => {
       isBuilding = false;
       if (code === 0) {
+        finish('success');
         lastSuccessfulDistDir = distDir || DIST_DIR;
+        fileCache.clear();
         buildCache.markBuilt(gitSync.currentCommitHash);
+        updateServersLoaded();
         resolve(true);
       } else {
-        console.error(`❌ Build failed with code ${code}`);
-        console.log('📦 Continuing to serve last successful build');
+        finish('failure');
+        logger.error(`❌ Build failed with code ${code}`);
+        logger.info('📦 Continuing to serve last successful build');
         resolve(false);
       }
     });
 
     build.on('error', (err) => {
       isBuilding = false;
-      console.error('❌ Build error:', err.message);
+      finish('failure');
+      logger.error(`❌ Build error: ${err.message}`, { err });
       resolve(false);
     });
   });
@@ -201,10 +262,13 @@ async function handleWebhook(req, res) {
   req.on('data', chunk => { body += chunk; });
   
   req.on('end', async () => {
+    const event = req.headers['x-github-event'] || req.headers['x-gitlab-event'] || 'unknown';
+    
     // Validate signature if secret is configured
     const signature = req.headers['x-hub-signature-256'];
     if (!validateWebhookSignature(body, signature)) {
-      console.warn('⚠️  Webhook signature validation failed');
+      logger.warn('⚠️  Webhook signature validation failed');
+      metrics.webhookEvents.inc({ event, result: 'rejected' });
       res.writeHead(403, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ error: 'Invalid signature' }));
       return;
@@ -214,11 +278,11 @@ async function handleWebhook(req, res) {
       const payload = JSON.parse(body);
       const branch = payload.ref?.replace('refs/heads/', '') || 'unknown';
       
-      console.log(`🔔 Webhook received for branch: ${branch}`);
+      logger.info(`🔔 Webhook received for branch: ${branch}`);
       
       // Only rebuild if it's for our tracked branch
       if (branch === gitSync.branch || !gitSync.isRemote) {
-        console.log('🔄 Triggering rebuild from webhook...');
+        logger.info('🔄 Triggering rebuild from webhook...');
         
         if (gitSync.isRemote) {
           gitSync.pull();
@@ -228,6 +292,7 @@ async function handleWebhook(req, res) {
           gitSync.isRemote ? gitSync.serversDir : undefined,
           DIST_DIR
         );
+        metrics.webhookEvents.inc({ event, result: 'triggered' });
         
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ 
@@ -236,6 +301,7 @@ async function handleWebhook(req, res) {
           commit: gitSync.currentCommitHash?.slice(0, 8)
         }));
       } else {
+        metrics.webhookEvents.inc({ event, result: 'ignored' });
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ 
           success: true, 
@@ -243,7 +309,8 @@ async function handleWebhook(req, res) {
         }));
       }
     } catch (err) {
-      console.error('❌ Webhook error:', err.message);
+      logger.error(`❌ Webhook error: ${err.message}`, { err });
+      metrics.webhookEvents.inc({ event, result: 'failed' });
       res.writeHead(500, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ error: 'Webhook processing failed' }));
     }
@@ -264,21 +331,70 @@ function handleStatus(res) {
     distDir: lastSuccessfulDistDir
   };
   
-  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': getCacheControl('none') });
   res.end(JSON.stringify(status, null, 2));
 }
 
+/**
+ * Get a served file with its ETag, reading it again when it has changed
+ */
+function getFileEntry(filePath) {
+  const stat = fs.statSync(filePath);
+  const cached = fileCache.get(filePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+    return cached;
+  }
+  const entry = createEntry(fs.readFileSync(filePath), getMimeType(filePath));
+  return fileCache.set(filePath, Object.assign(entry, { mtimeMs: stat.mtimeMs, size: stat.size }));
+}
+
+/**
+ * Check whether a path is part of the web UI (served without authentication)
+ */
+function isWebAsset(urlPath) {
+  const pathOnly = urlPath.split('?')[0];
+  if (pathOnly === '/' || pathOnly.startsWith('/schemas/') || pathOnly === '/scripts/schema-version.js') return true;
+  const file = pathOnly.slice(1);
+  return !file.includes('/') && fs.existsSync(path.join(WEB_DIR, file));
+}
+
+/**
+ * Get the build output tree a caller may see
+ * Builds with restricted servers write one tree per audience under
+ * audiences/, and audiences/index.json maps callers to theirs.
+ */
+function getAudienceDir(principal, distDir = lastSuccessfulDistDir) {
+  const indexPath = path.join(distDir, 'audiences', 'index.json');
+  const id = principalId(principal);
+  if (!id || !fs.existsSync(indexPath)) return distDir;
+
+  const { members } = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+  return members[id] ? path.join(distDir, 'audiences', members[id]) : distDir;
+}
+
+/**
+ * Check whether a path points into the per-audience trees
+ */
+function isAudiencePath(urlPath, distDir = lastSuccessfulDistDir) {
+  const relative = path.relative(distDir, path.join(distDir, urlPath.split('?')[0]));
+  return relative.split(path.sep)[0].toLowerCase() === 'audiences';
+}
+
 /**
  * Create and configure the HTTPS server
  */
-function createServer() {
-  const options = loadCertificates();
+function createServer(accessControl = createAccessControl()) {
+  const options = { ...loadCertificates(), ...accessControl.tlsOptions };
   
   return https.createServer(options, async (req, res) => {
+    observeRequest(req, res);
+    const request = startRequestLog(req, res);
+    
     // CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Hub-Signature-256');
+    accessControl.applyCors(req, res, {
+      methods: 'GET, POST, OPTIONS',
+      headers: 'Content-Type, Authorization, X-Hub-Signature-256, X-Request-Id'
+    });
     
     if (req.method === 'OPTIONS') {
       res.writeHead(204);
@@ -294,15 +410,34 @@ function createServer() {
       return;
     }
     
+    // Everything but the web UI needs an API key, JWT or client certificate
+    // when authentication is configured
+    let principal = null;
+    if (!isWebAsset(urlPath)) {
+      const auth = accessControl.authenticate(req);
+      if (!auth.ok) {
+        sendAuthError(res, auth);
+        return;
+      }
+      principal = auth.principal;
+      request.caller = principalId(principal);
+    }
+    
     // Handle status endpoint
     if (req.method === 'GET' && urlPath === '/_status') {
       handleStatus(res);
       return;
     }
     
+    // Prometheus metrics
+    if (req.method === 'GET' && urlPath.split('?')[0] === '/metrics') {
+      sendMetrics(res);
+      return;
+    }
+    
     // Handle manual refresh endpoint
     if (req.method === 'POST' && urlPath === '/_refresh') {
-      console.log('🔄 Manual refresh requested');
+      logger.info('🔄 Manual refresh requested');
       if (gitSync.isRemote) {
         const hadUpdates = gitSync.refresh();
         if (hadUpdates || buildCache.needsRebuild(gitSync.currentCommitHash)) {
@@ -316,9 +451,8 @@ function createServer() {
       return;
     }
     
-    console.log(`${req.method} ${urlPath}`);
-    
-    const filePath = resolveFilePath(urlPath);
+    // Audience trees are only reachable through the caller's identity
+    const filePath = isAudiencePath(urlPath) ? null : resolveFilePath(urlPath, getAudienceDir(principal));
     
     if (!filePath) {
       res.writeHead(404, { 'Content-Type': 'application/json' });
@@ -327,12 +461,14 @@ function createServer() {
     }
     
     try {
-      const content = fs.readFileSync(filePath);
-      const mimeType = getMimeType(filePath);
-      res.writeHead(200, { 'Content-Type': mimeType });
-      res.end(content);
+      // Web UI files are the same for everyone; the rest may depend on the caller's audience
+      const isPrivate = accessControl.enabled && !isWebAsset(urlPath);
+      sendEntry(req, res, getFileEntry(filePath), {
+        cacheControl: getCacheControl(getCachePolicy(urlPath), isPrivate),
+        vary: isPrivate ? ['Authorization'] : []
+      });
     } catch (err) {
-      console.error(`Error reading ${filePath}:`, err.message);
+      logger.error(`❌ Error reading ${filePath}: ${err.message}`);
       res.writeHead(500, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ error: 'Internal server error' }));
     }
@@ -343,7 +479,7 @@ function createServer() {
  * Initialize and start the server
  */
 async function main() {
-  console.log('🚀 MCP Registry Server\n');
+  logger.info('🚀 MCP Registry Server\n');
   
   const port = parseInt(process.argv[2]) || DEFAULT_PORT;
   
@@ -357,55 +493,59 @@ async function main() {
       : !fs.existsSync(path.join(DIST_DIR, 'api'));
     
     if (needsBuild) {
-      console.log('\n📦 Building registry...\n');
+      logger.info('\n📦 Building registry...\n');
       const success = await runBuild(
         isRemote ? gitSync.serversDir : undefined,
         DIST_DIR
       );
       if (!success && !fs.existsSync(DIST_DIR)) {
-        console.error('❌ Initial build failed and no existing dist/');
+        logger.error('❌ Initial build failed and no existing dist/');
         process.exit(1);
       }
     } else {
-      console.log('✅ Using cached build (no changes detected)');
+      logger.info('✅ Using cached build (no changes detected)');
+      updateServersLoaded();
     }
     
     // Start polling for updates if using remote repo
     if (isRemote) {
       gitSync.startPolling(async () => {
-        console.log('\n🔨 Rebuilding after remote update...');
+        logger.info('\n🔨 Rebuilding after remote update...');
         await runBuild(gitSync.serversDir, DIST_DIR);
       });
     }
     
     // Create and start the server
-    const server = createServer();
+    const accessControl = createAccessControl();
+    logger.info(`🔐 Authentication: ${accessControl.enabled ? accessControl.methods.join(', ') : 'disabled'}`);
+    const server = createServer(accessControl);
     
     server.listen(port, () => {
-      console.log(`\n🚀 Server running at https://localhost:${port}`);
-      console.log(`   📁 Serving: ${lastSuccessfulDistDir}`);
+      logger.info(`\n🚀 Server running at https://localhost:${port}`);
+      logger.info(`   📁 Serving: ${lastSuccessfulDistDir}`);
       if (isRemote) {
-        console.log(`   📡 Tracking: ${gitSync.repoUrl} (${gitSync.branch})`);
-        console.log(`   ⏱️  Polling: every ${gitSync.pollInterval}s`);
+        logger.info(`   📡 Tracking: ${gitSync.repoUrl} (${gitSync.branch})`);
+        logger.info(`   ⏱️  Polling: every ${gitSync.pollInterval}s`);
       }
-      console.log(`\n📌 Endpoints:`);
-      console.log(`   GET  /_status     - Server status`);
-      console.log(`   POST /_refresh    - Force rebuild`);
-      console.log(`   POST /webhook     - GitHub/GitLab webhook`);
+      logger.info(`\n📌 Endpoints:`);
+      logger.info(`   GET  /_status     - Server status`);
+      logger.info(`   GET  /metrics     - Prometheus metrics`);
+      logger.info(`   POST /_refresh    - Force rebuild`);
+      logger.info(`   POST /webhook     - GitHub/GitLab webhook`);
     });
     
     // Graceful shutdown
     process.on('SIGINT', () => {
-      console.log('\n\n👋 Shutting down...');
+      logger.info('\n\n👋 Shutting down...');
       gitSync.stopPolling();
       server.close(() => {
-        console.log('✅ Server stopped');
+        logger.info('✅ Server stopped');
         process.exit(0);
       });
     });
     
   } catch (err) {
-    console.error('❌ Startup failed:', err.message);
+    logger.error(`❌ Startup failed: ${err.message}`);
     process.exit(1);
   }
 }
@@ -0,0 +1,148 @@
+/**
+ * Server Visibility
+ *
+ * Servers are visible to everyone unless they list groups in "visibility";
+ * then only callers in one of those groups see them. The groups callers
+ * belong to live in audiences.json next to servers/:
+ *
+ *   {
+ *     "groups": {
+ *       "finance": ["api-key:finance-portal", "jwt:alice@example.com"],
+ *       "platform": ["api-key:ci", "client-certificate:build-agent"]
+ *     }
+ *   }
+ *
+ * Members are authenticated callers, named by how they authenticated and
+ * their name: the name of an API key in MCP_API_KEYS, the "sub" claim of a
+ * JWT or the common name of a client certificate. Anonymous callers (and
+ * everyone, without an audiences.json) only see servers without groups.
+ *
+ * The callers sharing a set of groups form an audience. The dynamic server
+ * filters every response by the caller's groups; the static build writes one
+ * output tree per audience, which server.cjs picks per caller.
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { principalId } from './access-control.cjs';
+
+export const GROUP_NAME = /^[a-z0-9][a-z0-9._-]*$/;
+const MEMBER = /^(api-key|jwt|client-certificate):.+$/;
+
+/**
+ * Check the parsed contents of an audiences file
+ * @param {object} data - Parsed audiences.json
+ * @returns {{groups: Object<string, string[]>}}
+ */
+export function parseAudiences(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Audiences must be an object with "groups"');
+  }
+  const unknown = Object.keys(data).find(key => !['$comment', 'groups'].includes(key));
+  if (unknown) {
+    throw new Error(`Unknown field "${unknown}"`);
+  }
+  if (!data.groups || typeof data.groups !== 'object' || Array.isArray(data.groups)) {
+    throw new Error('"groups" must map group names to members');
+  }
+
+  for (const [group, members] of Object.entries(data.groups)) {
+    if (!GROUP_NAME.test(group)) {
+      throw new Error(`Invalid group name "${group}" (lowercase letters, digits, ".", "_" or "-")`);
+    }
+    if (!Array.isArray(members)) {
+      throw new Error(`groups.${group}: must be a list of members`);
+    }
+    const invalid = members.find(member => typeof member !== 'string' || !MEMBER.test(member));
+    if (invalid !== undefined) {
+      throw new Error(`groups.${group}: invalid member "${invalid}" (expected api-key:name, jwt:subject or client-certificate:name)`);
+    }
+  }
+
+  return { groups: data.groups };
+}
+
+/**
+ * Load an audiences file
+ * @param {string} file - Path to audiences.json
+ * @returns {Promise<object|null>} - Parsed audiences, or null when there is no file
+ */
+export async function loadAudiences(file) {
+  if (!existsSync(file)) return null;
+
+  try {
+    return parseAudiences(JSON.parse(await readFile(file, 'utf-8')));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Get the groups of a caller
+ * @param {object|null} audiences - From loadAudiences
+ * @param {object|null} principal - Authenticated caller (see access-control.cjs)
+ * @returns {string[]} - Sorted group names
+ */
+export function getCallerGroups(audiences, principal) {
+  const id = principalId(principal);
+  if (!audiences || !id) return [];
+  return Object.keys(audiences.groups)
+    .filter(group => audiences.groups[group].includes(id))
+    .sort();
+}
+
+/**
+ * Check whether callers in the given groups may see a server
+ */
+export function isVisibleTo(server, groups) {
+  return !server.visibility?.length || server.visibility.some(group => groups.includes(group));
+}
+
+/**
+ * Get the servers callers in the given groups may see
+ */
+export function filterVisible(servers, groups) {
+  return servers.filter(server => isVisibleTo(server, groups));
+}
+
+/**
+ * Name the audience of a set of groups (e.g. "finance+platform")
+ */
+export function getAudienceId(groups) {
+  return [...groups].sort().join('+');
+}
+
+/**
+ * List the audiences the static build writes a tree for: every group named
+ * by a server or audiences.json, and every combination of groups a member has
+ * @param {object|null} audiences - From loadAudiences
+ * @param {Array} servers - Servers in internal format
+ * @returns {{audiences: Object<string, string[]>, members: Object<string, string>}}
+ *   groups by audience id, and the audience id of each member
+ */
+export function listAudiences(audiences, servers) {
+  const result = { audiences: {}, members: {} };
+  const add = groups => {
+    const id = getAudienceId(groups);
+    result.audiences[id] = [...groups].sort();
+    return id;
+  };
+
+  for (const server of servers) {
+    (server.visibility || []).forEach(group => add([group]));
+  }
+  if (!audiences) return result;
+
+  const memberGroups = new Map();
+  for (const [group, members] of Object.entries(audiences.groups)) {
+    add([group]);
+    for (const member of members) {
+      memberGroups.set(member, [...(memberGroups.get(member) || []), group]);
+    }
+  }
+  for (const [member, groups] of memberGroups) {
+    result.members[member] = add(groups);
+  }
+
+  return result;
+}
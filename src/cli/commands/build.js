@@ -13,6 +13,9 @@ export async function buildCommand(options) {
   if (options.watch) {
     args.push('--watch');
   }
+  if (options.strict) {
+    args.push('--strict');
+  }
 
   const child = spawn('node', args, {
     stdio: 'inherit',
@@ -0,0 +1,79 @@
+import { readFile, writeFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { findJsonFiles } from '../../../scripts/local-source.js';
+import { parseServerFile, getLatestVersion, toVSCodeServerFormat } from '../../../scripts/registry-core.js';
+import { toClientConfig, CLIENT_FORMATS } from '../../web/client-config.js';
+
+/**
+ * Load all servers from the local registry
+ * Invalid files are skipped with a warning; `mcp-registry validate` has the details.
+ */
+async function loadLocalServers(dir) {
+  const servers = [];
+  for (const file of await findJsonFiles(dir)) {
+    try {
+      servers.push(...parseServerFile(JSON.parse(await readFile(file, 'utf-8')), file));
+    } catch {
+      // stderr, so the config on stdout stays pasteable
+      console.error(`⚠️  Skipping invalid file ${file}`);
+    }
+  }
+  return servers;
+}
+
+/**
+ * Resolve "name" or "name@version" to a server in the API format
+ */
+function resolveServer(servers, ref) {
+  const [name, versionId] = ref.split('@');
+  const server = servers.find(s => s.name === name);
+  if (!server) {
+    throw new Error(`Server not found: ${name}`);
+  }
+
+  const version = versionId && versionId !== 'latest'
+    ? server.versions.find(v => v.version === versionId)
+    : getLatestVersion(server);
+  if (!version) {
+    throw new Error(`Version not found: ${name}@${versionId}`);
+  }
+
+  return toVSCodeServerFormat(server, version).server;
+}
+
+/**
+ * Export command handler
+ */
+export async function exportCommand(names, options) {
+  const { dir, format, output } = options;
+
+  if (!CLIENT_FORMATS.includes(format)) {
+    console.error(`❌ Unknown format "${format}" (expected one of: ${CLIENT_FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+
+  if (!existsSync(dir)) {
+    console.error(`❌ Servers directory not found: ${dir}`);
+    process.exit(1);
+  }
+
+  let config;
+  try {
+    const servers = await loadLocalServers(dir);
+    config = toClientConfig(names.map(ref => resolveServer(servers, ref)), format);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  const json = JSON.stringify(config, null, 2) + '\n';
+
+  // Print to stdout by default so the config can be piped or pasted
+  if (!output) {
+    process.stdout.write(json);
+    return;
+  }
+
+  await writeFile(output, json);
+  console.log(`✅ Wrote ${format} config for ${names.length} server(s) to ${output}`);
+}
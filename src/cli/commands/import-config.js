@@ -0,0 +1,317 @@
+import { writeFile, mkdir, readFile } from 'fs/promises';
+import { join, dirname, basename, resolve } from 'path';
+import { existsSync } from 'fs';
+import { OFFICIAL_SCHEMA } from '../../../scripts/registry-core.js';
+import { validateServerFile } from '../../../scripts/server-validator.js';
+import { assertNamespaceOwnership } from '../../../scripts/namespace-policy.js';
+
+// Namespace for servers whose name can't be derived from a package scope
+const DEFAULT_NAMESPACE = 'io.github.unknown';
+
+// Version used when the config doesn't pin one
+const DEFAULT_VERSION = '1.0.0';
+
+const NAME_PATTERN = /^[a-z][a-z0-9-]*(\.[a-z][a-z0-9-]*)*\/[a-z][a-z0-9-]*$/;
+const SEMVER_PATTERN = /^[0-9]+\.[0-9]+\.[0-9]+(-[a-zA-Z0-9.-]+)?(\+[a-zA-Z0-9.-]+)?$/;
+const SECRET_PATTERN = /key|token|secret|password|credential|auth|(^|_)pat(_|$)/i;
+
+// docker run options that VS Code adds itself when installing an OCI package
+const DOCKER_DEFAULT_OPTIONS = new Set(['-i', '--interactive', '--rm', '-t', '--tty', '-it']);
+
+// docker run options that take a value
+const DOCKER_VALUE_OPTIONS = new Set([
+  '-e', '--env', '--env-file', '-v', '--volume', '--mount', '--name', '-p', '--publish',
+  '--network', '-w', '--workdir', '-u', '--user', '--entrypoint', '--platform', '-l', '--label'
+]);
+
+/**
+ * Get the servers map from a client config
+ * Supports VS Code mcp.json ("servers"), VS Code settings.json ("mcp.servers")
+ * and Claude Desktop / Cursor ("mcpServers").
+ */
+function getConfigServers(data) {
+  const servers = data.mcpServers || data.servers || data.mcp?.servers;
+  if (!servers || typeof servers !== 'object' || Array.isArray(servers)) {
+    throw new Error('No "servers" or "mcpServers" object found in config');
+  }
+  return servers;
+}
+
+/**
+ * Turn a config key or package name into a valid name segment
+ */
+function toNameSegment(value) {
+  const segment = value
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, '-')
+    .replace(/^[^a-z]+/, '')
+    .replace(/-+$/, '');
+  return segment || 'server';
+}
+
+/**
+ * Split a pinned version off a package reference
+ * e.g. "@scope/pkg@1.2.3", "pkg==1.2.3", "image:1.2.3"
+ */
+function splitVersion(ref, separator) {
+  const index = ref.lastIndexOf(separator);
+  // Ignore the leading @ of a scoped npm package
+  if (index <= 0) return { identifier: ref, version: undefined };
+
+  const version = ref.slice(index + separator.length);
+  if (!SEMVER_PATTERN.test(version.replace(/^v/, ''))) {
+    return { identifier: ref, version: undefined };
+  }
+  return { identifier: ref.slice(0, index), version: version.replace(/^v/, '') };
+}
+
+/**
+ * Take the first non-flag argument as the package, the rest as its arguments
+ */
+function splitPackageArgs(args) {
+  const index = args.findIndex(arg => !arg.startsWith('-'));
+  if (index === -1) return { ref: undefined, rest: [] };
+  return { ref: args[index], rest: args.slice(index + 1) };
+}
+
+/**
+ * Infer the package from a stdio command line
+ * @param {string} command - Config "command"
+ * @param {string[]} args - Config "args"
+ * @returns {{package: object, version?: string, rest: string[], runtimeArgs?: string[], envNames?: string[]}}
+ */
+function inferPackage(command, args) {
+  const runtime = basename(command).replace(/\.(exe|cmd)$/i, '');
+
+  if (runtime === 'npx') {
+    const { ref, rest } = splitPackageArgs(args);
+    if (!ref) throw new Error('npx command has no package argument');
+    const { identifier, version } = splitVersion(ref, '@');
+    return { package: { registryType: 'npm', identifier, runtimeHint: 'npx' }, version, rest };
+  }
+
+  if (runtime === 'uvx') {
+    const { ref, rest } = splitPackageArgs(args);
+    if (!ref) throw new Error('uvx command has no package argument');
+    const pinned = ref.includes('==') ? splitVersion(ref, '==') : splitVersion(ref, '@');
+    return { package: { registryType: 'pypi', identifier: pinned.identifier, runtimeHint: 'uvx' }, version: pinned.version, rest };
+  }
+
+  if (/^python(3(\.\d+)?)?$/.test(runtime)) {
+    const index = args.indexOf('-m');
+    if (index === -1 || !args[index + 1]) throw new Error('python command must run a module with -m');
+    return {
+      package: { registryType: 'pypi', identifier: args[index + 1], runtimeHint: 'python' },
+      version: undefined,
+      rest: args.slice(index + 2)
+    };
+  }
+
+  if (runtime === 'dnx') {
+    const { ref, rest } = splitPackageArgs(args);
+    if (!ref) throw new Error('dnx command has no package argument');
+    const { identifier, version } = splitVersion(ref, '@');
+    return { package: { registryType: 'nuget', identifier, runtimeHint: 'dnx' }, version, rest };
+  }
+
+  if (runtime === 'docker' && args[0] === 'run') {
+    return inferDockerPackage(args.slice(1));
+  }
+
+  throw new Error(`Cannot infer a package from command "${command}" (supported: npx, uvx, python -m, dnx, docker run)`);
+}
+
+/**
+ * Infer an OCI package from `docker run` arguments
+ * Environment variables passed with -e become environment variables of the
+ * package; other docker options are kept as runtime arguments.
+ */
+function inferDockerPackage(args) {
+  const envNames = [];
+  const runtimeArgs = [];
+  let index = 0;
+
+  while (index < args.length && args[index].startsWith('-')) {
+    const option = args[index];
+    const takesValue = DOCKER_VALUE_OPTIONS.has(option);
+    const value = takesValue ? args[index + 1] : undefined;
+    if (takesValue && value === undefined) {
+      throw new Error(`docker option ${option} has no value`);
+    }
+
+    if (option === '-e' || option === '--env') {
+      envNames.push(value.split('=')[0]);
+    } else if (!DOCKER_DEFAULT_OPTIONS.has(option)) {
+      runtimeArgs.push(option, ...(takesValue ? [value] : []));
+    }
+    index += takesValue ? 2 : 1;
+  }
+
+  const image = args[index];
+  if (!image) throw new Error('docker run command has no image');
+
+  const { identifier, version } = splitVersion(image, ':');
+  return {
+    package: { registryType: 'oci', identifier, runtimeHint: 'docker' },
+    version,
+    rest: args.slice(index + 1),
+    runtimeArgs,
+    envNames
+  };
+}
+
+/**
+ * Describe a variable by name only; values from client configs may be secrets
+ */
+function toVariable(name) {
+  const variable = { name, isRequired: true };
+  if (SECRET_PATTERN.test(name)) {
+    variable.isSecret = true;
+  }
+  return variable;
+}
+
+/**
+ * Derive the registry name for a config entry
+ * Keys that already are registry names are kept so gallery enrichment matches.
+ */
+function inferServerName(key, identifier, namespace) {
+  if (NAME_PATTERN.test(key)) return key;
+
+  // npm packages starting with @org/ -> com.org/package-name
+  const scoped = identifier?.match(/^@([^/]+)\/(.+)$/);
+  if (scoped) {
+    return `com.${toNameSegment(scoped[1])}/${toNameSegment(scoped[2])}`;
+  }
+
+  const base = identifier ? identifier.split('/').pop() : key;
+  return `${namespace}/${toNameSegment(base)}`;
+}
+
+/**
+ * Convert one client config entry to a server.json object
+ * @param {string} key - Server key in the config
+ * @param {object} entry - Config entry (command/args/env or url/headers)
+ * @param {object} options - Conversion options
+ * @param {string} options.namespace - Namespace for names that can't be derived
+ * @param {string} options.source - Config file name, for the description
+ * @returns {object} - Server in the flat official format
+ */
+export function convertConfigServer(key, entry, options = {}) {
+  const namespace = options.namespace || DEFAULT_NAMESPACE;
+  let name;
+  let version;
+  let packages = [];
+  let remotes;
+
+  if (entry.url) {
+    // Remote server (VS Code "http"/"sse" type, Cursor url)
+    const type = entry.type === 'sse' || (!entry.type && /\/sse\/?$/.test(entry.url)) ? 'sse' : 'streamable-http';
+    const remote = { type, url: entry.url };
+    const headerNames = Object.keys(entry.headers || {});
+    if (headerNames.length > 0) {
+      remote.headers = headerNames.map(toVariable);
+    }
+
+    name = inferServerName(key, undefined, namespace);
+    remotes = [remote];
+  } else if (entry.command) {
+    const inferred = inferPackage(entry.command, entry.args || []);
+    const pkg = { ...inferred.package, transport: { type: 'stdio' } };
+    version = inferred.version;
+
+    if (inferred.runtimeArgs?.length > 0) {
+      pkg.runtimeArguments = inferred.runtimeArgs.map(value => ({ type: 'positional', value }));
+    }
+    if (inferred.rest.length > 0) {
+      pkg.packageArguments = inferred.rest.map(value => ({ type: 'positional', value }));
+    }
+
+    const envNames = [...new Set([...(inferred.envNames || []), ...Object.keys(entry.env || {})])];
+    if (envNames.length > 0) {
+      pkg.environmentVariables = envNames.map(toVariable);
+    }
+
+    name = inferServerName(key, pkg.identifier, namespace);
+    packages = [pkg];
+  } else {
+    throw new Error('Entry has neither "command" nor "url"');
+  }
+
+  return {
+    $schema: OFFICIAL_SCHEMA,
+    name,
+    // The config key is what users know the server by
+    title: name !== key ? key : undefined,
+    description: `${key} MCP server (imported from ${options.source || 'client config'})`,
+    version: version || DEFAULT_VERSION,
+    packages,
+    remotes
+  };
+}
+
+/**
+ * Import-config command handler
+ */
+export async function importConfigCommand(file, options) {
+  const { output, namespace, force } = options;
+  const author = options.author || process.env.MCP_AUTHOR;
+  const policyFile = join(dirname(resolve(output)), 'NAMESPACES');
+  const only = options.server || [];
+
+  let servers;
+  try {
+    servers = getConfigServers(JSON.parse(await readFile(file, 'utf-8')));
+  } catch (err) {
+    console.error(`❌ Could not read ${file}: ${err.message}`);
+    process.exit(1);
+  }
+
+  const keys = Object.keys(servers).filter(key => only.length === 0 || only.includes(key));
+  const unknown = only.filter(key => !(key in servers));
+  if (unknown.length > 0) {
+    console.error(`❌ Not in ${file}: ${unknown.join(', ')}`);
+    process.exit(1);
+  }
+
+  console.log(`📥 Importing ${keys.length} server(s) from ${file}\n`);
+
+  let failed = 0;
+  for (const key of keys) {
+    try {
+      const server = convertConfigServer(key, servers[key], { namespace, source: basename(file) });
+
+      const errors = validateServerFile(server);
+      if (errors.length > 0) {
+        throw new Error(errors.map(e => `${e.pointer}: ${e.message}`).join('; '));
+      }
+      await assertNamespaceOwnership(policyFile, [server.name], author);
+
+      const [serverNamespace, serverName] = server.name.split('/');
+      const outputPath = join(output, serverNamespace, `${serverName}.json`);
+      if (existsSync(outputPath) && !force) {
+        console.log(`  ⏭️  ${key} → ${outputPath} already exists (use --force to overwrite)`);
+        continue;
+      }
+
+      await mkdir(dirname(outputPath), { recursive: true });
+      await writeFile(outputPath, JSON.stringify(server, null, 2) + '\n');
+
+      const pkg = server.packages[0];
+      const kind = pkg ? `${pkg.registryType} ${pkg.identifier}` : `remote ${server.remotes[0].url}`;
+      console.log(`  ✓ ${key} → ${server.name} (${kind})`);
+      console.log(`     📁 ${outputPath}`);
+    } catch (err) {
+      failed++;
+      console.error(`  ✗ ${key}: ${err.message}`);
+    }
+  }
+
+  console.log();
+  if (failed > 0) {
+    console.error(`❌ ${failed} of ${keys.length} server(s) could not be imported`);
+    process.exit(1);
+  }
+
+  console.log('✅ Import complete. Review the generated files (description, version, repository) before committing.');
+}
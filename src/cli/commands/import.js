@@ -1,9 +1,19 @@
 import { writeFile, mkdir, readFile } from 'fs/promises';
-import { join, dirname } from 'path';
+import { join, dirname, resolve } from 'path';
 import { existsSync } from 'fs';
+import { toVersionData, mergeIntoServerFile } from '../../web/server-import.js';
+import { assertNamespaceOwnership } from '../../../scripts/namespace-policy.js';
 
 const OFFICIAL_REGISTRY = 'https://registry.modelcontextprotocol.io';
 
+// How the server was merged into an existing file
+const IMPORT_MESSAGES = {
+  updated: 'Updated existing server in multi-server file',
+  added: 'Added to existing multi-server file',
+  merged: 'Merged with existing server file',
+  converted: 'Converted to multi-server file'
+};
+
 /**
  * Fetch JSON from a URL
  */
@@ -22,8 +32,7 @@ async function getServerFromRegistry(registryUrl, serverName, version = 'latest'
   const encodedName = encodeURIComponent(serverName);
   const url = `${registryUrl}/v0/servers/${encodedName}/versions/${version}`;
   const data = await fetchJson(url);
-  // Handle official registry format (nested {server, _meta})
-  return data.server ? data.server : data;
+  return toVersionData(data);
 }
 
 /**
@@ -35,27 +44,6 @@ async function getServerVersions(registryUrl, serverName) {
   return fetchJson(url);
 }
 
-/**
- * Build a server object in our internal format
- */
-function buildServerObject(serverData, versions) {
-  return {
-    name: serverData.name,
-    description: serverData.description,
-    repository: serverData.repository,
-    websiteUrl: serverData.websiteUrl,
-    versions: versions.map((v, i) => ({
-      version: v.version,
-      releaseDate: v.releaseDate,
-      isLatest: i === 0,
-      packages: v.packages || []
-    }))
-  };
-}
-
-// Official MCP schema URL
-const OFFICIAL_SCHEMA = 'https://static.modelcontextprotocol.io/schemas/2025-10-17/server.schema.json';
-
 /**
  * Determine default output file path from server name
  * e.g., "io.github.user/my-server" -> "servers/io.github.user/my-server.json"
@@ -66,7 +54,7 @@ function getDefaultOutputPath(outputDir, serverName) {
 }
 
 /**
- * Load existing file (handles both single-server and multi-server formats)
+ * Load an existing server file (single-server or multi-server format)
  */
 async function loadExistingFile(filePath) {
   if (!existsSync(filePath)) {
@@ -74,13 +62,7 @@ async function loadExistingFile(filePath) {
   }
 
   const content = await readFile(filePath, 'utf-8');
-  const data = JSON.parse(content);
-
-  // Detect format
-  if (data.servers && Array.isArray(data.servers)) {
-    return { format: 'multi', data };
-  }
-  return { format: 'single', data };
+  return JSON.parse(content);
 }
 
 /**
@@ -88,10 +70,14 @@ async function loadExistingFile(filePath) {
  */
 export async function importCommand(serverName, options) {
   const { registry, version, allVersions, output, file } = options;
+  const author = options.author || process.env.MCP_AUTHOR;
 
   console.log(`🔍 Fetching ${serverName} from ${registry}...`);
 
   try {
+    // NAMESPACES next to the servers directory decides who may add to each namespace
+    await assertNamespaceOwnership(join(dirname(resolve(output)), 'NAMESPACES'), [serverName], author);
+
     let versionsData = [];
 
     if (allVersions) {
@@ -102,7 +88,7 @@ export async function importCommand(serverName, options) {
 
       // Extract server objects from the response
       for (const item of rawServers) {
-        const server = item.server ? item.server : item;
+        const server = toVersionData(item);
         console.log(`   Found version ${server.version}`);
         versionsData.push(server);
       }
@@ -123,75 +109,12 @@ export async function importCommand(serverName, options) {
     const outputPath = file || getDefaultOutputPath(output, serverName);
     const existing = await loadExistingFile(outputPath);
 
-    // Build the new server entry
-    const mergedVersions = mergeVersions([], versionsData);
-    const serverData = versionsData[0];
-    const newServer = buildServerObject(serverData, mergedVersions);
-
-    let outputData;
-    let serverCount;
-
-    if (existing) {
-      if (existing.format === 'multi') {
-        // Multi-server file: add or update the server in the array
-        const servers = existing.data.servers;
-        const existingIndex = servers.findIndex(s => s.name === serverName);
-
-        if (existingIndex >= 0) {
-          // Update existing server, merge versions
-          const existingServer = servers[existingIndex];
-          const allVersions = mergeVersions(existingServer.versions || [], versionsData);
-          servers[existingIndex] = buildServerObject(serverData, allVersions);
-          console.log('   Updated existing server in multi-server file');
-        } else {
-          // Add new server
-          servers.push(newServer);
-          console.log('   Added to existing multi-server file');
-        }
-
-        outputData = {
-          $schema: OFFICIAL_SCHEMA,
-          servers
-        };
-        serverCount = servers.length;
-      } else {
-        // Single-server file
-        if (existing.data.name === serverName) {
-          // Same server, merge versions
-          const allVersions = mergeVersions(existing.data.versions || [], versionsData);
-          outputData = {
-            $schema: OFFICIAL_SCHEMA,
-            ...buildServerObject(serverData, allVersions)
-          };
-          serverCount = 1;
-          console.log('   Merged with existing server file');
-        } else {
-          // Different server - convert to multi-server format
-          outputData = {
-            $schema: OFFICIAL_SCHEMA,
-            servers: [existing.data, newServer]
-          };
-          serverCount = 2;
-          console.log('   Converted to multi-server file');
-        }
-      }
-    } else {
-      // New file - use single server format by default, multi-server if --file specified
-      if (file) {
-        // User specified a file, use multi-server format for future flexibility
-        outputData = {
-          $schema: OFFICIAL_SCHEMA,
-          servers: [newServer]
-        };
-        serverCount = 1;
-      } else {
-        // Default: single server format
-        outputData = {
-          $schema: OFFICIAL_SCHEMA,
-          ...newServer
-        };
-        serverCount = 1;
-      }
+    // A new file given with --file uses the multi-server format for future flexibility
+    const { data: outputData, action, serverCount } = mergeIntoServerFile(existing, serverName, versionsData, {
+      multi: Boolean(file)
+    });
+    if (IMPORT_MESSAGES[action]) {
+      console.log(`   ${IMPORT_MESSAGES[action]}`);
     }
 
     // Write file
@@ -200,7 +123,7 @@ export async function importCommand(serverName, options) {
 
     console.log(`\n✅ Imported ${serverName}`);
     console.log(`   📁 ${outputPath}`);
-    console.log(`   📦 ${mergedVersions.length} version(s): ${mergedVersions.map(v => v.version).join(', ')}`);
+    console.log(`   📦 ${versionsData.length} version(s): ${versionsData.map(v => v.version).join(', ')}`);
     if (serverCount > 1) {
       console.log(`   📋 File contains ${serverCount} server(s)`);
     }
@@ -216,35 +139,3 @@ export async function importCommand(serverName, options) {
   }
 }
 
-/**
- * Merge existing versions with new versions
- */
-function mergeVersions(existingVersions, newVersionsData) {
-  const versionMap = new Map();
-
-  // Add existing versions
-  for (const v of existingVersions) {
-    versionMap.set(v.version, v);
-  }
-
-  // Add/update with new versions
-  for (const v of newVersionsData) {
-    versionMap.set(v.version, {
-      version: v.version,
-      releaseDate: v.releaseDate,
-      packages: v.packages || []
-    });
-  }
-
-  // Sort versions (newest first)
-  const merged = Array.from(versionMap.values()).sort((a, b) => {
-    return b.version.localeCompare(a.version, undefined, { numeric: true });
-  });
-
-  // Mark latest
-  merged.forEach((v, i) => {
-    v.isLatest = i === 0;
-  });
-
-  return merged;
-}
@@ -1,30 +1,18 @@
-import { readdir, readFile } from 'fs/promises';
-import { join } from 'path';
+import { readFile } from 'fs/promises';
 import { existsSync } from 'fs';
+import { findJsonFiles } from '../../../scripts/local-source.js';
+import { parseServerFile, getLatestVersion, getVersionStatus, isServerDeleted } from '../../../scripts/registry-core.js';
 
-/**
- * Recursively find all JSON files
- */
-async function findJsonFiles(dir, files = []) {
-  if (!existsSync(dir)) return files;
-
-  const entries = await readdir(dir, { withFileTypes: true });
-  for (const entry of entries) {
-    const fullPath = join(dir, entry.name);
-    if (entry.isDirectory()) {
-      await findJsonFiles(fullPath, files);
-    } else if (entry.name.endsWith('.json')) {
-      files.push(fullPath);
-    }
-  }
-  return files;
-}
+const STATUS_BADGES = {
+  deprecated: '⚠️  deprecated',
+  deleted: '🗑️  deleted'
+};
 
 /**
  * List command handler
  */
 export async function listCommand(options) {
-  const { dir } = options;
+  const { dir, includeDeleted } = options;
 
   if (!existsSync(dir)) {
     console.log('No servers directory found. Import some servers first:');
@@ -48,34 +36,43 @@ export async function listCommand(options) {
 
   for (const file of files) {
     try {
-      const content = await readFile(file, 'utf-8');
-      const data = JSON.parse(content);
-
-      // Handle both single-server and multi-server formats
-      const servers = data.servers ? data.servers : [data];
-
-      for (const server of servers) {
-        allServers.push({ ...server, _file: file });
-      }
+      const data = JSON.parse(await readFile(file, 'utf-8'));
+      allServers.push(...parseServerFile(data, file));
     } catch (err) {
-      console.log(`  ⚠️  ${file} (invalid JSON)`);
+      console.log(`  ⚠️  ${file} (${err instanceof SyntaxError ? 'invalid JSON' : err.message})`);
     }
   }
 
-  if (allServers.length === 0) {
+  // Deleted servers are hidden, like in the API's server list
+  const servers = includeDeleted ? allServers : allServers.filter(s => !isServerDeleted(s));
+  const hidden = allServers.length - servers.length;
+
+  if (servers.length === 0) {
     console.log('No servers found in local registry.');
     return;
   }
 
-  console.log(`📦 Local Registry (${allServers.length} server(s) in ${files.length} file(s)):\n`);
+  console.log(`📦 Local Registry (${servers.length} server(s) in ${files.length} file(s)):\n`);
 
-  for (const server of allServers) {
-    const latestVersion = server.versions?.find(v => v.isLatest) || server.versions?.[0];
-    const versionCount = server.versions?.length || 0;
+  for (const server of servers) {
+    const latestVersion = getLatestVersion(server);
+    const versionCount = server.versions.length;
+    const yanked = server.versions.filter(v => v.status === 'deleted').length;
+    const { status, statusMessage, replacedBy } = getVersionStatus(server, latestVersion);
 
-    console.log(`  ${server.name}`);
+    console.log(`  ${server.name}${STATUS_BADGES[status] ? `  [${STATUS_BADGES[status]}]` : ''}`);
     console.log(`     ${server.description}`);
-    console.log(`     Latest: ${latestVersion?.version || 'unknown'} (${versionCount} version${versionCount !== 1 ? 's' : ''})`);
+    console.log(`     Latest: ${latestVersion.version} (${versionCount} version${versionCount !== 1 ? 's' : ''}${yanked ? `, ${yanked} deleted` : ''})`);
+    if (statusMessage) {
+      console.log(`     ${statusMessage}`);
+    }
+    if (replacedBy) {
+      console.log(`     Replaced by ${replacedBy}`);
+    }
     console.log();
   }
+
+  if (hidden > 0) {
+    console.log(`(${hidden} deleted server(s) hidden, use --include-deleted to show them)`);
+  }
 }
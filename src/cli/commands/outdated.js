@@ -0,0 +1,140 @@
+/**
+ * Compare local servers with the registry they were imported from
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { findJsonFiles } from '../../../scripts/local-source.js';
+import { parseServerFile, getLatestVersion } from '../../../scripts/registry-core.js';
+import { compareVersions } from '../../../scripts/semver.js';
+import { toVersionData } from '../../web/server-import.js';
+
+/**
+ * Load the servers in a directory, remembering the file of each
+ */
+export async function loadLocalServers(dir) {
+  const servers = [];
+  for (const file of await findJsonFiles(dir)) {
+    try {
+      const data = JSON.parse(await readFile(file, 'utf-8'));
+      for (const server of parseServerFile(data, file)) {
+        servers.push({ ...server, _file: file });
+      }
+    } catch (err) {
+      console.error(`  ⚠️  ${file} (${err instanceof SyntaxError ? 'invalid JSON' : err.message})`);
+    }
+  }
+  return servers;
+}
+
+/**
+ * Fetch every published version of a server from a registry
+ * @returns {Promise<Array|null>} - server.json objects, or null when the registry doesn't know the server
+ */
+async function fetchUpstreamVersions(registryUrl, serverName) {
+  const response = await fetch(`${registryUrl}/v0/servers/${encodeURIComponent(serverName)}/versions`);
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  return (data.servers || [])
+    // Deleted versions were pulled by their publisher, so they're never imported
+    .filter(item => item._meta?.['io.modelcontextprotocol.registry/official']?.status !== 'deleted')
+    .map(toVersionData);
+}
+
+/**
+ * Check local servers against a registry
+ * Servers the registry doesn't know (written by hand, or from another
+ * registry) are reported as "not-found" rather than failing.
+ * @param {Array} servers - Local servers (see loadLocalServers)
+ * @param {string} registryUrl - Source registry URL
+ * @returns {Promise<Array<{name: string, file: string, local: string, upstream: string|null, status: string, newVersions: Array, error?: string}>>}
+ *   status is one of outdated, current, not-found or error; newVersions are
+ *   the upstream server.json objects newer than the local latest version
+ */
+export async function findOutdatedServers(servers, registryUrl) {
+  const results = [];
+
+  for (const server of servers) {
+    const local = getLatestVersion(server).version;
+    const result = { name: server.name, file: server._file, local, upstream: null, status: 'not-found', newVersions: [] };
+
+    try {
+      const upstream = await fetchUpstreamVersions(registryUrl, server.name);
+      if (upstream && upstream.length > 0) {
+        const newVersions = upstream
+          .filter(v => compareVersions(v.version, local) > 0)
+          .sort((a, b) => compareVersions(b.version, a.version));
+        result.upstream = upstream.map(v => v.version).sort(compareVersions).at(-1);
+        result.status = newVersions.length > 0 ? 'outdated' : 'current';
+        result.newVersions = newVersions;
+      }
+    } catch (err) {
+      result.status = 'error';
+      result.error = err.message;
+    }
+
+    results.push(result);
+  }
+
+  return results;
+}
+
+/**
+ * Print results as an aligned table
+ */
+function printTable(results) {
+  const rows = [
+    ['Server', 'Local', 'Upstream', 'Status'],
+    ...results.map(r => [r.name, r.local, r.upstream || '-', r.status === 'error' ? `error: ${r.error}` : r.status])
+  ];
+  const widths = [0, 1, 2].map(i => Math.max(...rows.map(row => row[i].length)));
+
+  for (const row of rows) {
+    console.log(`  ${row.map((cell, i) => (i < 3 ? cell.padEnd(widths[i]) : cell)).join('  ')}`);
+  }
+}
+
+/**
+ * Outdated command handler
+ */
+export async function outdatedCommand(options) {
+  const { dir, registry, json } = options;
+
+  if (!existsSync(dir)) {
+    console.error(`❌ Not found: ${dir}`);
+    process.exit(1);
+  }
+
+  const servers = await loadLocalServers(dir);
+  if (!json) {
+    console.log(`🔍 Checking ${servers.length} server(s) against ${registry}...\n`);
+  }
+
+  const results = await findOutdatedServers(servers, registry);
+
+  const failed = results.some(r => r.status === 'error');
+
+  if (json) {
+    console.log(JSON.stringify(results.map(({ newVersions, ...r }) => ({ ...r, newVersions: newVersions.map(v => v.version) })), null, 2));
+  } else if (results.length === 0) {
+    console.log('No servers found in local registry.');
+  } else {
+    printTable(results);
+
+    const outdated = results.filter(r => r.status === 'outdated');
+    console.log();
+    if (outdated.length === 0) {
+      console.log('✅ Everything is up to date');
+    } else {
+      console.log(`📦 ${outdated.length} server(s) have newer versions. Run "mcp-registry update" to import them.`);
+    }
+  }
+
+  if (failed) {
+    process.exit(1);
+  }
+}
@@ -45,7 +45,7 @@ async function searchMultiple(queries, registry, limit) {
  * Search command handler
  */
 export async function searchCommand(query, options) {
-  const { registry, limit, json, importAll, output } = options;
+  const { registry, limit, json, importAll, output, author } = options;
 
   // Split query by | for multiple searches
   const queries = query.split('|');
@@ -95,7 +95,7 @@ export async function searchCommand(query, options) {
       console.log(`\n📥 Importing ${uniqueNames.length} server(s)...\n`);
 
       for (const name of uniqueNames) {
-        await importCommand(name, { registry, output });
+        await importCommand(name, { registry, output, author });
         console.log();
       }
 
@@ -0,0 +1,66 @@
+/**
+ * Reconcile servers/ with mirror.json and write mirror.lock.json
+ */
+
+import { join, dirname, resolve } from 'path';
+import { syncMirror } from '../../../scripts/mirror.js';
+
+const ACTION_LABELS = {
+  added: '➕ Added',
+  updated: '🔄 Updated',
+  removed: '➖ Removed',
+  unchanged: '   Unchanged'
+};
+
+/**
+ * Sync command handler
+ */
+export async function syncCommand(options) {
+  const { config, dir, registry, frozen, dryRun, json } = options;
+  const configFile = resolve(config);
+  const lockFile = options.lockfile ? resolve(options.lockfile) : join(dirname(configFile), 'mirror.lock.json');
+
+  if (!json) {
+    console.log(`🔁 Syncing ${dir} with ${config}${frozen ? ' (frozen lockfile)' : ''}${dryRun ? ' (dry run)' : ''}...\n`);
+  }
+
+  try {
+    const { changes, warnings } = await syncMirror({
+      configFile,
+      lockFile,
+      serversDir: resolve(dir),
+      registry,
+      frozen,
+      dryRun,
+      author: options.author || process.env.MCP_AUTHOR
+    });
+
+    if (json) {
+      console.log(JSON.stringify({ dryRun: Boolean(dryRun), changes, warnings }, null, 2));
+      return;
+    }
+
+    for (const change of changes) {
+      const versions = change.action === 'removed' ? '' : ` (${change.versions.join(', ')})`;
+      console.log(`  ${ACTION_LABELS[change.action]} ${change.name}${versions}`);
+      if (change.action !== 'unchanged') {
+        console.log(`     📁 ${join(dir, change.file)}`);
+      }
+    }
+    for (const warning of warnings) {
+      console.warn(`  ⚠️  ${warning}`);
+    }
+
+    const changed = changes.filter(c => c.action !== 'unchanged').length;
+    console.log();
+    if (dryRun) {
+      console.log(`📋 Dry run: ${changed} server file(s) would change, nothing written`);
+    } else {
+      console.log(`✅ ${changes.length - changes.filter(c => c.action === 'removed').length} server(s) mirrored, ${changed} file(s) changed`);
+      console.log(`   🔒 ${lockFile}`);
+    }
+  } catch (err) {
+    console.error(`❌ Sync failed: ${err.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Import newer versions of local servers from the registry they came from
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, dirname, resolve } from 'path';
+import { loadLocalServers, findOutdatedServers } from './outdated.js';
+import { mergeIntoServerFile } from '../../web/server-import.js';
+import { assertNamespaceOwnership } from '../../../scripts/namespace-policy.js';
+
+/**
+ * Update command handler
+ */
+export async function updateCommand(names, options) {
+  const { dir, registry, dryRun, json } = options;
+  const author = options.author || process.env.MCP_AUTHOR;
+  const log = json ? () => {} : console.log;
+
+  if (!existsSync(dir)) {
+    console.error(`❌ Not found: ${dir}`);
+    process.exit(1);
+  }
+
+  try {
+    let servers = await loadLocalServers(dir);
+    if (names.length > 0) {
+      const unknown = names.filter(name => !servers.some(s => s.name === name));
+      if (unknown.length > 0) {
+        throw new Error(`Not in ${dir}: ${unknown.join(', ')}`);
+      }
+      servers = servers.filter(s => names.includes(s.name));
+    }
+
+    log(`🔍 Checking ${servers.length} server(s) against ${registry}...\n`);
+    const results = await findOutdatedServers(servers, registry);
+    const outdated = results.filter(r => r.status === 'outdated');
+    const failed = results.filter(r => r.status === 'error');
+
+    // Servers named on the command line must exist upstream
+    if (names.length > 0) {
+      for (const result of results.filter(r => r.status === 'not-found')) {
+        failed.push({ ...result, error: 'not found in the registry' });
+      }
+    }
+
+    // NAMESPACES next to the servers directory decides who may change each namespace
+    if (!dryRun && outdated.length > 0) {
+      await assertNamespaceOwnership(join(dirname(resolve(dir)), 'NAMESPACES'), outdated.map(r => r.name), author);
+    }
+
+    // One server at a time, re-reading the file, so servers sharing a file all keep their updates
+    for (const result of outdated) {
+      const versions = result.newVersions.map(v => v.version);
+      if (!dryRun) {
+        const existing = JSON.parse(await readFile(result.file, 'utf-8'));
+        const { data } = mergeIntoServerFile(existing, result.name, result.newVersions);
+        await writeFile(result.file, JSON.stringify(data, null, 2));
+      }
+      log(`${dryRun ? '  Would update' : '  ✅ Updated'} ${result.name} ${result.local} → ${result.upstream} (${versions.join(', ')})`);
+      log(`     📁 ${result.file}`);
+    }
+
+    for (const result of failed) {
+      console.error(`  ❌ ${result.name}: ${result.error}`);
+    }
+
+    if (json) {
+      console.log(JSON.stringify({
+        dryRun: Boolean(dryRun),
+        updated: outdated.map(r => ({
+          name: r.name,
+          file: r.file,
+          from: r.local,
+          to: r.upstream,
+          versions: r.newVersions.map(v => v.version)
+        })),
+        failed: failed.map(r => ({ name: r.name, error: r.error }))
+      }, null, 2));
+    } else if (outdated.length === 0) {
+      log('✅ Everything is up to date');
+    } else {
+      log(`\n${dryRun ? '📋 Dry run: nothing written,' : '📦'} ${outdated.length} server(s) ${dryRun ? 'can be updated' : 'updated'}`);
+    }
+
+    if (failed.length > 0) {
+      process.exit(1);
+    }
+  } catch (err) {
+    console.error(`❌ Update failed: ${err.message}`);
+    process.exit(1);
+  }
+}
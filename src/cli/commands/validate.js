@@ -0,0 +1,95 @@
+import { readFile, stat } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, dirname, resolve } from 'path';
+import { findJsonFiles } from '../../../scripts/local-source.js';
+import { validateServerFile } from '../../../scripts/server-validator.js';
+import { parseServerFile } from '../../../scripts/registry-core.js';
+import { loadPackagePolicy, applyPackagePolicy } from '../../../scripts/package-policy.js';
+
+/**
+ * Collect the JSON files to validate from files and/or directories
+ */
+async function collectFiles(paths) {
+  const files = [];
+  for (const path of paths) {
+    if ((await stat(path)).isDirectory()) {
+      await findJsonFiles(path, files);
+    } else {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+/**
+ * Validate a single file, returning its errors
+ * Policy violations are only checked once the file matches the schema.
+ */
+async function validateFile(file, policy) {
+  let data;
+  try {
+    data = JSON.parse(await readFile(file, 'utf-8'));
+  } catch (err) {
+    return [{ pointer: '/', message: `invalid JSON: ${err.message}` }];
+  }
+
+  const errors = validateServerFile(data);
+  if (errors.length > 0 || !policy) return errors;
+
+  return applyPackagePolicy(policy, parseServerFile(data, file)).violations
+    .map(v => ({ pointer: `[${v.rule}]`, message: v.message }));
+}
+
+/**
+ * Validate command handler
+ */
+export async function validateCommand(paths, options) {
+  const targets = paths.length > 0 ? paths : [options.dir];
+
+  const missing = targets.filter(path => !existsSync(path));
+  if (missing.length > 0) {
+    console.error(`❌ Not found: ${missing.join(', ')}`);
+    process.exit(1);
+  }
+
+  const files = await collectFiles(targets);
+  if (files.length === 0) {
+    console.log('No server files found.');
+    return;
+  }
+
+  // package-policy.json next to the servers directory, unless --policy points elsewhere
+  const policyFile = options.policy || join(dirname(resolve(options.dir)), 'package-policy.json');
+  let policy;
+  try {
+    policy = await loadPackagePolicy(policyFile);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  console.log(`🔍 Validating ${files.length} file(s) against schemas/server.schema.json${policy ? ` and ${policyFile}` : ''}\n`);
+
+  let failed = 0;
+  for (const file of files) {
+    const errors = await validateFile(file, policy);
+    if (errors.length === 0) {
+      console.log(`  ✓ ${file}`);
+      continue;
+    }
+
+    failed++;
+    console.log(`  ✗ ${file}`);
+    for (const error of errors) {
+      console.log(`     ${error.pointer}: ${error.message}`);
+    }
+  }
+
+  console.log();
+  if (failed > 0) {
+    console.error(`❌ ${failed} of ${files.length} file(s) failed validation`);
+    process.exit(1);
+  }
+
+  console.log(`✅ All ${files.length} file(s) are valid`);
+}
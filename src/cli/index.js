@@ -2,9 +2,15 @@
 
 import { Command } from 'commander';
 import { importCommand } from './commands/import.js';
+import { importConfigCommand } from './commands/import-config.js';
 import { listCommand } from './commands/list.js';
 import { searchCommand } from './commands/search.js';
 import { buildCommand } from './commands/build.js';
+import { validateCommand } from './commands/validate.js';
+import { exportCommand } from './commands/export.js';
+import { outdatedCommand } from './commands/outdated.js';
+import { updateCommand } from './commands/update.js';
+import { syncCommand } from './commands/sync.js';
 
 const program = new Command();
 
@@ -21,8 +27,19 @@ program
   .option('--all-versions', 'Import all available versions')
   .option('-o, --output <dir>', 'Output directory', './servers')
   .option('-f, --file <path>', 'Target file (enables multi-server format)')
+  .option('--author <login>', 'Your GitHub login, checked against NAMESPACES (default: $MCP_AUTHOR)')
   .action(importCommand);
 
+program
+  .command('import-config <file>')
+  .description('Import servers from a VS Code mcp.json, Claude Desktop or Cursor config file')
+  .option('-s, --server <key...>', 'Only import these servers (default: all)')
+  .option('-n, --namespace <namespace>', 'Namespace for servers whose name cannot be inferred', 'io.github.unknown')
+  .option('-o, --output <dir>', 'Output directory', './servers')
+  .option('--force', 'Overwrite existing server files')
+  .option('--author <login>', 'Your GitHub login, checked against NAMESPACES (default: $MCP_AUTHOR)')
+  .action(importConfigCommand);
+
 program
   .command('search <query>')
   .description('Search for MCP servers in the official registry')
@@ -31,18 +48,67 @@ program
   .option('-j, --json', 'Output server names only (one per line)')
   .option('-i, --import-all', 'Import all search results')
   .option('-o, --output <dir>', 'Output directory for imports', './servers')
+  .option('--author <login>', 'Your GitHub login, checked against NAMESPACES (default: $MCP_AUTHOR)')
   .action(searchCommand);
 
 program
   .command('list')
   .description('List all servers in the local registry')
   .option('-d, --dir <dir>', 'Servers directory', './servers')
+  .option('--include-deleted', 'Also list deleted servers')
   .action(listCommand);
 
+program
+  .command('outdated')
+  .description('Compare local servers with the latest versions in the registry')
+  .option('-r, --registry <url>', 'Source registry URL', 'https://registry.modelcontextprotocol.io')
+  .option('-d, --dir <dir>', 'Servers directory', './servers')
+  .option('-j, --json', 'Output the comparison as JSON')
+  .action(outdatedCommand);
+
+program
+  .command('update [names...]')
+  .description('Import newer versions of local servers from the registry (default: all outdated servers)')
+  .option('-r, --registry <url>', 'Source registry URL', 'https://registry.modelcontextprotocol.io')
+  .option('-d, --dir <dir>', 'Servers directory', './servers')
+  .option('--dry-run', 'Show what would be updated without writing files')
+  .option('-j, --json', 'Output the result as JSON')
+  .option('--author <login>', 'Your GitHub login, checked against NAMESPACES (default: $MCP_AUTHOR)')
+  .action(updateCommand);
+
+program
+  .command('sync')
+  .description('Mirror the servers listed in mirror.json and write mirror.lock.json')
+  .option('-c, --config <file>', 'Mirror config', './mirror.json')
+  .option('-d, --dir <dir>', 'Servers directory', './servers')
+  .option('-l, --lockfile <file>', 'Lockfile (default: mirror.lock.json next to the config)')
+  .option('-r, --registry <url>', 'Source registry URL (default: "registry" in the config)')
+  .option('--frozen', 'Install exactly the locked versions, failing if they changed upstream')
+  .option('--dry-run', 'Show what would change without writing files')
+  .option('-j, --json', 'Output the changes as JSON')
+  .option('--author <login>', 'Your GitHub login, checked against NAMESPACES (default: $MCP_AUTHOR)')
+  .action(syncCommand);
+
+program
+  .command('validate [paths...]')
+  .description('Validate server files against the registry schema')
+  .option('-d, --dir <dir>', 'Servers directory (when no paths are given)', './servers')
+  .option('-p, --policy <file>', 'Package policy to check (default: package-policy.json next to --dir)')
+  .action(validateCommand);
+
+program
+  .command('export <name...>')
+  .description('Export client config for servers (name or name@version)')
+  .option('-f, --format <format>', 'Client config format: vscode, claude or cursor', 'vscode')
+  .option('-d, --dir <dir>', 'Servers directory', './servers')
+  .option('-o, --output <file>', 'Write the config to a file (default: stdout)')
+  .action(exportCommand);
+
 program
   .command('build')
   .description('Build the static API files')
   .option('-w, --watch', 'Watch for changes')
+  .option('-s, --strict', 'Fail on invalid, duplicate or conflicting server definitions')
   .action(buildCommand);
 
 program.parse();
@@ -2,6 +2,9 @@
  * MCP Registry Express - Web Application
  */
 
+import { getEndpoints, toEndpointConfig, toVSCodeInstallUrl } from './client-config.js';
+import { toVersionData, mergeIntoServerFile } from './server-import.js';
+
 const OFFICIAL_REGISTRY = 'https://registry.modelcontextprotocol.io';
 const LOCAL_API = '/v0.1';
 
@@ -9,9 +12,14 @@ const LOCAL_API = '/v0.1';
 const GITHUB_CLIENT_ID = localStorage.getItem('github_client_id') || '';
 const GITHUB_REPO = localStorage.getItem('github_repo') || '';
 
+// API key for registries that require authentication (MCP_API_KEYS)
+const REGISTRY_API_KEY = localStorage.getItem('registry_api_key') || '';
+
 // State
 let localServers = [];
 let selectedServer = null;
+let configSnippets = [];
+let githubSession = null;    // Sign-in state from the dynamic server, if it supports it
 
 // DOM Elements
 const tabs = document.querySelectorAll('.tab');
@@ -67,18 +75,48 @@ function switchTab(tabId) {
   document.getElementById(tabId).classList.add('active');
 }
 
+/**
+ * Fetch from the registry or the official registry, sending the API key to the local API only
+ */
+function fetchRegistry(url) {
+  if (!REGISTRY_API_KEY || !url.startsWith(LOCAL_API)) return fetch(url);
+  return fetch(url, { headers: { Authorization: `Bearer ${REGISTRY_API_KEY}` } });
+}
+
 // Local Server Management
 async function loadLocalServers() {
   try {
-    const response = await fetch(`${LOCAL_API}/servers`);
-    if (!response.ok) throw new Error('Failed to load servers');
-
-    const data = await response.json();
-    // Handle the wrapped format: { servers: [{ server: {...}, _meta: {...} }, ...] }
-    const rawServers = data.servers || [];
-    localServers = rawServers.map(item => item.server ? item.server : item);
+    const rawServers = [];
+    let cursor = null;
+
+    // Follow metadata.nextCursor until all pages are loaded
+    // (static builds return everything in a single page)
+    do {
+      const params = new URLSearchParams({ limit: '100' });
+      if (cursor) params.set('cursor', cursor);
+
+      const response = await fetchRegistry(`${LOCAL_API}/servers?${params}`);
+      if (response.status === 401) throw Object.assign(new Error('Authentication required'), { status: 401 });
+      if (!response.ok) throw new Error('Failed to load servers');
+
+      const data = await response.json();
+      // Handle the wrapped format: { servers: [{ server: {...}, _meta: {...} }, ...] }
+      rawServers.push(...(data.servers || []));
+      cursor = data.metadata?.nextCursor;
+    } while (cursor);
+
+    localServers = rawServers.map(item => item.server ? { ...item.server, _official: getOfficialMeta(item) } : item);
     renderLocalServers(localServers);
   } catch (err) {
+    if (err.status === 401) {
+      serverList.innerHTML = `
+        <div class="empty-state">
+          <p>This registry requires authentication.</p>
+          <p>Set your API key in localStorage (registry_api_key) and reload.</p>
+        </div>
+      `;
+      return;
+    }
     serverList.innerHTML = `
       <div class="empty-state">
         <p>No servers found in local registry.</p>
@@ -113,6 +151,7 @@ function renderLocalServers(servers) {
       <div class="server-meta">
         <span>v${escapeHtml(server.version || 'unknown')}</span>
         ${server.repository ? `<span>${escapeHtml(server.repository.source || 'git')}</span>` : ''}
+        ${renderStatusTag(server._official)}
       </div>
     </div>
   `).join('');
@@ -192,30 +231,31 @@ async function showServerDetail(serverName, source) {
       ? `${OFFICIAL_REGISTRY}/v0/servers/${encodedName}/versions/latest`
       : `${LOCAL_API}/servers/${encodedName}/versions/latest`;
 
-    const response = await fetch(url);
+    const response = await fetchRegistry(url);
     if (!response.ok) throw new Error('Failed to load server details');
 
     let serverData = await response.json();
     // Handle official registry format (nested {server, _meta})
     const server = serverData.server ? serverData.server : serverData;
+    const status = getOfficialMeta(serverData);
     selectedServer = server;
 
-    // Try to get all versions
-    let versions = [server];
+    // Try to get all versions (for our registry, deleted ones too so they can be flagged)
+    let versions = [{ ...server, _official: status }];
     try {
       const versionsUrl = source === 'official'
         ? `${OFFICIAL_REGISTRY}/v0/servers/${encodedName}/versions`
-        : `${LOCAL_API}/servers/${encodedName}/versions`;
-      const versionsResponse = await fetch(versionsUrl);
+        : `${LOCAL_API}/servers/${encodedName}/versions?include_deleted=true`;
+      const versionsResponse = await fetchRegistry(versionsUrl);
       if (versionsResponse.ok) {
         const versionsData = await versionsResponse.json();
         // Both official and local use wrapped format: {servers: [{server, _meta}, ...]}
         const rawServers = versionsData.servers || [];
-        versions = rawServers.map(s => s.server ? s.server : s);
+        versions = rawServers.map(s => s.server ? { ...s.server, _official: getOfficialMeta(s) } : s);
       }
     } catch (e) { /* ignore */ }
 
-    renderServerDetail(server, versions, source);
+    renderServerDetail(server, versions, source, status);
   } catch (err) {
     modalBody.innerHTML = `
       <p>Failed to load server details.</p>
@@ -224,13 +264,24 @@ async function showServerDetail(serverName, source) {
   }
 }
 
-function renderServerDetail(server, versions, source) {
-  const packages = server.packages || [];
+function renderServerDetail(server, versions, source, status = {}) {
+  const endpoints = getEndpoints(server);
+  configSnippets = [];
 
   modalBody.innerHTML = `
-    <h2>${escapeHtml(server.name)}</h2>
+    <h2>${escapeHtml(server.name)} ${renderStatusTag(status)}</h2>
     <p>${escapeHtml(server.description)}</p>
 
+    ${status.status === 'deprecated' || status.status === 'deleted' ? `
+      <div class="status-notice ${status.status}">
+        <strong>${status.status === 'deleted' ? 'This server has been deleted.' : 'This server is deprecated.'}</strong>
+        ${status.statusMessage ? `<p>${escapeHtml(status.statusMessage)}</p>` : ''}
+        ${status.replacedBy ? `
+          <p>Use <a href="#" onclick="showServerDetail('${escapeHtml(status.replacedBy)}', '${source}'); return false;">${escapeHtml(status.replacedBy)}</a> instead.</p>
+        ` : ''}
+      </div>
+    ` : ''}
+
     ${server.repository ? `
       <p><a href="${escapeHtml(server.repository.url)}" target="_blank">View Repository</a></p>
     ` : ''}
@@ -248,41 +299,104 @@ function renderServerDetail(server, versions, source) {
         <div class="version-item">
           <div class="version-header">
             <span>v${escapeHtml(v.version || 'unknown')}</span>
-            ${v.isLatest ? '<span class="version-tag latest">latest</span>' : ''}
+            <span>
+              ${renderStatusTag(v._official)}
+              ${v.isLatest || v._official?.isLatest ? '<span class="version-tag latest">latest</span>' : ''}
+            </span>
           </div>
           ${v.releaseDate ? `<small>${escapeHtml(v.releaseDate)}</small>` : ''}
+          ${v._official?.statusMessage && v._official.statusMessage !== status.statusMessage ? `<small>${escapeHtml(v._official.statusMessage)}</small>` : ''}
         </div>
       `).join('')}
     </div>
 
-    ${packages.length > 0 ? `
-      <h3>Packages</h3>
-      <div class="package-list">
-        ${packages.map(pkg => `
-          <div class="package-item">
-            <code>${escapeHtml(pkg.registryType)}</code>
-            ${escapeHtml(pkg.identifier)}
-            ${pkg.runtimeHint ? `(${escapeHtml(pkg.runtimeHint)})` : ''}
-          </div>
-        `).join('')}
-      </div>
+    ${endpoints.length > 0 ? `
+      <h3>Install</h3>
+      ${endpoints.map(endpoint => renderEndpoint(server, endpoint)).join('')}
     ` : ''}
+  `;
+}
 
-    ${server.packages?.[0]?.environmentVariables?.length ? `
-      <h3>Environment Variables</h3>
-      <div class="package-list">
-        ${server.packages[0].environmentVariables.map(env => `
-          <div class="package-item">
-            <code>${escapeHtml(env.name)}</code>
-            ${env.description ? `- ${escapeHtml(env.description)}` : ''}
-            ${env.required === false ? ' (optional)' : ''}
-          </div>
-        `).join('')}
+/**
+ * Get the official registry metadata (status, isLatest, ...) of a {server, _meta} item
+ */
+function getOfficialMeta(item) {
+  return item._meta?.['io.modelcontextprotocol.registry/official'] || {};
+}
+
+/**
+ * Render a badge for a deprecated or deleted server or version
+ */
+function renderStatusTag(meta = {}) {
+  if (meta.status !== 'deprecated' && meta.status !== 'deleted') return '';
+  return `<span class="version-tag ${meta.status}">${meta.status}</span>`;
+}
+
+/**
+ * Render one package or remote with its variables, install links and mcp.json fragment
+ */
+function renderEndpoint(server, endpoint) {
+  const { pkg, remote } = endpoint;
+  const variables = pkg ? pkg.environmentVariables || [] : remote.headers || [];
+
+  let install = '';
+  try {
+    const snippet = JSON.stringify(toEndpointConfig(server, endpoint, 'vscode'), null, 2);
+    const index = configSnippets.push(snippet) - 1;
+    install = `
+      <div class="server-actions">
+        <a class="btn btn-small btn-primary" href="${escapeHtml(toVSCodeInstallUrl(server, endpoint))}">Install in VS Code</a>
+        <a class="btn btn-small" href="${escapeHtml(toVSCodeInstallUrl(server, endpoint, { insiders: true }))}">Install in VS Code Insiders</a>
+        <button class="btn btn-small" onclick="copyConfigSnippet(${index})">Copy mcp.json</button>
       </div>
-    ` : ''}
+      <pre class="config-snippet"><code>${escapeHtml(snippet)}</code></pre>
+    `;
+  } catch (err) {
+    // e.g. package types no client can launch
+    install = `<p class="package-item">${escapeHtml(err.message)}</p>`;
+  }
+
+  return `
+    <div class="install-item">
+      <div class="package-item">
+        ${pkg ? `
+          <code>${escapeHtml(pkg.registryType)}</code>
+          ${escapeHtml(pkg.identifier)}${pkg.version ? `@${escapeHtml(pkg.version)}` : ''}
+          ${pkg.runtimeHint ? `(${escapeHtml(pkg.runtimeHint)})` : ''}
+        ` : `
+          <code>${escapeHtml(remote.type)}</code>
+          ${escapeHtml(remote.url)}
+        `}
+      </div>
+
+      ${variables.length > 0 ? `
+        <h4>${pkg ? 'Environment Variables' : 'Headers'}</h4>
+        <div class="package-list">
+          ${variables.map(variable => `
+            <div class="package-item">
+              <code>${escapeHtml(variable.name)}</code>
+              ${variable.description ? `- ${escapeHtml(variable.description)}` : ''}
+              ${variable.isRequired ? ' (required)' : ''}
+              ${variable.isSecret ? ' (secret)' : ''}
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+
+      ${install}
+    </div>
   `;
 }
 
+async function copyConfigSnippet(index) {
+  try {
+    await navigator.clipboard.writeText(configSnippets[index]);
+    showToast('Copied mcp.json snippet', 'success');
+  } catch (err) {
+    showToast(`Copy failed: ${err.message}`, 'error');
+  }
+}
+
 function closeModal() {
   modal.classList.remove('active');
   selectedServer = null;
@@ -290,68 +404,37 @@ function closeModal() {
 
 // Import Server
 async function importServer(serverName, allVersions = false) {
-  const token = localStorage.getItem('github_token');
-
-  if (!token) {
+  if (!isSignedInToGitHub()) {
     // Show CLI instructions instead
     showToast(`To import, run: npm run cli import "${serverName}"${allVersions ? ' --all-versions' : ''}`, 'info');
     return;
   }
 
-  // GitHub import flow
-  showToast('Importing server...', 'info');
+  // GitHub import flow: open a pull request instead of committing to main
+  showToast('Opening pull request...', 'info');
 
   try {
     // Fetch server data from official registry
     const encodedName = encodeURIComponent(serverName);
-    let serverData;
+    let versionsData;
 
     if (allVersions) {
       // Fetch all versions - returns {servers: [{server, _meta}, ...]}
       const versionsRes = await fetch(`${OFFICIAL_REGISTRY}/v0/servers/${encodedName}/versions`);
-      const versionsData = await versionsRes.json();
-      const rawServers = versionsData.servers || [];
-
-      const versions = rawServers.map(item => item.server ? item.server : item);
-      if (versions.length > 0) {
-        serverData = { ...versions[0], versions };
-      } else {
-        throw new Error('No versions found');
-      }
+      const data = await versionsRes.json();
+      versionsData = (data.servers || []).map(toVersionData);
     } else {
       const res = await fetch(`${OFFICIAL_REGISTRY}/v0/servers/${encodedName}/versions/latest`);
-      const data = await res.json();
-      // Handle nested format
-      serverData = data.server ? data.server : data;
-      serverData.versions = [{
-        version: serverData.version,
-        releaseDate: serverData.releaseDate,
-        isLatest: true,
-        packages: serverData.packages
-      }];
+      versionsData = [toVersionData(await res.json())];
+    }
+
+    if (versionsData.length === 0) {
+      throw new Error('No versions found');
     }
 
-    // Transform to our format
-    const [namespace, name] = serverName.split('/');
-    const filePath = `servers/${namespace}/${name}.json`;
-    const content = JSON.stringify({
-      $schema: 'https://static.modelcontextprotocol.io/schemas/2025-10-17/server.schema.json',
-      name: serverData.name,
-      description: serverData.description,
-      repository: serverData.repository,
-      websiteUrl: serverData.websiteUrl,
-      versions: serverData.versions.map((v, i) => ({
-        version: v.version,
-        releaseDate: v.releaseDate,
-        isLatest: i === 0,
-        packages: v.packages || []
-      }))
-    }, null, 2);
-
-    // Create file via GitHub API
-    await createGitHubFile(filePath, content, `Add ${serverName} to registry`);
-
-    showToast(`Successfully imported ${serverName}!`, 'success');
+    const pullRequest = await openImportPullRequest(serverName, versionsData);
+
+    showToast(`Opened pull request #${pullRequest.number} for ${serverName}`, 'success', pullRequest.html_url);
     closeModal();
   } catch (err) {
     showToast(`Import failed: ${err.message}`, 'error');
@@ -359,14 +442,27 @@ async function importServer(serverName, allVersions = false) {
 }
 
 // GitHub Integration
-function checkGitHubAuth() {
-  const token = localStorage.getItem('github_token');
-  const username = localStorage.getItem('github_username');
+// The dynamic server signs users in itself (/auth/*) and keeps the token
+// server-side. Static hosting falls back to a token in localStorage.
+async function checkGitHubAuth() {
+  try {
+    const response = await fetch('/auth/session');
+    if (response.ok) {
+      const data = await response.json();
+      if (data.enabled) githubSession = data;
+    }
+  } catch (e) { /* static hosting */ }
 
-  if (token && username) {
+  const username = githubSession
+    ? githubSession.login
+    : localStorage.getItem('github_token') && localStorage.getItem('github_username');
+
+  if (username) {
     document.getElementById('github-auth').style.display = 'none';
     document.getElementById('github-user').style.display = 'block';
     document.getElementById('github-username').textContent = username;
+  }
+  if (username || githubSession || GITHUB_CLIENT_ID) {
     document.getElementById('github-section').style.display = 'block';
   }
 
@@ -378,7 +474,16 @@ function checkGitHubAuth() {
   }
 }
 
+function isSignedInToGitHub() {
+  return githubSession ? githubSession.authenticated : Boolean(localStorage.getItem('github_token'));
+}
+
 function loginWithGitHub() {
+  if (githubSession) {
+    window.location.href = '/auth/github/login';
+    return;
+  }
+
   if (!GITHUB_CLIENT_ID) {
     showToast('GitHub OAuth not configured. Please set github_client_id in localStorage.', 'error');
     return;
@@ -392,52 +497,183 @@ function loginWithGitHub() {
 }
 
 async function handleGitHubCallback(code) {
-  // Note: In production, you'd exchange the code for a token via a backend
-  // For static hosting, users need to use a service like netlify functions or manually set the token
+  // Static hosting cannot exchange the code (that needs the client secret);
+  // run the dynamic server with GITHUB_CLIENT_ID and GITHUB_CLIENT_SECRET instead
   showToast('OAuth callback received. For static hosting, please set your token manually in localStorage.', 'info');
 
   // Clean up URL
   window.history.replaceState({}, document.title, window.location.pathname);
 }
 
-function logoutGitHub() {
-  localStorage.removeItem('github_token');
-  localStorage.removeItem('github_username');
+async function logoutGitHub() {
+  if (githubSession) {
+    await fetch('/auth/logout', { method: 'POST' });
+    githubSession.authenticated = false;
+  } else {
+    localStorage.removeItem('github_token');
+    localStorage.removeItem('github_username');
+  }
   document.getElementById('github-auth').style.display = 'block';
   document.getElementById('github-user').style.display = 'none';
   showToast('Signed out of GitHub', 'info');
 }
 
-async function createGitHubFile(path, content, message) {
-  const token = localStorage.getItem('github_token');
-  const repo = GITHUB_REPO || localStorage.getItem('github_repo');
-
-  if (!token || !repo) {
-    throw new Error('GitHub not configured');
+/**
+ * Call the GitHub REST API for the registry repository
+ * Goes through the dynamic server's session when signed in there.
+ */
+async function githubRequest(path, options = {}) {
+  let url;
+  const headers = { 'Accept': 'application/vnd.github+json', 'Content-Type': 'application/json' };
+
+  if (githubSession?.authenticated) {
+    url = `/auth/github/repo${path}`;
+  } else {
+    const token = localStorage.getItem('github_token');
+    const repo = GITHUB_REPO || localStorage.getItem('github_repo');
+    if (!token || !repo) {
+      throw new Error('GitHub not configured');
+    }
+    url = `https://api.github.com/repos/${repo}${path}`;
+    headers['Authorization'] = `Bearer ${token}`;
   }
 
-  const response = await fetch(`https://api.github.com/repos/${repo}/contents/${path}`, {
-    method: 'PUT',
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      message,
-      content: btoa(content),
-      branch: 'main'
-    })
+  const response = await fetch(url, {
+    ...options,
+    headers,
+    body: options.body ? JSON.stringify(options.body) : undefined
   });
 
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.message || 'GitHub API error');
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.message || error.error || `GitHub API error (${response.status})`);
   }
 
   return response.json();
 }
 
+/**
+ * Read a server file from the repository
+ * @returns {Promise<{path: string, sha: string, data: object}|null>} - null if it isn't valid JSON
+ */
+async function readServerFile(file) {
+  const blob = await githubRequest(`/git/blobs/${file.sha}`);
+  try {
+    return { path: file.path, sha: file.sha, data: JSON.parse(decodeBase64(blob.content)) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the file that already defines a server
+ * Works from the paths in the repository tree, so that the common cases cost
+ * at most one blob: the server's default path if it exists, and nothing for
+ * servers the local registry doesn't list yet. Only servers the registry lists
+ * somewhere else (a multi-server file) are looked for file by file, starting
+ * with their namespace's directory.
+ * @returns {Promise<{path: string, sha: string, data: object}|null>}
+ */
+async function findServerFile(serverName, treeSha) {
+  const [namespace, name] = serverName.split('/');
+  const defaultPath = `servers/${namespace}/${name}.json`;
+
+  const tree = await githubRequest(`/git/trees/${treeSha}?recursive=1`);
+  const files = tree.tree.filter(entry => entry.type === 'blob' && entry.path.startsWith('servers/') && entry.path.endsWith('.json'));
+
+  const defaultFile = files.find(file => file.path === defaultPath);
+  if (defaultFile) return readServerFile(defaultFile);
+  if (!localServers.some(s => s.name === serverName)) return null;
+
+  const namespaceDir = `servers/${namespace}/`;
+  files.sort((a, b) => b.path.startsWith(namespaceDir) - a.path.startsWith(namespaceDir));
+  for (const file of files) {
+    const existing = await readServerFile(file);
+    const servers = Array.isArray(existing?.data.servers) ? existing.data.servers : [existing?.data];
+    if (servers.some(s => s?.name === serverName)) return existing;
+  }
+  return null;
+}
+
+/**
+ * Describe an import pull request
+ */
+function buildPullRequestBody(serverName, versionsData, path, action) {
+  const registryUrl = `${OFFICIAL_REGISTRY}/v0/servers/${encodeURIComponent(serverName)}/versions`;
+  const fileAction = action === 'created' ? 'new file' : 'merged into existing file';
+
+  return `## Import \`${serverName}\`
+
+Imported from the [official MCP Registry](${registryUrl}) with the registry web UI.
+
+- **File:** \`${path}\` (${fileAction})
+- **Versions:** ${versionsData.map(v => v.version).join(', ')}
+
+### Review checklist
+
+- [ ] Description, repository and website are correct
+- [ ] Packages and environment variables match the upstream server
+- [ ] \`npm run validate\` passes
+`;
+}
+
+/**
+ * Import a server by opening a pull request
+ * Creates a branch from the default branch, writes the server file (merging
+ * into the file that already defines the server, if any) and opens a PR.
+ * @returns {Promise<object>} - The created pull request
+ */
+async function openImportPullRequest(serverName, versionsData) {
+  const repo = await githubRequest('');
+  const base = repo.default_branch;
+  const baseCommit = await githubRequest(`/commits/${encodeURIComponent(base)}`);
+
+  const existing = await findServerFile(serverName, baseCommit.commit.tree.sha);
+  const [namespace, name] = serverName.split('/');
+  const path = existing?.path || `servers/${namespace}/${name}.json`;
+  const { data, action } = mergeIntoServerFile(existing?.data || null, serverName, versionsData);
+
+  const branch = `import/${namespace}-${name}-${Date.now()}`;
+  await githubRequest('/git/refs', {
+    method: 'POST',
+    body: { ref: `refs/heads/${branch}`, sha: baseCommit.sha }
+  });
+
+  const verb = action === 'created' ? 'Add' : 'Update';
+  await githubRequest(`/contents/${path}`, {
+    method: 'PUT',
+    body: {
+      message: `${verb} ${serverName} in registry`,
+      content: encodeBase64(JSON.stringify(data, null, 2) + '\n'),
+      branch,
+      sha: existing?.sha
+    }
+  });
+
+  return githubRequest('/pulls', {
+    method: 'POST',
+    body: {
+      title: `${verb} ${serverName}`,
+      head: branch,
+      base,
+      body: buildPullRequestBody(serverName, versionsData, path, action)
+    }
+  });
+}
+
 // Utilities
+
+// btoa/atob only handle Latin-1; server files may contain any Unicode
+function encodeBase64(str) {
+  const bytes = new TextEncoder().encode(str);
+  return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+}
+
+function decodeBase64(base64) {
+  const binary = atob(base64.replace(/\s/g, ''));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
 function escapeHtml(str) {
   if (!str) return '';
   return str
@@ -448,18 +684,29 @@ function escapeHtml(str) {
     .replace(/'/g, '&#039;');
 }
 
-function showToast(message, type = 'info') {
+function showToast(message, type = 'info', link) {
   const existing = document.querySelector('.toast');
   if (existing) existing.remove();
 
   const toast = document.createElement('div');
   toast.className = `toast ${type}`;
   toast.textContent = message;
+
+  if (link) {
+    const anchor = document.createElement('a');
+    anchor.href = link;
+    anchor.target = '_blank';
+    anchor.textContent = 'View';
+    toast.append(' ', anchor);
+  }
+
   document.body.appendChild(toast);
 
-  setTimeout(() => toast.remove(), 5000);
+  // Leave time to follow the link
+  setTimeout(() => toast.remove(), link ? 15000 : 5000);
 }
 
 // Make functions globally available
 window.showServerDetail = showServerDetail;
 window.importServer = importServer;
+window.copyConfigSnippet = copyConfigSnippet;
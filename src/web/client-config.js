@@ -0,0 +1,248 @@
+/**
+ * Client Config Export
+ *
+ * Turns server.json entries into config snippets that MCP clients can use
+ * directly: VS Code (mcp.json), Claude Desktop (claude_desktop_config.json)
+ * and Cursor (mcp.json). Secrets and values the user has to provide become
+ * ${input:...} placeholders. Used by the `export` CLI command, the dynamic
+ * server's /config endpoint and the web UI, so it lives with the web assets
+ * and must not depend on Node.js modules.
+ */
+
+export const CLIENT_FORMATS = ['vscode', 'claude', 'cursor'];
+
+// {name} placeholders in remote URLs and in header and environment values
+const PLACEHOLDER = /\{([^{}]+)\}/g;
+
+/**
+ * Turn a variable name into an input id (e.g. BRAVE_API_KEY -> brave-api-key)
+ */
+function toInputId(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Resolve the value of a variable (environment variable, header or argument)
+ * Fixed values and defaults are used as-is; anything else is asked for.
+ * Values with {name} placeholders (e.g. "Bearer {token}") keep their text and
+ * have each placeholder filled in.
+ * @param {object} variable - Variable definition from server.json
+ * @param {Map} inputs - Inputs collected so far, keyed by id
+ * @returns {string}
+ */
+function resolveValue(variable, inputs) {
+  if (typeof variable.value === 'string' && variable.value.match(PLACEHOLDER)) {
+    // Placeholders of a secret value are secret unless defined otherwise
+    return fillPlaceholders(variable.value, variable.variables, inputs, { isSecret: variable.isSecret });
+  }
+  if (variable.value !== undefined && !variable.isSecret) return variable.value;
+  if (variable.default !== undefined && !variable.isSecret) return variable.default;
+
+  const id = toInputId(variable.name || variable.valueHint || 'value');
+  if (!inputs.has(id)) {
+    inputs.set(id, {
+      type: 'promptString',
+      id,
+      description: variable.description || variable.name,
+      password: variable.isSecret || false
+    });
+  }
+  return `\${input:${id}}`;
+}
+
+/**
+ * Expand package/runtime arguments into command line arguments
+ */
+function toArgs(args = [], inputs) {
+  return args.flatMap(arg => {
+    if (typeof arg === 'string') return [arg];
+
+    const needsValue = arg.value === undefined && arg.default === undefined;
+    if (arg.type === 'named' || arg.type === 'option' || arg.type === 'flag') {
+      if (arg.type === 'flag') return [arg.name];
+      // Optional arguments without a value are left out; a bare name would
+      // take the next argument as its value
+      if (needsValue && !arg.isRequired) return [];
+      return [arg.name, resolveValue(arg, inputs)];
+    }
+    return [resolveValue(arg, inputs)];
+  });
+}
+
+/**
+ * Build environment variables for a package
+ */
+function toEnv(environmentVariables = [], inputs) {
+  if (environmentVariables.length === 0) return undefined;
+  return Object.fromEntries(environmentVariables.map(env => [env.name, resolveValue(env, inputs)]));
+}
+
+/**
+ * Fill in the {variable} placeholders of a template
+ * Values come from the variable definitions; placeholders without a
+ * definition are asked for.
+ * @param {string} template
+ * @param {object} [variables] - Variable definitions by name
+ * @param {Map} inputs
+ * @param {object} [defaults] - Properties of every variable, unless defined
+ */
+function fillPlaceholders(template, variables, inputs, defaults = {}) {
+  return template.replace(PLACEHOLDER, (placeholder, name) =>
+    resolveValue({ name, ...defaults, ...variables?.[name] }, inputs));
+}
+
+/**
+ * Fill in the {variable} placeholders of a remote URL
+ */
+function toRemoteUrl(remote, inputs) {
+  return fillPlaceholders(remote.url, remote.variables, inputs);
+}
+
+/**
+ * Build the command line for a package, the way each runtime installs it
+ * @returns {{command: string, args: string[]}}
+ */
+function toCommand(pkg, inputs) {
+  const runtimeArgs = toArgs(pkg.runtimeArguments, inputs);
+  const packageArgs = toArgs(pkg.packageArguments, inputs);
+  const pinned = pkg.version ? `${pkg.identifier}@${pkg.version}` : pkg.identifier;
+
+  switch (pkg.registryType) {
+    case 'npm':
+      return { command: 'npx', args: ['-y', ...runtimeArgs, pinned, ...packageArgs] };
+    case 'pypi':
+      if (pkg.runtimeHint === 'python') {
+        return { command: 'python', args: [...runtimeArgs, '-m', pkg.identifier, ...packageArgs] };
+      }
+      return { command: 'uvx', args: [...runtimeArgs, pinned, ...packageArgs] };
+    case 'nuget':
+      return { command: 'dnx', args: [...runtimeArgs, pinned, '--yes', ...packageArgs] };
+    case 'oci': {
+      const image = pkg.version ? `${pkg.identifier}:${pkg.version}` : pkg.identifier;
+      const envArgs = (pkg.environmentVariables || []).flatMap(env => ['-e', env.name]);
+      return { command: 'docker', args: ['run', '-i', '--rm', ...runtimeArgs, ...envArgs, image, ...packageArgs] };
+    }
+    default:
+      throw new Error(`Cannot build a command for ${pkg.registryType} package ${pkg.identifier}`);
+  }
+}
+
+/**
+ * List the ways to connect to a server, in order of preference
+ * Each package is an endpoint (a stdio package, or an HTTP endpoint if its
+ * transport has a url), followed by each remote.
+ * @param {object} server - Server in the flat server.json format
+ * @returns {Array<{pkg?: object, remote?: object}>}
+ */
+export function getEndpoints(server) {
+  const endpoints = (server.packages || []).map(pkg => pkg.transport?.url
+    ? { remote: { type: pkg.transport.type, url: pkg.transport.url, headers: pkg.transport.headers } }
+    : { pkg });
+  return [...endpoints, ...(server.remotes || []).map(remote => ({ remote }))];
+}
+
+/**
+ * Build the client config entry for one endpoint
+ */
+function toServerEntry(endpoint, format, inputs) {
+  const { pkg, remote } = endpoint;
+
+  if (pkg) {
+    const { command, args } = toCommand(pkg, inputs);
+    const env = toEnv(pkg.environmentVariables, inputs);
+    return format === 'vscode'
+      ? { type: 'stdio', command, args, env }
+      : { command, args, env };
+  }
+
+  const url = toRemoteUrl(remote, inputs);
+  const headers = remote.headers?.length
+    ? Object.fromEntries(remote.headers.map(h => [h.name, resolveValue(h, inputs)]))
+    : undefined;
+
+  if (format === 'vscode') {
+    return { type: remote.type === 'sse' ? 'sse' : 'http', url, headers };
+  }
+  if (format === 'cursor') {
+    return { url, headers };
+  }
+
+  // Claude Desktop only launches local processes; bridge with mcp-remote
+  const headerArgs = Object.entries(headers || {}).flatMap(([name, value]) => ['--header', `${name}:${value}`]);
+  return { command: 'npx', args: ['-y', 'mcp-remote', url, ...headerArgs] };
+}
+
+/**
+ * Wrap server entries in the client's config file layout
+ */
+function toConfigFile(entries, inputs, format) {
+  if (format === 'vscode') {
+    return { inputs: inputs.size > 0 ? [...inputs.values()] : undefined, servers: entries };
+  }
+  return { mcpServers: entries };
+}
+
+function assertFormat(format) {
+  if (!CLIENT_FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${format}" (expected one of: ${CLIENT_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Build a client config for one or more servers, using each server's
+ * preferred endpoint
+ * @param {Array} servers - Servers in the flat server.json format (as served by the API)
+ * @param {string} format - One of CLIENT_FORMATS
+ * @returns {object} - Config to paste into the client's config file
+ */
+export function toClientConfig(servers, format) {
+  assertFormat(format);
+
+  const inputs = new Map();
+  const entries = {};
+  for (const server of servers) {
+    const [endpoint] = getEndpoints(server);
+    if (!endpoint) {
+      throw new Error(`${server.name} has no installable package or remote`);
+    }
+    // Keys match registry names so VS Code can enrich them from the gallery
+    entries[server.name] = toServerEntry(endpoint, format, inputs);
+  }
+
+  return toConfigFile(entries, inputs, format);
+}
+
+/**
+ * Build a client config for one specific endpoint of a server
+ * @param {object} server - Server in the flat server.json format
+ * @param {object} endpoint - One of getEndpoints(server)
+ * @param {string} format - One of CLIENT_FORMATS
+ * @returns {object}
+ */
+export function toEndpointConfig(server, endpoint, format) {
+  assertFormat(format);
+
+  const inputs = new Map();
+  const entries = { [server.name]: toServerEntry(endpoint, format, inputs) };
+  return toConfigFile(entries, inputs, format);
+}
+
+/**
+ * Build a link that installs an endpoint in VS Code
+ * @param {object} server - Server in the flat server.json format
+ * @param {object} endpoint - One of getEndpoints(server)
+ * @param {object} options
+ * @param {boolean} options.insiders - Link to VS Code Insiders
+ * @returns {string} - vscode:mcp/install?... or vscode-insiders:mcp/install?... URL
+ */
+export function toVSCodeInstallUrl(server, endpoint, { insiders = false } = {}) {
+  const inputs = new Map();
+  const entry = toServerEntry(endpoint, 'vscode', inputs);
+  const install = { name: server.name, ...entry };
+  if (inputs.size > 0) {
+    install.inputs = [...inputs.values()];
+  }
+
+  const scheme = insiders ? 'vscode-insiders' : 'vscode';
+  return `${scheme}:mcp/install?${encodeURIComponent(JSON.stringify(install))}`;
+}
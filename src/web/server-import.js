@@ -0,0 +1,207 @@
+/**
+ * Server Import
+ *
+ * Merges server.json versions from a registry into a server file, keeping
+ * every field. Used by the `import` CLI command and the web UI's pull request
+ * import, so it lives with the web assets and must not depend on Node.js
+ * modules.
+ */
+
+import { SCHEMA_VERSION, OFFICIAL_SCHEMA } from '../../scripts/schema-version.js';
+
+// Official schema URL written to imported files, the same the API advertises
+export { SCHEMA_VERSION, OFFICIAL_SCHEMA };
+
+// Server-level fields, taken from the newest version and shared by all versions.
+// Every other field of the official server.json (version, packages, remotes,
+// _meta, ...) is kept per version.
+const SERVER_FIELDS = ['title', 'description', 'repository', 'websiteUrl', 'icons'];
+
+// Lifecycle fields of a stored server are kept as they are, since registries
+// don't send them. A versioned server's status covers all of its versions; in
+// the flat format status belongs to the one version, so only replacedBy is kept.
+const SERVER_STATUS_FIELDS = ['status', 'statusMessage', 'replacedBy'];
+const FLAT_STATUS_FIELDS = ['replacedBy'];
+
+/**
+ * Compare two JSON values structurally
+ */
+export function isJsonEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(key => Object.hasOwn(b, key) && isJsonEqual(a[key], b[key]));
+}
+
+/**
+ * Unwrap a registry response item into a server.json object
+ * Handles the official registry format (nested {server, _meta}) and keeps the
+ * official publish date as releaseDate.
+ */
+export function toVersionData(item) {
+  const server = item.server ? item.server : item;
+  const publishedAt = item._meta?.['io.modelcontextprotocol.registry/official']?.publishedAt;
+  if (publishedAt && !server.releaseDate) {
+    return { ...server, releaseDate: publishedAt.slice(0, 10) };
+  }
+  return server;
+}
+
+/**
+ * Build a server object in our internal format
+ * Server-level fields come from the newest version and are only repeated on
+ * older versions whose values differ, so no field is lost.
+ * @param {string} serverName - Server name
+ * @param {Array} versions - Full version entries, newest first (from mergeVersions)
+ * @param {object} existing - Stored server whose own status is kept, if any
+ */
+export function buildServerObject(serverName, versions, existing = {}) {
+  const server = { name: serverName };
+  for (const field of SERVER_FIELDS) {
+    if (versions[0][field] !== undefined) {
+      server[field] = versions[0][field];
+    }
+  }
+  for (const field of Array.isArray(existing.versions) ? SERVER_STATUS_FIELDS : FLAT_STATUS_FIELDS) {
+    if (existing[field] !== undefined) {
+      server[field] = existing[field];
+    }
+  }
+  // A flat server.json can point to its replacement; that belongs to the server
+  if (versions[0].replacedBy !== undefined) {
+    server.replacedBy = versions[0].replacedBy;
+  }
+
+  server.versions = versions.map(v => {
+    const { replacedBy, ...entry } = v;
+    for (const field of SERVER_FIELDS) {
+      if (field in entry && isJsonEqual(entry[field], server[field])) {
+        delete entry[field];
+      }
+    }
+    return entry;
+  });
+
+  return server;
+}
+
+/**
+ * Expand a stored server into full version entries
+ * Copies server-level fields onto each version so they survive re-hoisting
+ * when a newer version changes them. Handles both the versioned format and
+ * the flat official format (top-level version + packages).
+ */
+export function expandVersions(server) {
+  const shared = {};
+  for (const field of SERVER_FIELDS) {
+    if (server[field] !== undefined) {
+      shared[field] = server[field];
+    }
+  }
+
+  if (Array.isArray(server.versions)) {
+    return server.versions.map(v => ({ ...shared, ...v }));
+  }
+  if (server.version) {
+    const { $schema, name, replacedBy, ...flat } = server;
+    return [flat];
+  }
+  return [];
+}
+
+/**
+ * Merge existing versions with new versions
+ * New versions keep every field of the registry's server.json except
+ * $schema and name, which are stored once per file/server.
+ */
+export function mergeVersions(existingVersions, newVersionsData) {
+  const versionMap = new Map();
+
+  // Add existing versions
+  for (const v of existingVersions) {
+    versionMap.set(v.version, v);
+  }
+
+  // Add/update with new versions
+  for (const v of newVersionsData) {
+    const { $schema, name, version, releaseDate, isLatest, ...fields } = v;
+    versionMap.set(version, {
+      version,
+      releaseDate,
+      isLatest: false,
+      ...fields,
+      packages: fields.packages || []
+    });
+  }
+
+  // Sort versions (newest first)
+  const merged = Array.from(versionMap.values()).sort((a, b) => {
+    return b.version.localeCompare(a.version, undefined, { numeric: true });
+  });
+
+  // Mark latest
+  merged.forEach((v, i) => {
+    v.isLatest = i === 0;
+  });
+
+  return merged;
+}
+
+/**
+ * Merge imported versions of a server into a server file's contents
+ * Handles both single-server and multi-server files.
+ * @param {object|null} existing - Parsed file contents, or null for a new file
+ * @param {string} serverName - Server name
+ * @param {Array} versionsData - Versions from the registry (see toVersionData)
+ * @param {object} options
+ * @param {boolean} options.multi - Use the multi-server format for a new file
+ * @returns {{data: object, action: string, serverCount: number}} - New file
+ *   contents; action is one of created, merged, added, updated or converted
+ */
+export function mergeIntoServerFile(existing, serverName, versionsData, { multi = false } = {}) {
+  const newServer = buildServerObject(serverName, mergeVersions([], versionsData));
+
+  if (!existing) {
+    const data = multi
+      ? { $schema: OFFICIAL_SCHEMA, servers: [newServer] }
+      : { $schema: OFFICIAL_SCHEMA, ...newServer };
+    return { data, action: 'created', serverCount: 1 };
+  }
+
+  if (Array.isArray(existing.servers)) {
+    // Multi-server file: add or update the server in the array
+    const servers = [...existing.servers];
+    const index = servers.findIndex(s => s.name === serverName);
+
+    let action = 'added';
+    if (index >= 0) {
+      const allVersions = mergeVersions(expandVersions(servers[index]), versionsData);
+      servers[index] = buildServerObject(serverName, allVersions, servers[index]);
+      action = 'updated';
+    } else {
+      servers.push(newServer);
+    }
+
+    return { data: { $schema: OFFICIAL_SCHEMA, servers }, action, serverCount: servers.length };
+  }
+
+  if (existing.name === serverName) {
+    // Same server, merge versions
+    const allVersions = mergeVersions(expandVersions(existing), versionsData);
+    return {
+      data: { $schema: OFFICIAL_SCHEMA, ...buildServerObject(serverName, allVersions, existing) },
+      action: 'merged',
+      serverCount: 1
+    };
+  }
+
+  // Different server - convert to multi-server format
+  return {
+    data: { $schema: OFFICIAL_SCHEMA, servers: [existing, newServer] },
+    action: 'converted',
+    serverCount: 2
+  };
+}
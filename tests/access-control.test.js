@@ -0,0 +1,197 @@
+/**
+ * Tests for API authentication and the CORS allowlist
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import { mkdir, writeFile, rm, utimes } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { spawn } from 'child_process';
+import { createAccessControl, verifyJwt, loadJwks, isAllowedOrigin } from '../scripts/access-control.cjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const TEST_DIR = join(__dirname, 'fixtures', 'access-control');
+const SERVERS_DIR = join(TEST_DIR, 'servers');
+const JWKS_FILE = join(TEST_DIR, 'jwks.json');
+const PORT = 4300 + Math.floor(Math.random() * 100);
+
+const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const ed = crypto.generateKeyPairSync('ed25519');
+
+function signJwt(claims, { alg = 'RS256', kid = 'rsa-1', key = rsa.privateKey } = {}) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const data = `${encode({ alg, kid, typ: 'JWT' })}.${encode(claims)}`;
+  const hash = { RS256: 'sha256', ES256: 'sha256', EdDSA: null }[alg];
+  const signature = crypto.sign(hash, Buffer.from(data), alg === 'ES256' ? { key, dsaEncoding: 'ieee-p1363' } : key);
+  return `${data}.${signature.toString('base64url')}`;
+}
+
+function request(headers = {}, socket = {}) {
+  return { headers, socket };
+}
+
+describe('Access control', () => {
+  before(async () => {
+    await rm(TEST_DIR, { recursive: true, force: true });
+    await mkdir(SERVERS_DIR, { recursive: true });
+    await writeFile(JWKS_FILE, JSON.stringify({
+      keys: [
+        { ...rsa.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', alg: 'RS256', use: 'sig' },
+        { ...ec.publicKey.export({ format: 'jwk' }), kid: 'ec-1' },
+        { ...ed.publicKey.export({ format: 'jwk' }), kid: 'ed-1' }
+      ]
+    }));
+  });
+
+  after(async () => {
+    await rm(TEST_DIR, { recursive: true, force: true });
+  });
+
+  test('should verify JWTs and their claims', () => {
+    const keys = loadJwks(JWKS_FILE);
+    const now = Math.floor(Date.now() / 1000);
+
+    assert.strictEqual(verifyJwt(signJwt({ sub: 'alice', exp: now + 60 }), keys).sub, 'alice');
+    assert.strictEqual(verifyJwt(signJwt({ sub: 'ec' }, { alg: 'ES256', kid: 'ec-1', key: ec.privateKey }), keys).sub, 'ec');
+    assert.strictEqual(verifyJwt(signJwt({ sub: 'ed' }, { alg: 'EdDSA', kid: 'ed-1', key: ed.privateKey }), keys).sub, 'ed');
+
+    assert.throws(() => verifyJwt(signJwt({ exp: now - 3600 }), keys), /Token expired/);
+    assert.throws(() => verifyJwt(signJwt({ nbf: now + 3600 }), keys), /Token not yet valid/);
+    assert.throws(() => verifyJwt(signJwt({ iss: 'other' }), keys, { issuer: 'https://idp.example.com' }), /Wrong issuer/);
+    assert.throws(() => verifyJwt(signJwt({ aud: ['a', 'b'] }), keys, { audience: 'registry' }), /Wrong audience/);
+    assert.strictEqual(verifyJwt(signJwt({ aud: ['registry'] }), keys, { audience: 'registry' }).aud[0], 'registry');
+
+    const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    assert.throws(() => verifyJwt(signJwt({}, { key: other.privateKey }), keys), /Invalid signature/);
+    assert.throws(() => verifyJwt(signJwt({}, { kid: 'unknown' }), keys), /No matching key/);
+
+    const unsigned = signJwt({ sub: 'alice' }).split('.');
+    unsigned[0] = Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url');
+    assert.throws(() => verifyJwt(`${unsigned[0]}.${unsigned[1]}.`, keys), /Unsupported algorithm "none"/);
+  });
+
+  test('should authenticate API keys, JWTs and client certificates', async () => {
+    const open = createAccessControl({});
+    assert.strictEqual(open.enabled, false);
+    assert.deepStrictEqual(open.authenticate(request()), { ok: true, principal: null });
+
+    const access = createAccessControl({ MCP_API_KEYS: 'ci=ci-key, plain-key', MCP_JWKS_FILE: JWKS_FILE });
+    assert.deepStrictEqual(access.methods, ['api-key', 'jwt']);
+    assert.deepStrictEqual(access.authenticate(request({ authorization: 'Bearer ci-key' })).principal, { method: 'api-key', name: 'ci' });
+    assert.deepStrictEqual(access.authenticate(request({ authorization: 'Bearer plain-key' })).principal, { method: 'api-key', name: null });
+
+    const jwt = access.authenticate(request({ authorization: `Bearer ${signJwt({ sub: 'alice' })}` }));
+    assert.strictEqual(jwt.principal.method, 'jwt');
+    assert.strictEqual(jwt.principal.name, 'alice');
+
+    assert.deepStrictEqual(access.authenticate(request({ authorization: 'Bearer wrong' })), { ok: false, status: 401, error: 'Invalid API key' });
+    assert.match(access.authenticate(request()).error, /Authentication required \(api-key, jwt\)/);
+
+    // The TLS listener verifies certificates against the CA and sets socket.authorized
+    const caFile = join(TEST_DIR, 'ca.pem');
+    await writeFile(caFile, '-----BEGIN CERTIFICATE-----\n-----END CERTIFICATE-----\n');
+    const mtls = createAccessControl({ MCP_CLIENT_CA: caFile });
+    assert.deepStrictEqual(Object.keys(mtls.tlsOptions), ['ca', 'requestCert', 'rejectUnauthorized']);
+    const socket = { authorized: true, getPeerCertificate: () => ({ subject: { CN: 'build-agent' } }) };
+    assert.deepStrictEqual(mtls.authenticate(request({}, socket)).principal, { method: 'client-certificate', name: 'build-agent' });
+    assert.strictEqual(mtls.authenticate(request({}, { authorized: false })).ok, false);
+  });
+
+  test('should pick up rotated keys from the JWKS file', async () => {
+    const rotatingFile = join(TEST_DIR, 'rotating-jwks.json');
+    const writeKeys = key => writeFile(rotatingFile, JSON.stringify({ keys: [{ ...key.export({ format: 'jwk' }), kid: 'rsa-1' }] }));
+    await writeKeys(rsa.publicKey);
+    const access = createAccessControl({ MCP_JWKS_FILE: rotatingFile });
+
+    const rotated = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const token = `Bearer ${signJwt({ sub: 'rotated' }, { key: rotated.privateKey })}`;
+    assert.strictEqual(access.authenticate(request({ authorization: token })).ok, false);
+
+    await writeKeys(rotated.publicKey);
+    // Make sure the modification time changes even on coarse-grained filesystems
+    await utimes(rotatingFile, new Date(), new Date(Date.now() + 5000));
+    assert.strictEqual(access.authenticate(request({ authorization: token })).ok, true);
+  });
+
+  test('should match CORS origins against the allowlist', () => {
+    const origins = ['https://app.example.com', 'https://*.internal.example.com'];
+    assert.strictEqual(isAllowedOrigin(origins, 'https://app.example.com'), true);
+    assert.strictEqual(isAllowedOrigin(origins, 'https://docs.internal.example.com'), true);
+    assert.strictEqual(isAllowedOrigin(origins, 'https://evil.com/.internal.example.com'), false);
+    assert.strictEqual(isAllowedOrigin(origins, 'https://app.example.com.evil.com'), false);
+    assert.strictEqual(isAllowedOrigin(['*'], 'https://anything.example'), true);
+  });
+});
+
+describe('Dynamic server authentication', () => {
+  let child;
+
+  function get(path, headers = {}) {
+    return fetch(`http://localhost:${PORT}${path}`, { headers });
+  }
+
+  before(async () => {
+    await mkdir(SERVERS_DIR, { recursive: true });
+    await writeFile(join(SERVERS_DIR, 'internal.json'), JSON.stringify({
+      name: 'com.example/internal',
+      description: 'Internal tools',
+      versions: [{ version: '1.0.0', isLatest: true, packages: [], remotes: [{ type: 'streamable-http', url: 'https://tools.corp.example.com/mcp' }] }]
+    }));
+
+    child = await new Promise((resolve, reject) => {
+      const proc = spawn('node', [join(ROOT, 'scripts', 'dynamic-server.js')], {
+        cwd: ROOT,
+        env: {
+          ...process.env,
+          MCP_SOURCE: 'local',
+          MCP_SERVERS_DIR: SERVERS_DIR,
+          MCP_PORT: String(PORT),
+          MCP_CACHE_FILE: join(TEST_DIR, 'cache.json'),
+          MCP_API_KEYS: 'web=web-key',
+          MCP_CORS_ORIGINS: 'https://app.example.com'
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+      proc.stdout.on('data', chunk => {
+        if (chunk.toString().includes('Server running')) resolve(proc);
+      });
+      proc.on('exit', code => reject(new Error(`Dynamic server exited with code ${code}`)));
+    });
+  });
+
+  after(async () => {
+    child?.kill();
+    await rm(TEST_DIR, { recursive: true, force: true });
+  });
+
+  test('should require an API key for the API but not the web UI', async () => {
+    const denied = await get('/v0.1/servers');
+    assert.strictEqual(denied.status, 401);
+    assert.match(denied.headers.get('www-authenticate'), /^Bearer/);
+    assert.ok(!(await denied.text()).includes('corp.example.com'), 'should not leak server URLs');
+
+    assert.strictEqual((await get('/_status')).status, 401);
+    assert.strictEqual((await get('/v0.1/servers', { Authorization: 'Bearer wrong' })).status, 401);
+
+    const allowed = await get('/v0.1/servers', { Authorization: 'Bearer web-key' });
+    assert.strictEqual(allowed.status, 200);
+    assert.strictEqual((await allowed.json()).servers[0].server.name, 'com.example/internal');
+
+    assert.strictEqual((await get('/')).status, 200);
+  });
+
+  test('should only allow listed CORS origins', async () => {
+    const allowed = await get('/v0.1/servers', { Origin: 'https://app.example.com', Authorization: 'Bearer web-key' });
+    assert.strictEqual(allowed.headers.get('access-control-allow-origin'), 'https://app.example.com');
+    // Responses also vary by caller, since authentication is enabled
+    assert.strictEqual(allowed.headers.get('vary'), 'Origin, Authorization');
+
+    const preflight = await fetch(`http://localhost:${PORT}/v0.1/servers`, { method: 'OPTIONS', headers: { Origin: 'https://evil.example.com' } });
+    assert.strictEqual(preflight.status, 204);
+    assert.strictEqual(preflight.headers.get('access-control-allow-origin'), null);
+  });
+});
@@ -28,6 +28,25 @@ async function runBuild() {
   execSync('npm run build', { cwd: ROOT, stdio: 'pipe' });
 }
 
+// Helper to build the fixture servers directory into the fixture dist directory
+function runFixtureBuild(flags = '') {
+  execSync(`node scripts/build.js --local ${flags}`, {
+    cwd: ROOT,
+    stdio: 'pipe',
+    env: { ...process.env, MCP_SERVERS_DIR: TEST_SERVERS_DIR, MCP_DIST_DIR: TEST_DIST_DIR }
+  });
+}
+
+async function readBuildReport() {
+  return JSON.parse(await readFile(join(TEST_DIST_DIR, 'build-report.json'), 'utf-8'));
+}
+
+const validServer = {
+  name: 'io.github.example/valid',
+  description: 'Valid server',
+  versions: [{ version: '1.0.0', isLatest: true, packages: [] }]
+};
+
 describe('Build Script', () => {
   describe('Single Server Format', () => {
     test('should load single server file correctly', async () => {
@@ -152,4 +171,73 @@ describe('Build Script', () => {
       );
     });
   });
+
+  describe('Strict Mode', () => {
+    beforeEach(async () => {
+      await rm(TEST_SERVERS_DIR, { recursive: true, force: true });
+      await rm(TEST_DIST_DIR, { recursive: true, force: true });
+      await createTestServer(join(TEST_SERVERS_DIR, 'valid.json'), validServer);
+    });
+
+    afterEach(async () => {
+      await rm(TEST_SERVERS_DIR, { recursive: true, force: true });
+      await rm(TEST_DIST_DIR, { recursive: true, force: true });
+    });
+
+    test('should write an empty build report for a clean build', async () => {
+      runFixtureBuild('--strict');
+
+      const report = await readBuildReport();
+      assert.strictEqual(report.success, true);
+      assert.strictEqual(report.strict, true);
+      assert.strictEqual(report.serverCount, 1);
+      assert.deepStrictEqual(report.problems, []);
+    });
+
+    test('should skip invalid files and report them without --strict', async () => {
+      await writeFile(join(TEST_SERVERS_DIR, 'broken.json'), '{ not json');
+
+      runFixtureBuild();
+
+      const report = await readBuildReport();
+      assert.strictEqual(report.success, true);
+      assert.deepStrictEqual(report.problems.map(p => p.type), ['parse']);
+      assert.ok(existsSync(join(TEST_DIST_DIR, 'v0.1', 'servers', 'index.json')), 'should still build the API');
+    });
+
+    test('should fail on every kind of problem with --strict', async () => {
+      await writeFile(join(TEST_SERVERS_DIR, 'broken.json'), '{ not json');
+      await createTestServer(join(TEST_SERVERS_DIR, 'no-version.json'), {
+        name: 'io.github.example/no-version',
+        description: 'Missing version',
+        versions: [{ packages: [] }]
+      });
+      await createTestServer(join(TEST_SERVERS_DIR, 'copy.json'), validServer);
+      await createTestServer(join(TEST_SERVERS_DIR, 'conflicts.json'), {
+        name: 'io.github.example/conflicts',
+        description: 'Conflicting versions',
+        versions: [
+          { version: '1.0.0', isLatest: true, packages: [] },
+          { version: '1.0.0', isLatest: true, packages: [] }
+        ]
+      });
+
+      assert.throws(() => runFixtureBuild('--strict'), /Strict build failed/);
+
+      const report = await readBuildReport();
+      assert.strictEqual(report.success, false);
+      assert.deepStrictEqual(report.problems.map(p => p.type).sort(), [
+        'duplicate-name',
+        'duplicate-version',
+        'multiple-latest',
+        'parse',
+        'schema'
+      ]);
+
+      const schemaError = report.problems.find(p => p.type === 'schema');
+      assert.ok(schemaError.file.endsWith('no-version.json'), 'should name the file');
+      assert.deepStrictEqual(schemaError.details, [{ pointer: '/versions/0/version', message: 'is required' }]);
+      assert.ok(!existsSync(join(TEST_DIST_DIR, 'v0.1')), 'should not emit the API');
+    });
+  });
 });
@@ -0,0 +1,53 @@
+/**
+ * Tests for persisting the dynamic server cache to disk
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { rm, writeFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { existsSync } from 'fs';
+import { saveSnapshot, loadSnapshot } from '../scripts/cache-snapshot.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_DIR = join(__dirname, 'fixtures', 'cache-snapshot');
+const SNAPSHOT_FILE = join(TEST_DIR, 'server-cache.json');
+const SOURCE = 'test-owner/test-repo@main';
+
+const servers = [{
+  name: 'io.github.example/server',
+  description: 'Test server',
+  versions: [{ version: '1.0.0', isLatest: true, packages: [] }],
+  _history: { publishedAt: '2025-01-01T00:00:00.000Z', updatedAt: '2025-02-01T00:00:00.000Z' }
+}];
+
+describe('Cache Snapshot', () => {
+  afterEach(async () => {
+    await rm(TEST_DIR, { recursive: true, force: true });
+  });
+
+  test('should round-trip servers, commit and refresh time', async () => {
+    const lastRefresh = new Date('2025-03-01T12:00:00Z');
+    await saveSnapshot(SNAPSHOT_FILE, { source: SOURCE, commit: 'abc123', lastRefresh, servers });
+
+    const snapshot = await loadSnapshot(SNAPSHOT_FILE, SOURCE);
+    assert.deepStrictEqual(snapshot, { commit: 'abc123', lastRefresh, servers });
+    assert.ok(!existsSync(`${SNAPSHOT_FILE}.tmp`), 'should not leave the temporary file behind');
+  });
+
+  test('should return null when there is no snapshot', async () => {
+    assert.strictEqual(await loadSnapshot(SNAPSHOT_FILE, SOURCE), null);
+  });
+
+  test('should reject a snapshot from a different source', async () => {
+    await saveSnapshot(SNAPSHOT_FILE, { source: 'other/repo@main', commit: null, lastRefresh: new Date(), servers });
+    await assert.rejects(loadSnapshot(SNAPSHOT_FILE, SOURCE), /Snapshot is for other\/repo@main/);
+  });
+
+  test('should reject a corrupt snapshot', async () => {
+    await saveSnapshot(SNAPSHOT_FILE, { source: SOURCE, commit: null, lastRefresh: new Date(), servers });
+    await writeFile(SNAPSHOT_FILE, '{"version": 1, "source": "test-owner/test-repo@main"}');
+    await assert.rejects(loadSnapshot(SNAPSHOT_FILE, SOURCE), /no servers array/);
+  });
+});
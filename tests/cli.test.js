@@ -44,6 +44,41 @@ describe('CLI Commands', () => {
       assert.ok(stdout.includes('Latest:'), 'should show latest version');
       assert.ok(stdout.includes('version'), 'should show version count');
     });
+
+    test('should flag deprecated servers and hide deleted ones', async () => {
+      const dir = join(ROOT, 'tests', 'fixtures', 'cli-list');
+      await rm(dir, { recursive: true, force: true });
+      await mkdir(dir, { recursive: true });
+      await writeFile(join(dir, 'servers.json'), JSON.stringify({
+        servers: [
+          {
+            name: 'io.github.example/old',
+            description: 'Old server',
+            status: 'deprecated',
+            statusMessage: 'No longer maintained',
+            replacedBy: 'io.github.example/new',
+            versions: [
+              { version: '1.1.0', isLatest: true, status: 'deleted', packages: [] },
+              { version: '1.0.0', packages: [] }
+            ]
+          },
+          { name: 'io.github.example/gone', description: 'Gone', version: '1.0.0', status: 'deleted', packages: [] }
+        ]
+      }));
+
+      try {
+        const { stdout } = await execAsync(`${CLI} list -d "${dir}"`, { cwd: ROOT });
+        assert.ok(stdout.includes('io.github.example/old  [⚠️  deprecated]'), 'should flag deprecated servers');
+        assert.ok(stdout.includes('Latest: 1.0.0 (2 versions, 1 deleted)'), 'should skip deleted versions');
+        assert.ok(stdout.includes('Replaced by io.github.example/new'), 'should point to the replacement');
+        assert.ok(!stdout.includes('io.github.example/gone'), 'should hide deleted servers');
+
+        const { stdout: all } = await execAsync(`${CLI} list -d "${dir}" --include-deleted`, { cwd: ROOT });
+        assert.ok(all.includes('io.github.example/gone  [🗑️  deleted]'), 'should list deleted servers when asked');
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
   });
 
   describe('search command', () => {
@@ -185,6 +220,70 @@ describe('CLI Commands', () => {
     });
   });
 
+  describe('validate command', () => {
+    const TEST_DIR = join(ROOT, 'tests', 'fixtures', 'validate-test');
+
+    beforeEach(async () => {
+      await mkdir(TEST_DIR, { recursive: true });
+    });
+
+    afterEach(async () => {
+      await rm(TEST_DIR, { recursive: true, force: true });
+    });
+
+    test('should pass for the servers directory', async () => {
+      const { stdout } = await execAsync(`${CLI} validate`, { cwd: ROOT });
+
+      assert.ok(stdout.includes('are valid'), 'should report all files valid');
+    });
+
+    test('should report file, pointer and message and exit non-zero', async () => {
+      const badFile = join(TEST_DIR, 'bad.json');
+      await writeFile(badFile, JSON.stringify({
+        name: 'io.github.test/bad',
+        description: 'Test',
+        versions: [{ version: '1.0.0', packages: [{ registryType: 'npm', transport: { type: 'stdio' } }] }]
+      }));
+
+      await assert.rejects(
+        execAsync(`${CLI} validate "${TEST_DIR}"`, { cwd: ROOT }),
+        (err) => {
+          assert.strictEqual(err.code, 1);
+          assert.ok(err.stdout.includes(badFile), 'should name the file');
+          assert.ok(err.stdout.includes('/versions/0/packages/0/identifier: is required'), 'should report pointer and message');
+          return true;
+        }
+      );
+    });
+
+    test('should report package policy violations with the rule id', async () => {
+      const policyFile = join(TEST_DIR, 'policy.json');
+      await writeFile(policyFile, JSON.stringify({
+        rules: [{ id: 'no-sse', effect: 'deny', match: { transport: 'sse' }, message: 'use streamable-http' }]
+      }));
+      await mkdir(join(TEST_DIR, 'servers'), { recursive: true });
+      await writeFile(join(TEST_DIR, 'servers', 'remote.json'), JSON.stringify({
+        name: 'io.github.test/remote',
+        description: 'Test',
+        version: '1.0.0',
+        packages: [],
+        remotes: [{ type: 'sse', url: 'https://mcp.example.com/sse' }]
+      }));
+
+      await assert.rejects(
+        execAsync(`${CLI} validate "${join(TEST_DIR, 'servers')}" --policy "${policyFile}"`, { cwd: ROOT }),
+        (err) => {
+          assert.strictEqual(err.code, 1);
+          assert.ok(
+            err.stdout.includes('[no-sse]: io.github.test/remote@1.0.0: sse remote https://mcp.example.com/sse is denied by rule "no-sse": use streamable-http'),
+            'should report the rule and the endpoint'
+          );
+          return true;
+        }
+      );
+    });
+  });
+
   describe('build command', () => {
     test('should build successfully', async () => {
       const { stdout } = await execAsync(`${CLI} build`, { cwd: ROOT });
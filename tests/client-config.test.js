@@ -0,0 +1,272 @@
+/**
+ * Tests for exporting client configs
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdir, writeFile, rm } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { toClientConfig, getEndpoints, toEndpointConfig, toVSCodeInstallUrl } from '../src/web/client-config.js';
+
+const execAsync = promisify(exec);
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const CLI = 'node src/cli/index.js';
+const TEST_DIR = join(ROOT, 'tests', 'fixtures', 'client-config');
+
+const npmServer = {
+  name: 'com.example/search',
+  version: '2.0.1',
+  packages: [{
+    registryType: 'npm',
+    identifier: '@example/search-mcp',
+    version: '2.0.1',
+    transport: { type: 'stdio' },
+    packageArguments: [
+      { type: 'positional', value: 'serve' },
+      { type: 'named', name: '--region', description: 'Region', isRequired: true }
+    ],
+    environmentVariables: [
+      { name: 'SEARCH_API_KEY', description: 'API key', isRequired: true, isSecret: true },
+      { name: 'SEARCH_LOG_LEVEL', default: 'info' }
+    ]
+  }]
+};
+
+const dockerServer = {
+  name: 'io.github.example/tools',
+  version: '0.5.0',
+  packages: [{
+    registryType: 'oci',
+    identifier: 'ghcr.io/example/tools',
+    version: '0.5.0',
+    transport: { type: 'stdio' },
+    environmentVariables: [{ name: 'TOOLS_TOKEN', isSecret: true }]
+  }]
+};
+
+const remoteServer = {
+  name: 'com.example/docs',
+  version: '1.0.0',
+  packages: [],
+  remotes: [{
+    type: 'sse',
+    url: 'https://example.com/sse',
+    headers: [{ name: 'Authorization', description: 'Bearer token', isSecret: true }]
+  }]
+};
+
+describe('Client Config', () => {
+  describe('toClientConfig', () => {
+    test('should build a VS Code config with inputs for secrets', () => {
+      const config = toClientConfig([npmServer], 'vscode');
+
+      assert.deepStrictEqual(config.servers['com.example/search'], {
+        type: 'stdio',
+        command: 'npx',
+        args: ['-y', '@example/search-mcp@2.0.1', 'serve', '--region', '${input:region}'],
+        env: { SEARCH_API_KEY: '${input:search-api-key}', SEARCH_LOG_LEVEL: 'info' }
+      });
+      assert.deepStrictEqual(config.inputs, [
+        { type: 'promptString', id: 'region', description: 'Region', password: false },
+        { type: 'promptString', id: 'search-api-key', description: 'API key', password: true }
+      ]);
+    });
+
+    test('should pass environment variables to docker', () => {
+      const config = toClientConfig([dockerServer], 'claude');
+
+      assert.deepStrictEqual(config.mcpServers['io.github.example/tools'], {
+        command: 'docker',
+        args: ['run', '-i', '--rm', '-e', 'TOOLS_TOKEN', 'ghcr.io/example/tools:0.5.0'],
+        env: { TOOLS_TOKEN: '${input:tools-token}' }
+      });
+    });
+
+    test('should connect to remotes in each client format', () => {
+      assert.deepStrictEqual(toClientConfig([remoteServer], 'vscode').servers['com.example/docs'], {
+        type: 'sse',
+        url: 'https://example.com/sse',
+        headers: { Authorization: '${input:authorization}' }
+      });
+      assert.deepStrictEqual(toClientConfig([remoteServer], 'cursor').mcpServers['com.example/docs'], {
+        url: 'https://example.com/sse',
+        headers: { Authorization: '${input:authorization}' }
+      });
+      assert.deepStrictEqual(toClientConfig([remoteServer], 'claude').mcpServers['com.example/docs'], {
+        command: 'npx',
+        args: ['-y', 'mcp-remote', 'https://example.com/sse', '--header', 'Authorization:${input:authorization}']
+      });
+    });
+
+    test('should leave out optional arguments that have no value', () => {
+      const server = {
+        ...npmServer,
+        packages: [{
+          ...npmServer.packages[0],
+          packageArguments: [
+            { type: 'named', name: '--port', description: 'Port' },
+            { type: 'named', name: '--host', default: 'localhost' },
+            { type: 'positional', value: 'serve' }
+          ],
+          environmentVariables: []
+        }]
+      };
+
+      const config = toClientConfig([server], 'vscode');
+      assert.deepStrictEqual(config.servers['com.example/search'].args, [
+        '-y', '@example/search-mcp@2.0.1', '--host', 'localhost', 'serve'
+      ]);
+      assert.strictEqual(config.inputs, undefined);
+    });
+
+    test('should fill in remote URL variables', () => {
+      const server = {
+        name: 'com.example/tenant',
+        packages: [],
+        remotes: [{
+          type: 'streamable-http',
+          url: 'https://{tenant}.example.com/mcp/{region}?key={key}',
+          variables: {
+            tenant: { description: 'Tenant subdomain', isRequired: true },
+            region: { default: 'eu' },
+            key: { description: 'Access key', isSecret: true }
+          }
+        }]
+      };
+
+      const vscode = toClientConfig([server], 'vscode');
+      assert.strictEqual(vscode.servers['com.example/tenant'].url, 'https://${input:tenant}.example.com/mcp/eu?key=${input:key}');
+      assert.deepStrictEqual(vscode.inputs, [
+        { type: 'promptString', id: 'tenant', description: 'Tenant subdomain', password: false },
+        { type: 'promptString', id: 'key', description: 'Access key', password: true }
+      ]);
+      assert.deepStrictEqual(toClientConfig([server], 'claude').mcpServers['com.example/tenant'].args, [
+        '-y', 'mcp-remote', 'https://${input:tenant}.example.com/mcp/eu?key=${input:key}'
+      ]);
+
+      // Placeholders without a definition are asked for too
+      const undefinedVariable = { ...server, remotes: [{ type: 'sse', url: 'https://example.com/{workspace}/sse' }] };
+      assert.strictEqual(
+        toClientConfig([undefinedVariable], 'cursor').mcpServers['com.example/tenant'].url,
+        'https://example.com/${input:workspace}/sse'
+      );
+    });
+
+    test('should fill in placeholders of header and environment values', () => {
+      const server = {
+        name: 'com.example/api',
+        packages: [{
+          ...npmServer.packages[0],
+          packageArguments: [],
+          environmentVariables: [{ name: 'API_URL', value: 'https://{region}.example.com', variables: { region: { default: 'eu' } } }]
+        }],
+        remotes: [{
+          type: 'streamable-http',
+          url: 'https://example.com/mcp',
+          headers: [{
+            name: 'Authorization',
+            value: 'Bearer {token}',
+            isSecret: true,
+            variables: { token: { description: 'API token' } }
+          }]
+        }]
+      };
+
+      const remote = toClientConfig([{ ...server, packages: [] }], 'vscode');
+      assert.deepStrictEqual(remote.servers['com.example/api'].headers, { Authorization: 'Bearer ${input:token}' });
+      assert.deepStrictEqual(remote.inputs, [{ type: 'promptString', id: 'token', description: 'API token', password: true }]);
+
+      const local = toClientConfig([server], 'vscode');
+      assert.deepStrictEqual(local.servers['com.example/api'].env, { API_URL: 'https://eu.example.com' });
+    });
+
+    test('should reject unknown formats and servers without packages', () => {
+      assert.throws(() => toClientConfig([npmServer], 'zed'), /Unknown format "zed"/);
+      assert.throws(
+        () => toClientConfig([{ name: 'com.example/empty', packages: [] }], 'vscode'),
+        /no installable package or remote/
+      );
+    });
+  });
+
+  describe('endpoints', () => {
+    const multiServer = {
+      ...dockerServer,
+      packages: [...npmServer.packages, ...dockerServer.packages],
+      remotes: remoteServer.remotes
+    };
+
+    test('should list every package and remote', () => {
+      const endpoints = getEndpoints(multiServer);
+      assert.strictEqual(endpoints.length, 3);
+      assert.strictEqual(endpoints[1].pkg.registryType, 'oci');
+      assert.strictEqual(endpoints[2].remote.url, 'https://example.com/sse');
+    });
+
+    test('should build a config for a specific endpoint', () => {
+      const [, , remote] = getEndpoints(multiServer);
+      assert.deepStrictEqual(toEndpointConfig(multiServer, remote, 'vscode'), {
+        inputs: [{ type: 'promptString', id: 'authorization', description: 'Bearer token', password: true }],
+        servers: {
+          'io.github.example/tools': {
+            type: 'sse',
+            url: 'https://example.com/sse',
+            headers: { Authorization: '${input:authorization}' }
+          }
+        }
+      });
+    });
+
+    test('should build VS Code install links', () => {
+      const [endpoint] = getEndpoints(dockerServer);
+      const url = toVSCodeInstallUrl(dockerServer, endpoint);
+      assert.ok(url.startsWith('vscode:mcp/install?'));
+
+      const install = JSON.parse(decodeURIComponent(url.slice('vscode:mcp/install?'.length)));
+      assert.strictEqual(install.name, 'io.github.example/tools');
+      assert.strictEqual(install.command, 'docker');
+      assert.deepStrictEqual(install.inputs.map(i => i.id), ['tools-token']);
+
+      assert.ok(toVSCodeInstallUrl(dockerServer, endpoint, { insiders: true }).startsWith('vscode-insiders:mcp/install?'));
+    });
+  });
+
+  describe('export command', () => {
+    before(async () => {
+      await rm(TEST_DIR, { recursive: true, force: true });
+      await mkdir(TEST_DIR, { recursive: true });
+      await writeFile(join(TEST_DIR, 'tools.json'), JSON.stringify({ description: 'Tools', ...dockerServer }, null, 2));
+      await writeFile(join(TEST_DIR, 'docs.json'), JSON.stringify({ description: 'Docs', ...remoteServer }, null, 2));
+    });
+
+    after(async () => {
+      await rm(TEST_DIR, { recursive: true, force: true });
+    });
+
+    test('should print one config for several servers', async () => {
+      const { stdout } = await execAsync(
+        `${CLI} export io.github.example/tools com.example/docs@1.0.0 --format cursor -d "${TEST_DIR}"`,
+        { cwd: ROOT }
+      );
+
+      const config = JSON.parse(stdout);
+      assert.deepStrictEqual(Object.keys(config.mcpServers), ['io.github.example/tools', 'com.example/docs']);
+    });
+
+    test('should exit non-zero for unknown servers', async () => {
+      await assert.rejects(
+        execAsync(`${CLI} export com.example/missing -d "${TEST_DIR}"`, { cwd: ROOT }),
+        (err) => {
+          assert.strictEqual(err.code, 1);
+          assert.ok(err.stderr.includes('Server not found: com.example/missing'));
+          return true;
+        }
+      );
+    });
+  });
+});
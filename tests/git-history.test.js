@@ -0,0 +1,81 @@
+/**
+ * Tests for deriving server timestamps from git history
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdir, writeFile, rm } from 'fs/promises';
+import { mkdirSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { execFileSync } from 'child_process';
+import { getLocalFileHistory, getFileTimestamps } from '../scripts/git-history.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_REPO = join(__dirname, 'fixtures', 'git-history');
+const SERVERS_DIR = join(TEST_REPO, 'servers');
+
+// Helper to commit a file with a fixed commit date
+function commitFile(relativePath, content, date) {
+  const filePath = join(TEST_REPO, relativePath);
+  mkdirSync(dirname(filePath), { recursive: true });
+  writeFileSync(filePath, content);
+  execFileSync('git', ['add', relativePath], { cwd: TEST_REPO });
+  execFileSync('git', ['commit', '-q', '-m', `Update ${relativePath}`], {
+    cwd: TEST_REPO,
+    env: {
+      ...process.env,
+      GIT_AUTHOR_NAME: 'test',
+      GIT_AUTHOR_EMAIL: 'test@example.com',
+      GIT_COMMITTER_NAME: 'test',
+      GIT_COMMITTER_EMAIL: 'test@example.com',
+      GIT_AUTHOR_DATE: date,
+      GIT_COMMITTER_DATE: date
+    }
+  });
+}
+
+describe('Git History', () => {
+  before(async () => {
+    await rm(TEST_REPO, { recursive: true, force: true });
+    await mkdir(TEST_REPO, { recursive: true });
+    execFileSync('git', ['init', '-q'], { cwd: TEST_REPO });
+
+    commitFile('servers/a.json', '{"v":1}', '2024-01-01T00:00:00Z');
+    commitFile('servers/b.json', '{"v":1}', '2024-02-01T00:00:00Z');
+    commitFile('servers/a.json', '{"v":2}', '2024-03-01T00:00:00Z');
+    commitFile('README.md', 'outside servers/', '2024-04-01T00:00:00Z');
+  });
+
+  after(async () => {
+    await rm(TEST_REPO, { recursive: true, force: true });
+  });
+
+  test('should use first and last commit dates per file', () => {
+    const history = getLocalFileHistory(SERVERS_DIR);
+
+    assert.deepStrictEqual(history.get(join(SERVERS_DIR, 'a.json')), {
+      publishedAt: '2024-01-01T00:00:00.000Z',
+      updatedAt: '2024-03-01T00:00:00.000Z'
+    });
+    assert.deepStrictEqual(history.get(join(SERVERS_DIR, 'b.json')), {
+      publishedAt: '2024-02-01T00:00:00.000Z',
+      updatedAt: '2024-02-01T00:00:00.000Z'
+    });
+    assert.strictEqual(history.size, 2, 'should ignore files outside the directory');
+  });
+
+  test('should fall back to modification time for uncommitted files', async () => {
+    const filePath = join(SERVERS_DIR, 'new.json');
+    await writeFile(filePath, '{}');
+
+    const timestamps = getFileTimestamps(getLocalFileHistory(SERVERS_DIR), filePath);
+    assert.ok(timestamps.updatedAt, 'should have an update time');
+    assert.strictEqual(timestamps.publishedAt, timestamps.updatedAt);
+  });
+
+  test('should return an empty history outside a git repository', () => {
+    const history = getLocalFileHistory('/');
+    assert.strictEqual(history.size, 0);
+  });
+});
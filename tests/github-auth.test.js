@@ -0,0 +1,224 @@
+/**
+ * Tests for GitHub sign-in in the dynamic server
+ * Runs the OAuth flow against a local stand-in for GitHub.
+ */
+
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { mkdir, rm } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { spawn } from 'child_process';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const TEST_DIR = join(__dirname, 'fixtures', 'github-auth');
+const PORT = 4000 + Math.floor(Math.random() * 100);
+
+const requests = [];
+
+// Stand-in for github.com (OAuth) and api.github.com
+function startGitHub() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      res.setHeader('Content-Type', 'application/json');
+
+      if (req.url === '/login/oauth/access_token') {
+        const { code, client_secret } = JSON.parse(body);
+        const valid = code === 'good-code' && client_secret === 'test-secret';
+        res.end(JSON.stringify(valid ? { access_token: 'gho_test' } : { error: 'bad_verification_code' }));
+      } else if (req.url === '/user') {
+        res.end(JSON.stringify({ login: 'octocat' }));
+      } else {
+        res.end(JSON.stringify({ ok: true }));
+      }
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, () => resolve(server)));
+}
+
+function startDynamicServer(githubUrl) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('node', [join(ROOT, 'scripts', 'dynamic-server.js')], {
+      cwd: ROOT,
+      env: {
+        ...process.env,
+        MCP_SOURCE: 'local',
+        MCP_SERVERS_DIR: join(TEST_DIR, 'servers'),
+        MCP_PORT: String(PORT),
+        MCP_CACHE_FILE: join(TEST_DIR, 'cache.json'),
+        GITHUB_OWNER: 'acme',
+        GITHUB_REPO: 'registry',
+        GITHUB_CLIENT_ID: 'test-client',
+        GITHUB_CLIENT_SECRET: 'test-secret',
+        GITHUB_OAUTH_URL: githubUrl,
+        GITHUB_API_URL: githubUrl
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    child.stdout.on('data', chunk => {
+      if (chunk.toString().includes('Server running')) resolve(child);
+    });
+    child.on('exit', code => reject(new Error(`Dynamic server exited with code ${code}`)));
+  });
+}
+
+function request(path, options = {}) {
+  return fetch(`http://localhost:${PORT}${path}`, { redirect: 'manual', ...options });
+}
+
+// Turn Set-Cookie headers into a Cookie header
+function toCookieHeader(response) {
+  return response.headers.getSetCookie().map(c => c.split(';')[0]).join('; ');
+}
+
+async function signIn() {
+  const login = await request('/auth/github/login');
+  const state = new URL(login.headers.get('location')).searchParams.get('state');
+  const callback = await request(`/auth/github/callback?code=good-code&state=${state}`, {
+    headers: { Cookie: toCookieHeader(login) }
+  });
+  return callback;
+}
+
+describe('GitHub Auth', () => {
+  let github;
+  let child;
+
+  before(async () => {
+    await rm(TEST_DIR, { recursive: true, force: true });
+    await mkdir(join(TEST_DIR, 'servers'), { recursive: true });
+    github = await startGitHub();
+    child = await startDynamicServer(`http://localhost:${github.address().port}`);
+  });
+
+  after(async () => {
+    child?.kill();
+    github?.close();
+    await rm(TEST_DIR, { recursive: true, force: true });
+  });
+
+  test('should redirect to GitHub with a state cookie', async () => {
+    const response = await request('/auth/github/login');
+    assert.strictEqual(response.status, 302);
+
+    const location = new URL(response.headers.get('location'));
+    assert.strictEqual(location.pathname, '/login/oauth/authorize');
+    assert.strictEqual(location.searchParams.get('client_id'), 'test-client');
+    assert.strictEqual(location.searchParams.get('redirect_uri'), `http://localhost:${PORT}/auth/github/callback`);
+    assert.ok(toCookieHeader(response).includes(`mcp_oauth_state=${location.searchParams.get('state')}`));
+  });
+
+  test('should exchange the code and keep the token server-side', async () => {
+    const callback = await signIn();
+    assert.strictEqual(callback.status, 302);
+    assert.strictEqual(callback.headers.get('location'), '/');
+
+    const sessionCookie = callback.headers.getSetCookie().find(c => c.startsWith('mcp_session='));
+    assert.ok(sessionCookie.includes('HttpOnly'), 'session cookie should be HttpOnly');
+    assert.ok(!sessionCookie.includes('gho_test'), 'token should not be sent to the browser');
+
+    const session = await (await request('/auth/session', { headers: { Cookie: toCookieHeader(callback) } })).json();
+    assert.deepStrictEqual(session, { enabled: true, authenticated: true, login: 'octocat', repo: 'acme/registry' });
+  });
+
+  test('should reject a callback with the wrong state', async () => {
+    const response = await request('/auth/github/callback?code=good-code&state=forged', {
+      headers: { Cookie: 'mcp_oauth_state=expected' }
+    });
+    assert.strictEqual(response.status, 400);
+  });
+
+  test('should call the registry repository with the session token', async () => {
+    const cookie = toCookieHeader(await signIn());
+
+    const response = await request('/auth/github/repo/pulls', {
+      method: 'POST',
+      headers: { Cookie: cookie, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title: 'Add server' })
+    });
+    assert.strictEqual(response.status, 200);
+
+    const forwarded = requests.at(-1);
+    assert.strictEqual(forwarded.url, '/repos/acme/registry/pulls');
+    assert.strictEqual(forwarded.headers.authorization, 'Bearer gho_test');
+    assert.deepStrictEqual(JSON.parse(forwarded.body), { title: 'Add server' });
+
+    // Signed out sessions can no longer use the token
+    await request('/auth/logout', { method: 'POST', headers: { Cookie: cookie } });
+    const after = await request('/auth/github/repo/pulls', { headers: { Cookie: cookie } });
+    assert.strictEqual(after.status, 401);
+  });
+
+  test('should refuse bodies over 1 MB without forwarding them', async () => {
+    const cookie = toCookieHeader(await signIn());
+    const forwarded = requests.length;
+
+    const response = await request('/auth/github/repo/pulls', {
+      method: 'POST',
+      headers: { Cookie: cookie, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title: 'x'.repeat(2 * 1024 * 1024) })
+    });
+    assert.strictEqual(response.status, 413);
+    assert.deepStrictEqual(await response.json(), { error: 'Request body too large' });
+    assert.strictEqual(requests.length, forwarded);
+  });
+
+  test('should not forward requests outside the repository', async () => {
+    const cookie = toCookieHeader(await signIn());
+    const response = await request('/auth/github/repo/%2F..%2F..%2Fuser', { headers: { Cookie: cookie } });
+    assert.strictEqual(response.status, 400);
+  });
+});
+
+describe('GitHub Auth sessions', () => {
+  let github;
+  let server;
+  let auth;
+  let base;
+
+  before(async () => {
+    github = await startGitHub();
+    process.env.GITHUB_OAUTH_URL = process.env.GITHUB_API_URL = `http://localhost:${github.address().port}`;
+    const { createGitHubAuth } = await import('../scripts/github-auth.js');
+    auth = createGitHubAuth({ clientId: 'test-client', clientSecret: 'test-secret', owner: 'acme', repo: 'registry' });
+
+    server = http.createServer((req, res) => auth.handleRequest(req, res, new URL(req.url, 'http://localhost')));
+    await new Promise(resolve => server.listen(0, resolve));
+    base = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => {
+    mock.restoreAll();
+    server?.close();
+    github?.close();
+    delete process.env.GITHUB_OAUTH_URL;
+    delete process.env.GITHUB_API_URL;
+  });
+
+  async function signInDirectly() {
+    const login = await fetch(`${base}/auth/github/login`, { redirect: 'manual' });
+    const state = new URL(login.headers.get('location')).searchParams.get('state');
+    await fetch(`${base}/auth/github/callback?code=good-code&state=${state}`, {
+      redirect: 'manual',
+      headers: { Cookie: toCookieHeader(login) }
+    });
+  }
+
+  test('should drop abandoned sessions once they expire', async () => {
+    await signInDirectly();
+    await signInDirectly();
+    assert.strictEqual(auth.sessionCount, 2);
+
+    // Nine hours later (sessions last eight), the next sign-in sweeps both
+    const now = Date.now();
+    mock.method(Date, 'now', () => now + 9 * 60 * 60 * 1000);
+    await signInDirectly();
+    assert.strictEqual(auth.sessionCount, 1);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Tests for fetching servers from GitHub with minimal API requests
+ * Runs against a local stand-in for the GitHub API.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { createHash } from 'crypto';
+
+// Stand-in repository state: path -> file contents
+const repoFiles = new Map();
+let headCommit = 'c'.repeat(40);
+let requests = [];
+
+function blobSha(content) {
+  return createHash('sha1').update(content).digest('hex');
+}
+
+function setFile(path, data) {
+  repoFiles.set(path, JSON.stringify(data));
+  headCommit = createHash('sha1').update(JSON.stringify([...repoFiles])).digest('hex');
+}
+
+function handleGitHubRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  requests.push(url.pathname);
+
+  const json = (data) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+
+  if (url.pathname === '/repos/test-owner/test-repo/commits/main') {
+    const etag = `"${headCommit}"`;
+    if (req.headers['if-none-match'] === etag) {
+      res.writeHead(304, { ETag: etag });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/vnd.github.sha', ETag: etag });
+    res.end(headCommit);
+    return;
+  }
+
+  if (url.pathname === `/repos/test-owner/test-repo/git/trees/${headCommit}`) {
+    json({
+      sha: headCommit,
+      truncated: false,
+      tree: [
+        { path: 'README.md', type: 'blob', sha: blobSha('readme') },
+        { path: 'servers', type: 'tree', sha: 't'.repeat(40) },
+        ...[...repoFiles].map(([path, content]) => ({ path, type: 'blob', sha: blobSha(content) }))
+      ]
+    });
+    return;
+  }
+
+  const blobMatch = url.pathname.match(/^\/repos\/test-owner\/test-repo\/git\/blobs\/([0-9a-f]+)$/);
+  if (blobMatch) {
+    const content = [...repoFiles.values()].find(c => blobSha(c) === blobMatch[1]);
+    json({ sha: blobMatch[1], encoding: 'base64', content: Buffer.from(content).toString('base64') });
+    return;
+  }
+
+  if (url.pathname === '/repos/test-owner/test-repo/commits') {
+    json([
+      { commit: { committer: { date: '2025-02-01T00:00:00Z' } } },
+      { commit: { committer: { date: '2025-01-01T00:00:00Z' } } }
+    ]);
+    return;
+  }
+
+  res.writeHead(404);
+  res.end('{}');
+}
+
+function makeServer(name, version) {
+  return {
+    name,
+    description: `Test server ${name}`,
+    versions: [{ version, isLatest: true, packages: [] }]
+  };
+}
+
+describe('GitHub Source', () => {
+  let server;
+  let fetchServersFromGitHub;
+  const options = { owner: 'test-owner', repo: 'test-repo', branch: 'main' };
+
+  before(async () => {
+    server = http.createServer(handleGitHubRequest);
+    await new Promise(resolve => server.listen(0, resolve));
+    process.env.GITHUB_API_URL = `http://localhost:${server.address().port}`;
+    ({ fetchServersFromGitHub } = await import('../scripts/github-source.js'));
+
+    setFile('servers/a.json', makeServer('io.github.example/a', '1.0.0'));
+    setFile('servers/nested/b.json', makeServer('io.github.example/b', '1.0.0'));
+  });
+
+  after(() => {
+    delete process.env.GITHUB_API_URL;
+    server.close();
+  });
+
+  test('should list files with one tree call and fetch each blob', async () => {
+    requests = [];
+    const servers = await fetchServersFromGitHub(options);
+
+    assert.deepStrictEqual(servers.map(s => s.name).sort(), ['io.github.example/a', 'io.github.example/b']);
+    assert.strictEqual(requests.filter(p => p.includes('/git/trees/')).length, 1);
+    assert.strictEqual(requests.filter(p => p.includes('/git/blobs/')).length, 2);
+    assert.ok(!requests.some(p => p.includes('/contents/')), 'should not use the contents API');
+    assert.deepStrictEqual(servers[0]._history, {
+      publishedAt: '2025-01-01T00:00:00.000Z',
+      updatedAt: '2025-02-01T00:00:00.000Z'
+    });
+  });
+
+  test('should cost a single request when nothing changed', async () => {
+    requests = [];
+    const servers = await fetchServersFromGitHub(options);
+
+    assert.deepStrictEqual(requests, ['/repos/test-owner/test-repo/commits/main']);
+    assert.strictEqual(servers.length, 2);
+  });
+
+  test('should only download blobs that changed', async () => {
+    setFile('servers/a.json', makeServer('io.github.example/a', '2.0.0'));
+
+    requests = [];
+    const servers = await fetchServersFromGitHub(options);
+
+    const blobRequests = requests.filter(p => p.includes('/git/blobs/'));
+    assert.strictEqual(blobRequests.length, 1);
+    assert.strictEqual(blobRequests[0], `/repos/test-owner/test-repo/git/blobs/${blobSha(repoFiles.get('servers/a.json'))}`);
+
+    const updated = servers.find(s => s.name === 'io.github.example/a');
+    assert.strictEqual(updated.versions[0].version, '2.0.0');
+  });
+
+  test('should not share server objects between fetches', async () => {
+    const first = await fetchServersFromGitHub(options);
+    first[0].name = 'mutated';
+
+    const second = await fetchServersFromGitHub(options);
+    assert.ok(!second.some(s => s.name === 'mutated'));
+  });
+});
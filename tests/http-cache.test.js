@@ -0,0 +1,209 @@
+/**
+ * Tests for ETags, conditional GETs and compression
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdir, writeFile, rm } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { spawn } from 'child_process';
+import http from 'http';
+import zlib from 'zlib';
+import { getCachePolicy, getCacheControl, createEntry, negotiateEncoding, sendEntry } from '../scripts/http-cache.cjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const TEST_DIR = join(__dirname, 'fixtures', 'http-cache');
+const SERVERS_DIR = join(TEST_DIR, 'servers');
+const PORT = 4700 + Math.floor(Math.random() * 100);
+
+/**
+ * GET without fetch's automatic decompression
+ */
+function get(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(url, { headers }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    }).on('error', reject);
+  });
+}
+
+function serverFile(name, description) {
+  return JSON.stringify({
+    name,
+    description,
+    versions: [{ version: '1.0.0', isLatest: true, packages: [] }]
+  });
+}
+
+describe('HTTP caching', () => {
+  test('should pick the encoding the client prefers', () => {
+    assert.strictEqual(negotiateEncoding('gzip, deflate, br'), 'br');
+    assert.strictEqual(negotiateEncoding('gzip'), 'gzip');
+    assert.strictEqual(negotiateEncoding('br;q=0.5, gzip;q=0.8'), 'gzip');
+    assert.strictEqual(negotiateEncoding('br;q=0, *'), 'gzip');
+    assert.strictEqual(negotiateEncoding('identity'), null);
+    assert.strictEqual(negotiateEncoding(undefined), null);
+  });
+
+  test('should apply a Cache-Control policy per route', () => {
+    const cases = [
+      ['/v0.1/servers?search=db', 'api'],
+      ['/v0.1/servers/com.acme%2Fdb/versions', 'api'],
+      ['/v0.1/servers/com.acme/db/versions/latest', 'api'],
+      ['/v0.1/servers/com.acme/db/versions/1.0.0', 'version'],
+      ['/v0.1/servers/com.acme/db/versions/1.0.0/config?format=claude', 'version'],
+      ['/api/servers/com.acme%2Fdb/versions/1.0.0.json', 'version'],
+      ['/api/servers/com.acme%2Fdb/versions/latest.json', 'api'],
+      ['/_status', 'none'],
+      ['/app.js', 'static']
+    ];
+    for (const [path, policy] of cases) {
+      assert.strictEqual(getCachePolicy(path), policy, path);
+    }
+    assert.strictEqual(getCacheControl('api'), 'public, no-cache');
+    assert.strictEqual(getCacheControl('version', true), 'private, max-age=300');
+    assert.strictEqual(getCacheControl('none', true), 'no-store');
+  });
+
+  describe('sendEntry', () => {
+    let server;
+    let url;
+    const large = createEntry(JSON.stringify({ servers: Array(100).fill({ name: 'com.acme/db' }) }), 'application/json');
+    const small = createEntry('{}', 'application/json');
+
+    before(async () => {
+      server = http.createServer((req, res) => {
+        res.setHeader('Vary', 'Origin');
+        sendEntry(req, res, req.url === '/small' ? small : large, { cacheControl: 'public, no-cache' });
+      });
+      await new Promise(resolve => server.listen(0, resolve));
+      url = `http://localhost:${server.address().port}`;
+    });
+
+    after(() => {
+      server.close();
+    });
+
+    test('should answer 304 when the client has the ETag', async () => {
+      const first = await get(`${url}/large`);
+      assert.strictEqual(first.status, 200);
+      assert.match(first.headers.etag, /^"[A-Za-z0-9_-]{43}"$/);
+      assert.strictEqual(first.headers['cache-control'], 'public, no-cache');
+      assert.strictEqual(first.headers.vary, 'Origin, Accept-Encoding');
+
+      const again = await get(`${url}/large`, { 'If-None-Match': `"other", W/${first.headers.etag}` });
+      assert.strictEqual(again.status, 304);
+      assert.strictEqual(again.body.length, 0);
+      assert.strictEqual(again.headers.etag, first.headers.etag);
+
+      assert.strictEqual((await get(`${url}/large`, { 'If-None-Match': '"other"' })).status, 200);
+    });
+
+    test('should compress large bodies with the negotiated encoding', async () => {
+      const br = await get(`${url}/large`, { 'Accept-Encoding': 'gzip, br' });
+      assert.strictEqual(br.headers['content-encoding'], 'br');
+      assert.deepStrictEqual(zlib.brotliDecompressSync(br.body), large.body);
+
+      const gzip = await get(`${url}/large`, { 'Accept-Encoding': 'gzip' });
+      assert.strictEqual(gzip.headers['content-encoding'], 'gzip');
+      assert.strictEqual(Number(gzip.headers['content-length']), gzip.body.length);
+      assert.deepStrictEqual(zlib.gunzipSync(gzip.body), large.body);
+
+      // Each representation has its own strong ETag
+      assert.strictEqual(br.headers.etag, `${large.etag.slice(0, -1)}-br"`);
+      assert.strictEqual(gzip.headers.etag, `${large.etag.slice(0, -1)}-gzip"`);
+      assert.strictEqual((await get(`${url}/large`)).headers.etag, large.etag);
+
+      const plain = await get(`${url}/small`, { 'Accept-Encoding': 'gzip, br' });
+      assert.strictEqual(plain.headers['content-encoding'], undefined);
+      assert.strictEqual(plain.headers.etag, small.etag);
+      assert.strictEqual(plain.body.toString(), '{}');
+    });
+
+    test('should answer 304 for the ETag of any encoding', async () => {
+      const gzip = await get(`${url}/large`, { 'Accept-Encoding': 'gzip' });
+
+      // e.g. a client that switched from gzip to brotli, or lost its cached copy's encoding
+      const br = await get(`${url}/large`, { 'Accept-Encoding': 'br', 'If-None-Match': gzip.headers.etag });
+      assert.strictEqual(br.status, 304);
+      assert.strictEqual(br.headers.etag, `${large.etag.slice(0, -1)}-br"`, 'a 304 names the representation it stands for');
+
+      const identity = await get(`${url}/large`, { 'If-None-Match': `W/${gzip.headers.etag}` });
+      assert.strictEqual(identity.status, 304);
+      assert.strictEqual(identity.headers.etag, large.etag);
+
+      const otherBody = await get(`${url}/large`, { 'If-None-Match': `"${'x'.repeat(43)}-gzip"` });
+      assert.strictEqual(otherBody.status, 200);
+    });
+  });
+});
+
+describe('Dynamic server caching', () => {
+  let child;
+  const base = `http://localhost:${PORT}`;
+
+  before(async () => {
+    await rm(TEST_DIR, { recursive: true, force: true });
+    await mkdir(SERVERS_DIR, { recursive: true });
+    await writeFile(join(SERVERS_DIR, 'db.json'), serverFile('com.acme/db', 'Database tools'));
+
+    child = await new Promise((resolve, reject) => {
+      const proc = spawn('node', [join(ROOT, 'scripts', 'dynamic-server.js')], {
+        cwd: ROOT,
+        env: {
+          ...process.env,
+          MCP_SOURCE: 'local',
+          MCP_SERVERS_DIR: SERVERS_DIR,
+          MCP_PORT: String(PORT),
+          MCP_CACHE_FILE: join(TEST_DIR, 'cache.json')
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+      proc.stdout.on('data', chunk => {
+        if (chunk.toString().includes('Server running')) resolve(proc);
+      });
+      proc.on('exit', code => reject(new Error(`Dynamic server exited with code ${code}`)));
+    });
+  });
+
+  after(async () => {
+    child?.kill();
+    await rm(TEST_DIR, { recursive: true, force: true });
+  });
+
+  test('should revalidate API responses until the servers change', async () => {
+    const first = await get(`${base}/v0.1/servers`);
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.headers['cache-control'], 'public, no-cache');
+    assert.strictEqual((await get(`${base}/v0.1/servers`, { 'If-None-Match': first.headers.etag })).status, 304);
+
+    const version = await get(`${base}/v0.1/servers/com.acme%2Fdb/versions/1.0.0`);
+    assert.strictEqual(version.headers['cache-control'], 'public, max-age=300');
+    assert.strictEqual((await get(`${base}/_status`)).headers['cache-control'], 'no-store');
+
+    await writeFile(join(SERVERS_DIR, 'db.json'), serverFile('com.acme/db', 'Database and cache tools'));
+    await fetch(`${base}/_refresh`, { method: 'POST' });
+
+    const changed = await get(`${base}/v0.1/servers`, { 'If-None-Match': first.headers.etag });
+    assert.strictEqual(changed.status, 200);
+    assert.notStrictEqual(changed.headers.etag, first.headers.etag);
+    assert.ok(changed.body.toString().includes('Database and cache tools'));
+  });
+
+  test('should compress the web UI', async () => {
+    const response = await get(`${base}/app.js`, { 'Accept-Encoding': 'gzip' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers['content-encoding'], 'gzip');
+    assert.strictEqual(response.headers['cache-control'], 'public, no-cache');
+    assert.ok(zlib.gunzipSync(response.body).toString().includes('fetchRegistry'));
+
+    // server-import.js imports the schema version from scripts/
+    const schemaVersion = await get(`${base}/scripts/schema-version.js`);
+    assert.strictEqual(schemaVersion.status, 200);
+    assert.ok(schemaVersion.body.toString().includes('export const SCHEMA_VERSION'));
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Tests for importing servers from client config files
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdir, writeFile, rm, readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { existsSync } from 'fs';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { validateServerFile } from '../scripts/server-validator.js';
+
+const execAsync = promisify(exec);
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const CLI = 'node src/cli/index.js';
+const TEST_DIR = join(ROOT, 'tests', 'fixtures', 'import-config');
+const OUTPUT_DIR = join(TEST_DIR, 'servers');
+
+// VS Code mcp.json
+const vscodeConfig = {
+  inputs: [{ type: 'promptString', id: 'brave-key', password: true }],
+  servers: {
+    'brave-search': {
+      type: 'stdio',
+      command: 'npx',
+      args: ['-y', '@brave/brave-search-mcp-server@2.0.1', '--transport', 'stdio'],
+      env: { BRAVE_API_KEY: '${input:brave-key}' }
+    },
+    'com.example/docs': {
+      type: 'http',
+      url: 'https://example.com/mcp',
+      headers: { Authorization: 'Bearer ${input:docs-token}' }
+    }
+  }
+};
+
+// Claude Desktop / Cursor config
+const claudeConfig = {
+  mcpServers: {
+    fetch: { command: 'uvx', args: ['mcp-server-fetch'] },
+    github: {
+      command: 'docker',
+      args: ['run', '-i', '--rm', '-e', 'GITHUB_PERSONAL_ACCESS_TOKEN', 'ghcr.io/github/github-mcp-server:v0.5.0'],
+      env: { GITHUB_PERSONAL_ACCESS_TOKEN: 'ghp_do_not_copy' }
+    },
+    analytics: { command: 'python', args: ['-m', 'analytics_mcp', '--verbose'] },
+    legacy: { url: 'https://example.com/sse' }
+  }
+};
+
+async function writeConfig(name, data) {
+  const file = join(TEST_DIR, name);
+  await writeFile(file, JSON.stringify(data, null, 2));
+  return file;
+}
+
+async function readServer(namespace, name) {
+  return JSON.parse(await readFile(join(OUTPUT_DIR, namespace, `${name}.json`), 'utf-8'));
+}
+
+describe('Import Config', () => {
+  beforeEach(async () => {
+    await rm(TEST_DIR, { recursive: true, force: true });
+    await mkdir(TEST_DIR, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await rm(TEST_DIR, { recursive: true, force: true });
+  });
+
+  test('should convert a VS Code mcp.json', async () => {
+    const file = await writeConfig('mcp.json', vscodeConfig);
+    await execAsync(`${CLI} import-config "${file}" -o "${OUTPUT_DIR}"`, { cwd: ROOT });
+
+    const brave = await readServer('com.brave', 'brave-search-mcp-server');
+    assert.deepStrictEqual(validateServerFile(brave), []);
+    assert.strictEqual(brave.title, 'brave-search');
+    assert.strictEqual(brave.version, '2.0.1');
+    assert.deepStrictEqual(brave.packages, [{
+      registryType: 'npm',
+      identifier: '@brave/brave-search-mcp-server',
+      runtimeHint: 'npx',
+      transport: { type: 'stdio' },
+      packageArguments: [
+        { type: 'positional', value: '--transport' },
+        { type: 'positional', value: 'stdio' }
+      ],
+      environmentVariables: [{ name: 'BRAVE_API_KEY', isRequired: true, isSecret: true }]
+    }]);
+
+    // Keys that already are registry names are kept as the name
+    const docs = await readServer('com.example', 'docs');
+    assert.deepStrictEqual(validateServerFile(docs), []);
+    assert.strictEqual(docs.title, undefined);
+    assert.deepStrictEqual(docs.packages, []);
+    assert.deepStrictEqual(docs.remotes, [{
+      type: 'streamable-http',
+      url: 'https://example.com/mcp',
+      headers: [{ name: 'Authorization', isRequired: true, isSecret: true }]
+    }]);
+  });
+
+  test('should convert a Claude Desktop config', async () => {
+    const file = await writeConfig('claude_desktop_config.json', claudeConfig);
+    await execAsync(`${CLI} import-config "${file}" -n io.github.acme -o "${OUTPUT_DIR}"`, { cwd: ROOT });
+
+    const fetch = await readServer('io.github.acme', 'mcp-server-fetch');
+    assert.strictEqual(fetch.version, '1.0.0');
+    assert.strictEqual(fetch.packages[0].registryType, 'pypi');
+    assert.strictEqual(fetch.packages[0].runtimeHint, 'uvx');
+
+    const github = await readServer('io.github.acme', 'github-mcp-server');
+    assert.strictEqual(github.version, '0.5.0');
+    assert.strictEqual(github.packages[0].registryType, 'oci');
+    assert.strictEqual(github.packages[0].identifier, 'ghcr.io/github/github-mcp-server');
+    assert.deepStrictEqual(github.packages[0].environmentVariables, [
+      { name: 'GITHUB_PERSONAL_ACCESS_TOKEN', isRequired: true, isSecret: true }
+    ]);
+
+    const analytics = await readServer('io.github.acme', 'analytics-mcp');
+    assert.strictEqual(analytics.packages[0].runtimeHint, 'python');
+    assert.deepStrictEqual(analytics.packages[0].packageArguments, [{ type: 'positional', value: '--verbose' }]);
+
+    const legacy = await readServer('io.github.acme', 'legacy');
+    assert.strictEqual(legacy.remotes[0].type, 'sse');
+
+    for (const server of [fetch, github, analytics, legacy]) {
+      assert.deepStrictEqual(validateServerFile(server), [], server.name);
+    }
+
+    // Values from the config are never copied
+    const written = JSON.stringify([fetch, github, analytics, legacy]);
+    assert.ok(!written.includes('ghp_do_not_copy'), 'should not copy secret values');
+  });
+
+  test('should only import selected servers and keep existing files', async () => {
+    const file = await writeConfig('claude_desktop_config.json', claudeConfig);
+    const existing = join(OUTPUT_DIR, 'io.github.unknown', 'mcp-server-fetch.json');
+    await mkdir(dirname(existing), { recursive: true });
+    await writeFile(existing, '{"edited": true}');
+
+    const { stdout } = await execAsync(
+      `${CLI} import-config "${file}" -s fetch legacy -o "${OUTPUT_DIR}"`,
+      { cwd: ROOT }
+    );
+
+    assert.ok(stdout.includes('already exists'), 'should report skipped file');
+    assert.strictEqual(await readFile(existing, 'utf-8'), '{"edited": true}');
+    assert.ok(existsSync(join(OUTPUT_DIR, 'io.github.unknown', 'legacy.json')), 'should import selected server');
+    assert.ok(!existsSync(join(OUTPUT_DIR, 'io.github.unknown', 'github-mcp-server.json')), 'should skip unselected server');
+  });
+
+  test('should only import into namespaces the author owns', async () => {
+    const file = await writeConfig('claude_desktop_config.json', claudeConfig);
+    await writeFile(join(TEST_DIR, 'NAMESPACES'), 'io.github.acme @alice\n');
+    const command = `${CLI} import-config "${file}" -s fetch -n io.github.acme -o "${OUTPUT_DIR}"`;
+
+    await assert.rejects(execAsync(`${command} --author bob`, { cwd: ROOT }), (err) => {
+      assert.strictEqual(err.code, 1);
+      assert.ok(err.stderr.includes('@bob does not own namespace "io.github.acme"'), 'should name the owners');
+      return true;
+    });
+    assert.ok(!existsSync(join(OUTPUT_DIR, 'io.github.acme', 'mcp-server-fetch.json')), 'should not write the file');
+
+    await execAsync(`${command} --author alice`, { cwd: ROOT });
+    assert.ok(existsSync(join(OUTPUT_DIR, 'io.github.acme', 'mcp-server-fetch.json')), 'should import for the owner');
+  });
+
+  test('should exit non-zero for commands it cannot convert', async () => {
+    const file = await writeConfig('mcp.json', {
+      servers: { script: { command: 'node', args: ['server.js'] } }
+    });
+
+    await assert.rejects(
+      execAsync(`${CLI} import-config "${file}" -o "${OUTPUT_DIR}"`, { cwd: ROOT }),
+      (err) => {
+        assert.strictEqual(err.code, 1);
+        assert.ok(err.stderr.includes('Cannot infer a package'), 'should explain the failure');
+        return true;
+      }
+    );
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Tests for full-fidelity import
+ * Runs the CLI against a local stand-in for the official registry.
+ */
+
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { mkdir, writeFile, rm, readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+
+const execAsync = promisify(exec);
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const CLI = 'node src/cli/index.js';
+const TEST_OUTPUT_DIR = join(ROOT, 'tests', 'fixtures', 'import-fidelity');
+const SERVER_NAME = 'io.github.example/weather';
+
+// Upstream versions as served by the official registry, oldest first.
+// Uses every field of the official server.json schema.
+const upstreamVersions = [
+  {
+    $schema: 'https://static.modelcontextprotocol.io/schemas/2025-12-11/server.schema.json',
+    name: SERVER_NAME,
+    title: 'Weather (Legacy)',
+    description: 'Weather forecasts',
+    version: '1.0.0',
+    repository: { url: 'https://github.com/example/weather', source: 'github', id: '123', subfolder: 'server' },
+    websiteUrl: 'https://example.com/weather',
+    icons: [{ src: 'https://example.com/icon.png', mimeType: 'image/png', sizes: ['48x48'] }],
+    packages: [{
+      registryType: 'npm',
+      registryBaseUrl: 'https://registry.npmjs.org',
+      identifier: '@example/weather',
+      version: '1.0.0',
+      runtimeHint: 'npx',
+      transport: { type: 'stdio' },
+      packageArguments: [{ type: 'positional', value: 'serve' }],
+      environmentVariables: [{ name: 'WEATHER_API_KEY', isSecret: true, isRequired: true }]
+    }]
+  },
+  {
+    $schema: 'https://static.modelcontextprotocol.io/schemas/2025-12-11/server.schema.json',
+    name: SERVER_NAME,
+    title: 'Weather',
+    description: 'Weather forecasts and alerts',
+    version: '2.0.0',
+    repository: { url: 'https://github.com/example/weather', source: 'github', id: '123', subfolder: 'server' },
+    websiteUrl: 'https://example.com/weather',
+    icons: [{ src: 'https://example.com/icon.png', mimeType: 'image/png', sizes: ['48x48'] }],
+    packages: [{
+      registryType: 'oci',
+      identifier: 'ghcr.io/example/weather:2.0.0',
+      runtimeHint: 'docker',
+      transport: { type: 'stdio' },
+      runtimeArguments: [{ type: 'named', name: '--rm', value: '' }],
+      environmentVariables: [{ name: 'WEATHER_API_KEY', isSecret: true }]
+    }],
+    remotes: [{
+      type: 'streamable-http',
+      url: 'https://weather.example.com/mcp',
+      headers: [{ name: 'Authorization', value: 'Bearer {token}', isSecret: true }]
+    }],
+    _meta: { 'io.modelcontextprotocol.registry/publisher-provided': { tool: 'weather-ci' } }
+  }
+];
+
+function wrap(server, index) {
+  return {
+    server,
+    _meta: {
+      'io.modelcontextprotocol.registry/official': {
+        status: 'active',
+        publishedAt: `2025-0${index + 1}-15T10:00:00Z`,
+        isLatest: index === upstreamVersions.length - 1
+      }
+    }
+  };
+}
+
+function handleRegistryRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const prefix = `/v0/servers/${encodeURIComponent(SERVER_NAME)}/versions`;
+  const json = (status, data) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+
+  if (url.pathname === prefix) {
+    json(200, { servers: upstreamVersions.map(wrap), metadata: { count: upstreamVersions.length } });
+  } else if (url.pathname === `${prefix}/latest`) {
+    json(200, wrap(upstreamVersions[1], 1));
+  } else {
+    json(404, { error: 'Not found' });
+  }
+}
+
+// Rebuild the official server.json for a version from an imported server
+function toServerJson(server, version) {
+  const { $schema, versions, ...shared } = server;
+  const { releaseDate, isLatest, ...fields } = version;
+  return { ...shared, ...fields };
+}
+
+describe('Import Fidelity', () => {
+  let registry;
+  let registryUrl;
+
+  before(async () => {
+    registry = http.createServer(handleRegistryRequest);
+    await new Promise(resolve => registry.listen(0, resolve));
+    registryUrl = `http://localhost:${registry.address().port}`;
+  });
+
+  after(async () => {
+    registry.close();
+    await rm(TEST_OUTPUT_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await rm(TEST_OUTPUT_DIR, { recursive: true, force: true });
+    await mkdir(TEST_OUTPUT_DIR, { recursive: true });
+  });
+
+  test('should round-trip every server.json field losslessly', async () => {
+    await execAsync(
+      `${CLI} import "${SERVER_NAME}" --all-versions -r ${registryUrl} -o "${TEST_OUTPUT_DIR}"`,
+      { cwd: ROOT }
+    );
+
+    const data = JSON.parse(await readFile(join(TEST_OUTPUT_DIR, 'io.github.example', 'weather.json'), 'utf-8'));
+
+    assert.strictEqual(data.title, 'Weather', 'server-level fields should come from the newest version');
+    assert.deepStrictEqual(data.versions.map(v => v.version), ['2.0.0', '1.0.0']);
+    assert.deepStrictEqual(data.versions.map(v => v.isLatest), [true, false]);
+    assert.deepStrictEqual(data.versions.map(v => v.releaseDate), ['2025-02-15', '2025-01-15']);
+
+    for (const upstream of upstreamVersions) {
+      const { $schema, ...expected } = upstream;
+      const version = data.versions.find(v => v.version === upstream.version);
+      assert.deepStrictEqual(toServerJson(data, version), expected, `version ${upstream.version} should round-trip`);
+    }
+  });
+
+  test('should keep versions and fields when merging into a flat server file', async () => {
+    const targetFile = join(TEST_OUTPUT_DIR, 'weather.json');
+    await writeFile(targetFile, JSON.stringify({ ...upstreamVersions[0] }, null, 2));
+
+    await execAsync(
+      `${CLI} import "${SERVER_NAME}" -r ${registryUrl} --file "${targetFile}"`,
+      { cwd: ROOT }
+    );
+
+    const data = JSON.parse(await readFile(targetFile, 'utf-8'));
+    assert.deepStrictEqual(data.versions.map(v => v.version), ['2.0.0', '1.0.0']);
+
+    for (const upstream of upstreamVersions) {
+      const { $schema, ...expected } = upstream;
+      const version = data.versions.find(v => v.version === upstream.version);
+      const { releaseDate, ...actual } = toServerJson(data, version);
+      assert.deepStrictEqual(actual, expected, `version ${upstream.version} should round-trip`);
+    }
+  });
+});
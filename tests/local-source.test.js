@@ -0,0 +1,117 @@
+/**
+ * Tests for loading servers from a local directory or local git clone
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdir, writeFile, rm } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { execFileSync } from 'child_process';
+import { loadServersFromDirectory, loadServersFromGit } from '../scripts/local-source.js';
+import { parseServerFile } from '../scripts/registry-core.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_REPO = join(__dirname, 'fixtures', 'local-source');
+const SERVERS_DIR = join(TEST_REPO, 'servers');
+
+const GIT_ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: 'test',
+  GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'test',
+  GIT_COMMITTER_EMAIL: 'test@example.com'
+};
+
+// Helper to create test server files
+async function createTestServer(path, data) {
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, JSON.stringify(data, null, 2));
+}
+
+const flatServer = {
+  name: 'io.github.example/flat',
+  description: 'Flat official schema server',
+  version: '1.2.0',
+  packages: [{ registryType: 'npm', identifier: 'flat', transport: { type: 'stdio' } }],
+  remotes: [{ type: 'streamable-http', url: 'https://example.com/mcp' }]
+};
+
+const multiServer = {
+  servers: [
+    {
+      name: 'io.github.example/one',
+      description: 'First server',
+      versions: [{ version: '1.0.0', isLatest: true, packages: [] }]
+    },
+    {
+      name: 'io.github.example/two',
+      description: 'Second server',
+      versions: [{ version: '2.0.0', isLatest: true, packages: [] }]
+    }
+  ]
+};
+
+describe('Local Source', () => {
+  before(async () => {
+    await rm(TEST_REPO, { recursive: true, force: true });
+    await createTestServer(join(SERVERS_DIR, 'flat.json'), flatServer);
+    await createTestServer(join(SERVERS_DIR, 'nested', 'multi.json'), multiServer);
+    await createTestServer(join(SERVERS_DIR, 'invalid.json'), { description: 'No name' });
+
+    execFileSync('git', ['init', '-q'], { cwd: TEST_REPO });
+    execFileSync('git', ['add', '.'], { cwd: TEST_REPO });
+    execFileSync('git', ['commit', '-q', '-m', 'Add servers'], { cwd: TEST_REPO, env: GIT_ENV });
+
+    // Uncommitted change, only visible in directory mode
+    await createTestServer(join(SERVERS_DIR, 'draft.json'), {
+      name: 'io.github.example/draft',
+      description: 'Not committed yet',
+      versions: [{ version: '0.1.0', isLatest: true, packages: [] }]
+    });
+  });
+
+  after(async () => {
+    await rm(TEST_REPO, { recursive: true, force: true });
+  });
+
+  test('should normalize flat schema to versioned format', () => {
+    const [server] = parseServerFile(flatServer, 'flat.json');
+    assert.strictEqual(server.versions.length, 1);
+    assert.strictEqual(server.versions[0].version, '1.2.0');
+    assert.strictEqual(server.versions[0].isLatest, true);
+    assert.deepStrictEqual(server.versions[0].remotes, flatServer.remotes);
+  });
+
+  test('should load every valid server from a directory', async () => {
+    const servers = await loadServersFromDirectory(SERVERS_DIR);
+    const names = servers.map(s => s.name).sort();
+
+    assert.deepStrictEqual(names, [
+      'io.github.example/draft',
+      'io.github.example/flat',
+      'io.github.example/one',
+      'io.github.example/two'
+    ]);
+    assert.ok(servers.every(s => s._history?.updatedAt), 'should attach timestamps');
+  });
+
+  test('should load only committed servers from a git clone', async () => {
+    const servers = await loadServersFromGit({ repoDir: TEST_REPO });
+    const names = servers.map(s => s.name).sort();
+
+    assert.deepStrictEqual(names, [
+      'io.github.example/flat',
+      'io.github.example/one',
+      'io.github.example/two'
+    ]);
+    assert.ok(servers.every(s => s._history?.publishedAt), 'should attach commit timestamps');
+  });
+
+  test('should fail for an unknown ref', async () => {
+    await assert.rejects(
+      loadServersFromGit({ repoDir: TEST_REPO, ref: 'no-such-branch' }),
+      /no-such-branch|fatal/
+    );
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Tests for structured logging
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdir, writeFile, rm } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { createLogger, startRequestLog } from '../scripts/logger.cjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const TEST_DIR = join(__dirname, 'fixtures', 'logger');
+const SERVERS_DIR = join(TEST_DIR, 'servers');
+const PORT = 4600 + Math.floor(Math.random() * 100);
+
+function collect() {
+  const lines = [];
+  return { lines, stream: { write: chunk => lines.push(JSON.parse(chunk)) } };
+}
+
+describe('Logger', () => {
+  test('should write one JSON object per line without the emoji', () => {
+    const { lines, stream } = collect();
+    const log = createLogger({ format: 'json', stream });
+
+    log.info('🔄 Refreshing server cache...');
+    log.warn('⚠️  Slow refresh', { seconds: 12 });
+    log.error('❌ Startup failed', { err: new Error('boom') });
+    log.info('');
+
+    assert.deepStrictEqual(lines.map(({ level, msg }) => [level, msg]), [
+      ['info', 'Refreshing server cache...'],
+      ['warn', 'Slow refresh'],
+      ['error', 'Startup failed']
+    ]);
+    assert.ok(!Number.isNaN(Date.parse(lines[0].time)));
+    assert.strictEqual(lines[1].seconds, 12);
+    assert.strictEqual(lines[2].err.message, 'boom');
+    assert.match(lines[2].err.stack, /Error: boom/);
+  });
+
+  test('should only log at or above the configured level', () => {
+    const { lines, stream } = collect();
+    const log = createLogger({ level: 'warn', format: 'json', stream });
+
+    log.debug('debug');
+    log.info('info');
+    log.warn('warn');
+    log.error('error');
+
+    assert.deepStrictEqual(lines.map(line => line.level), ['warn', 'error']);
+    assert.throws(() => createLogger({ level: 'verbose' }), /Invalid LOG_LEVEL "verbose"/);
+    assert.throws(() => createLogger({ format: 'xml' }), /Invalid LOG_FORMAT "xml"/);
+  });
+
+  test('should log requests with their ID, status and caller', () => {
+    const { lines, stream } = collect();
+    const log = createLogger({ format: 'json', stream });
+
+    const send = (headers) => {
+      const res = Object.assign(new EventEmitter(), {
+        headers: {},
+        statusCode: 200,
+        setHeader(name, value) { this.headers[name] = value; }
+      });
+      const request = startRequestLog({ method: 'GET', url: '/v0.1/servers?search=db', headers }, res, log);
+      return { request, res };
+    };
+
+    const passed = send({ 'x-request-id': 'req-42' });
+    passed.request.caller = 'api-key:ci';
+    passed.res.emit('finish');
+
+    const replaced = send({ 'x-request-id': 'not a valid id\n' });
+    replaced.res.statusCode = 503;
+    replaced.res.emit('finish');
+
+    assert.strictEqual(passed.res.headers['X-Request-Id'], 'req-42');
+    assert.match(replaced.request.requestId, /^[0-9a-f-]{36}$/);
+    assert.strictEqual(replaced.res.headers['X-Request-Id'], replaced.request.requestId);
+
+    assert.deepStrictEqual(
+      lines.map(({ level, requestId, method, path, status, caller }) => ({ level, requestId, method, path, status, caller })),
+      [
+        { level: 'info', requestId: 'req-42', method: 'GET', path: '/v0.1/servers', status: 200, caller: 'api-key:ci' },
+        { level: 'error', requestId: replaced.request.requestId, method: 'GET', path: '/v0.1/servers', status: 503, caller: null }
+      ]
+    );
+    assert.strictEqual(typeof lines[0].durationMs, 'number');
+  });
+});
+
+describe('Dynamic server logging', () => {
+  let child;
+  const lines = [];
+
+  function waitForLine(predicate) {
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => reject(new Error('No matching log line')), 5000);
+      const check = () => {
+        const line = lines.find(predicate);
+        if (!line) return;
+        clearTimeout(timeout);
+        child.stdout.off('data', check);
+        resolve(line);
+      };
+      child.stdout.on('data', check);
+      check();
+    });
+  }
+
+  before(async () => {
+    await rm(TEST_DIR, { recursive: true, force: true });
+    await mkdir(SERVERS_DIR, { recursive: true });
+    await writeFile(join(SERVERS_DIR, 'db.json'), JSON.stringify({
+      name: 'com.acme/db',
+      description: 'Database tools',
+      versions: [{ version: '1.0.0', isLatest: true, packages: [] }]
+    }));
+
+    child = await new Promise((resolve, reject) => {
+      const proc = spawn('node', [join(ROOT, 'scripts', 'dynamic-server.js')], {
+        cwd: ROOT,
+        env: {
+          ...process.env,
+          MCP_SOURCE: 'local',
+          MCP_SERVERS_DIR: SERVERS_DIR,
+          MCP_PORT: String(PORT),
+          MCP_CACHE_FILE: join(TEST_DIR, 'cache.json'),
+          MCP_API_KEYS: 'ci=ci-key',
+          LOG_FORMAT: 'json'
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+      let buffered = '';
+      proc.stdout.on('data', chunk => {
+        const parts = (buffered + chunk).split('\n');
+        buffered = parts.pop();
+        lines.push(...parts.map(part => JSON.parse(part)));
+        if (lines.some(line => line.msg.startsWith('Server running'))) resolve(proc);
+      });
+      proc.on('exit', code => reject(new Error(`Dynamic server exited with code ${code}`)));
+    });
+  });
+
+  after(async () => {
+    child?.kill();
+    await rm(TEST_DIR, { recursive: true, force: true });
+  });
+
+  test('should log every line as JSON', () => {
+    assert.ok(lines.every(line => line.time && line.level && line.msg));
+    assert.ok(lines.some(line => line.msg === 'Cache refreshed: 1 servers loaded'));
+  });
+
+  test('should log requests with the caller and echo the request ID', async () => {
+    const response = await fetch(`http://localhost:${PORT}/v0.1/servers`, {
+      headers: { Authorization: 'Bearer ci-key', 'X-Request-Id': 'trace-1' }
+    });
+    assert.strictEqual(response.headers.get('x-request-id'), 'trace-1');
+
+    const line = await waitForLine(line => line.requestId === 'trace-1');
+    assert.strictEqual(line.method, 'GET');
+    assert.strictEqual(line.path, '/v0.1/servers');
+    assert.strictEqual(line.status, 200);
+    assert.strictEqual(line.caller, 'api-key:ci');
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for the Prometheus metrics
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdir, writeFile, rm } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { spawn } from 'child_process';
+import { createRegistry, registry, toRoute, observeGitHubResponse } from '../scripts/metrics.cjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const TEST_DIR = join(__dirname, 'fixtures', 'metrics');
+const SERVERS_DIR = join(TEST_DIR, 'servers');
+const PORT = 4500 + Math.floor(Math.random() * 100);
+
+describe('Metrics', () => {
+  test('should render counters, gauges and histograms in the text format', () => {
+    const metrics = createRegistry();
+    const requests = metrics.counter('test_requests_total', 'Requests', ['route']);
+    const servers = metrics.gauge('test_servers', 'Servers');
+    const duration = metrics.histogram('test_duration_seconds', 'Duration', [], [0.1, 1]);
+
+    requests.inc({ route: '/v0.1/servers' });
+    requests.inc({ route: '/v0.1/servers' });
+    requests.inc({ route: 'say "hi"\n' });
+    servers.set(12);
+    duration.observe({}, 0.05);
+    duration.observe({}, 0.5);
+
+    assert.strictEqual(metrics.render(), [
+      '# HELP test_requests_total Requests',
+      '# TYPE test_requests_total counter',
+      'test_requests_total{route="/v0.1/servers"} 2',
+      'test_requests_total{route="say \\"hi\\"\\n"} 1',
+      '# HELP test_servers Servers',
+      '# TYPE test_servers gauge',
+      'test_servers 12',
+      '# HELP test_duration_seconds Duration',
+      '# TYPE test_duration_seconds histogram',
+      'test_duration_seconds_bucket{le="0.1"} 1',
+      'test_duration_seconds_bucket{le="1"} 2',
+      'test_duration_seconds_bucket{le="+Inf"} 2',
+      'test_duration_seconds_sum 0.55',
+      'test_duration_seconds_count 2',
+      ''
+    ].join('\n'));
+  });
+
+  test('should map paths to routes without server names or versions', () => {
+    const cases = [
+      ['/v0.1/servers?search=db', '/v0.1/servers'],
+      ['/v0/servers/', '/v0/servers'],
+      ['/v0.1/servers/com.acme/db/versions', '/v0.1/servers/{name}/versions'],
+      ['/v0.1/servers/com.acme%2Fdb/versions/1.0.0', '/v0.1/servers/{name}/versions/{version}'],
+      ['/v0.1/servers/com.acme/db/versions/latest/config?format=claude', '/v0.1/servers/{name}/versions/{version}/config'],
+      ['/api/v0.1/servers/com.acme%2Fdb/versions/1.0.0.json', '/api/v0.1/servers/{name}/versions/{version}'],
+      ['/api/v0.1/servers.json', '/api/v0.1/servers'],
+      ['/v0.1/publish', '/v0.1/publish'],
+      ['/auth/github/repo/pulls', '/auth/*'],
+      ['/app.js', 'static'],
+      ['/wp-admin', 'other']
+    ];
+    for (const [path, route] of cases) {
+      assert.strictEqual(toRoute(path), route, path);
+    }
+  });
+
+  test('should track the GitHub rate limit', () => {
+    observeGitHubResponse('source', new Response(null, {
+      status: 200,
+      headers: { 'x-ratelimit-remaining': '4999', 'x-ratelimit-reset': '1760000000' }
+    }));
+    const text = registry.render();
+    assert.ok(text.includes('mcp_registry_github_api_requests_total{client="source",status="200"} 1'));
+    assert.ok(text.includes('mcp_registry_github_rate_limit_remaining{client="source"} 4999'));
+    assert.ok(text.includes('mcp_registry_github_rate_limit_reset_timestamp_seconds{client="source"} 1760000000'));
+  });
+});
+
+describe('Dynamic server metrics', () => {
+  let child;
+
+  before(async () => {
+    await rm(TEST_DIR, { recursive: true, force: true });
+    await mkdir(SERVERS_DIR, { recursive: true });
+    await writeFile(join(SERVERS_DIR, 'db.json'), JSON.stringify({
+      name: 'com.acme/db',
+      description: 'Database tools',
+      versions: [{ version: '1.0.0', isLatest: true, packages: [] }]
+    }));
+
+    child = await new Promise((resolve, reject) => {
+      const proc = spawn('node', [join(ROOT, 'scripts', 'dynamic-server.js')], {
+        cwd: ROOT,
+        env: {
+          ...process.env,
+          MCP_SOURCE: 'local',
+          MCP_SERVERS_DIR: SERVERS_DIR,
+          MCP_PORT: String(PORT),
+          MCP_CACHE_FILE: join(TEST_DIR, 'cache.json')
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+      proc.stdout.on('data', chunk => {
+        if (chunk.toString().includes('Server running')) resolve(proc);
+      });
+      proc.on('exit', code => reject(new Error(`Dynamic server exited with code ${code}`)));
+    });
+  });
+
+  after(async () => {
+    child?.kill();
+    await rm(TEST_DIR, { recursive: true, force: true });
+  });
+
+  test('should expose request, cache and server metrics', async () => {
+    await fetch(`http://localhost:${PORT}/v0.1/servers`);
+    await fetch(`http://localhost:${PORT}/v0.1/servers/com.acme%2Fdb/versions/latest`);
+    await fetch(`http://localhost:${PORT}/v0.1/servers/com.acme%2Fmissing/versions/latest`);
+
+    const response = await fetch(`http://localhost:${PORT}/metrics`);
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+
+    const text = await response.text();
+    assert.ok(text.includes('mcp_registry_http_requests_total{method="GET",route="/v0.1/servers",status="200"} 1'));
+    assert.ok(text.includes('mcp_registry_http_requests_total{method="GET",route="/v0.1/servers/{name}/versions/{version}",status="200"} 1'));
+    assert.ok(text.includes('mcp_registry_http_requests_total{method="GET",route="/v0.1/servers/{name}/versions/{version}",status="404"} 1'));
+    assert.match(text, /mcp_registry_http_request_duration_seconds_count\{method="GET",route="\/v0\.1\/servers",status="200"\} 1/);
+    assert.match(text, /mcp_registry_cache_refreshes_total\{result="success"\} [1-9]/);
+    assert.match(text, /mcp_registry_cache_refresh_duration_seconds_count\{result="success"\} [1-9]/);
+    assert.ok(text.includes('mcp_registry_servers_loaded 1'));
+  });
+});
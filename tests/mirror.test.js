@@ -0,0 +1,225 @@
+/**
+ * Tests for mirror.json syncing and mirror.lock.json
+ * Runs against a local stand-in for the official registry.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { mkdir, writeFile, rm, readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { satisfies, compareVersions } from '../scripts/semver.js';
+import { parseMirrorConfig, syncMirror } from '../scripts/mirror.js';
+
+const execFileAsync = promisify(execFile);
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const TEST_DIR = join(__dirname, 'fixtures', 'mirror');
+const SERVERS_DIR = join(TEST_DIR, 'servers');
+const CONFIG_FILE = join(TEST_DIR, 'mirror.json');
+const LOCK_FILE = join(TEST_DIR, 'mirror.lock.json');
+
+// Versions the stand-in registry publishes, by server name
+const upstream = {
+  'com.acme/db': ['0.9.0', '1.0.0', '1.1.0', '1.2.0-beta.1', '2.0.0'],
+  'com.acme/db-admin': ['1.0.0'],
+  'com.acme/search': ['3.0.0', '3.1.0']
+};
+const descriptions = {};
+
+function toRegistryItem(name, version, versions) {
+  return {
+    server: {
+      name,
+      description: descriptions[`${name}@${version}`] || `${name} ${version}`,
+      version,
+      packages: [{ registryType: 'npm', identifier: `@acme/${name.split('/')[1]}`, version, transport: { type: 'stdio' } }]
+    },
+    _meta: {
+      'io.modelcontextprotocol.registry/official': {
+        status: 'active',
+        publishedAt: '2025-06-01T00:00:00Z',
+        isLatest: version === versions.filter(v => !v.includes('-')).at(-1)
+      }
+    }
+  };
+}
+
+describe('Semver ranges', () => {
+  test('should match carets, tildes, x-ranges, comparators and alternatives', () => {
+    const cases = [
+      ['1.4.0', '^1.2.0', true], ['2.0.0', '^1.2.0', false], ['0.2.9', '^0.2.1', true], ['0.3.0', '^0.2.1', false],
+      ['1.2.9', '~1.2.3', true], ['1.3.0', '~1.2.3', false], ['1.9.0', '1.x', true], ['2.0.0', '1.x', false],
+      ['1.5.0', '>=1.0.0 <2.0.0', true], ['2.0.0', '>=1.0.0 <2.0.0', false], ['3.1.0', '^1.0.0 || ^3.0.0', true],
+      ['1.2.3', '1.2.3', true], ['1.2.4', '1.2.3', false], ['5.0.0', '*', true]
+    ];
+    for (const [version, range, expected] of cases) {
+      assert.strictEqual(satisfies(version, range), expected, `${version} ${range}`);
+    }
+  });
+
+  test('should only match prereleases that the range names', () => {
+    assert.strictEqual(satisfies('1.2.0-beta.1', '^1.0.0'), false);
+    assert.strictEqual(satisfies('1.2.0-beta.2', '>=1.2.0-beta.1 <2.0.0'), true);
+    assert.strictEqual(compareVersions('1.2.0-beta.1', '1.2.0'), -1);
+    assert.strictEqual(compareVersions('1.10.0', '1.9.0'), 1);
+  });
+});
+
+describe('Mirror config', () => {
+  test('should report invalid entries', () => {
+    assert.deepStrictEqual(parseMirrorConfig({ servers: { 'com.acme/db': 'latest' } }), {
+      registry: 'https://registry.modelcontextprotocol.io',
+      servers: { 'com.acme/db': 'latest' },
+      searches: []
+    });
+
+    assert.throws(() => parseMirrorConfig({ servers: { 'com.acme/db': '^one' } }), /servers\["com.acme\/db"\]: Invalid version range "\^one"/);
+    assert.throws(() => parseMirrorConfig({ servers: { 'not-a-name': 'latest' } }), /invalid server name "not-a-name"/);
+    assert.throws(() => parseMirrorConfig({ searches: [{ versions: 'latest' }] }), /searches\[0\]: "query" is required/);
+    assert.throws(() => parseMirrorConfig({ server: {} }), /Unknown field "server"/);
+  });
+});
+
+describe('Mirror sync', () => {
+  let registry;
+  let registryUrl;
+
+  async function writeConfig(config) {
+    await writeFile(CONFIG_FILE, JSON.stringify({ registry: registryUrl, ...config }, null, 2));
+  }
+
+  function sync(options = {}) {
+    return syncMirror({ configFile: CONFIG_FILE, lockFile: LOCK_FILE, serversDir: SERVERS_DIR, ...options });
+  }
+
+  before(async () => {
+    registry = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      const versionsMatch = decodeURIComponent(url.pathname).match(/^\/v0\/servers\/(.+)\/versions$/);
+      res.setHeader('Content-Type', 'application/json');
+
+      if (versionsMatch && upstream[versionsMatch[1]]) {
+        const versions = upstream[versionsMatch[1]];
+        res.end(JSON.stringify({ servers: versions.map(v => toRegistryItem(versionsMatch[1], v, versions)) }));
+      } else if (url.pathname === '/v0/servers') {
+        // One result per page, to exercise cursors
+        const names = Object.keys(upstream).filter(name => name.includes(url.searchParams.get('search')));
+        const index = Number(url.searchParams.get('cursor') || 0);
+        const name = names[index];
+        res.end(JSON.stringify({
+          servers: name ? [toRegistryItem(name, upstream[name].at(-1), upstream[name])] : [],
+          metadata: index + 1 < names.length ? { nextCursor: String(index + 1) } : {}
+        }));
+      } else {
+        res.writeHead(404);
+        res.end(JSON.stringify({ title: 'Not Found' }));
+      }
+    });
+    await new Promise(resolve => registry.listen(0, resolve));
+    registryUrl = `http://localhost:${registry.address().port}`;
+
+    await rm(TEST_DIR, { recursive: true, force: true });
+    await mkdir(SERVERS_DIR, { recursive: true });
+  });
+
+  after(async () => {
+    registry?.close();
+    await rm(TEST_DIR, { recursive: true, force: true });
+  });
+
+  test('should mirror listed servers and search results and lock them', async () => {
+    await writeConfig({
+      servers: { 'com.acme/db': '^1.0.0', 'com.acme/search': 'latest' },
+      searches: [{ query: 'db', versions: '*' }]
+    });
+
+    const { changes } = await sync();
+    assert.deepStrictEqual(changes.map(c => [c.name, c.action, c.versions]), [
+      ['com.acme/db', 'added', ['1.0.0', '1.1.0']],
+      ['com.acme/db-admin', 'added', ['1.0.0']],
+      ['com.acme/search', 'added', ['3.1.0']]
+    ]);
+
+    const db = JSON.parse(await readFile(join(SERVERS_DIR, 'com.acme', 'db.json'), 'utf-8'));
+    assert.deepStrictEqual(db.versions.map(v => [v.version, v.isLatest]), [['1.1.0', true], ['1.0.0', false]]);
+
+    const lock = JSON.parse(await readFile(LOCK_FILE, 'utf-8'));
+    assert.strictEqual(lock.lockfileVersion, 1);
+    assert.strictEqual(lock.registry, registryUrl);
+    assert.deepStrictEqual(Object.keys(lock.servers), ['com.acme/db', 'com.acme/db-admin', 'com.acme/search']);
+    assert.deepStrictEqual(lock.servers['com.acme/db-admin'].source, 'search:db');
+    assert.strictEqual(lock.servers['com.acme/db'].file, 'com.acme/db.json');
+    assert.match(lock.servers['com.acme/db'].versions['1.1.0'], /^sha256-[A-Za-z0-9+/]+=*$/);
+  });
+
+  test('should be reproducible', async () => {
+    const lockBefore = await readFile(LOCK_FILE, 'utf-8');
+    const fileBefore = await readFile(join(SERVERS_DIR, 'com.acme', 'db.json'), 'utf-8');
+
+    const { changes } = await sync();
+    assert.ok(changes.every(c => c.action === 'unchanged'));
+    assert.strictEqual(await readFile(LOCK_FILE, 'utf-8'), lockBefore);
+    assert.strictEqual(await readFile(join(SERVERS_DIR, 'com.acme', 'db.json'), 'utf-8'), fileBefore);
+  });
+
+  test('should install locked versions with --frozen and detect upstream changes', async () => {
+    upstream['com.acme/db'].push('1.3.0');
+    const { changes } = await sync({ frozen: true });
+    assert.deepStrictEqual(changes.find(c => c.name === 'com.acme/db').versions, ['1.0.0', '1.1.0']);
+
+    descriptions['com.acme/db@1.1.0'] = 'Rewritten after publishing';
+    await assert.rejects(sync({ frozen: true }), /com\.acme\/db@1\.1\.0 changed upstream since it was locked/);
+
+    // A normal sync picks up the new version and the change, and points the change out
+    const result = await sync({ dryRun: true });
+    assert.deepStrictEqual(result.changes.find(c => c.name === 'com.acme/db'), {
+      name: 'com.acme/db',
+      file: 'com.acme/db.json',
+      action: 'updated',
+      versions: ['1.0.0', '1.1.0', '1.3.0']
+    });
+    assert.deepStrictEqual(result.warnings, ['com.acme/db@1.1.0 changed upstream since the last sync']);
+    delete descriptions['com.acme/db@1.1.0'];
+    upstream['com.acme/db'].pop();
+  });
+
+  test('should refuse a frozen sync after the config changed', async () => {
+    await writeConfig({ servers: { 'com.acme/db': '^1.0.0' } });
+    await assert.rejects(sync({ frozen: true }), /mirror\.json changed since .*mirror\.lock\.json was written/);
+  });
+
+  test('should remove servers that are no longer tracked', async () => {
+    const { changes } = await sync();
+    assert.deepStrictEqual(changes.filter(c => c.action === 'removed').map(c => c.name), ['com.acme/db-admin', 'com.acme/search']);
+    assert.ok(!existsSync(join(SERVERS_DIR, 'com.acme', 'search.json')));
+    assert.deepStrictEqual(Object.keys(JSON.parse(await readFile(LOCK_FILE, 'utf-8')).servers), ['com.acme/db']);
+  });
+
+  test('should not overwrite servers it does not manage', async () => {
+    await writeFile(join(SERVERS_DIR, 'hand-written.json'), JSON.stringify({
+      name: 'com.acme/search', description: 'Local copy', versions: [{ version: '1.0.0', isLatest: true, packages: [] }]
+    }));
+    await writeConfig({ servers: { 'com.acme/db': '^1.0.0', 'com.acme/search': 'latest' } });
+
+    await assert.rejects(sync(), /com\.acme\/search is already defined in hand-written\.json/);
+    assert.ok(!existsSync(join(SERVERS_DIR, 'com.acme', 'search.json')));
+  });
+
+  test('should sync from the CLI', async () => {
+    await rm(join(SERVERS_DIR, 'hand-written.json'));
+    await writeConfig({ servers: { 'com.acme/db': '1.0.0' } });
+
+    const { stdout } = await execFileAsync('node', [
+      'src/cli/index.js', 'sync', '--config', CONFIG_FILE, '--dir', SERVERS_DIR
+    ], { cwd: ROOT });
+
+    assert.ok(stdout.includes('🔄 Updated com.acme/db (1.0.0)'), 'should list the change');
+    assert.ok(stdout.includes('1 server(s) mirrored, 1 file(s) changed'));
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Tests for the namespace ownership policy (NAMESPACES)
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdir, writeFile, readFile, rm } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { execFileSync } from 'child_process';
+import {
+  parseNamespacePolicy,
+  getNamespaceOwners,
+  checkNamespaceOwnership,
+  checkPatternOwnership,
+  findChangedServers,
+  findChangedPatterns
+} from '../scripts/namespace-policy.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const TEST_REPO = join(__dirname, 'fixtures', 'namespace-policy');
+const SERVERS_DIR = join(TEST_REPO, 'servers');
+const DIST_DIR = join(TEST_REPO, 'dist');
+
+const GIT_ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: 'test',
+  GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'test',
+  GIT_COMMITTER_EMAIL: 'test@example.com'
+};
+
+const policy = parseNamespacePolicy(`
+# namespace        owners
+*                  @acme/admins
+com.acme           @acme/platform token:acme-release  # release pipeline
+com.acme.labs.*    @Octocat
+`);
+
+function server(name, version = '1.0.0') {
+  return { name, description: name, versions: [{ version, isLatest: true, packages: [] }] };
+}
+
+async function writeServerFile(path, data) {
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, JSON.stringify(data, null, 2));
+}
+
+describe('Namespace Policy', () => {
+  test('should parse owners and report invalid lines', () => {
+    assert.deepStrictEqual(policy.rules.map(r => [r.pattern, r.owners, r.line]), [
+      ['*', ['@acme/admins'], 3],
+      ['com.acme', ['@acme/platform', 'token:acme-release'], 4],
+      ['com.acme.labs.*', ['@Octocat'], 5]
+    ]);
+
+    assert.throws(() => parseNamespacePolicy('com.acme acme'), /Line 1: invalid owner "acme"/);
+    assert.throws(() => parseNamespacePolicy('\ncom/acme @acme'), /Line 2: invalid namespace pattern/);
+  });
+
+  test('should use the last matching line', () => {
+    assert.deepStrictEqual(getNamespaceOwners(policy, 'com.acme'), ['@acme/platform', 'token:acme-release']);
+    assert.deepStrictEqual(getNamespaceOwners(policy, 'com.acme.labs.ai'), ['@Octocat']);
+    assert.deepStrictEqual(getNamespaceOwners(policy, 'com.acme.labs'), ['@acme/admins']);
+    assert.strictEqual(getNamespaceOwners(parseNamespacePolicy('com.acme @acme'), 'com.other'), null);
+  });
+
+  test('should allow owners by login, team or token name', () => {
+    assert.strictEqual(checkNamespaceOwnership(policy, 'com.acme.labs.ai/bot', { login: 'octocat' }), null);
+    assert.strictEqual(checkNamespaceOwnership(policy, 'com.acme/cloud', { login: 'jo', teams: ['acme/platform'] }), null);
+    assert.strictEqual(checkNamespaceOwnership(policy, 'com.acme/cloud', { token: 'acme-release' }), null);
+
+    assert.match(
+      checkNamespaceOwnership(policy, 'com.acme/cloud', { login: 'octocat' }),
+      /@octocat does not own namespace "com.acme" \(owners: @acme\/platform, token:acme-release\)/
+    );
+    assert.match(checkNamespaceOwnership(policy, 'com.acme/cloud', {}), /unnamed publish token/);
+    assert.match(
+      checkNamespaceOwnership(parseNamespacePolicy('com.acme @acme'), 'com.other/tool', { login: 'acme' }),
+      /Namespace "com.other" has no owner/
+    );
+  });
+
+  test('should let line owners and "*" owners change NAMESPACES lines', () => {
+    const changed = parseNamespacePolicy('*  @acme/admins\ncom.acme  @mallory\ncom.new  @mallory\n');
+    assert.deepStrictEqual(findChangedPatterns(policy, changed), ['com.acme', 'com.acme.labs.*', 'com.new']);
+    assert.deepStrictEqual(findChangedPatterns(policy, null), ['*', 'com.acme', 'com.acme.labs.*']);
+
+    assert.strictEqual(checkPatternOwnership(policy, 'com.acme', { token: 'acme-release' }), null);
+    assert.strictEqual(checkPatternOwnership(policy, 'com.new', { login: 'jo', teams: ['acme/admins'] }), null);
+    assert.match(
+      checkPatternOwnership(policy, 'com.new', { login: 'mallory' }),
+      /@mallory does not own the "com.new" line of NAMESPACES \(owners: @acme\/admins\)/
+    );
+  });
+
+  describe('Changes in a git repository', () => {
+    before(async () => {
+      await rm(TEST_REPO, { recursive: true, force: true });
+      await writeServerFile(join(SERVERS_DIR, 'acme.json'), { servers: [server('com.acme/cloud'), server('com.acme/cli')] });
+      await writeServerFile(join(SERVERS_DIR, 'labs', 'bot.json'), server('com.acme.labs.ai/bot'));
+      await writeFile(join(TEST_REPO, 'NAMESPACES'), 'com.acme @platform\ncom.acme.labs.* @octocat\n');
+
+      execFileSync('git', ['init', '-q'], { cwd: TEST_REPO });
+      execFileSync('git', ['add', '.'], { cwd: TEST_REPO });
+      execFileSync('git', ['commit', '-q', '-m', 'Add servers'], { cwd: TEST_REPO, env: GIT_ENV });
+
+      // Change one server of the multi-server file and add a new file
+      await writeServerFile(join(SERVERS_DIR, 'acme.json'), { servers: [server('com.acme/cloud', '2.0.0'), server('com.acme/cli')] });
+      await writeServerFile(join(SERVERS_DIR, 'labs', 'new.json'), server('com.acme.labs.ai/new'));
+    });
+
+    after(async () => {
+      await rm(TEST_REPO, { recursive: true, force: true });
+    });
+
+    function runBuild(author) {
+      return execFileSync('node', [join(ROOT, 'scripts', 'build.js'), '--local', '--strict'], {
+        cwd: ROOT,
+        stdio: 'pipe',
+        env: { ...process.env, MCP_SERVERS_DIR: SERVERS_DIR, MCP_DIST_DIR: DIST_DIR, MCP_AUTHOR: author, MCP_CHANGED_FROM: 'HEAD' }
+      });
+    }
+
+    test('should find the servers changed since a ref', () => {
+      assert.deepStrictEqual(findChangedServers(SERVERS_DIR, 'HEAD'), ['com.acme.labs.ai/new', 'com.acme/cloud']);
+    });
+
+    test('should fail a strict build with changes outside the author\'s namespaces', async () => {
+      assert.throws(() => runBuild('octocat'));
+
+      const report = JSON.parse(await readFile(join(DIST_DIR, 'build-report.json'), 'utf-8'));
+      assert.deepStrictEqual(report.problems.map(p => [p.type, p.server]), [['namespace-owner', 'com.acme/cloud']]);
+      assert.match(report.problems[0].message, /@octocat does not own namespace "com.acme"/);
+    });
+
+    test('should pass a strict build when the author owns every change', async () => {
+      await writeServerFile(join(SERVERS_DIR, 'acme.json'), { servers: [server('com.acme/cloud'), server('com.acme/cli')] });
+      runBuild('octocat');
+
+      const report = JSON.parse(await readFile(join(DIST_DIR, 'build-report.json'), 'utf-8'));
+      assert.deepStrictEqual(report.problems, []);
+    });
+
+    test('should fail a strict build for namespaces without an owner', async () => {
+      await writeServerFile(join(SERVERS_DIR, 'other.json'), server('org.other/tool'));
+      assert.throws(() => runBuild(''));
+
+      const report = JSON.parse(await readFile(join(DIST_DIR, 'build-report.json'), 'utf-8'));
+      assert.deepStrictEqual(report.problems.map(p => [p.type, p.server]), [['unowned-namespace', 'org.other/tool']]);
+    });
+
+    test('should check NAMESPACES changes against the policy at the ref', async () => {
+      await rm(join(SERVERS_DIR, 'other.json'));
+      await rm(join(SERVERS_DIR, 'labs', 'new.json'));
+      await writeServerFile(join(SERVERS_DIR, 'acme.json'), { servers: [server('com.acme/cloud', '2.0.0'), server('com.acme/cli')] });
+      // The pull request makes its author the owner of com.acme
+      await writeFile(join(TEST_REPO, 'NAMESPACES'), 'com.acme @mallory\ncom.acme.labs.* @octocat\n');
+      assert.throws(() => runBuild('mallory'));
+
+      const report = JSON.parse(await readFile(join(DIST_DIR, 'build-report.json'), 'utf-8'));
+      assert.deepStrictEqual(report.problems.map(p => [p.type, p.server]), [
+        ['namespace-owner', 'com.acme/cloud'],
+        ['namespace-owner', undefined]
+      ]);
+      assert.match(report.problems[0].message, /@mallory does not own namespace "com.acme"/);
+      assert.match(report.problems[1].message, /@mallory does not own the "com.acme" line of NAMESPACES \(owners: @platform\)/);
+
+      // The line's owner may hand it over
+      runBuild('platform');
+    });
+  });
+});
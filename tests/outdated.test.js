@@ -0,0 +1,175 @@
+/**
+ * Tests for the outdated and update CLI commands
+ * Runs against a local stand-in for the official registry.
+ */
+
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { mkdir, writeFile, rm, readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const TEST_DIR = join(__dirname, 'fixtures', 'outdated');
+const SERVERS_DIR = join(TEST_DIR, 'servers');
+
+const pkg = version => ({ registryType: 'npm', identifier: '@example/weather', version, transport: { type: 'stdio' } });
+
+// Versions the stand-in registry publishes
+const upstream = {
+  'io.github.example/weather': [
+    { version: '1.0.0', publishedAt: '2025-01-01T00:00:00Z' },
+    { version: '1.1.0', publishedAt: '2025-02-01T00:00:00Z' },
+    { version: '1.10.0', publishedAt: '2025-03-01T00:00:00Z' },
+    { version: '2.0.0-beta', publishedAt: '2025-03-02T00:00:00Z', status: 'deleted' }
+  ],
+  'io.github.example/tools': [
+    { version: '3.0.0-rc.1', publishedAt: '2024-12-01T00:00:00Z' },
+    { version: '3.0.0', publishedAt: '2025-01-01T00:00:00Z' }
+  ]
+};
+
+function toRegistryItem(name, { version, publishedAt, status = 'active' }) {
+  return {
+    server: { name, description: `${name} from upstream`, version, packages: [pkg(version)] },
+    _meta: { 'io.modelcontextprotocol.registry/official': { status, publishedAt, isLatest: false } }
+  };
+}
+
+async function writeLocalServers() {
+  await rm(TEST_DIR, { recursive: true, force: true });
+  await mkdir(SERVERS_DIR, { recursive: true });
+  await writeFile(join(SERVERS_DIR, 'weather.json'), JSON.stringify({
+    name: 'io.github.example/weather',
+    description: 'Weather',
+    version: '1.0.0',
+    packages: [pkg('1.0.0')]
+  }, null, 2));
+  await writeFile(join(SERVERS_DIR, 'more.json'), JSON.stringify({
+    servers: [
+      { name: 'io.github.example/tools', description: 'Tools', versions: [{ version: '3.0.0', isLatest: true, packages: [] }] },
+      { name: 'io.github.example/local-only', description: 'Hand-written', versions: [{ version: '0.1.0', isLatest: true, packages: [] }] }
+    ]
+  }, null, 2));
+}
+
+describe('Outdated and Update Commands', () => {
+  let registry;
+  let registryUrl;
+
+  function run(...args) {
+    return execFileAsync('node', ['src/cli/index.js', ...args, '--dir', SERVERS_DIR, '--registry', registryUrl], { cwd: ROOT });
+  }
+
+  before(async () => {
+    registry = http.createServer((req, res) => {
+      const match = decodeURIComponent(req.url).match(/^\/v0\/servers\/(.+)\/versions$/);
+      const versions = match && upstream[match[1]];
+      res.setHeader('Content-Type', 'application/json');
+      if (!versions) {
+        res.writeHead(404);
+        res.end(JSON.stringify({ title: 'Not Found' }));
+        return;
+      }
+      res.end(JSON.stringify({ servers: versions.map(v => toRegistryItem(match[1], v)) }));
+    });
+    await new Promise(resolve => registry.listen(0, resolve));
+    registryUrl = `http://localhost:${registry.address().port}`;
+  });
+
+  after(async () => {
+    registry?.close();
+    await rm(TEST_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(writeLocalServers);
+
+  test('should compare local and upstream latest versions', async () => {
+    const { stdout } = await run('outdated');
+
+    assert.match(stdout, /io\.github\.example\/weather\s+1\.0\.0\s+1\.10\.0\s+outdated/);
+    assert.match(stdout, /io\.github\.example\/tools\s+3\.0\.0\s+3\.0\.0\s+current/);
+    assert.match(stdout, /io\.github\.example\/local-only\s+0\.1\.0\s+-\s+not-found/);
+    assert.ok(stdout.includes('1 server(s) have newer versions'));
+  });
+
+  test('should output the comparison as JSON', async () => {
+    const results = JSON.parse((await run('outdated', '--json')).stdout);
+
+    assert.deepStrictEqual(results.find(r => r.name === 'io.github.example/weather'), {
+      name: 'io.github.example/weather',
+      file: join(SERVERS_DIR, 'weather.json'),
+      local: '1.0.0',
+      upstream: '1.10.0',
+      status: 'outdated',
+      newVersions: ['1.10.0', '1.1.0']
+    });
+  });
+
+  test('should rank prereleases below their release', async () => {
+    const results = JSON.parse((await run('outdated', '--json')).stdout);
+
+    // 3.0.0-rc.1 came before 3.0.0, so the local 3.0.0 is current
+    assert.deepStrictEqual(results.find(r => r.name === 'io.github.example/tools'), {
+      name: 'io.github.example/tools',
+      file: join(SERVERS_DIR, 'more.json'),
+      local: '3.0.0',
+      upstream: '3.0.0',
+      status: 'current',
+      newVersions: []
+    });
+  });
+
+  test('should not write anything in a dry run', async () => {
+    const before = await readFile(join(SERVERS_DIR, 'weather.json'), 'utf-8');
+    const result = JSON.parse((await run('update', '--dry-run', '--json')).stdout);
+
+    assert.deepStrictEqual(result, {
+      dryRun: true,
+      updated: [{
+        name: 'io.github.example/weather',
+        file: join(SERVERS_DIR, 'weather.json'),
+        from: '1.0.0',
+        to: '1.10.0',
+        versions: ['1.10.0', '1.1.0']
+      }],
+      failed: []
+    });
+    assert.strictEqual(await readFile(join(SERVERS_DIR, 'weather.json'), 'utf-8'), before);
+  });
+
+  test('should merge the newer versions into the server file', async () => {
+    const { stdout } = await run('update');
+    assert.ok(stdout.includes('Updated io.github.example/weather 1.0.0 → 1.10.0 (1.10.0, 1.1.0)'));
+
+    const data = JSON.parse(await readFile(join(SERVERS_DIR, 'weather.json'), 'utf-8'));
+    assert.deepStrictEqual(
+      data.versions.map(v => [v.version, v.isLatest, v.releaseDate]),
+      [['1.10.0', true, '2025-03-01'], ['1.1.0', false, '2025-02-01'], ['1.0.0', false, undefined]]
+    );
+    assert.strictEqual(data.description, 'io.github.example/weather from upstream');
+
+    const { stdout: again } = await run('update');
+    assert.ok(again.includes('Everything is up to date'));
+  });
+
+  test('should only update the named servers', async () => {
+    await assert.rejects(run('update', 'io.github.example/local-only'), err => {
+      assert.strictEqual(err.code, 1);
+      assert.ok(err.stderr.includes('io.github.example/local-only: not found in the registry'));
+      return true;
+    });
+    await assert.rejects(run('update', 'io.github.example/missing'), /Not in .*: io\.github\.example\/missing/);
+
+    const { stdout } = await run('update', 'io.github.example/tools');
+    assert.ok(stdout.includes('Everything is up to date'));
+    const data = JSON.parse(await readFile(join(SERVERS_DIR, 'weather.json'), 'utf-8'));
+    assert.strictEqual(data.version, '1.0.0');
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Tests for the package allow/deny policy (package-policy.json)
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdir, writeFile, readFile, rm } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { execFileSync } from 'child_process';
+import {
+  parsePackagePolicy,
+  parseOciImage,
+  checkPackagePolicy,
+  applyPackagePolicy
+} from '../scripts/package-policy.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const TEST_DIR = join(__dirname, 'fixtures', 'package-policy');
+const SERVERS_DIR = join(TEST_DIR, 'servers');
+const DIST_DIR = join(TEST_DIR, 'dist');
+
+const npm = (identifier, extra = {}) => ({ registryType: 'npm', identifier, runtimeHint: 'npx', transport: { type: 'stdio' }, ...extra });
+const oci = identifier => ({ registryType: 'oci', identifier, runtimeHint: 'docker', transport: { type: 'stdio' } });
+const remote = (type, url) => ({ type, url });
+
+function server(name, { packages = [], remotes = [] } = {}) {
+  return { name, description: name, versions: [{ version: '1.0.0', isLatest: true, packages, remotes }] };
+}
+
+/**
+ * Rule ids of the violations for one server
+ */
+function deniedBy(policy, endpoints) {
+  return checkPackagePolicy(parsePackagePolicy(policy), server('io.github.test/server', endpoints)).map(v => v.rule);
+}
+
+describe('Package Policy', () => {
+  test('should validate the policy file', () => {
+    assert.deepStrictEqual(parsePackagePolicy({ rules: [] }), { default: 'allow', rules: [] });
+
+    const invalid = [
+      [{}, /"rules" must be an array/],
+      [{ rules: [], default: 'block' }, /"default" must be allow or deny/],
+      [{ rules: [{ id: 'a', effect: 'deny', match: { transport: 'sse' } }, { id: 'a', effect: 'deny', match: { transport: 'sse' } }] }, /rules\[1\]: duplicate rule id "a"/],
+      [{ rules: [{ id: 'a', effect: 'deny', match: { registry: 'npm' } }] }, /rules\[0\]: unknown condition "registry"/],
+      [{ rules: [{ id: 'a', effect: 'deny', match: {} }] }, /needs at least one condition/],
+      [{ rules: [{ id: 'a', effect: 'block', match: { transport: 'sse' } }] }, /"effect" must be allow or deny/],
+      [{ rules: [{ id: 'a', effect: 'deny', match: { transport: [] } }] }, /"transport" must be a pattern or a list of patterns/]
+    ];
+    for (const [policy, error] of invalid) {
+      assert.throws(() => parsePackagePolicy(policy), error);
+    }
+  });
+
+  test('should find the registry host of OCI images', () => {
+    assert.deepStrictEqual(parseOciImage('ghcr.io/Our-Org/tool:1.2.0'), { registry: 'ghcr.io', image: 'ghcr.io/Our-Org/tool' });
+    assert.deepStrictEqual(parseOciImage('mcp/fetch@sha256:abc'), { registry: 'docker.io', image: 'docker.io/mcp/fetch' });
+    assert.deepStrictEqual(parseOciImage('ubuntu:24.04'), { registry: 'docker.io', image: 'docker.io/library/ubuntu' });
+    assert.deepStrictEqual(parseOciImage('localhost:5000/tool'), { registry: 'localhost:5000', image: 'localhost:5000/tool' });
+  });
+
+  test('should deny by transport type of packages and remotes', () => {
+    const policy = { rules: [{ id: 'no-sse', effect: 'deny', match: { transport: 'sse' } }] };
+
+    assert.deepStrictEqual(deniedBy(policy, { remotes: [remote('sse', 'https://a.example.com/sse')] }), ['no-sse']);
+    assert.deepStrictEqual(deniedBy(policy, { packages: [npm('tool', { transport: { type: 'sse', url: 'http://localhost:8080' } })] }), ['no-sse']);
+    assert.deepStrictEqual(deniedBy(policy, { remotes: [remote('streamable-http', 'https://a.example.com/mcp')] }), []);
+  });
+
+  test('should allow OCI images only from one registry path', () => {
+    const policy = {
+      rules: [
+        { id: 'oci-our-org', effect: 'allow', match: { ociImage: 'ghcr.io/our-org/*' } },
+        { id: 'oci-elsewhere', effect: 'deny', match: { registryType: 'oci' } }
+      ]
+    };
+
+    assert.deepStrictEqual(deniedBy(policy, { packages: [oci('ghcr.io/our-org/tool:1.0.0')] }), []);
+    assert.deepStrictEqual(deniedBy(policy, { packages: [oci('ghcr.io/other/tool')] }), ['oci-elsewhere']);
+    assert.deepStrictEqual(deniedBy(policy, { packages: [oci('our-org/tool')] }), ['oci-elsewhere']);
+    assert.deepStrictEqual(deniedBy(policy, { packages: [npm('tool')] }), []);
+  });
+
+  test('should match OCI registry hosts, npm scopes, remote domains and runtime hints', () => {
+    assert.deepStrictEqual(deniedBy(
+      { rules: [{ id: 'no-docker-hub', effect: 'deny', match: { ociRegistry: 'docker.io' } }] },
+      { packages: [oci('mcp/fetch'), oci('ghcr.io/acme/fetch')] }
+    ), ['no-docker-hub']);
+
+    const scopes = { rules: [{ id: 'bad-scope', effect: 'deny', match: { npmScope: ['@evil', '@typo*'] } }] };
+    assert.deepStrictEqual(deniedBy(scopes, { packages: [npm('@Evil/tool'), npm('@typosquat/tool'), npm('@acme/tool'), npm('evil')] }), ['bad-scope', 'bad-scope']);
+
+    const domains = { rules: [{ id: 'internal-only', effect: 'deny', match: { remoteDomain: '*.internal.example.com' } }] };
+    assert.deepStrictEqual(deniedBy(domains, {
+      remotes: [remote('streamable-http', 'https://{tenant}.internal.example.com/mcp'), remote('streamable-http', 'https://mcp.example.com')]
+    }), ['internal-only']);
+
+    const runtimes = { rules: [{ id: 'no-binaries', effect: 'deny', match: { runtimeHint: 'binary' } }] };
+    assert.deepStrictEqual(deniedBy(runtimes, { packages: [npm('tool', { runtimeHint: 'binary' }), npm('other')] }), ['no-binaries']);
+  });
+
+  test('should use the first matching rule, then the default', () => {
+    const policy = {
+      default: 'deny',
+      rules: [
+        { id: 'acme-npm', effect: 'allow', match: { registryType: 'npm', npmScope: '@acme' } },
+        { id: 'no-npm', effect: 'deny', match: { registryType: 'npm' }, message: 'Only @acme packages' }
+      ]
+    };
+
+    assert.deepStrictEqual(deniedBy(policy, { packages: [npm('@acme/tool')] }), []);
+    assert.deepStrictEqual(deniedBy(policy, { packages: [npm('tool'), oci('ghcr.io/acme/tool')] }), ['no-npm', 'default']);
+
+    const [violation] = checkPackagePolicy(parsePackagePolicy(policy), server('io.github.test/server', { packages: [npm('tool')] }));
+    assert.deepStrictEqual(violation, {
+      rule: 'no-npm',
+      server: 'io.github.test/server',
+      version: '1.0.0',
+      endpoint: 'packages/0',
+      message: 'io.github.test/server@1.0.0: npm package tool is denied by rule "no-npm": Only @acme packages'
+    });
+  });
+
+  test('should drop servers with violations', () => {
+    const policy = parsePackagePolicy({ rules: [{ id: 'no-sse', effect: 'deny', match: { transport: 'sse' } }] });
+    const servers = [
+      server('io.github.test/ok', { remotes: [remote('streamable-http', 'https://a.example.com/mcp')] }),
+      server('io.github.test/sse', { remotes: [remote('sse', 'https://a.example.com/sse')] })
+    ];
+
+    const result = applyPackagePolicy(policy, servers);
+    assert.deepStrictEqual(result.servers.map(s => s.name), ['io.github.test/ok']);
+    assert.deepStrictEqual(result.violations.map(v => [v.rule, v.server]), [['no-sse', 'io.github.test/sse']]);
+    assert.strictEqual(applyPackagePolicy(null, servers).servers, servers);
+  });
+
+  describe('Build', () => {
+    before(async () => {
+      await rm(TEST_DIR, { recursive: true, force: true });
+      await mkdir(SERVERS_DIR, { recursive: true });
+      await writeFile(join(SERVERS_DIR, 'servers.json'), JSON.stringify({
+        servers: [
+          server('io.github.test/ok', { packages: [oci('ghcr.io/our-org/ok')] }),
+          server('io.github.test/hub', { packages: [oci('mcp/hub')] })
+        ]
+      }));
+      await writeFile(join(TEST_DIR, 'package-policy.json'), JSON.stringify({
+        rules: [
+          { id: 'oci-our-org', effect: 'allow', match: { ociImage: 'ghcr.io/our-org/*' } },
+          { id: 'oci-elsewhere', effect: 'deny', match: { registryType: 'oci' } }
+        ]
+      }));
+    });
+
+    after(async () => {
+      await rm(TEST_DIR, { recursive: true, force: true });
+    });
+
+    function runBuild(...flags) {
+      return execFileSync('node', [join(ROOT, 'scripts', 'build.js'), '--local', ...flags], {
+        cwd: ROOT,
+        stdio: 'pipe',
+        env: { ...process.env, MCP_SERVERS_DIR: SERVERS_DIR, MCP_DIST_DIR: DIST_DIR }
+      });
+    }
+
+    test('should leave out denied servers and report the rule', async () => {
+      runBuild();
+
+      const list = JSON.parse(await readFile(join(DIST_DIR, 'api', 'v0.1', 'servers.json'), 'utf-8'));
+      assert.deepStrictEqual(list.servers.map(s => s.name), ['io.github.test/ok']);
+
+      const report = JSON.parse(await readFile(join(DIST_DIR, 'build-report.json'), 'utf-8'));
+      assert.deepStrictEqual(report.problems.map(p => [p.type, p.rule, p.server, p.endpoint]), [
+        ['package-policy', 'oci-elsewhere', 'io.github.test/hub', 'packages/0']
+      ]);
+    });
+
+    test('should fail a strict build', () => {
+      assert.throws(() => runBuild('--strict'));
+    });
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * Tests for the write API
+ * Publishes to a local servers/ directory through the dynamic server, and to
+ * a local stand-in for the GitHub API.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { mkdir, writeFile, rm, readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { spawn } from 'child_process';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const TEST_DIR = join(__dirname, 'fixtures', 'publish');
+const SERVERS_DIR = join(TEST_DIR, 'servers');
+const PORT = 4100 + Math.floor(Math.random() * 100);
+const TOKEN = 'test-publish-token';
+
+const release = {
+  $schema: 'https://static.modelcontextprotocol.io/schemas/2025-12-11/server.schema.json',
+  name: 'io.github.example/weather',
+  description: 'Weather forecasts',
+  version: '1.0.0',
+  packages: [{ registryType: 'npm', identifier: '@example/weather', version: '1.0.0', transport: { type: 'stdio' } }]
+};
+
+const multiServerFile = {
+  servers: [{
+    name: 'io.github.example/tools',
+    description: 'Tools',
+    versions: [{ version: '1.0.0', isLatest: true, packages: [] }]
+  }]
+};
+
+function startDynamicServer() {
+  return new Promise((resolve, reject) => {
+    const child = spawn('node', [join(ROOT, 'scripts', 'dynamic-server.js')], {
+      cwd: ROOT,
+      env: {
+        ...process.env,
+        MCP_SOURCE: 'local',
+        MCP_SERVERS_DIR: SERVERS_DIR,
+        MCP_PORT: String(PORT),
+        MCP_CACHE_FILE: join(TEST_DIR, 'cache.json'),
+        MCP_PUBLISH_TOKENS: `release=release-token, ${TOKEN}`
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    child.stdout.on('data', chunk => {
+      if (chunk.toString().includes('Server running')) resolve(child);
+    });
+    child.on('exit', code => reject(new Error(`Dynamic server exited with code ${code}`)));
+  });
+}
+
+function send(method, path, body, token = TOKEN) {
+  return fetch(`http://localhost:${PORT}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify(body)
+  });
+}
+
+describe('Publish API', () => {
+  let child;
+
+  before(async () => {
+    await rm(TEST_DIR, { recursive: true, force: true });
+    await mkdir(SERVERS_DIR, { recursive: true });
+    await writeFile(join(SERVERS_DIR, 'tools.json'), JSON.stringify(multiServerFile, null, 2));
+    child = await startDynamicServer();
+  });
+
+  after(async () => {
+    child?.kill();
+    await rm(TEST_DIR, { recursive: true, force: true });
+  });
+
+  test('should require a valid bearer token', async () => {
+    assert.strictEqual((await send('POST', '/v0.1/publish', release, null)).status, 401);
+    assert.strictEqual((await send('POST', '/v0.1/publish', release, 'wrong-token')).status, 401);
+  });
+
+  test('should publish a new server into servers/', async () => {
+    const response = await send('POST', '/v0.1/publish', release);
+    assert.strictEqual(response.status, 201);
+    assert.deepStrictEqual(await response.json(), {
+      status: 'published',
+      name: 'io.github.example/weather',
+      version: '1.0.0',
+      file: join('io.github.example', 'weather.json'),
+      action: 'created'
+    });
+
+    const written = JSON.parse(await readFile(join(SERVERS_DIR, 'io.github.example', 'weather.json'), 'utf-8'));
+    assert.deepStrictEqual(written.versions.map(v => v.version), ['1.0.0']);
+
+    const latest = await (await fetch(`http://localhost:${PORT}/v0.1/servers/io.github.example/weather/versions/latest`)).json();
+    assert.strictEqual(latest.server.version, '1.0.0');
+  });
+
+  test('should not publish the same version twice', async () => {
+    const response = await send('POST', '/v0.1/publish', release);
+    assert.strictEqual(response.status, 409);
+  });
+
+  test('should replace a version with PUT', async () => {
+    const response = await send('PUT', '/v0.1/servers/io.github.example/weather/versions/1.0.0', {
+      ...release,
+      description: 'Weather forecasts and alerts'
+    });
+    assert.strictEqual(response.status, 201);
+
+    const latest = await (await fetch(`http://localhost:${PORT}/v0.1/servers/io.github.example/weather/versions/latest`)).json();
+    assert.strictEqual(latest.server.description, 'Weather forecasts and alerts');
+  });
+
+  test('should add versions to the file that defines the server', async () => {
+    const response = await send('PUT', '/v0.1/servers/io.github.example/tools/versions/1.1.0', {
+      description: 'Tools',
+      packages: []
+    });
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual((await response.json()).file, 'tools.json');
+
+    const written = JSON.parse(await readFile(join(SERVERS_DIR, 'tools.json'), 'utf-8'));
+    assert.strictEqual(written.servers.length, 1);
+    assert.deepStrictEqual(written.servers[0].versions.map(v => [v.version, v.isLatest]), [['1.1.0', true], ['1.0.0', false]]);
+  });
+
+  test('should reject invalid payloads', async () => {
+    const invalid = await send('POST', '/v0.1/publish', { ...release, version: '2.0.0', packages: [{ registryType: 'npm' }] });
+    assert.strictEqual(invalid.status, 400);
+    assert.ok((await invalid.json()).details.length > 0, 'should list validation errors');
+
+    const mismatch = await send('PUT', '/v0.1/servers/io.github.example/weather/versions/3.0.0', release);
+    assert.strictEqual(mismatch.status, 400);
+  });
+
+  test('should answer oversized payloads with 413', async () => {
+    const response = await send('POST', '/v0.1/publish', { ...release, version: '2.0.0', description: 'x'.repeat(2 * 1024 * 1024) });
+    assert.strictEqual(response.status, 413);
+    assert.strictEqual((await response.json()).error, 'Request body too large');
+  });
+
+  test('should only publish to namespaces the token owns', async () => {
+    await writeFile(join(TEST_DIR, 'NAMESPACES'), 'io.github.example token:release\n');
+    const update = { ...release, version: '1.1.0' };
+
+    const denied = await send('POST', '/v0.1/publish', update);
+    assert.strictEqual(denied.status, 403);
+    assert.match((await denied.json()).error, /does not own namespace "io.github.example" \(owners: token:release\)/);
+
+    assert.strictEqual((await send('POST', '/v0.1/publish', update, 'release-token')).status, 201);
+  });
+
+  test('should reject packages the package policy denies', async () => {
+    await writeFile(join(TEST_DIR, 'package-policy.json'), JSON.stringify({
+      rules: [{ id: 'no-sse', effect: 'deny', match: { transport: 'sse' } }]
+    }));
+    const update = { ...release, version: '1.2.0', remotes: [{ type: 'sse', url: 'https://weather.example.com/sse' }] };
+
+    const denied = await send('POST', '/v0.1/publish', update, 'release-token');
+    assert.strictEqual(denied.status, 400);
+    const body = await denied.json();
+    assert.strictEqual(body.error, 'Denied by the package policy');
+    assert.deepStrictEqual(body.details.map(v => [v.rule, v.endpoint]), [['no-sse', 'remotes/0']]);
+  });
+});
+
+describe('Publish to GitHub', () => {
+  let github;
+  let publishToGitHub;
+  const requests = [];
+  // Repository files by path, and open pull requests
+  const files = {};
+  let openPulls = [];
+
+  before(async () => {
+    github = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : undefined });
+        res.setHeader('Content-Type', 'application/json');
+
+        const file = files[req.url.match(/\/contents\/([^?]+)/)?.[1]];
+        if (req.method === 'GET' && req.url.includes('/contents/')) {
+          res.writeHead(file ? 200 : 404);
+          res.end(JSON.stringify(file
+            ? { sha: 'file-sha', content: Buffer.from(JSON.stringify(file)).toString('base64') }
+            : { message: 'Not Found' }));
+        } else if (req.method === 'GET' && req.url.includes('/pulls?')) {
+          res.end(JSON.stringify(openPulls));
+        } else if (req.url.endsWith('/git/ref/heads/main')) {
+          res.end(JSON.stringify({ object: { sha: 'base-sha' } }));
+        } else if (req.url.endsWith('/pulls')) {
+          res.end(JSON.stringify({ html_url: 'https://github.com/acme/registry/pull/7' }));
+        } else {
+          res.end(JSON.stringify({ commit: { html_url: 'https://github.com/acme/registry/commit/abc' } }));
+        }
+      });
+    });
+    await new Promise(resolve => github.listen(0, resolve));
+
+    // The GitHub API URL is read when the module loads
+    process.env.GITHUB_API_URL = `http://localhost:${github.address().port}`;
+    ({ publishToGitHub } = await import('../scripts/publish.js'));
+  });
+
+  after(() => {
+    github?.close();
+  });
+
+  test('should open a pull request with the new file', async () => {
+    const result = await publishToGitHub(
+      { owner: 'acme', repo: 'registry', branch: 'main', token: 'gh-token', mode: 'pull-request' },
+      undefined,
+      release
+    );
+
+    assert.deepStrictEqual(result, {
+      file: 'servers/io.github.example/weather.json',
+      action: 'created',
+      pullRequest: 'https://github.com/acme/registry/pull/7'
+    });
+
+    const [, listPulls, , createBranch, putFile, openPull] = requests;
+    assert.strictEqual(listPulls.url, '/repos/acme/registry/pulls?state=open&base=main&per_page=100');
+    assert.deepStrictEqual(createBranch.body.sha, 'base-sha');
+    assert.strictEqual(putFile.url, '/repos/acme/registry/contents/servers/io.github.example/weather.json');
+    assert.strictEqual(putFile.body.branch, createBranch.body.ref.replace('refs/heads/', ''));
+    assert.strictEqual(JSON.parse(Buffer.from(putFile.body.content, 'base64').toString()).name, release.name);
+    assert.deepStrictEqual([openPull.body.head, openPull.body.base], [putFile.body.branch, 'main']);
+  });
+
+  test('should refuse versions already in the repository', async () => {
+    files['servers/io.github.example/weather.json'] = release;
+    const options = { owner: 'acme', repo: 'registry', branch: 'main', token: 'gh-token', mode: 'commit' };
+
+    await assert.rejects(publishToGitHub(options, undefined, release), { status: 409 });
+
+    // PUT replaces it
+    const result = await publishToGitHub({ ...options, replace: true }, undefined, release);
+    assert.strictEqual(result.action, 'merged');
+    delete files['servers/io.github.example/weather.json'];
+  });
+
+  test('should refuse versions that already wait for review', async () => {
+    openPulls = [{
+      head: { ref: 'publish/io.github.example-weather-1.0.0-1700000000000' },
+      html_url: 'https://github.com/acme/registry/pull/7'
+    }];
+    const options = { owner: 'acme', repo: 'registry', branch: 'main', token: 'gh-token', mode: 'pull-request' };
+
+    await assert.rejects(publishToGitHub(options, undefined, release), {
+      status: 409,
+      message: 'io.github.example/weather@1.0.0 is already waiting for review in https://github.com/acme/registry/pull/7'
+    });
+
+    // A prerelease of the same version is a different branch
+    const prerelease = { ...release, version: '1.0.0-rc.1' };
+    const result = await publishToGitHub(options, undefined, prerelease);
+    assert.strictEqual(result.pullRequest, 'https://github.com/acme/registry/pull/7');
+    openPulls = [];
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * Tests for the shared registry core
+ * Checks that the static build and the dynamic server produce identical API output.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdir, writeFile, rm, readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { execFileSync, spawn } from 'child_process';
+import {
+  OFFICIAL_SCHEMA,
+  parseServerFile,
+  getLatestVersion,
+  toVSCodeServerFormat,
+  toServerListResponse,
+  toVersionListResponse
+} from '../scripts/registry-core.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const TEST_DIR = join(__dirname, 'fixtures', 'registry-core');
+const SERVERS_DIR = join(TEST_DIR, 'servers');
+const DIST_DIR = join(TEST_DIR, 'dist');
+const PORT = 3900 + Math.floor(Math.random() * 100);
+
+const flatServer = {
+  name: 'io.github.example/flat',
+  title: 'Flat',
+  description: 'Flat official schema server',
+  version: '1.2.0',
+  icons: [{ src: 'https://example.com/icon.png' }],
+  packages: [],
+  remotes: [{ type: 'streamable-http', url: 'https://example.com/mcp' }],
+  _meta: { 'com.example/publisher': { tier: 'gold' } }
+};
+
+const multiServer = {
+  servers: [
+    {
+      name: 'io.github.example/versioned',
+      description: 'Versioned server',
+      icons: [{ src: 'https://example.com/versioned.png' }],
+      versions: [
+        { version: '2.0.0', releaseDate: '2025-02-01', isLatest: true, packages: [{ registryType: 'npm', identifier: 'versioned', transport: { type: 'stdio' } }] },
+        { version: '1.0.0', releaseDate: '2025-01-01', packages: [{ registryType: 'npm', identifier: 'versioned', transport: { type: 'stdio' } }] }
+      ]
+    },
+    { ...flatServer, name: 'io.github.example/flat-in-multi' }
+  ]
+};
+
+// A deprecated server with a yanked version, and a deleted server
+const lifecycleServers = {
+  servers: [
+    {
+      name: 'io.github.example/old',
+      description: 'Superseded server',
+      status: 'deprecated',
+      statusMessage: 'No longer maintained',
+      replacedBy: 'io.github.example/versioned',
+      versions: [
+        { version: '1.1.0', isLatest: true, status: 'deleted', statusMessage: 'Leaked a token', packages: [] },
+        { version: '1.0.0', packages: [] }
+      ]
+    },
+    {
+      name: 'io.github.example/gone',
+      description: 'Deleted server',
+      version: '1.0.0',
+      status: 'deleted',
+      packages: []
+    }
+  ]
+};
+
+function getOfficialMeta(item) {
+  return item._meta['io.modelcontextprotocol.registry/official'];
+}
+
+// Start the dynamic server on the fixture directory and wait until it listens
+function startDynamicServer() {
+  return new Promise((resolve, reject) => {
+    const child = spawn('node', [join(ROOT, 'scripts', 'dynamic-server.js')], {
+      cwd: ROOT,
+      env: {
+        ...process.env,
+        MCP_SOURCE: 'local',
+        MCP_SERVERS_DIR: SERVERS_DIR,
+        MCP_PORT: String(PORT),
+        MCP_CACHE_FILE: join(TEST_DIR, 'cache.json')
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    child.stdout.on('data', chunk => {
+      if (chunk.toString().includes('Server running')) resolve(child);
+    });
+    child.on('exit', code => reject(new Error(`Dynamic server exited with code ${code}`)));
+  });
+}
+
+async function fetchText(path) {
+  const res = await fetch(`http://localhost:${PORT}${path}`);
+  assert.strictEqual(res.status, 200, `GET ${path}`);
+  return res.text();
+}
+
+describe('Registry Core', () => {
+  describe('parseServerFile', () => {
+    test('should keep remotes, icons and _meta of flat servers', () => {
+      const [server] = parseServerFile(flatServer, 'flat.json');
+      assert.deepStrictEqual(server.icons, flatServer.icons);
+      assert.deepStrictEqual(server.versions, [{
+        version: '1.2.0',
+        isLatest: true,
+        packages: [],
+        remotes: flatServer.remotes,
+        _meta: flatServer._meta
+      }]);
+    });
+
+    test('should normalize flat servers inside multi-server files', () => {
+      const servers = parseServerFile(multiServer, 'multi.json');
+      assert.strictEqual(servers.length, 2);
+      assert.deepStrictEqual(servers[1].versions[0].remotes, flatServer.remotes);
+    });
+  });
+
+  describe('toVSCodeServerFormat', () => {
+    test('should include every server field', () => {
+      const [server] = parseServerFile(flatServer, 'flat.json');
+      const { server: api } = toVSCodeServerFormat(server, server.versions[0]);
+
+      assert.strictEqual(api.$schema, OFFICIAL_SCHEMA);
+      assert.strictEqual(api.title, 'Flat');
+      assert.deepStrictEqual(api.icons, flatServer.icons);
+      assert.deepStrictEqual(api.remotes, flatServer.remotes);
+      assert.deepStrictEqual(api._meta, flatServer._meta);
+    });
+
+    test('should list the latest version of each server', () => {
+      const servers = parseServerFile(multiServer, 'multi.json');
+      const response = toServerListResponse(servers, { nextCursor: 'abc' });
+
+      assert.deepStrictEqual(response.servers.map(s => s.server.version), ['2.0.0', '1.2.0']);
+      assert.deepStrictEqual(response.metadata, { count: 2, nextCursor: 'abc' });
+    });
+  });
+
+  describe('lifecycle status', () => {
+    const [old, gone] = parseServerFile(lifecycleServers, 'lifecycle.json');
+
+    test('should report the most severe of server and version status', () => {
+      assert.strictEqual(getOfficialMeta(toVSCodeServerFormat(old, old.versions[1])).status, 'deprecated');
+      assert.deepStrictEqual(getOfficialMeta(toVSCodeServerFormat(old, old.versions[0])), {
+        status: 'deleted',
+        statusMessage: 'Leaked a token',
+        replacedBy: 'io.github.example/versioned',
+        publishedAt: undefined,
+        updatedAt: undefined,
+        isLatest: true
+      });
+      assert.strictEqual(getOfficialMeta(toVSCodeServerFormat(old, old.versions[1])).statusMessage, 'No longer maintained');
+      assert.strictEqual(getOfficialMeta(toVSCodeServerFormat(gone, gone.versions[0])).status, 'deleted');
+    });
+
+    test('should skip deleted versions for latest and version lists', () => {
+      assert.strictEqual(getLatestVersion(old).version, '1.0.0');
+      assert.deepStrictEqual(toVersionListResponse(old).servers.map(s => s.server.version), ['1.0.0']);
+      assert.deepStrictEqual(
+        toVersionListResponse(old, { includeDeleted: true }).servers.map(s => s.server.version),
+        ['1.1.0', '1.0.0']
+      );
+    });
+  });
+
+  describe('build and dynamic server output', () => {
+    let child;
+
+    before(async () => {
+      await rm(TEST_DIR, { recursive: true, force: true });
+      await mkdir(join(SERVERS_DIR, 'nested'), { recursive: true });
+      await writeFile(join(SERVERS_DIR, 'flat.json'), JSON.stringify(flatServer, null, 2));
+      await writeFile(join(SERVERS_DIR, 'nested', 'multi.json'), JSON.stringify(multiServer, null, 2));
+      await writeFile(join(SERVERS_DIR, 'lifecycle.json'), JSON.stringify(lifecycleServers, null, 2));
+
+      execFileSync('node', [join(ROOT, 'scripts', 'build.js'), '--local'], {
+        cwd: ROOT,
+        env: { ...process.env, MCP_SERVERS_DIR: SERVERS_DIR, MCP_DIST_DIR: DIST_DIR },
+        stdio: 'pipe'
+      });
+      child = await startDynamicServer();
+    });
+
+    after(async () => {
+      child?.kill();
+      await rm(TEST_DIR, { recursive: true, force: true });
+    });
+
+    test('should serve byte-identical version documents', async () => {
+      const paths = [
+        ['io.github.example/flat', 'latest'],
+        ['io.github.example/versioned', 'latest'],
+        ['io.github.example/versioned', '1.0.0'],
+        ['io.github.example/flat-in-multi', '1.2.0']
+      ];
+
+      for (const [name, version] of paths) {
+        const staticFile = join(DIST_DIR, 'v0.1', 'servers', encodeURIComponent(name), 'versions', version, 'index.json');
+        const dynamic = await fetchText(`/v0.1/servers/${name}/versions/${version}`);
+        assert.strictEqual(dynamic, await readFile(staticFile, 'utf-8'), `${name}@${version}`);
+      }
+    });
+
+    test('should serve byte-identical version lists', async () => {
+      const staticFile = join(DIST_DIR, 'v0.1', 'servers', encodeURIComponent('io.github.example/versioned'), 'versions', 'index.json');
+      const dynamic = await fetchText('/v0.1/servers/io.github.example/versioned/versions');
+      assert.strictEqual(dynamic, await readFile(staticFile, 'utf-8'));
+    });
+
+    test('should list the same server entries', async () => {
+      const staticList = JSON.parse(await readFile(join(DIST_DIR, 'v0.1', 'servers', 'index.json'), 'utf-8'));
+      const dynamicList = JSON.parse(await fetchText('/v0.1/servers'));
+      assert.deepStrictEqual(dynamicList.servers, staticList.servers);
+    });
+
+    test('should hide deleted servers and versions unless include_deleted=true', async () => {
+      const staticList = JSON.parse(await readFile(join(DIST_DIR, 'v0.1', 'servers', 'index.json'), 'utf-8'));
+      const names = list => list.servers.map(s => s.server.name);
+      assert.ok(!names(staticList).includes('io.github.example/gone'), 'static list should hide deleted servers');
+      assert.ok(names(staticList).includes('io.github.example/old'), 'should keep deprecated servers');
+
+      const withDeleted = JSON.parse(await fetchText('/v0.1/servers?include_deleted=true'));
+      assert.ok(names(withDeleted).includes('io.github.example/gone'));
+      assert.strictEqual((await fetch(`http://localhost:${PORT}/v0.1/servers?include_deleted=yes`)).status, 400);
+
+      const versions = JSON.parse(await fetchText('/v0.1/servers/io.github.example/old/versions?include_deleted=true'));
+      assert.deepStrictEqual(versions.servers.map(s => getOfficialMeta(s).status), ['deleted', 'deprecated']);
+
+      // Deleted servers can still be looked up directly
+      const gone = JSON.parse(await fetchText('/v0.1/servers/io.github.example/gone/versions/latest'));
+      assert.strictEqual(getOfficialMeta(gone).status, 'deleted');
+    });
+
+    test('should serve client configs', async () => {
+      const config = JSON.parse(await fetchText('/v0.1/servers/io.github.example/versioned/versions/1.0.0/config?format=claude'));
+      assert.deepStrictEqual(config.mcpServers['io.github.example/versioned'], {
+        command: 'npx',
+        args: ['-y', 'versioned']
+      });
+
+      const res = await fetch(`http://localhost:${PORT}/v0.1/servers/io.github.example/flat/versions/latest/config?format=zed`);
+      assert.strictEqual(res.status, 400);
+    });
+  });
+});
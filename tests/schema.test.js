@@ -7,65 +7,14 @@ import assert from 'node:assert';
 import { readFile } from 'fs/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { validateServerFile } from '../scripts/server-validator.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = join(__dirname, '..');
 
-// Simple JSON Schema validator for testing
-function validateServer(server, errors = []) {
-  if (!server.name) {
-    errors.push('Missing required field: name');
-  } else if (!/^[a-z][a-z0-9-]*(\.[a-z][a-z0-9-]*)*\/[a-z][a-z0-9-]*$/.test(server.name)) {
-    errors.push(`Invalid name format: ${server.name}`);
-  }
-
-  if (!server.description) {
-    errors.push('Missing required field: description');
-  }
-
-  if (!server.versions || !Array.isArray(server.versions)) {
-    errors.push('Missing or invalid field: versions (must be array)');
-  } else {
-    server.versions.forEach((v, i) => {
-      if (!v.version) {
-        errors.push(`Version ${i}: missing version field`);
-      }
-      if (!v.packages || !Array.isArray(v.packages)) {
-        errors.push(`Version ${i}: missing or invalid packages array`);
-      } else {
-        v.packages.forEach((pkg, j) => {
-          if (!pkg.registryType) {
-            errors.push(`Version ${i}, Package ${j}: missing registryType`);
-          }
-          if (!pkg.identifier) {
-            errors.push(`Version ${i}, Package ${j}: missing identifier`);
-          }
-          if (!pkg.transport || !pkg.transport.type) {
-            errors.push(`Version ${i}, Package ${j}: missing transport.type`);
-          }
-        });
-      }
-    });
-  }
-
-  return errors;
-}
-
+// Validate with the shared schema validator, formatting errors as "pointer: message"
 function validateFile(data) {
-  const errors = [];
-
-  // Check if multi-server format
-  if (data.servers && Array.isArray(data.servers)) {
-    data.servers.forEach((server, i) => {
-      const serverErrors = validateServer(server);
-      serverErrors.forEach(e => errors.push(`Server ${i}: ${e}`));
-    });
-  } else {
-    // Single server format
-    validateServer(data, errors);
-  }
-
-  return errors;
+  return validateServerFile(data).map(e => `${e.pointer}: ${e.message}`);
 }
 
 describe('Schema Validation', () => {
@@ -113,7 +62,7 @@ describe('Schema Validation', () => {
           description: 'Test',
           versions: [{ version: '1.0.0', packages: [{ registryType: 'npm', identifier: 'test', transport: { type: 'stdio' } }] }]
         };
-        const errors = validateServer(server);
+        const errors = validateFile(server);
         assert.deepStrictEqual(errors, [], `Name "${name}" should be valid`);
       });
     });
@@ -133,7 +82,7 @@ describe('Schema Validation', () => {
           description: 'Test',
           versions: [{ version: '1.0.0', packages: [{ registryType: 'npm', identifier: 'test', transport: { type: 'stdio' } }] }]
         };
-        const errors = validateServer(server);
+        const errors = validateFile(server);
         assert.ok(errors.length > 0, `Name "${name}" should be invalid`);
       });
     });
@@ -147,8 +96,8 @@ describe('Schema Validation', () => {
         versions: [{ packages: [{ registryType: 'npm', identifier: 'test', transport: { type: 'stdio' } }] }]
       };
 
-      const errors = validateServer(server);
-      assert.ok(errors.some(e => e.includes('missing version')), 'should report missing version');
+      const errors = validateFile(server);
+      assert.ok(errors.some(e => e.startsWith('/versions/0/version:')), 'should report missing version');
     });
 
     test('should require packages array', () => {
@@ -158,7 +107,7 @@ describe('Schema Validation', () => {
         versions: [{ version: '1.0.0' }]
       };
 
-      const errors = validateServer(server);
+      const errors = validateFile(server);
       assert.ok(errors.some(e => e.includes('packages')), 'should report missing packages');
     });
   });
@@ -174,7 +123,7 @@ describe('Schema Validation', () => {
         }]
       };
 
-      const errors = validateServer(server);
+      const errors = validateFile(server);
       assert.ok(errors.some(e => e.includes('registryType')), 'should report missing registryType');
     });
 
@@ -188,8 +137,35 @@ describe('Schema Validation', () => {
         }]
       };
 
-      const errors = validateServer(server);
-      assert.ok(errors.some(e => e.includes('transport.type')), 'should report missing transport.type');
+      const errors = validateFile(server);
+      assert.ok(errors.some(e => e.startsWith('/versions/0/packages/0/transport/type:')), 'should report missing transport.type');
+    });
+  });
+
+  describe('Flat Format', () => {
+    test('should accept flat official format with remotes', () => {
+      const errors = validateFile({
+        name: 'io.github.test/remote',
+        description: 'Test',
+        version: '1.0.0',
+        packages: [],
+        remotes: [{ type: 'streamable-http', url: 'https://example.com/mcp' }]
+      });
+      assert.deepStrictEqual(errors, []);
+    });
+
+    test('should report pointers into flat servers in a multi-server file', () => {
+      const errors = validateFile({
+        servers: [
+          { name: 'io.github.test/ok', description: 'Test', version: '1.0.0', packages: [] },
+          { name: 'io.github.test/bad', description: 'Test', version: '1.0.0' }
+        ],
+        extra: true
+      });
+      assert.deepStrictEqual(errors, [
+        '/extra: is not allowed',
+        '/servers/1/packages: is required'
+      ]);
     });
   });
 });
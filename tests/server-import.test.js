@@ -0,0 +1,93 @@
+/**
+ * Tests for merging imported servers into server files
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { mergeIntoServerFile, OFFICIAL_SCHEMA, SCHEMA_VERSION } from '../src/web/server-import.js';
+import * as registryCore from '../scripts/registry-core.js';
+import { readFileSync } from 'fs';
+
+const SERVER_NAME = 'io.github.example/weather';
+
+const upstream = {
+  $schema: 'https://static.modelcontextprotocol.io/schemas/2025-12-11/server.schema.json',
+  name: SERVER_NAME,
+  description: 'Weather forecasts',
+  version: '2.0.0',
+  packages: [{ registryType: 'npm', identifier: '@example/weather', version: '2.0.0', transport: { type: 'stdio' } }]
+};
+
+const storedServer = {
+  name: SERVER_NAME,
+  description: 'Weather forecasts',
+  versions: [{ version: '1.0.0', isLatest: true, packages: [] }]
+};
+
+const otherServer = {
+  name: 'io.github.example/other',
+  description: 'Other server',
+  versions: [{ version: '1.0.0', isLatest: true, packages: [] }]
+};
+
+describe('Server Import', () => {
+  test('should write the schema version the API advertises', () => {
+    assert.strictEqual(OFFICIAL_SCHEMA, registryCore.OFFICIAL_SCHEMA);
+    assert.strictEqual(SCHEMA_VERSION, registryCore.SCHEMA_VERSION);
+    assert.ok(OFFICIAL_SCHEMA.includes(`/schemas/${SCHEMA_VERSION}/`));
+
+    // The browser loads it as is, next to the web assets
+    const source = readFileSync(new URL('../scripts/schema-version.js', import.meta.url), 'utf-8');
+    assert.doesNotMatch(source, /^import /m);
+  });
+
+  test('should create a single-server file', () => {
+    const { data, action } = mergeIntoServerFile(null, SERVER_NAME, [upstream]);
+
+    assert.strictEqual(action, 'created');
+    assert.strictEqual(data.$schema, OFFICIAL_SCHEMA);
+    assert.strictEqual(data.name, SERVER_NAME);
+    assert.deepStrictEqual(data.versions.map(v => v.version), ['2.0.0']);
+  });
+
+  test('should merge versions into a server inside a multi-server file', () => {
+    const existing = { servers: [otherServer, storedServer] };
+    const { data, action, serverCount } = mergeIntoServerFile(existing, SERVER_NAME, [upstream]);
+
+    assert.strictEqual(action, 'updated');
+    assert.strictEqual(serverCount, 2);
+    assert.deepStrictEqual(data.servers[0], otherServer);
+    assert.deepStrictEqual(data.servers[1].versions.map(v => [v.version, v.isLatest]), [['2.0.0', true], ['1.0.0', false]]);
+    // The existing file contents are left untouched
+    assert.strictEqual(existing.servers[1], storedServer);
+  });
+
+  test('should add a new server to a multi-server file', () => {
+    const { data, action } = mergeIntoServerFile({ servers: [otherServer] }, SERVER_NAME, [upstream]);
+
+    assert.strictEqual(action, 'added');
+    assert.deepStrictEqual(data.servers.map(s => s.name), ['io.github.example/other', SERVER_NAME]);
+  });
+
+  test('should keep the server\'s own status and versions\' statuses', () => {
+    const deprecated = {
+      ...storedServer,
+      status: 'deprecated',
+      statusMessage: 'Use the v2 package',
+      replacedBy: 'io.github.example/weather-v2'
+    };
+    const yanked = { ...upstream, version: '1.0.1', status: 'deleted', statusMessage: 'Broken build' };
+    const { data } = mergeIntoServerFile(deprecated, SERVER_NAME, [yanked]);
+
+    assert.deepStrictEqual([data.status, data.statusMessage, data.replacedBy], ['deprecated', 'Use the v2 package', 'io.github.example/weather-v2']);
+    assert.deepStrictEqual(data.versions.map(v => [v.version, v.status]), [['1.0.1', 'deleted'], ['1.0.0', undefined]]);
+  });
+
+  test('should convert a file defining another server to multi-server format', () => {
+    const { data, action, serverCount } = mergeIntoServerFile(otherServer, SERVER_NAME, [upstream]);
+
+    assert.strictEqual(action, 'converted');
+    assert.strictEqual(serverCount, 2);
+    assert.deepStrictEqual(data.servers.map(s => s.name), ['io.github.example/other', SERVER_NAME]);
+  });
+});
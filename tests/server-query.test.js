@@ -0,0 +1,148 @@
+/**
+ * Tests for the dynamic server list query helpers
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseListQuery, queryServers, encodeCursor, decodeCursor } from '../scripts/server-query.js';
+
+// Helper to build a minimal server in internal format
+function makeServer(name) {
+  return {
+    name,
+    description: `Test server ${name}`,
+    versions: [{ version: '1.0.0', isLatest: true, packages: [] }]
+  };
+}
+
+const servers = [
+  makeServer('io.github.example/zeta'),
+  makeServer('com.microsoft/azure'),
+  makeServer('io.github.example/alpha'),
+  makeServer('com.microsoft/azure-devops'),
+  makeServer('io.github.example/beta')
+];
+
+describe('Server List Query', () => {
+  describe('parseListQuery', () => {
+    test('should default to no filtering or paging', () => {
+      const query = parseListQuery(new URLSearchParams(''));
+      assert.deepStrictEqual(query, { search: null, limit: null, cursor: null, updatedSince: null, includeDeleted: false });
+    });
+
+    test('should clamp limit to the maximum', () => {
+      const query = parseListQuery(new URLSearchParams('limit=500'));
+      assert.strictEqual(query.limit, 100);
+    });
+
+    test('should reject invalid limits', () => {
+      for (const limit of ['0', '-1', 'abc', '1.5']) {
+        assert.throws(() => parseListQuery(new URLSearchParams({ limit })), /Invalid limit/);
+      }
+    });
+
+    test('should parse updated_since as RFC 3339', () => {
+      const query = parseListQuery(new URLSearchParams('updated_since=2025-01-02T03:04:05Z'));
+      assert.strictEqual(query.updatedSince.toISOString(), '2025-01-02T03:04:05.000Z');
+    });
+
+    test('should reject invalid updated_since values', () => {
+      for (const value of ['yesterday', '2025-01-02', '2025-13-45T00:00:00Z']) {
+        assert.throws(
+          () => parseListQuery(new URLSearchParams({ updated_since: value })),
+          /Invalid updated_since/
+        );
+      }
+    });
+
+    test('should reject malformed cursors', () => {
+      assert.throws(() => parseListQuery(new URLSearchParams({ cursor: 'not a cursor!' })), /Invalid cursor/);
+      assert.throws(() => parseListQuery(new URLSearchParams({ cursor: encodeCursor('no-slash') })), /Invalid cursor/);
+    });
+  });
+
+  describe('queryServers', () => {
+    test('should return all servers sorted by name without a limit', () => {
+      const result = queryServers(servers);
+      assert.deepStrictEqual(result.servers.map(s => s.name), [
+        'com.microsoft/azure',
+        'com.microsoft/azure-devops',
+        'io.github.example/alpha',
+        'io.github.example/beta',
+        'io.github.example/zeta'
+      ]);
+      assert.strictEqual(result.nextCursor, undefined);
+    });
+
+    test('should filter by case-insensitive name substring', () => {
+      const result = queryServers(servers, { search: 'AZURE' });
+      assert.deepStrictEqual(result.servers.map(s => s.name), [
+        'com.microsoft/azure',
+        'com.microsoft/azure-devops'
+      ]);
+    });
+
+    test('should page through every server exactly once', () => {
+      const seen = [];
+      let cursor = null;
+      let pages = 0;
+
+      do {
+        const result = queryServers(servers, { limit: 2, cursor });
+        seen.push(...result.servers.map(s => s.name));
+        cursor = result.nextCursor;
+        pages++;
+      } while (cursor);
+
+      assert.strictEqual(pages, 3);
+      assert.deepStrictEqual(seen, queryServers(servers).servers.map(s => s.name));
+    });
+
+    test('should keep cursors stable when servers are added', () => {
+      const first = queryServers(servers, { limit: 2 });
+      const grown = [...servers, makeServer('com.example/inserted-before-cursor')];
+      const second = queryServers(grown, { limit: 2, cursor: first.nextCursor });
+
+      assert.strictEqual(decodeCursor(first.nextCursor), 'com.microsoft/azure-devops');
+      assert.deepStrictEqual(second.servers.map(s => s.name), [
+        'io.github.example/alpha',
+        'io.github.example/beta'
+      ]);
+    });
+
+    test('should filter by updated_since', () => {
+      const history = [
+        makeServer('com.example/old'),
+        makeServer('com.example/new'),
+        makeServer('com.example/unknown')
+      ];
+      history[0]._history = { publishedAt: '2024-01-01T00:00:00.000Z', updatedAt: '2024-06-01T00:00:00.000Z' };
+      history[1]._history = { publishedAt: '2024-01-01T00:00:00.000Z', updatedAt: '2025-02-01T00:00:00.000Z' };
+
+      const result = queryServers(history, { updatedSince: new Date('2025-01-01T00:00:00Z') });
+      assert.deepStrictEqual(result.servers.map(s => s.name), [
+        'com.example/new',
+        'com.example/unknown'
+      ]);
+    });
+
+    test('should hide deleted servers unless asked to include them', () => {
+      const withDeleted = [
+        ...servers,
+        { ...makeServer('io.github.example/deleted'), status: 'deleted' },
+        { name: 'io.github.example/yanked', description: 'Yanked', versions: [{ version: '1.0.0', status: 'deleted', packages: [] }] }
+      ];
+
+      assert.strictEqual(queryServers(withDeleted, {}).servers.length, servers.length);
+      assert.strictEqual(queryServers(withDeleted, parseListQuery(new URLSearchParams('include_deleted=true'))).servers.length, servers.length + 2);
+      assert.throws(() => parseListQuery(new URLSearchParams('include_deleted=1')), /Invalid include_deleted/);
+    });
+
+    test('should combine search with paging', () => {
+      const result = queryServers(servers, { search: 'example', limit: 1 });
+      assert.strictEqual(result.servers.length, 1);
+      assert.strictEqual(result.servers[0].name, 'io.github.example/alpha');
+      assert.ok(result.nextCursor, 'should have a next cursor');
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Tests for per-audience server visibility
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdir, writeFile, rm, readFile, readdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { execFileSync, spawn } from 'child_process';
+import { parseAudiences, getCallerGroups, filterVisible, listAudiences } from '../scripts/visibility.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const TEST_DIR = join(__dirname, 'fixtures', 'visibility');
+const SERVERS_DIR = join(TEST_DIR, 'servers');
+const DIST_DIR = join(TEST_DIR, 'dist');
+const PORT = 4400 + Math.floor(Math.random() * 100);
+
+const audiences = {
+  groups: {
+    finance: ['api-key:finance-portal', 'jwt:alice@example.com'],
+    platform: ['api-key:ci', 'jwt:alice@example.com']
+  }
+};
+
+function server(name, visibility) {
+  return {
+    name,
+    description: `${name} server`,
+    ...(visibility && { visibility }),
+    versions: [{ version: '1.0.0', isLatest: true, packages: [] }]
+  };
+}
+
+const servers = [
+  server('io.github.test/public'),
+  server('io.github.test/ledger', ['finance']),
+  server('io.github.test/deploy', ['platform', 'finance'])
+];
+
+describe('Visibility', () => {
+  before(async () => {
+    await rm(TEST_DIR, { recursive: true, force: true });
+    await mkdir(SERVERS_DIR, { recursive: true });
+    await writeFile(join(SERVERS_DIR, 'servers.json'), JSON.stringify({ servers }));
+    await writeFile(join(TEST_DIR, 'audiences.json'), JSON.stringify(audiences));
+  });
+
+  after(async () => {
+    await rm(TEST_DIR, { recursive: true, force: true });
+  });
+
+  test('should report invalid audiences files', () => {
+    assert.throws(() => parseAudiences({ groups: { Finance: [] } }), /Invalid group name "Finance"/);
+    assert.throws(() => parseAudiences({ groups: { finance: ['alice'] } }), /groups\.finance: invalid member "alice"/);
+    assert.throws(() => parseAudiences({ members: {} }), /Unknown field "members"/);
+  });
+
+  test('should show callers the servers of their groups', () => {
+    const parsed = parseAudiences(audiences);
+    const names = principal => filterVisible(servers, getCallerGroups(parsed, principal)).map(s => s.name);
+
+    assert.deepStrictEqual(names(null), ['io.github.test/public']);
+    assert.deepStrictEqual(names({ method: 'api-key', name: 'ci' }), ['io.github.test/public', 'io.github.test/deploy']);
+    assert.deepStrictEqual(names({ method: 'api-key', name: 'finance-portal' }), servers.map(s => s.name));
+    assert.deepStrictEqual(names({ method: 'jwt', name: 'ci' }), ['io.github.test/public'], 'methods are not interchangeable');
+    assert.deepStrictEqual(getCallerGroups(parsed, { method: 'jwt', name: 'alice@example.com' }), ['finance', 'platform']);
+  });
+
+  test('should list an audience per group and per combination of groups', () => {
+    assert.deepStrictEqual(listAudiences(parseAudiences(audiences), servers), {
+      audiences: { finance: ['finance'], platform: ['platform'], 'finance+platform': ['finance', 'platform'] },
+      members: {
+        'api-key:finance-portal': 'finance',
+        'jwt:alice@example.com': 'finance+platform',
+        'api-key:ci': 'platform'
+      }
+    });
+  });
+
+  describe('Build', () => {
+    function runBuild(...flags) {
+      return execFileSync('node', [join(ROOT, 'scripts', 'build.js'), '--local', ...flags], {
+        cwd: ROOT,
+        stdio: 'pipe',
+        env: { ...process.env, MCP_SERVERS_DIR: SERVERS_DIR, MCP_DIST_DIR: DIST_DIR }
+      });
+    }
+
+    async function listNames(dir) {
+      const list = JSON.parse(await readFile(join(dir, 'v0.1', 'servers', 'index.json'), 'utf-8'));
+      return list.servers.map(s => s.server.name);
+    }
+
+    test('should leave restricted servers out of the default build', async () => {
+      runBuild();
+
+      assert.deepStrictEqual(await listNames(DIST_DIR), ['io.github.test/public']);
+      assert.ok(!existsSync(join(DIST_DIR, 'audiences')));
+
+      // Neither restricted servers nor audiences.json members end up in any file
+      const files = await readdir(DIST_DIR, { recursive: true, withFileTypes: true });
+      for (const file of files.filter(f => f.isFile())) {
+        const content = await readFile(join(file.parentPath ?? file.path, file.name), 'utf-8');
+        for (const secret of ['io.github.test/ledger', 'io.github.test/deploy', 'finance-portal', 'alice@example.com']) {
+          assert.ok(!content.includes(secret), `${file.name} mentions ${secret}`);
+        }
+      }
+    });
+
+    test('should write one tree per audience with --audiences', async () => {
+      runBuild('--audiences');
+
+      assert.deepStrictEqual(await listNames(DIST_DIR), ['io.github.test/public']);
+      assert.ok(!existsSync(join(DIST_DIR, 'v0.1', 'servers', encodeURIComponent('io.github.test/ledger'))));
+
+      assert.deepStrictEqual(await listNames(join(DIST_DIR, 'audiences', 'platform')), ['io.github.test/deploy', 'io.github.test/public']);
+      assert.deepStrictEqual(await listNames(join(DIST_DIR, 'audiences', 'finance+platform')), [
+        'io.github.test/deploy', 'io.github.test/ledger', 'io.github.test/public'
+      ]);
+
+      const index = JSON.parse(await readFile(join(DIST_DIR, 'audiences', 'index.json'), 'utf-8'));
+      assert.strictEqual(index.members['jwt:alice@example.com'], 'finance+platform');
+    });
+
+    test('should report groups that are not in audiences.json', async () => {
+      await writeFile(join(SERVERS_DIR, 'typo.json'), JSON.stringify(server('io.github.test/typo', ['fianance'])));
+      runBuild();
+      await rm(join(SERVERS_DIR, 'typo.json'));
+
+      const report = JSON.parse(await readFile(join(DIST_DIR, 'build-report.json'), 'utf-8'));
+      assert.deepStrictEqual(report.problems.map(p => [p.type, p.server]), [['visibility', 'io.github.test/typo']]);
+    });
+  });
+
+  describe('Dynamic server', () => {
+    let child;
+
+    function get(path, key) {
+      return fetch(`http://localhost:${PORT}${path}`, { headers: key ? { Authorization: `Bearer ${key}` } : {} });
+    }
+
+    async function listNames(key) {
+      const response = await get('/v0.1/servers', key);
+      return (await response.json()).servers.map(s => s.server.name);
+    }
+
+    before(async () => {
+      child = await new Promise((resolve, reject) => {
+        const proc = spawn('node', [join(ROOT, 'scripts', 'dynamic-server.js')], {
+          cwd: ROOT,
+          env: {
+            ...process.env,
+            MCP_SOURCE: 'local',
+            MCP_SERVERS_DIR: SERVERS_DIR,
+            MCP_PORT: String(PORT),
+            MCP_CACHE_FILE: join(TEST_DIR, 'cache.json'),
+            MCP_API_KEYS: 'ci=ci-key, finance-portal=finance-key, guest=guest-key'
+          },
+          stdio: ['ignore', 'pipe', 'pipe']
+        });
+        proc.stdout.on('data', chunk => {
+          if (chunk.toString().includes('Server running')) resolve(proc);
+        });
+        proc.on('exit', code => reject(new Error(`Dynamic server exited with code ${code}`)));
+      });
+    });
+
+    after(() => {
+      child?.kill();
+    });
+
+    test('should filter lists and searches by the caller\'s groups', async () => {
+      assert.deepStrictEqual(await listNames('guest-key'), ['io.github.test/public']);
+      assert.deepStrictEqual(await listNames('ci-key'), ['io.github.test/deploy', 'io.github.test/public']);
+
+      const search = await get('/v0.1/servers?search=ledger', 'finance-key');
+      assert.deepStrictEqual((await search.json()).servers.map(s => s.server.name), ['io.github.test/ledger']);
+    });
+
+    test('should hide restricted servers\' versions from other callers', async () => {
+      const path = `/v0.1/servers/${encodeURIComponent('io.github.test/ledger')}/versions`;
+      assert.strictEqual((await get(path, 'finance-key')).status, 200);
+      assert.strictEqual((await get(path, 'ci-key')).status, 404);
+      assert.strictEqual((await get(`${path}/latest`, 'guest-key')).status, 404);
+      assert.strictEqual((await get(`${path}/1.0.0/config`, 'guest-key')).status, 404);
+    });
+  });
+});